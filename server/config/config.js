@@ -1,26 +1,182 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
+import { languages } from './languages.js';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
+const dataPath = process.env.DATA_PATH || './data';
+
+const corsOrigins = (process.env.CORS_ORIGIN || '*').split(',').map(origin => origin.trim());
+
 export const config = {
     // Server Configuration
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
-    corsOrigin: process.env.CORS_ORIGIN || '*',
+    // Comma-separated list of allowed origins, or '*' for any origin
+    corsOrigin: corsOrigins.includes('*') ? '*' : corsOrigins,
+    
+    // API key authentication; each key belongs to one tenant and has one or more roles
+    auth: {
+        enabled: process.env.AUTH_ENABLED !== 'false',
+        // API keys (JSON); see config/apiKeys.example.json
+        apiKeysPath: process.env.API_KEYS_PATH || './config/apiKeys.json',
+        // Tenant used when authentication is disabled and for records created before tenancy
+        defaultTenantId: process.env.DEFAULT_TENANT_ID || 'default'
+    },
+    
+    // Roles that can be granted to API keys; admin implies every other role
+    roles: {
+        UPLOADER: 'uploader',
+        REVIEWER: 'reviewer',
+        ADMIN: 'admin'
+    },
+    
+    // Classifier provider ('gemini' or 'local')
+    classifierProvider: (process.env.CLASSIFIER_PROVIDER || 'gemini').toLowerCase(),
     
     // Google Gemini API
     geminiApiKey: process.env.GEMINI_API_KEY,
+    geminiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
     
     // File Upload Configuration
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
     allowedFileTypes: process.env.ALLOWED_FILE_TYPES 
         ? process.env.ALLOWED_FILE_TYPES.split(',')
-        : ['application/pdf', 'text/plain'],
+        : [
+            'application/pdf',
+            'text/plain',
+            'image/png',
+            'image/jpeg',
+            'image/tiff',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'text/csv',
+            'message/rfc822',
+            'application/vnd.ms-outlook',
+            'text/html'
+        ],
     
     // Classification Configuration
     confidenceThreshold: parseFloat(process.env.CONFIDENCE_THRESHOLD) || 0.7,
     maxConcurrentRequests: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 10,
     
+    // Resilience of AI classification calls
+    aiResilience: {
+        timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 30000,
+        maxRetries: process.env.AI_MAX_RETRIES ? parseInt(process.env.AI_MAX_RETRIES) : 3,
+        retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 1000,
+        // Extra prompts asking for valid JSON before falling back
+        maxParseRetries: process.env.AI_MAX_PARSE_RETRIES ? parseInt(process.env.AI_MAX_PARSE_RETRIES) : 1,
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+            resetTimeoutMs: parseInt(process.env.AI_CIRCUIT_RESET_TIMEOUT_MS) || 30000
+        }
+    },
+    
+    // Request rate limits
+    rateLimiting: {
+        // Shared by every Gemini call; concurrency is capped by maxConcurrentRequests
+        geminiRequestsPerMinute: parseInt(process.env.GEMINI_REQUESTS_PER_MINUTE) || 60,
+        // Per API key (or IP for unauthenticated requests) on /api/documents
+        client: {
+            enabled: process.env.CLIENT_RATE_LIMIT_ENABLED !== 'false',
+            requestsPerMinute: parseInt(process.env.CLIENT_REQUESTS_PER_MINUTE) || 60,
+            burst: parseInt(process.env.CLIENT_RATE_LIMIT_BURST) || 20
+        }
+    },
+    
+    // Extracted field normalization
+    extraction: {
+        // Read ambiguous numeric dates such as 03/04/2024 as day/month instead of month/day
+        dayFirstDates: process.env.DATE_DAY_FIRST === 'true'
+    },
+
+    // Language of extracted text and of the explanations written by the model
+    language: {
+        // ISO 639-1 code (see config/languages.js) that reasoning and suggestedActions are written in
+        outputLanguage: process.env.OUTPUT_LANGUAGE || 'en',
+        // Below this detection confidence the document's locale is not used to read dates and amounts
+        minConfidence: parseFloat(process.env.LANGUAGE_MIN_CONFIDENCE) || 0.3
+    },
+    
+    // Duplicate detection and classification cache
+    dedupe: {
+        enabled: process.env.DEDUPE_ENABLED !== 'false',
+        // Exact duplicates within this window reuse the earlier classification
+        cacheTtlMs: parseInt(process.env.DEDUPE_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days default
+        // Documents at least this similar are reported as possible duplicates
+        nearDuplicateThreshold: parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.8,
+        nearDuplicateWindowMs: parseInt(process.env.NEAR_DUPLICATE_WINDOW_MS) || 90 * 24 * 60 * 60 * 1000, // 90 days default
+        shingleSize: 5,
+        signatureSize: 64
+    },
+
+    // Versioned classification prompts and A/B tests between them (see /api/prompts)
+    prompts: {
+        // Paired active/candidate classifications kept for comparing versions
+        maxShadowResults: parseInt(process.env.MAX_SHADOW_RESULTS) || 5000,
+        // Longest template accepted by POST /api/prompts, in characters
+        maxTemplateLength: 50000
+    },
+
+    // Three-way matching of invoices against stored purchase orders and receipts
+    matching: {
+        enabled: process.env.MATCHING_ENABLED !== 'false',
+        // Relative difference tolerated between two amounts (rounding, small fees)
+        amountTolerance: parseFloat(process.env.MATCHING_AMOUNT_TOLERANCE) || 0.01
+    },
+    
+    // Personal data is replaced with placeholders before text is sent to the classifier.
+    // Per-tenant and per-department policies (JSON); see config/redactionPolicies.example.json
+    redaction: {
+        enabled: process.env.REDACTION_ENABLED !== 'false',
+        policiesPath: process.env.REDACTION_POLICIES_PATH || './config/redactionPolicies.json'
+    },
+    
+    // Reviewer corrections injected into the classification prompt as few-shot examples.
+    // enabled and maxExamples are defaults; admins can change them per tenant at runtime.
+    fewShot: {
+        enabled: process.env.FEW_SHOT_ENABLED !== 'false',
+        maxExamples: process.env.FEW_SHOT_MAX_EXAMPLES ? parseInt(process.env.FEW_SHOT_MAX_EXAMPLES) : 3,
+        maxExamplesLimit: 10,
+        // Corrections less similar than this to the document are never used
+        minSimilarity: parseFloat(process.env.FEW_SHOT_MIN_SIMILARITY) || 0.1,
+        // Characters of text kept per correction, and shown per example in the prompt
+        excerptLength: 2000,
+        promptExcerptLength: 500
+    },
+    
+    // Offline evaluation (npm run eval) against a labeled corpus with recorded provider responses
+    evaluation: {
+        corpusPath: process.env.EVAL_CORPUS_PATH || './eval/corpus',
+        recordingsPath: process.env.EVAL_RECORDINGS_PATH || './eval/recordings.json',
+        reportsPath: process.env.EVAL_REPORTS_PATH || './eval/reports',
+        calibrationBins: 10
+    },
+    
+    // Long documents are split into overlapping chunks instead of being truncated
+    chunking: {
+        maxTextLength: parseInt(process.env.MAX_TEXT_LENGTH) || 50000,
+        chunkSize: parseInt(process.env.CHUNK_SIZE) || 20000,
+        chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 1000,
+        maxChunks: parseInt(process.env.MAX_CHUNKS) || 20
+    },
+
+    // Scanned stacks of unrelated documents can be split into sub-documents on upload (?split=true)
+    split: {
+        maxPages: parseInt(process.env.SPLIT_MAX_PAGES) || 100,
+        minPageLength: 20, // pages with less text are treated as blank separator pages
+        minTypeConfidence: 0.6 // a change of page-level document type below this confidence is not a boundary
+    },
+    
+    // Batch Upload Configuration
+    maxBatchFiles: parseInt(process.env.MAX_BATCH_FILES) || 100,
+    batchRetentionMs: parseInt(process.env.BATCH_RETENTION_MS) || 24 * 60 * 60 * 1000, // 24 hours default
+    archiveMimeTypes: ['application/zip', 'application/x-zip-compressed'],
+    maxArchiveEntries: parseInt(process.env.MAX_ARCHIVE_ENTRIES) || 1000, // files read from one ZIP archive
+    maxArchiveBytes: parseInt(process.env.MAX_ARCHIVE_BYTES) || 200 * 1024 * 1024, // 200MB extracted from one ZIP archive
+    
     // Document Types
     documentTypes: {
         INVOICE: 'invoice',
@@ -44,8 +200,70 @@ export const config = {
     // File upload paths
     tempUploadPath: './public/temp',
     
+    // Persistent data (classification history etc.)
+    dataPath,
+    
+    // Declarative routing rules (JSON); see config/routingRules.example.json
+    routingRulesPath: process.env.ROUTING_RULES_PATH || './config/routingRules.json',
+    
+    // Outbound delivery of routed documents
+    delivery: {
+        // Per-department destinations (JSON); see config/destinations.example.json
+        destinationsPath: process.env.DELIVERY_DESTINATIONS_PATH || './config/destinations.json',
+        signingSecret: process.env.DELIVERY_SIGNING_SECRET || '',
+        maxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 5,
+        retryBaseDelayMs: parseInt(process.env.DELIVERY_RETRY_BASE_DELAY_MS) || 1000,
+        timeoutMs: parseInt(process.env.DELIVERY_TIMEOUT_MS) || 10000,
+        emailFrom: process.env.DELIVERY_EMAIL_FROM || 'docroute@localhost',
+        outboxPath: process.env.DELIVERY_OUTBOX_PATH || `${dataPath}/outbox`,
+        // Files held for a review that is never decided are removed after this long
+        heldFileRetentionMs: parseInt(process.env.DELIVERY_HELD_FILE_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000 // 30 days default
+    },
+    
+    // Append-only, hash-chained audit trail of classification, review and delivery decisions
+    audit: {
+        logPath: process.env.AUDIT_LOG_PATH || `${dataPath}/audit-log.jsonl`,
+        // Raw model responses longer than this are truncated in the audit entry
+        maxRawResponseLength: 20000
+    },
+
+    // Structured logs: one JSON object per line carrying the request ID (LOG_FORMAT=pretty for development)
+    logging: {
+        level: process.env.LOG_LEVEL || 'info',
+        format: process.env.LOG_FORMAT || 'json'
+    },
+
+    // Prometheus metrics at GET /metrics; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+    metrics: {
+        enabled: process.env.METRICS_ENABLED !== 'false',
+        token: process.env.METRICS_TOKEN || null,
+        // Histogram buckets in seconds
+        extractionBuckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+        aiLatencyBuckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60],
+        httpBuckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+    },
+
+    // Pagination defaults for list endpoints
+    pagination: {
+        defaultLimit: 20,
+        maxLimit: 100
+    },
+    
     // Supported file extensions
-    supportedExtensions: ['.pdf', '.txt'],
+    supportedExtensions: [
+        '.pdf', '.txt', '.png', '.jpg', '.jpeg', '.tif', '.tiff',
+        '.docx', '.xlsx', '.csv', '.eml', '.msg', '.html', '.htm'
+    ],
+    
+    // OCR for scanned PDFs and images
+    ocr: {
+        enabled: process.env.OCR_ENABLED !== 'false',
+        languages: process.env.OCR_LANGUAGES || 'eng',
+        // Folder with <lang>.traineddata.gz files; defaults to the bundled English data
+        langPath: process.env.OCR_LANG_PATH || null,
+        maxPages: parseInt(process.env.OCR_MAX_PAGES) || 20,
+        pdfRenderScale: parseFloat(process.env.OCR_PDF_RENDER_SCALE) || 2
+    },
     
     // Classification confidence levels
     confidenceLevels: {
@@ -55,12 +273,61 @@ export const config = {
     }
 };
 
+// Whether the delivery destinations file (if any) has a webhook destination
+const hasWebhookDestination = (destinationsPath) => {
+    if (!fs.existsSync(destinationsPath)) {
+        return false;
+    }
+
+    let destinations;
+    try {
+        destinations = JSON.parse(fs.readFileSync(destinationsPath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Delivery destinations file ${destinationsPath} is not valid JSON: ${error.message}`);
+    }
+    return Object.values(destinations || {}).some(destination => destination && destination.type === 'webhook');
+};
+
 // Validation function to ensure required config is present
 export const validateConfig = () => {
-    if (!config.geminiApiKey) {
-        throw new Error('GEMINI_API_KEY is required in environment variables');
+    // The recorded provider replays evaluation responses; only the eval harness selects it
+    const providers = ['gemini', 'local'];
+    if (!providers.includes(config.classifierProvider)) {
+        throw new Error(`CLASSIFIER_PROVIDER must be one of: ${providers.join(', ')}`);
+    }
+
+    if (config.classifierProvider === 'gemini' && !config.geminiApiKey) {
+        throw new Error('GEMINI_API_KEY is required in environment variables when using the gemini provider');
+    }
+    
+    if (!languages[config.language.outputLanguage]) {
+        throw new Error(`OUTPUT_LANGUAGE must be one of: ${Object.keys(languages).join(', ')}`);
+    }
+
+    // Every chunk must move the window forward, or a long text produces a chunk per character
+    if (config.chunking.chunkOverlap >= config.chunking.chunkSize) {
+        throw new Error('CHUNK_OVERLAP must be smaller than CHUNK_SIZE');
+    }
+
+    const logLevels = ['debug', 'info', 'warn', 'error'];
+    if (!logLevels.includes(config.logging.level)) {
+        throw new Error(`LOG_LEVEL must be one of: ${logLevels.join(', ')}`);
+    }
+
+    if (!config.auth.enabled) {
+        logger.warn('AUTH_ENABLED is false; every request is treated as an admin of the default tenant');
+    } else if (!fs.existsSync(config.auth.apiKeysPath)) {
+        logger.warn(`No API keys file found at ${config.auth.apiKeysPath}; authenticated endpoints will reject every request`);
+    }
+    
+    // Webhook receivers verify the signature, which an empty key makes forgeable by anyone
+    if (!config.delivery.signingSecret) {
+        if (hasWebhookDestination(config.delivery.destinationsPath)) {
+            throw new Error('DELIVERY_SIGNING_SECRET is required when a webhook delivery destination is configured');
+        }
+        logger.warn('DELIVERY_SIGNING_SECRET is not set; delivery payloads will be signed with an empty key');
     }
     
-    console.log('✓ Configuration validated successfully');
+    logger.info('Configuration validated successfully');
     return true;
 };
\ No newline at end of file
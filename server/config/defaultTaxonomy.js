@@ -0,0 +1,23 @@
+import { config } from './config.js';
+
+const { documentTypes, departments } = config;
+
+// Taxonomy seeded on first start; afterwards it is edited through /api/taxonomy and persisted
+export const defaultTaxonomy = {
+    documentType: [
+        { name: documentTypes.INVOICE, displayName: 'Invoice', description: 'Bills for goods/services provided' },
+        { name: documentTypes.PURCHASE_ORDER, displayName: 'Purchase Order', description: 'Orders for goods/services to be purchased' },
+        { name: documentTypes.CONTRACT, displayName: 'Contract', description: 'Legal agreements and contracts' },
+        { name: documentTypes.RECEIPT, displayName: 'Receipt', description: 'Payment confirmations and receipts' },
+        { name: documentTypes.PROPOSAL, displayName: 'Proposal', description: 'Business proposals and quotes' },
+        { name: documentTypes.AGREEMENT, displayName: 'Agreement', description: 'Various types of agreements' },
+        { name: documentTypes.OTHER, displayName: 'Other', description: "Documents that don't fit the above categories" }
+    ],
+    department: [
+        { name: departments.FINANCE, displayName: 'Finance Department', description: 'Invoices, receipts, financial statements, payment records, billing documents' },
+        { name: departments.PROCUREMENT, displayName: 'Procurement Department', description: 'Purchase orders, vendor agreements, supplier contracts' },
+        { name: departments.LEGAL, displayName: 'Legal Department', description: 'Contracts, legal agreements, compliance documents, terms of service' },
+        { name: departments.OPERATIONS, displayName: 'Operations Department', description: 'Operational agreements, service contracts, facility management' },
+        { name: departments.GENERAL, displayName: 'General Administration', description: "Documents that don't fit specific departments" }
+    ]
+};
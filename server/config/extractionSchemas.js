@@ -0,0 +1,117 @@
+import { config } from './config.js';
+
+const { documentTypes } = config;
+
+// Reusable field definitions
+const amount = { type: 'number', description: 'Monetary amount as a plain number without currency symbols' };
+const currency = { type: 'string', format: 'currency', description: 'ISO 4217 currency code, e.g. USD' };
+const date = { type: 'string', format: 'date', description: 'Date in YYYY-MM-DD format' };
+
+const lineItems = {
+    type: 'array',
+    description: 'Individual line items',
+    items: {
+        type: 'object',
+        properties: {
+            description: { type: 'string' },
+            quantity: { type: 'number' },
+            unitPrice: amount,
+            amount
+        }
+    }
+};
+
+const parties = {
+    type: 'array',
+    description: 'Names of all parties to the document',
+    items: { type: 'string' }
+};
+
+// JSON Schema (subset) of the extractedData expected for each document type
+export const extractionSchemas = {
+    [documentTypes.INVOICE]: {
+        type: 'object',
+        required: ['invoiceNumber', 'vendor', 'totalAmount', 'currency'],
+        properties: {
+            invoiceNumber: { type: 'string', description: 'Invoice number or ID' },
+            vendor: { type: 'string', description: 'Name of the company issuing the invoice' },
+            customer: { type: 'string', description: 'Name of the billed company or person' },
+            invoiceDate: date,
+            dueDate: date,
+            poNumber: { type: 'string', description: 'Referenced purchase order number' },
+            subtotal: amount,
+            taxAmount: amount,
+            totalAmount: amount,
+            currency,
+            lineItems
+        }
+    },
+    [documentTypes.PURCHASE_ORDER]: {
+        type: 'object',
+        required: ['poNumber', 'vendor'],
+        properties: {
+            poNumber: { type: 'string', description: 'Purchase order number' },
+            vendor: { type: 'string', description: 'Supplier the order is placed with' },
+            buyer: { type: 'string', description: 'Company placing the order' },
+            orderDate: date,
+            deliveryDate: date,
+            totalAmount: amount,
+            currency,
+            items: lineItems
+        }
+    },
+    [documentTypes.CONTRACT]: {
+        type: 'object',
+        required: ['parties', 'effectiveDate'],
+        properties: {
+            parties,
+            contractTitle: { type: 'string' },
+            effectiveDate: date,
+            expiryDate: date,
+            governingLaw: { type: 'string', description: 'Jurisdiction whose law governs the contract' },
+            contractValue: amount,
+            currency
+        }
+    },
+    [documentTypes.RECEIPT]: {
+        type: 'object',
+        required: ['merchant', 'totalAmount', 'transactionDate'],
+        properties: {
+            merchant: { type: 'string', description: 'Business that received the payment' },
+            receiptNumber: { type: 'string' },
+            transactionDate: date,
+            paymentMethod: { type: 'string' },
+            totalAmount: amount,
+            currency,
+            invoiceNumber: { type: 'string', description: 'Invoice that the payment settles' },
+            poNumber: { type: 'string', description: 'Referenced purchase order number' }
+        }
+    },
+    [documentTypes.PROPOSAL]: {
+        type: 'object',
+        required: ['proposer'],
+        properties: {
+            proposer: { type: 'string', description: 'Company making the proposal' },
+            recipient: { type: 'string' },
+            proposalDate: date,
+            validUntil: date,
+            totalAmount: amount,
+            currency
+        }
+    },
+    [documentTypes.AGREEMENT]: {
+        type: 'object',
+        required: ['parties'],
+        properties: {
+            parties,
+            agreementType: { type: 'string', description: 'e.g. NDA, service level agreement, MOU' },
+            effectiveDate: date,
+            expiryDate: date
+        }
+    },
+    [documentTypes.OTHER]: {
+        type: 'object',
+        required: [],
+        properties: {}
+    }
+};
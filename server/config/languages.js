@@ -0,0 +1,48 @@
+// Languages recognised in extracted text (ISO 639-1 codes) with their number and date conventions.
+// dayFirst: whether 03/04/2024 means 3 April (null: use DATE_DAY_FIRST, English is written both ways).
+// decimalSeparator: the separator in amounts such as "1.500" or "1,500" that is ambiguous on its own.
+// stopwords: frequent short words used to detect the language.
+export const languages = {
+    en: {
+        name: 'English',
+        dayFirst: null,
+        decimalSeparator: '.',
+        stopwords: ['the', 'and', 'of', 'to', 'for', 'in', 'is', 'with', 'this', 'that', 'on', 'by', 'from', 'are', 'be', 'or', 'as', 'at', 'your', 'we', 'please', 'will', 'date', 'total', 'amount', 'due']
+    },
+    de: {
+        name: 'German',
+        dayFirst: true,
+        decimalSeparator: ',',
+        stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'von', 'den', 'dem', 'des', 'ein', 'eine', 'auf', 'wir', 'sie', 'bitte', 'zu', 'im', 'bei', 'oder', 'rechnung', 'betrag', 'datum', 'gesamt', 'zahlbar']
+    },
+    fr: {
+        name: 'French',
+        dayFirst: true,
+        decimalSeparator: ',',
+        stopwords: ['le', 'la', 'les', 'et', 'des', 'du', 'de', 'un', 'une', 'pour', 'est', 'avec', 'par', 'sur', 'au', 'aux', 'nous', 'vous', 'votre', 'ce', 'qui', 'facture', 'montant', 'date', 'total', 'veuillez']
+    },
+    es: {
+        name: 'Spanish',
+        dayFirst: true,
+        decimalSeparator: ',',
+        stopwords: ['el', 'la', 'los', 'las', 'y', 'de', 'del', 'en', 'un', 'una', 'para', 'por', 'con', 'es', 'que', 'su', 'al', 'se', 'nuestro', 'factura', 'importe', 'fecha', 'total', 'pago', 'usted']
+    },
+    it: {
+        name: 'Italian',
+        dayFirst: true,
+        decimalSeparator: ',',
+        stopwords: ['il', 'lo', 'la', 'gli', 'le', 'e', 'di', 'del', 'della', 'che', 'per', 'con', 'un', 'una', 'non', 'sono', 'alla', 'dal', 'vostro', 'fattura', 'importo', 'data', 'totale', 'pagamento']
+    },
+    nl: {
+        name: 'Dutch',
+        dayFirst: true,
+        decimalSeparator: ',',
+        stopwords: ['de', 'het', 'een', 'en', 'van', 'voor', 'met', 'is', 'op', 'aan', 'te', 'niet', 'wij', 'u', 'uw', 'bij', 'factuur', 'bedrag', 'datum', 'totaal', 'betaling']
+    },
+    pt: {
+        name: 'Portuguese',
+        dayFirst: true,
+        decimalSeparator: ',',
+        stopwords: ['o', 'a', 'os', 'as', 'e', 'de', 'do', 'da', 'dos', 'em', 'um', 'uma', 'para', 'com', 'por', 'que', 'não', 'seu', 'sua', 'fatura', 'valor', 'data', 'total', 'pagamento']
+    }
+};
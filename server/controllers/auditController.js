@@ -0,0 +1,96 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import auditService from '../services/auditService.js';
+import { parsePagination } from '../utils/pagination.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+const csvColumns = ['sequence', 'id', 'timestamp', 'event', 'tenantId', 'requestId', 'actor', 'documentId', 'data', 'previousHash', 'hash'];
+
+const toCsvValue = (value) => {
+    const text = value === null || value === undefined
+        ? ''
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Audit filters from the query string, limited to the caller's tenant
+const getFilters = (req) => {
+    const { event, documentId, requestId, actor, from, to } = req.query;
+    return { tenantId: req.auth.tenantId, event, documentId, requestId, actor, from, to };
+};
+
+// Query the audit trail, newest first
+export const listAuditEntries = asyncHandler(async (req, res) => {
+    try {
+        const result = await auditService.queryEntries(getFilters(req), parsePagination(req.query));
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                result,
+                'Audit entries retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('List audit entries error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve audit entries');
+    }
+});
+
+// Download matching audit entries, oldest first, as JSON Lines (default) or CSV
+export const exportAuditEntries = asyncHandler(async (req, res) => {
+    try {
+        const format = req.query.format || 'jsonl';
+        const entries = await auditService.findEntries(getFilters(req));
+        const fileName = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        const lines = format === 'csv'
+            ? [csvColumns.join(','), ...entries.map(entry => csvColumns.map(column => toCsvValue(entry[column])).join(','))]
+            : entries.map(entry => JSON.stringify(entry));
+        const lineEnd = format === 'csv' ? '\r\n' : '\n';
+
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.status(200).send(lines.map(line => line + lineEnd).join(''));
+
+    } catch (error) {
+        logRequestError('Export audit entries error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to export audit entries');
+    }
+});
+
+// Recompute the hash chain to detect edited, removed or reordered entries
+export const verifyAuditTrail = asyncHandler(async (req, res) => {
+    try {
+        const verification = await auditService.verifyChain();
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                verification,
+                verification.valid ? 'Audit trail is intact' : 'Audit trail has been tampered with'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Verify audit trail error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to verify audit trail');
+    }
+});
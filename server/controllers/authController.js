@@ -0,0 +1,45 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { config } from '../config/config.js';
+import authService from '../services/authService.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+// Describe the caller's API key
+export const getCurrentPrincipal = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { ...req.auth, authEnabled: config.auth.enabled },
+            'Authenticated principal retrieved successfully'
+        )
+    );
+});
+
+// Reload API keys from disk
+export const reloadKeys = asyncHandler(async (req, res) => {
+    try {
+        const keys = await authService.loadKeys();
+
+        // Never echo key hashes back
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                {
+                    keysPath: config.auth.apiKeysPath,
+                    keys: keys.map(({ name, tenantId, roles }) => ({ name, tenantId, roles }))
+                },
+                'API keys reloaded successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Reload API keys error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to reload API keys');
+    }
+});
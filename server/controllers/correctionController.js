@@ -0,0 +1,138 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import correctionService from '../services/correctionService.js';
+import { parsePagination } from '../utils/pagination.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+// Record a corrected classification to learn from
+export const createCorrection = asyncHandler(async (req, res) => {
+    try {
+        const { text, documentType, department, documentId, comment } = req.body;
+
+        const correction = await correctionService.recordCorrection({
+            tenantId: req.auth.tenantId,
+            text,
+            documentType,
+            department,
+            documentId,
+            comment,
+            correctedBy: req.auth.keyName
+        });
+
+        return res.status(201).json(
+            new ApiResponse(
+                201,
+                correction,
+                'Correction recorded successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Create correction error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to record correction');
+    }
+});
+
+// List recorded corrections, newest first
+export const listCorrections = asyncHandler(async (req, res) => {
+    try {
+        const result = await correctionService.listCorrections(parsePagination(req.query), req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                result,
+                'Corrections retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('List corrections error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve corrections');
+    }
+});
+
+// Delete a correction so it is no longer used as an example
+export const deleteCorrection = asyncHandler(async (req, res) => {
+    try {
+        const correction = await correctionService.deleteCorrection(req.params.id, req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                correction,
+                'Correction deleted successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Delete correction error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to delete correction');
+    }
+});
+
+// Get the tenant's few-shot settings
+export const getFewShotSettings = asyncHandler(async (req, res) => {
+    try {
+        const settings = await correctionService.getSettings(req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                settings,
+                'Few-shot settings retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Get few-shot settings error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve few-shot settings');
+    }
+});
+
+// Turn few-shot examples on or off, or change how many are used
+export const updateFewShotSettings = asyncHandler(async (req, res) => {
+    try {
+        const { enabled, maxExamples } = req.body;
+
+        const settings = await correctionService.updateSettings(req.auth.tenantId, { enabled, maxExamples }, req.auth.keyName);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                settings,
+                'Few-shot settings updated successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Update few-shot settings error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to update few-shot settings');
+    }
+});
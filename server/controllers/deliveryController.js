@@ -0,0 +1,117 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import deliveryService from '../services/deliveryService.js';
+import { parsePagination } from '../utils/pagination.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+const deliveryStatuses = ['pending', 'delivered', 'dead_letter'];
+
+// List deliveries (?status=pending|delivered|dead_letter)
+export const listDeliveries = asyncHandler(async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !deliveryStatuses.includes(status)) {
+            throw new ApiError(400, `Invalid status '${status}'. Allowed values: ${deliveryStatuses.join(', ')}`);
+        }
+
+        const result = await deliveryService.listDeliveries(status, parsePagination(req.query), req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                result,
+                'Deliveries retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('List deliveries error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve deliveries');
+    }
+});
+
+// Get a delivery by ID
+export const getDeliveryById = asyncHandler(async (req, res) => {
+    try {
+        const delivery = await deliveryService.getDelivery(req.params.id, req.auth.tenantId);
+
+        if (!delivery) {
+            throw new ApiError(404, 'Delivery not found');
+        }
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                delivery,
+                'Delivery retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Get delivery error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve delivery');
+    }
+});
+
+// Retry a dead-lettered delivery
+export const retryDelivery = asyncHandler(async (req, res) => {
+    try {
+        const delivery = await deliveryService.retryDelivery(req.params.id, req.auth.tenantId, {
+            requestId: req.id,
+            actor: req.auth.keyName
+        });
+
+        return res.status(202).json(
+            new ApiResponse(
+                202,
+                delivery,
+                'Delivery queued for retry'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Retry delivery error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retry delivery');
+    }
+});
+
+// Reload department destinations from disk
+export const reloadDestinations = asyncHandler(async (req, res) => {
+    try {
+        const destinations = await deliveryService.loadDestinations();
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                destinations,
+                'Delivery destinations reloaded successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Reload destinations error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to reload delivery destinations');
+    }
+});
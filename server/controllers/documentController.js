@@ -1,8 +1,24 @@
+import crypto from 'crypto';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
+import { config } from '../config/config.js';
 import documentService from '../services/documentService.js';
-import geminiService from '../services/geminiService.js';
+import classifierService from '../services/classifierService.js';
+import documentStoreService from '../services/documentStoreService.js';
+import batchService from '../services/batchService.js';
+import chunkingService from '../services/chunkingService.js';
+import progressService from '../services/progressService.js';
+import matchingService from '../services/matchingService.js';
+import metricsService from '../services/metricsService.js';
+import { parsePagination } from '../utils/pagination.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+// Boolean option given as ?name=true or in the body
+const isFlagSet = (req, name) => [req.query[name], req.body && req.body[name]].some(value => value === true || value === 'true');
+
+// ?force=true (or force in the body) bypasses the classification cache
+const isForced = (req) => isFlagSet(req, 'force');
 
 // Upload and classify document
 export const uploadAndClassifyDocument = asyncHandler(async (req, res) => {
@@ -14,22 +30,38 @@ export const uploadAndClassifyDocument = asyncHandler(async (req, res) => {
             throw new ApiError(400, 'No file uploaded');
         }
 
-        console.log(`Processing uploaded file: ${file.originalname}`);
+        // Clients pick the upload ID (X-Upload-Id header or ?uploadId=) to follow progress while uploading
+        const uploadId = req.get('x-upload-id') || req.query.uploadId || crypto.randomUUID();
+        if (!/^[\w-]{1,100}$/.test(uploadId)) {
+            throw new ApiError(400, 'Upload ID may only contain letters, digits, "_" and "-" (at most 100 characters)');
+        }
+
+        logger.info(`Processing uploaded file: ${file.originalname}`, { mimeType: file.mimetype, fileSize: file.size });
+        metricsService.recordUpload(file.mimetype);
 
         // Process and classify the document
-        const result = await documentService.processDocument(file);
+        const result = await documentService.processDocument(file, {
+            tenantId: req.auth.tenantId,
+            force: isForced(req),
+            // ?split=true classifies each document of a multi-document PDF; ?emitPdfs=true returns their PDFs
+            split: isFlagSet(req, 'split'),
+            emitPdfs: isFlagSet(req, 'emitPdfs'),
+            onProgress: progressService.createUploadReporter(req.auth.tenantId, uploadId),
+            requestId: req.id,
+            actor: req.auth.keyName
+        });
 
         // Return success response
         return res.status(200).json(
             new ApiResponse(
                 200,
-                result,
+                { uploadId, ...result },
                 'Document uploaded and classified successfully'
             )
         );
 
     } catch (error) {
-        console.error('Upload and classify error:', error);
+        logRequestError('Upload and classify error', error);
         
         if (error instanceof ApiError) {
             throw error;
@@ -39,6 +71,88 @@ export const uploadAndClassifyDocument = asyncHandler(async (req, res) => {
     }
 });
 
+// Upload a batch of documents for asynchronous classification
+export const uploadDocumentBatch = asyncHandler(async (req, res) => {
+    try {
+        logger.info(`Received batch upload with ${req.files.length} files`);
+        req.files.forEach(file => metricsService.recordUpload(file.mimetype));
+
+        const batch = await batchService.createBatch(req.files, req.auth.tenantId, {
+            force: isForced(req),
+            requestId: req.id,
+            actor: req.auth.keyName
+        });
+
+        return res.status(202).json(
+            new ApiResponse(
+                202,
+                batch,
+                'Batch accepted for processing'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Batch upload error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to process batch upload');
+    }
+});
+
+// Get batch progress and results
+export const getBatchStatus = asyncHandler(async (req, res) => {
+    const batch = await batchService.getBatchStatus(req.params.id, req.auth.tenantId);
+
+    if (!batch) {
+        throw new ApiError(404, 'Batch not found');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            batch,
+            'Batch status retrieved successfully'
+        )
+    );
+});
+
+// Stream processing stages of an upload or batch as Server-Sent Events
+export const streamProgress = (req, res) => {
+    const { id } = req.params;
+    const lastSequence = parseInt(req.get('last-event-id')) || 0;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    unsubscribe = progressService.subscribe(req.auth.tenantId, id, event => {
+        res.write(`id: ${event.sequence}\nevent: ${event.stage}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (event.final) {
+            // Replayed final events arrive before subscribe returns
+            setImmediate(close);
+        }
+    }, lastSequence);
+
+    req.on('close', close);
+};
+
 // Classify text content
 export const classifyTextContent = asyncHandler(async (req, res) => {
     try {
@@ -48,10 +162,15 @@ export const classifyTextContent = asyncHandler(async (req, res) => {
             throw new ApiError(400, 'Text content is required');
         }
 
-        console.log(`Classifying text content (${content.length} characters)`);
+        logger.info(`Classifying text content (${content.length} characters)`);
 
         // Classify the text content
-        const result = await documentService.classifyText(content);
+        const result = await documentService.classifyText(content, {
+            tenantId: req.auth.tenantId,
+            force: isForced(req),
+            requestId: req.id,
+            actor: req.auth.keyName
+        });
 
         // Return success response
         return res.status(200).json(
@@ -63,7 +182,7 @@ export const classifyTextContent = asyncHandler(async (req, res) => {
         );
 
     } catch (error) {
-        console.error('Text classification error:', error);
+        logRequestError('Text classification error', error);
         
         if (error instanceof ApiError) {
             throw error;
@@ -87,7 +206,7 @@ export const getSupportedFileTypes = asyncHandler(async (req, res) => {
         );
 
     } catch (error) {
-        console.error('Get supported types error:', error);
+        logRequestError('Get supported types error', error);
         throw new ApiError(500, 'Failed to retrieve supported file types');
     }
 });
@@ -95,14 +214,35 @@ export const getSupportedFileTypes = asyncHandler(async (req, res) => {
 // Check AI service health
 export const checkAIServiceHealth = asyncHandler(async (req, res) => {
     try {
-        // Test Gemini connection
-        const isHealthy = await geminiService.testConnection();
+        const provider = classifierService.getProvider();
+
+        // Queue depth of the classifier limiter and the in-process job queues
+        const queues = {
+            classifier: provider.getQueueStats(),
+            batch: batchService.getQueueStats(),
+            chunking: chunkingService.getQueueStats()
+        };
+
+        // An open circuit means classification is failing fast; no need to call the provider
+        const circuitBreaker = provider.getCircuitState();
+        if (circuitBreaker && circuitBreaker.state === 'open') {
+            return res.status(503).json(
+                new ApiResponse(
+                    503,
+                    { healthy: false, service: provider.displayName, circuitBreaker, queues },
+                    'AI service circuit breaker is open'
+                )
+            );
+        }
+
+        // Test the active classifier provider
+        const isHealthy = await classifierService.testConnection();
 
         if (!isHealthy) {
             return res.status(503).json(
                 new ApiResponse(
                     503,
-                    { healthy: false, service: 'Gemini AI' },
+                    { healthy: false, service: provider.displayName, circuitBreaker, queues },
                     'AI service is not responding'
                 )
             );
@@ -113,7 +253,9 @@ export const checkAIServiceHealth = asyncHandler(async (req, res) => {
                 200,
                 { 
                     healthy: true, 
-                    service: 'Gemini AI',
+                    service: provider.displayName,
+                    circuitBreaker,
+                    queues,
                     timestamp: new Date().toISOString()
                 },
                 'AI service is healthy'
@@ -121,14 +263,14 @@ export const checkAIServiceHealth = asyncHandler(async (req, res) => {
         );
 
     } catch (error) {
-        console.error('Health check error:', error);
+        logRequestError('Health check error', error);
         
         return res.status(503).json(
             new ApiResponse(
                 503,
                 { 
                     healthy: false, 
-                    service: 'Gemini AI',
+                    service: config.classifierProvider,
                     error: error.message 
                 },
                 'AI service health check failed'
@@ -136,3 +278,85 @@ export const checkAIServiceHealth = asyncHandler(async (req, res) => {
         );
     }
 });
+
+// List stored classifications
+export const listDocuments = asyncHandler(async (req, res) => {
+    try {
+        const { documentType, department, confidenceLevel, from, to } = req.query;
+
+        const result = await documentStoreService.listDocuments(
+            { tenantId: req.auth.tenantId, documentType, department, confidenceLevel, from, to },
+            parsePagination(req.query)
+        );
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                result,
+                'Documents retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('List documents error', error);
+        throw new ApiError(500, 'Failed to retrieve documents');
+    }
+});
+
+// Get a stored classification by ID
+export const getDocumentById = asyncHandler(async (req, res) => {
+    try {
+        const document = await documentStoreService.getDocument(req.params.id, req.auth.tenantId);
+
+        if (!document) {
+            throw new ApiError(404, 'Document not found');
+        }
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                document,
+                'Document retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Get document error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve document');
+    }
+});
+
+// List the purchase orders, receipts and invoices linked to a stored document
+export const getRelatedDocuments = asyncHandler(async (req, res) => {
+    try {
+        const document = await documentStoreService.getDocument(req.params.id, req.auth.tenantId);
+
+        if (!document) {
+            throw new ApiError(404, 'Document not found');
+        }
+
+        const related = await matchingService.getRelatedDocuments(document);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                related,
+                'Related documents retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Get related documents error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve related documents');
+    }
+});
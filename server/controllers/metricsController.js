@@ -0,0 +1,18 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { logger, logRequestError } from '../utils/logger.js';
+import metricsService from '../services/metricsService.js';
+
+// Prometheus text exposition of the server's metrics
+export const getMetrics = asyncHandler(async (req, res) => {
+    try {
+        const metrics = await metricsService.getMetrics();
+
+        res.set('Content-Type', metricsService.contentType);
+        return res.status(200).send(metrics);
+
+    } catch (error) {
+        logRequestError('Get metrics error', error);
+        throw new ApiError(500, 'Failed to collect metrics');
+    }
+});
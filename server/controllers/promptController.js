@@ -0,0 +1,132 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import promptService from '../services/promptService.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+// List prompt versions and the current experiment
+export const listPromptVersions = asyncHandler(async (req, res) => {
+    try {
+        await promptService.load();
+
+        return res.status(200).json(
+            new ApiResponse(200, {
+                versions: promptService.listVersions(),
+                experiment: promptService.getExperiment()
+            }, 'Prompt versions retrieved successfully')
+        );
+
+    } catch (error) {
+        logRequestError('List prompt versions error', error);
+        throw new ApiError(500, 'Failed to retrieve prompt versions');
+    }
+});
+
+// Get a prompt version with its template
+export const getPromptVersion = asyncHandler(async (req, res) => {
+    try {
+        await promptService.load();
+        const version = promptService.getVersion(req.params.version);
+
+        if (!version) {
+            throw new ApiError(404, 'Prompt version not found');
+        }
+
+        return res.status(200).json(
+            new ApiResponse(200, version, 'Prompt version retrieved successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Get prompt version error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve prompt version');
+    }
+});
+
+// Add a prompt version (template and model settings)
+export const createPromptVersion = asyncHandler(async (req, res) => {
+    try {
+        const version = await promptService.createVersion(req.body, req.auth.keyName);
+
+        return res.status(201).json(
+            new ApiResponse(201, version, 'Prompt version created successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Create prompt version error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to create prompt version');
+    }
+});
+
+// Get the active/candidate versions and how traffic is shared between them
+export const getPromptExperiment = asyncHandler(async (req, res) => {
+    try {
+        await promptService.load();
+
+        return res.status(200).json(
+            new ApiResponse(200, promptService.getExperiment(), 'Prompt experiment retrieved successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Get prompt experiment error', error);
+        throw new ApiError(500, 'Failed to retrieve prompt experiment');
+    }
+});
+
+// Promote a version, choose a candidate, or start/stop a split or shadow test
+export const updatePromptExperiment = asyncHandler(async (req, res) => {
+    try {
+        const experiment = await promptService.updateExperiment(req.body, req.auth.keyName);
+
+        return res.status(200).json(
+            new ApiResponse(200, experiment, 'Prompt experiment updated successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Update prompt experiment error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to update prompt experiment');
+    }
+});
+
+// Compare two versions; defaults to the experiment's active and candidate versions
+export const comparePromptVersions = asyncHandler(async (req, res) => {
+    try {
+        await promptService.load();
+        const experiment = promptService.getExperiment();
+        const baseline = req.query.baseline || experiment.activeVersion;
+        const candidate = req.query.candidate || experiment.candidateVersion;
+
+        if (!candidate) {
+            throw new ApiError(400, 'No candidate version is configured; pass ?candidate=');
+        }
+
+        const comparison = await promptService.compareVersions(baseline, candidate, req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(200, comparison, 'Prompt versions compared successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Compare prompt versions error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to compare prompt versions');
+    }
+});
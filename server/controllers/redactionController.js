@@ -0,0 +1,55 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { config } from '../config/config.js';
+import redactionService from '../services/redactionService.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+// Get the redaction policy that applies to the caller's tenant
+export const getRedactionPolicy = asyncHandler(async (req, res) => {
+    try {
+        const policy = await redactionService.getPolicy(req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                { policiesPath: config.redaction.policiesPath, availableCategories: redactionService.getCategories(), policy },
+                'Redaction policy retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Get redaction policy error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve redaction policy');
+    }
+});
+
+// Reload redaction policies from disk
+export const reloadRedactionPolicies = asyncHandler(async (req, res) => {
+    try {
+        await redactionService.loadPolicies();
+        const policy = await redactionService.getPolicy(req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                { policiesPath: config.redaction.policiesPath, availableCategories: redactionService.getCategories(), policy },
+                'Redaction policies reloaded successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Reload redaction policies error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to reload redaction policies');
+    }
+});
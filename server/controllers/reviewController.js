@@ -0,0 +1,130 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import reviewService from '../services/reviewService.js';
+import { parsePagination } from '../utils/pagination.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+const reviewStatuses = ['pending', 'approved', 'overridden'];
+
+// List reviews (pending by default)
+export const listReviews = asyncHandler(async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+
+        if (status !== 'all' && !reviewStatuses.includes(status)) {
+            throw new ApiError(400, `Invalid status '${status}'. Allowed values: all, ${reviewStatuses.join(', ')}`);
+        }
+
+        const result = await reviewService.listReviews(
+            status === 'all' ? null : status,
+            parsePagination(req.query),
+            req.auth.tenantId
+        );
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                result,
+                'Reviews retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('List reviews error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve reviews');
+    }
+});
+
+// Get a review by ID
+export const getReviewById = asyncHandler(async (req, res) => {
+    try {
+        const review = await reviewService.getReview(req.params.id, req.auth.tenantId);
+
+        if (!review) {
+            throw new ApiError(404, 'Review not found');
+        }
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                review,
+                'Review retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Get review error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve review');
+    }
+});
+
+// Approve the suggested classification
+export const approveReview = asyncHandler(async (req, res) => {
+    try {
+        // The reviewer is the authenticated caller, never a name supplied in the body
+        const { comment } = req.body;
+
+        const review = await reviewService.approveReview(req.params.id, { reviewer: req.auth.keyName, comment }, req.auth.tenantId, {
+            requestId: req.id,
+            actor: req.auth.keyName
+        });
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                review,
+                'Review approved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Approve review error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to approve review');
+    }
+});
+
+// Override the suggested document type and/or department
+export const overrideReview = asyncHandler(async (req, res) => {
+    try {
+        // The override is recorded (review, audit trail) under the authenticated caller
+        const { documentType, department, comment } = req.body;
+
+        const review = await reviewService.overrideReview(req.params.id, { reviewer: req.auth.keyName, documentType, department, comment }, req.auth.tenantId, {
+            requestId: req.id,
+            actor: req.auth.keyName
+        });
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                review,
+                'Review overridden successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Override review error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to override review');
+    }
+});
@@ -0,0 +1,55 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { config } from '../config/config.js';
+import routingRulesService from '../services/routingRulesService.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+// List the routing rules that apply to the caller's tenant, in evaluation order
+export const listRules = asyncHandler(async (req, res) => {
+    try {
+        const rules = await routingRulesService.getRulesForTenant(req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                { rulesPath: config.routingRulesPath, rules },
+                'Routing rules retrieved successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('List routing rules error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve routing rules');
+    }
+});
+
+// Reload routing rules from disk
+export const reloadRules = asyncHandler(async (req, res) => {
+    try {
+        await routingRulesService.loadRules();
+        const rules = await routingRulesService.getRulesForTenant(req.auth.tenantId);
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                { rulesPath: config.routingRulesPath, rules },
+                'Routing rules reloaded successfully'
+            )
+        );
+
+    } catch (error) {
+        logRequestError('Reload routing rules error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to reload routing rules');
+    }
+});
@@ -0,0 +1,100 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import taxonomyService from '../services/taxonomyService.js';
+import { logger, logRequestError } from '../utils/logger.js';
+
+// URL segments for each taxonomy kind
+const kindsByPath = {
+    'document-types': 'documentType',
+    departments: 'department'
+};
+
+const getKind = (req) => {
+    const kind = kindsByPath[req.params.kind];
+    if (!kind) {
+        throw new ApiError(404, `Unknown taxonomy '${req.params.kind}'. Use one of: ${Object.keys(kindsByPath).join(', ')}`);
+    }
+    return kind;
+};
+
+// Get document types and departments, optionally including retired ones
+export const getTaxonomy = asyncHandler(async (req, res) => {
+    try {
+        const includeRetired = req.query.includeRetired === 'true';
+        const taxonomy = await taxonomyService.getTaxonomy({ includeRetired });
+
+        return res.status(200).json(
+            new ApiResponse(200, taxonomy, 'Taxonomy retrieved successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Get taxonomy error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retrieve taxonomy');
+    }
+});
+
+// Add a document type or department
+export const addTaxonomyEntry = asyncHandler(async (req, res) => {
+    try {
+        const entry = await taxonomyService.addEntry(getKind(req), req.body);
+
+        return res.status(201).json(
+            new ApiResponse(201, entry, 'Taxonomy entry added successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Add taxonomy entry error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to add taxonomy entry');
+    }
+});
+
+// Rename, re-describe, retire or restore a document type or department
+export const updateTaxonomyEntry = asyncHandler(async (req, res) => {
+    try {
+        const entry = await taxonomyService.updateEntry(getKind(req), req.params.name, req.body);
+
+        return res.status(200).json(
+            new ApiResponse(200, entry, 'Taxonomy entry updated successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Update taxonomy entry error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to update taxonomy entry');
+    }
+});
+
+// Retire a document type or department; stored documents keep the value
+export const retireTaxonomyEntry = asyncHandler(async (req, res) => {
+    try {
+        const entry = await taxonomyService.retireEntry(getKind(req), req.params.name);
+
+        return res.status(200).json(
+            new ApiResponse(200, entry, 'Taxonomy entry retired successfully')
+        );
+
+    } catch (error) {
+        logRequestError('Retire taxonomy entry error', error);
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        throw new ApiError(500, 'Failed to retire taxonomy entry');
+    }
+});
@@ -0,0 +1,239 @@
+// Evaluation harness: classifies a labeled corpus with documentService.classifyText and reports accuracy.
+//
+//   npm run eval                          replay recorded responses (offline)
+//   npm run eval -- --record              classify live with CLASSIFIER_PROVIDER and record the responses
+//   npm run eval -- --compare <report>    diff against a specific report (default: the latest one)
+//
+// Each run uses a throwaway data directory, so nothing is written to the server's store and nothing is delivered.
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+
+dotenv.config();
+
+const { values: args } = parseArgs({
+    options: {
+        corpus: { type: 'string' },
+        recordings: { type: 'string' },
+        reports: { type: 'string' },
+        record: { type: 'boolean', default: false },
+        provider: { type: 'string' },
+        compare: { type: 'string' },
+        name: { type: 'string' },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+    }
+});
+
+if (args.help) {
+    console.log(`Usage: npm run eval -- [options]
+
+  --corpus <dir>        Labeled corpus with a labels.json (default ./eval/corpus)
+  --recordings <file>   Recorded provider responses (default ./eval/recordings.json)
+  --reports <dir>       Where reports are written (default ./eval/reports)
+  --record              Classify with the live provider and record its responses
+  --provider <name>     Live provider to record from (default CLASSIFIER_PROVIDER or gemini)
+  --compare <file>      Report to diff against (default the latest report in --reports)
+  --name <label>        Label stored with the report, e.g. the prompt or model being tried
+  --verbose             Show service logs while classifying`);
+    process.exit(0);
+}
+
+const liveProviderName = (args.provider || process.env.CLASSIFIER_PROVIDER || 'gemini').toLowerCase();
+// Providers whose answers say nothing about the production model's accuracy
+const offlineProviders = ['local', 'recorded'];
+
+if (args.record && liveProviderName === 'recorded') {
+    console.error('Recording needs a live provider; use --provider gemini');
+    process.exit(1);
+}
+
+// Isolate the run before any service reads its configuration
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-eval-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'recorded';
+process.env.DELIVERY_DESTINATIONS_PATH = path.join(dataPath, 'destinations.json');
+// Service logs would interleave with the report; only errors are shown unless --verbose
+process.env.LOG_LEVEL = args.verbose ? (process.env.LOG_LEVEL || 'info') : 'error';
+
+const { config } = await import('../config/config.js');
+const { default: documentService } = await import('../services/documentService.js');
+const { default: classifierService } = await import('../services/classifierService.js');
+const { default: recordedClassifierService } = await import('../services/recordedClassifierService.js');
+const { default: taxonomyService } = await import('../services/taxonomyService.js');
+const { computeMetrics, diffReports } = await import('./metrics.js');
+
+const corpusPath = args.corpus || config.evaluation.corpusPath;
+const recordingsPath = args.recordings || config.evaluation.recordingsPath;
+const reportsPath = args.reports || config.evaluation.reportsPath;
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+const loadLabels = async () => {
+    const labels = JSON.parse(await fs.readFile(path.join(corpusPath, 'labels.json'), 'utf-8'));
+    if (!Array.isArray(labels.documents) || labels.documents.length === 0) {
+        throw new Error(`${corpusPath}/labels.json must contain a non-empty "documents" array`);
+    }
+    return labels.documents;
+};
+
+// Most recent report in the reports folder, if any
+const loadPreviousReport = async () => {
+    if (args.compare) {
+        return JSON.parse(await fs.readFile(args.compare, 'utf-8'));
+    }
+
+    let files;
+    try {
+        files = (await fs.readdir(reportsPath)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+    return files.length > 0
+        ? JSON.parse(await fs.readFile(path.join(reportsPath, files[files.length - 1]), 'utf-8'))
+        : null;
+};
+
+const classifyCorpus = async (documents) => {
+    const results = [];
+
+    for (const document of documents) {
+        const expected = { documentType: document.documentType, department: document.department };
+
+        try {
+            const text = await fs.readFile(path.join(corpusPath, document.file), 'utf-8');
+            const result = await documentService.classifyText(text, { tenantId: 'evaluation', force: true });
+
+            results.push({
+                file: document.file,
+                expected,
+                predicted: {
+                    documentType: result.documentType,
+                    department: result.department,
+                    confidence: result.confidence,
+                    routingConfidence: result.routingConfidence,
+                    ...(result.matchedRule && { matchedRule: result.matchedRule.id })
+                },
+                error: null
+            });
+        } catch (error) {
+            results.push({ file: document.file, expected, predicted: null, error: error.message });
+        }
+    }
+
+    return results;
+};
+
+const printLabelTable = (title, metrics) => {
+    console.log(`\n${title} accuracy: ${percent(metrics.accuracy)}`);
+    console.log(`  ${'label'.padEnd(18)}${'precision'.padStart(10)}${'recall'.padStart(8)}${'f1'.padStart(8)}${'support'.padStart(9)}`);
+    for (const [label, scores] of Object.entries(metrics.perLabel)) {
+        console.log(`  ${label.padEnd(18)}${String(scores.precision).padStart(10)}${String(scores.recall).padStart(8)}${String(scores.f1).padStart(8)}${String(scores.support).padStart(9)}`);
+    }
+};
+
+const printConfusionMatrix = (title, matrix) => {
+    const labels = Object.keys(matrix);
+    const width = Math.max(...labels.map(label => label.length), 8) + 2;
+
+    console.log(`\n${title} confusion matrix (rows expected, columns predicted):`);
+    console.log(`  ${''.padEnd(width)}${labels.map(label => label.slice(0, 8).padStart(9)).join('')}`);
+    for (const expected of labels) {
+        console.log(`  ${expected.padEnd(width)}${labels.map(predicted => String(matrix[expected][predicted]).padStart(9)).join('')}`);
+    }
+};
+
+const printReport = (report) => {
+    const { metrics, diff } = report;
+
+    console.log(`Evaluation ${report.id}${report.name ? ` (${report.name})` : ''}`);
+    console.log(`  ${metrics.total} documents, ${metrics.evaluated} classified, ${metrics.errors} errors; responses ${report.mode === 'record' ? `recorded live from ${report.provider}` : `replayed (recorded from ${report.recordedFrom.join(', ') || 'nothing'})`}`);
+
+    const offline = report.recordedFrom.filter(provider => offlineProviders.includes(provider));
+    if (offline.length > 0) {
+        console.log(`  Warning: responses come from ${offline.join(', ')}, not a production model; re-record with npm run eval -- --record --provider gemini`);
+    }
+
+    for (const result of report.results.filter(result => result.error)) {
+        console.log(`  ! ${result.file}: ${result.error}`);
+    }
+
+    if (metrics.evaluated === 0) {
+        return;
+    }
+
+    printLabelTable('Document type', metrics.documentType);
+    printLabelTable('Department', metrics.department);
+    printConfusionMatrix('Document type', metrics.documentType.confusionMatrix);
+    printConfusionMatrix('Department', metrics.department.confusionMatrix);
+
+    console.log(`\nCalibration of confidence vs. document type correctness (ECE ${metrics.calibration.expectedCalibrationError}):`);
+    for (const bin of metrics.calibration.bins) {
+        console.log(`  ${bin.range[0].toFixed(1)}-${bin.range[1].toFixed(1)}  n=${String(bin.count).padEnd(4)} mean confidence ${bin.meanConfidence.toFixed(3)}  accuracy ${bin.accuracy.toFixed(3)}`);
+    }
+
+    if (!diff) {
+        console.log('\nNo previous report to compare against.');
+        return;
+    }
+
+    console.log(`\nCompared with ${diff.against}:`);
+    console.log(`  document type accuracy ${signed(diff.documentTypeAccuracy)}, department accuracy ${signed(diff.departmentAccuracy)}, ECE ${signed(diff.expectedCalibrationError)}`);
+    for (const change of diff.changes) {
+        const describe = (predicted) => (predicted ? `${predicted.documentType}/${predicted.department}` : 'error');
+        const marker = { fixed: '+', regressed: '-', changed: '~' }[change.change];
+        console.log(change.change === 'added'
+            ? `  * ${change.file} new in the corpus (${change.outcome})`
+            : `  ${marker} ${change.file} ${change.change}: ${describe(change.before)} -> ${describe(change.after)}`);
+    }
+};
+
+try {
+    await taxonomyService.load();
+    recordedClassifierService.setRecordingsPath(recordingsPath);
+    if (args.record) {
+        recordedClassifierService.record(classifierService.getProvider(liveProviderName));
+    }
+
+    const documents = await loadLabels();
+    const results = await classifyCorpus(documents);
+    const createdAt = new Date().toISOString();
+
+    const report = {
+        id: `eval-${createdAt.replace(/[:.]/g, '-')}`,
+        name: args.name || null,
+        createdAt,
+        mode: args.record ? 'record' : 'replay',
+        provider: args.record ? liveProviderName : 'recorded',
+        recordedFrom: args.record ? [liveProviderName] : recordedClassifierService.getReplayedProviders(),
+        corpus: corpusPath,
+        recordings: recordingsPath,
+        metrics: computeMetrics(results, { calibrationBins: config.evaluation.calibrationBins }),
+        results
+    };
+
+    const previous = await loadPreviousReport();
+    report.diff = previous ? diffReports(previous, report) : null;
+
+    printReport(report);
+
+    await fs.mkdir(reportsPath, { recursive: true });
+    const reportFile = path.join(reportsPath, `${report.id}.json`);
+    await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\nReport written to ${reportFile}`);
+
+    if (report.metrics.errors > 0 && !args.record) {
+        console.log('Some documents have no recorded response; run with --record to capture them.');
+    }
+} catch (error) {
+    console.error('Evaluation failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    await fs.rm(dataPath, { recursive: true, force: true });
+}
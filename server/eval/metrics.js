@@ -0,0 +1,154 @@
+// Accuracy metrics for an evaluation run.
+// results are { file, expected: { documentType, department }, predicted: { ... } | null, error }.
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const safeDivide = (numerator, denominator) => (denominator === 0 ? 0 : numerator / denominator);
+
+// Precision, recall and F1 per label, plus the confusion matrix (expected -> predicted -> count)
+const classificationMetrics = (results, field) => {
+    const labels = [...new Set(results.flatMap(result => [result.expected[field], result.predicted[field]]))].sort();
+    const confusionMatrix = Object.fromEntries(labels.map(label => [label, Object.fromEntries(labels.map(other => [other, 0]))]));
+
+    for (const result of results) {
+        confusionMatrix[result.expected[field]][result.predicted[field]]++;
+    }
+
+    const perLabel = {};
+    for (const label of labels) {
+        const truePositives = confusionMatrix[label][label];
+        const predictedCount = labels.reduce((sum, expected) => sum + confusionMatrix[expected][label], 0);
+        const support = labels.reduce((sum, predicted) => sum + confusionMatrix[label][predicted], 0);
+        const precision = safeDivide(truePositives, predictedCount);
+        const recall = safeDivide(truePositives, support);
+
+        perLabel[label] = {
+            precision: round(precision),
+            recall: round(recall),
+            f1: round(safeDivide(2 * precision * recall, precision + recall)),
+            support
+        };
+    }
+
+    const correct = results.filter(result => result.expected[field] === result.predicted[field]).length;
+
+    return {
+        accuracy: round(safeDivide(correct, results.length)),
+        perLabel,
+        confusionMatrix
+    };
+};
+
+// Reliability of the confidence score: within each confidence bin, how often the document type was right.
+// expectedCalibrationError is the count-weighted gap between mean confidence and accuracy.
+const calibrationMetrics = (results, binCount) => {
+    const bins = Array.from({ length: binCount }, (_, index) => ({
+        range: [round(index / binCount), round((index + 1) / binCount)],
+        count: 0,
+        confidenceSum: 0,
+        correct: 0
+    }));
+
+    for (const result of results) {
+        const confidence = result.predicted.confidence || 0;
+        const bin = bins[Math.min(Math.floor(confidence * binCount), binCount - 1)];
+        bin.count++;
+        bin.confidenceSum += confidence;
+        bin.correct += result.expected.documentType === result.predicted.documentType ? 1 : 0;
+    }
+
+    let weightedGap = 0;
+    const reported = bins.filter(bin => bin.count > 0).map(bin => {
+        const meanConfidence = bin.confidenceSum / bin.count;
+        const accuracy = bin.correct / bin.count;
+        weightedGap += bin.count * Math.abs(meanConfidence - accuracy);
+
+        return {
+            range: bin.range,
+            count: bin.count,
+            meanConfidence: round(meanConfidence),
+            accuracy: round(accuracy)
+        };
+    });
+
+    return {
+        bins: reported,
+        expectedCalibrationError: round(safeDivide(weightedGap, results.length))
+    };
+};
+
+const computeMetrics = (results, { calibrationBins = 10 } = {}) => {
+    const evaluated = results.filter(result => result.predicted);
+
+    return {
+        total: results.length,
+        evaluated: evaluated.length,
+        errors: results.length - evaluated.length,
+        documentType: classificationMetrics(evaluated, 'documentType'),
+        department: classificationMetrics(evaluated, 'department'),
+        calibration: calibrationMetrics(evaluated, calibrationBins)
+    };
+};
+
+const describeOutcome = (result) => {
+    if (!result || !result.predicted) {
+        return 'error';
+    }
+    const correctType = result.expected.documentType === result.predicted.documentType;
+    const correctDepartment = result.expected.department === result.predicted.department;
+    return correctType && correctDepartment ? 'correct' : 'incorrect';
+};
+
+// Differences between this run and a previous report: metric deltas and documents whose outcome changed
+const diffReports = (previous, current) => {
+    const delta = (before, after) => round((after || 0) - (before || 0));
+
+    const perLabelDelta = (field) => {
+        const labels = new Set([
+            ...Object.keys(previous.metrics[field].perLabel),
+            ...Object.keys(current.metrics[field].perLabel)
+        ]);
+        return Object.fromEntries([...labels].sort().map(label => [
+            label,
+            delta((previous.metrics[field].perLabel[label] || {}).f1, (current.metrics[field].perLabel[label] || {}).f1)
+        ]));
+    };
+
+    const previousResults = new Map(previous.results.map(result => [result.file, result]));
+    const changes = [];
+
+    for (const result of current.results) {
+        const before = previousResults.get(result.file);
+        const beforeOutcome = describeOutcome(before);
+        const afterOutcome = describeOutcome(result);
+        const predictionChanged = before && before.predicted && result.predicted
+            && (before.predicted.documentType !== result.predicted.documentType
+                || before.predicted.department !== result.predicted.department);
+
+        if (!before) {
+            changes.push({ file: result.file, change: 'added', outcome: afterOutcome });
+        } else if (beforeOutcome !== afterOutcome || predictionChanged) {
+            changes.push({
+                file: result.file,
+                change: afterOutcome === 'correct' ? 'fixed' : beforeOutcome === 'correct' ? 'regressed' : 'changed',
+                before: before.predicted,
+                after: result.predicted
+            });
+        }
+    }
+
+    return {
+        against: previous.id,
+        documentTypeAccuracy: delta(previous.metrics.documentType.accuracy, current.metrics.documentType.accuracy),
+        departmentAccuracy: delta(previous.metrics.department.accuracy, current.metrics.department.accuracy),
+        expectedCalibrationError: delta(
+            previous.metrics.calibration.expectedCalibrationError,
+            current.metrics.calibration.expectedCalibrationError
+        ),
+        documentTypeF1: perLabelDelta('documentType'),
+        departmentF1: perLabelDelta('department'),
+        changes
+    };
+};
+
+export { computeMetrics, diffReports }
@@ -2,23 +2,50 @@ import dotenv from 'dotenv';
 import express from 'express';
 import cors from 'cors';
 import { config, validateConfig } from './config/config.js';
+import { assignRequestId } from './middlewares/requestIdMiddleware.js';
+import { logRequests } from './middlewares/requestLogMiddleware.js';
+import { parseTextClassificationBody, parsePromptVersionBody, parseJsonBody } from './middlewares/bodyParserMiddleware.js';
+import { logger } from './utils/logger.js';
 
 dotenv.config();
 
 const app = express();
 
 // Middleware
+// Credentials are only allowed for an explicit origin list; browsers reject them with '*'
 app.use(cors({
     origin: config.corsOrigin,
-    credentials: true
+    credentials: config.corsOrigin !== '*',
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Upload-Id', 'X-Request-Id', 'Last-Event-ID'],
+    exposedHeaders: ['X-Request-Id']
 }));
 
-app.use(express.json({limit: "16kb"}));
+app.use(assignRequestId);
+app.use(logRequests);
+
+// The route-specific parsers run first; the general one skips a body that was already read
+app.use('/api/documents/classify-text', parseTextClassificationBody);
+app.post('/api/prompts', parsePromptVersionBody);
+app.use(parseJsonBody);
 app.use(express.urlencoded({extended: true, limit: "16kb"}));
 app.use(express.static("public"));
 
 // Routes
 import documentRouter from './routes/documentRoute.js';
+import reviewRouter from './routes/reviewRoute.js';
+import ruleRouter from './routes/ruleRoute.js';
+import deliveryRouter from './routes/deliveryRoute.js';
+import authRouter from './routes/authRoute.js';
+import taxonomyRouter from './routes/taxonomyRoute.js';
+import correctionRouter from './routes/correctionRoute.js';
+import auditRouter from './routes/auditRoute.js';
+import redactionRouter from './routes/redactionRoute.js';
+import promptRouter from './routes/promptRoute.js';
+import metricsRouter from './routes/metricsRoute.js';
+import batchService from './services/batchService.js';
+import deliveryService from './services/deliveryService.js';
+import taxonomyService from './services/taxonomyService.js';
+import promptService from './services/promptService.js';
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -28,22 +55,74 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             upload: 'POST /api/documents/upload',
+            batchUpload: 'POST /api/documents/batch',
+            batchStatus: 'GET /api/documents/batch/:id',
+            progressStream: 'GET /api/documents/progress/:id',
             classifyText: 'POST /api/documents/classify-text',
             supportedTypes: 'GET /api/documents/supported-types',
-            health: 'GET /api/documents/health'
+            health: 'GET /api/documents/health',
+            listDocuments: 'GET /api/documents',
+            getDocument: 'GET /api/documents/:id',
+            relatedDocuments: 'GET /api/documents/:id/related',
+            listReviews: 'GET /api/reviews',
+            getReview: 'GET /api/reviews/:id',
+            approveReview: 'POST /api/reviews/:id/approve',
+            overrideReview: 'POST /api/reviews/:id/override',
+            listRules: 'GET /api/rules',
+            reloadRules: 'POST /api/rules/reload',
+            listDeliveries: 'GET /api/deliveries',
+            getDelivery: 'GET /api/deliveries/:id',
+            retryDelivery: 'POST /api/deliveries/:id/retry',
+            reloadDestinations: 'POST /api/deliveries/destinations/reload',
+            currentPrincipal: 'GET /api/auth/me',
+            reloadKeys: 'POST /api/auth/keys/reload',
+            getTaxonomy: 'GET /api/taxonomy',
+            addTaxonomyEntry: 'POST /api/taxonomy/:kind',
+            updateTaxonomyEntry: 'PATCH /api/taxonomy/:kind/:name',
+            retireTaxonomyEntry: 'DELETE /api/taxonomy/:kind/:name',
+            createCorrection: 'POST /api/corrections',
+            listCorrections: 'GET /api/corrections',
+            deleteCorrection: 'DELETE /api/corrections/:id',
+            getFewShotSettings: 'GET /api/corrections/settings',
+            updateFewShotSettings: 'PATCH /api/corrections/settings',
+            listAuditEntries: 'GET /api/audit',
+            exportAuditEntries: 'GET /api/audit/export',
+            verifyAuditTrail: 'GET /api/audit/verify',
+            redactionPolicy: 'GET /api/redaction/policy',
+            reloadRedactionPolicies: 'POST /api/redaction/reload',
+            listPromptVersions: 'GET /api/prompts',
+            createPromptVersion: 'POST /api/prompts',
+            getPromptVersion: 'GET /api/prompts/:version',
+            getPromptExperiment: 'GET /api/prompts/experiment',
+            updatePromptExperiment: 'PATCH /api/prompts/experiment',
+            comparePromptVersions: 'GET /api/prompts/compare',
+            metrics: 'GET /metrics'
         }
     });
 });
 
 // Routes Declaration
 app.use('/api/documents', documentRouter);
+app.use('/api/reviews', reviewRouter);
+app.use('/api/rules', ruleRouter);
+app.use('/api/deliveries', deliveryRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/taxonomy', taxonomyRouter);
+app.use('/api/corrections', correctionRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/redaction', redactionRouter);
+app.use('/api/prompts', promptRouter);
+if (config.metrics.enabled) {
+    app.use('/metrics', metricsRouter);
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
     const statusCode = err.statusCode || 500;
     const message = err.message || 'Internal Server Error';
     
-    console.error('Error:', err);
+    // Client errors are expected; only server errors are logged with the error level
+    logger[statusCode >= 500 ? 'error' : 'warn']('Request failed', { error: err });
     
     res.status(statusCode).json({
         success: false,
@@ -66,12 +145,24 @@ app.use((req, res) => {
 const PORT = config.port;
 try {
     validateConfig();
+
+    // Seed the taxonomy and prompt versions before the first classification needs them
+    await taxonomyService.load();
+    await promptService.load();
     
     app.listen(PORT, () => {
-        console.log(`DocRoute Server Started and running on: http://localhost:${PORT}`);
+        logger.info(`DocRoute Server Started and running on: http://localhost:${PORT}`, { port: PORT });
+
+        batchService.failInterruptedBatches()
+            .then(count => count > 0 && logger.warn(`Closed ${count} batches interrupted by a restart`))
+            .catch(error => logger.error('Failed to close interrupted batches', { error }));
+
+        deliveryService.resumePendingDeliveries()
+            .then(count => count > 0 && logger.info(`Resumed ${count} pending deliveries`))
+            .catch(error => logger.error('Failed to resume pending deliveries', { error }));
     });
 } catch (error) {
-    console.error('Failed to start server:', error.message);
+    logger.error('Failed to start server', { error: error.message });
     process.exit(1);
 }
 
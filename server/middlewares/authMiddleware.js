@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { ApiError } from '../utils/ApiError.js';
+import { config } from '../config/config.js';
+import authService from '../services/authService.js';
+import { addLogContext } from '../utils/logger.js';
+
+// Read the API key from "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// Browsers cannot set headers on EventSource, so event streams may pass ?apiKey= instead.
+const getPresentedKey = (req) => {
+    const authorization = req.get('authorization');
+    if (authorization) {
+        const [scheme, token] = authorization.split(' ');
+        return scheme && scheme.toLowerCase() === 'bearer' ? token : null;
+    }
+    if (req.get('x-api-key')) {
+        return req.get('x-api-key');
+    }
+    const acceptsEventStream = (req.get('accept') || '').includes('text/event-stream');
+    return acceptsEventStream && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+};
+
+// Authenticate the request and attach req.auth = { keyName, tenantId, roles }
+export const authenticate = async (req, res, next) => {
+    try {
+        if (!config.auth.enabled) {
+            req.auth = authService.getAnonymousPrincipal();
+            addLogContext({ tenantId: req.auth.tenantId, actor: req.auth.keyName });
+            return next();
+        }
+
+        const principal = await authService.authenticate(getPresentedKey(req));
+
+        if (!principal) {
+            res.set('WWW-Authenticate', 'Bearer');
+            throw new ApiError(401, 'A valid API key is required');
+        }
+
+        req.auth = principal;
+        addLogContext({ tenantId: principal.tenantId, actor: principal.keyName });
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Authentication failed',
+            error: error.message
+        });
+    }
+};
+
+// Allow the request only when the authenticated key has one of the roles (admin always passes)
+export const authorize = (...allowedRoles) => (req, res, next) => {
+    try {
+        if (!req.auth) {
+            throw new ApiError(401, 'A valid API key is required');
+        }
+
+        if (!authService.hasRole(req.auth, allowedRoles)) {
+            throw new ApiError(403, `This action requires one of the roles: ${allowedRoles.join(', ')}`);
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Authorization failed',
+            error: error.message
+        });
+    }
+};
+
+// Prometheus scrapers cannot hold API keys, so /metrics has its own optional bearer token (METRICS_TOKEN)
+export const requireMetricsToken = (req, res, next) => {
+    try {
+        if (!config.metrics.token) {
+            return next();
+        }
+
+        const authorization = req.get('authorization') || '';
+        const [scheme, token] = authorization.split(' ');
+        const hash = (value) => crypto.createHash('sha256').update(value || '', 'utf-8').digest();
+
+        if (!scheme || scheme.toLowerCase() !== 'bearer' || !crypto.timingSafeEqual(hash(token), hash(config.metrics.token))) {
+            res.set('WWW-Authenticate', 'Bearer');
+            throw new ApiError(401, 'A valid metrics token is required');
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Authentication failed',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,14 @@
+import express from 'express';
+import { config } from '../config/config.js';
+
+const { chunkSize, maxChunks } = config.chunking;
+
+// Text sent for classification may be long enough to be chunked, so its body may hold as much text
+// as maxChunks chunks cover, at up to 4 bytes per character in UTF-8
+export const parseTextClassificationBody = express.json({ limit: chunkSize * maxChunks * 4 });
+
+// A new prompt version holds a template of up to maxTemplateLength characters besides its small fields
+export const parsePromptVersionBody = express.json({ limit: config.prompts.maxTemplateLength * 4 + 16 * 1024 });
+
+// Every other JSON body is small
+export const parseJsonBody = express.json({ limit: '16kb' });
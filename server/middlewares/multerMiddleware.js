@@ -1,6 +1,7 @@
 import multer from 'multer';
 import path from 'path';
 import { config } from '../config/config.js';
+import extractorRegistry from '../services/extractorRegistry.js';
 
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -15,7 +16,26 @@ const storage = multer.diskStorage({
     }
 });
 
+// Many clients send less common formats as a generic binary stream; resolve those by extension
+const normalizeMimeType = (file) => {
+    if (file.mimetype !== 'application/octet-stream') {
+        return;
+    }
+
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+        file.mimetype = 'application/zip';
+        return;
+    }
+
+    const mimeType = extractorRegistry.getMimeTypeForFileName(file.originalname);
+    if (mimeType) {
+        file.mimetype = mimeType;
+    }
+};
+
 const fileFilter = (req, file, cb) => {
+    normalizeMimeType(file);
+
     if (config.allowedFileTypes.includes(file.mimetype)) {
         cb(null, true);
     } else {
@@ -31,4 +51,25 @@ export const upload = multer({
         fileSize: config.maxFileSize,
         files: 1
     }
-});
\ No newline at end of file
+});
+
+const batchFileFilter = (req, file, cb) => {
+    normalizeMimeType(file);
+
+    const allowedTypes = [...config.allowedFileTypes, ...config.archiveMimeTypes];
+    if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new Error(`File type ${file.mimetype} is not supported. Allowed types: ${allowedTypes.join(', ')}`), false);
+    }
+};
+
+// Configure multer for batch uploads (many files and/or ZIP archives)
+export const uploadBatch = multer({
+    storage: storage,
+    fileFilter: batchFileFilter,
+    limits: {
+        fileSize: config.maxFileSize,
+        files: config.maxBatchFiles
+    }
+});
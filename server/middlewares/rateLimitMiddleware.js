@@ -0,0 +1,48 @@
+import { config } from '../config/config.js';
+import { TokenBucket } from '../utils/TokenBucket.js';
+
+const clientBuckets = new Map();
+
+// Buckets that have refilled completely carry no state worth keeping
+const pruneInterval = setInterval(() => {
+    for (const [client, bucket] of clientBuckets) {
+        if (bucket.isFull) {
+            clientBuckets.delete(client);
+        }
+    }
+}, 60 * 1000);
+pruneInterval.unref();
+
+// Authenticated requests are limited per API key, anonymous ones per IP address
+const getClientId = (req) => (req.auth && config.auth.enabled ? `key:${req.auth.keyName}` : `ip:${req.ip}`);
+
+// Per-client token bucket; rejects with 429 and Retry-After when the client is over its limit
+export const rateLimitClients = (req, res, next) => {
+    const { enabled, requestsPerMinute, burst } = config.rateLimiting.client;
+    if (!enabled) {
+        return next();
+    }
+
+    const clientId = getClientId(req);
+    let bucket = clientBuckets.get(clientId);
+    if (!bucket) {
+        bucket = new TokenBucket(burst, requestsPerMinute);
+        clientBuckets.set(clientId, bucket);
+    }
+
+    const retryAfterMs = bucket.tryTake();
+
+    res.set('RateLimit-Limit', String(requestsPerMinute));
+    res.set('RateLimit-Remaining', String(bucket.available));
+
+    if (retryAfterMs > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({
+            success: false,
+            message: `Rate limit of ${requestsPerMinute} requests per minute exceeded; retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+            error: []
+        });
+    }
+
+    next();
+};
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+import { runWithLogContext } from '../utils/logger.js';
+
+// Caller-supplied IDs are kept when they look like IDs, so a request can be traced across systems
+const requestIdPattern = /^[\w.:-]{1,100}$/;
+
+// Attach req.id from X-Request-Id (or a new UUID) and echo it back in the response.
+// The rest of the request runs in a log context, so every log line it writes carries the ID.
+export const assignRequestId = (req, res, next) => {
+    const presented = req.get('x-request-id');
+    req.id = presented && requestIdPattern.test(presented) ? presented : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    runWithLogContext({ requestId: req.id }, next);
+};
@@ -0,0 +1,40 @@
+import { logger } from '../utils/logger.js';
+import metricsService from '../services/metricsService.js';
+
+// Route pattern that handled the request, e.g. /api/documents/:id. req.baseUrl is reset once an error
+// leaves its router, so the mount path is taken from the URL: the segments the route pattern did not match.
+const getRoutePattern = (req) => {
+    if (!req.route) {
+        return 'unmatched';
+    }
+
+    const routeSegments = req.route.path.split('/').filter(Boolean);
+    const pathSegments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+    const mountPath = pathSegments.slice(0, pathSegments.length - routeSegments.length);
+
+    return `/${[...mountPath, ...routeSegments].join('/')}`;
+};
+
+// Log each finished request and count it in the HTTP metrics.
+// Metrics use the matched route pattern (e.g. /api/documents/:id), never the raw URL with IDs in it.
+export const logRequests = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = getRoutePattern(req);
+
+        metricsService.recordHttpRequest({ method: req.method, route, statusCode: res.statusCode, seconds });
+
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[level]('Request completed', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            statusCode: res.statusCode,
+            durationMs: Math.round(seconds * 1000)
+        });
+    });
+
+    next();
+};
@@ -1,6 +1,10 @@
 import { ApiError } from '../utils/ApiError.js';
 import { config } from '../config/config.js';
 import path from 'path';
+import taxonomyService from '../services/taxonomyService.js';
+import { auditEvents } from '../services/auditService.js';
+import { experimentModes } from '../services/promptService.js';
+import { requiredPromptPlaceholders } from '../config/defaultPrompt.js';
 
 // Validate file upload middleware
 export const validateFileUpload = (req, res, next) => {
@@ -56,6 +60,49 @@ export const validateFileUpload = (req, res, next) => {
     }
 };
 
+// Validate batch upload middleware
+export const validateBatchUpload = (req, res, next) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            throw new ApiError(400, 'Please upload at least one document file or ZIP archive');
+        }
+
+        for (const file of req.files) {
+            if (file.size === 0) {
+                throw new ApiError(400, `Uploaded file '${file.originalname}' is empty`);
+            }
+
+            if (config.archiveMimeTypes.includes(file.mimetype)) {
+                continue;
+            }
+
+            const fileExtension = path.extname(file.originalname).toLowerCase();
+            if (!config.supportedExtensions.includes(fileExtension)) {
+                throw new ApiError(
+                    400,
+                    `File extension '${fileExtension}' of '${file.originalname}' is not supported. Allowed extensions: ${config.supportedExtensions.join(', ')}, .zip`
+                );
+            }
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+        
+        return res.status(500).json({
+            success: false,
+            message: 'Batch validation failed',
+            error: error.message
+        });
+    }
+};
+
 // Validate text content middleware
 export const validateTextContent = (req, res, next) => {
     try {
@@ -92,4 +139,371 @@ export const validateTextContent = (req, res, next) => {
             error: error.message
         });
     }
-};
\ No newline at end of file
+};
+
+// Validate document history query middleware
+export const validateDocumentQuery = (req, res, next) => {
+    try {
+        const { documentType, department, confidenceLevel, from, to, page, limit } = req.query;
+
+        // History may still be filtered by retired types and departments
+        const documentTypes = taxonomyService.getNames('documentType', { includeRetired: true });
+        const departments = taxonomyService.getNames('department', { includeRetired: true });
+
+        if (documentType && !documentTypes.includes(documentType)) {
+            throw new ApiError(400, `Invalid documentType '${documentType}'. Allowed values: ${documentTypes.join(', ')}`);
+        }
+
+        if (department && !departments.includes(department)) {
+            throw new ApiError(400, `Invalid department '${department}'. Allowed values: ${departments.join(', ')}`);
+        }
+
+        const confidenceLevels = ['high', 'medium', 'low'];
+        if (confidenceLevel && !confidenceLevels.includes(confidenceLevel)) {
+            throw new ApiError(400, `Invalid confidenceLevel '${confidenceLevel}'. Allowed values: ${confidenceLevels.join(', ')}`);
+        }
+
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && isNaN(new Date(value).getTime())) {
+                throw new ApiError(400, `'${name}' must be a valid date`);
+            }
+        }
+
+        for (const [name, value] of Object.entries({ page, limit })) {
+            if (value !== undefined && !/^\d+$/.test(value)) {
+                throw new ApiError(400, `'${name}' must be a positive integer`);
+            }
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+        
+        return res.status(500).json({
+            success: false,
+            message: 'Query validation failed',
+            error: error.message
+        });
+    }
+};
+
+// Validate review decision middleware
+export const validateReviewDecision = (req, res, next) => {
+    try {
+        const { documentType, department, comment } = req.body || {};
+        const isOverride = req.path.endsWith('/override');
+
+        if (comment !== undefined && typeof comment !== 'string') {
+            throw new ApiError(400, 'Comment must be a string');
+        }
+
+        const documentTypes = taxonomyService.getNames('documentType');
+        const departments = taxonomyService.getNames('department');
+
+        if (documentType && !documentTypes.includes(documentType)) {
+            throw new ApiError(400, `Invalid documentType '${documentType}'. Allowed values: ${documentTypes.join(', ')}`);
+        }
+
+        if (department && !departments.includes(department)) {
+            throw new ApiError(400, `Invalid department '${department}'. Allowed values: ${departments.join(', ')}`);
+        }
+
+        if (isOverride) {
+            if (!documentType && !department) {
+                throw new ApiError(400, 'An override must change the documentType and/or department');
+            }
+
+            if (!comment || comment.trim().length === 0) {
+                throw new ApiError(400, 'A comment explaining the override is required');
+            }
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+        
+        return res.status(500).json({
+            success: false,
+            message: 'Review validation failed',
+            error: error.message
+        });
+    }
+};
+
+// Validate taxonomy entry creation and update middleware
+export const validateTaxonomyEntry = (req, res, next) => {
+    try {
+        const { name, displayName, description, retired } = req.body || {};
+        const isCreate = req.method === 'POST';
+
+        if (isCreate && (typeof name !== 'string' || !/^[a-z][a-z0-9_]{1,49}$/.test(name))) {
+            throw new ApiError(400, 'Name is required and must be 2-50 lowercase letters, digits or underscores, starting with a letter');
+        }
+
+        if (displayName !== undefined && (typeof displayName !== 'string' || displayName.trim().length === 0 || displayName.length > 100)) {
+            throw new ApiError(400, 'Display name must be a non-empty string of at most 100 characters');
+        }
+
+        if (isCreate && displayName === undefined) {
+            throw new ApiError(400, 'Display name is required');
+        }
+
+        if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+            throw new ApiError(400, 'Description must be a string of at most 500 characters');
+        }
+
+        if (retired !== undefined && (isCreate || typeof retired !== 'boolean')) {
+            throw new ApiError(400, isCreate ? 'New entries cannot be created retired' : 'Retired must be a boolean');
+        }
+
+        if (!isCreate && displayName === undefined && description === undefined && retired === undefined) {
+            throw new ApiError(400, 'An update must change the displayName, description and/or retired');
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Taxonomy validation failed',
+            error: error.message
+        });
+    }
+};
+
+// Validate reviewer correction middleware
+export const validateCorrection = (req, res, next) => {
+    try {
+        const { text, documentType, department, documentId, comment } = req.body || {};
+
+        if (!text || typeof text !== 'string' || text.trim().length < 10) {
+            throw new ApiError(400, 'Text of at least 10 characters from the corrected document is required');
+        }
+
+        const documentTypes = taxonomyService.getNames('documentType');
+        const departments = taxonomyService.getNames('department');
+
+        if (!documentTypes.includes(documentType)) {
+            throw new ApiError(400, `Invalid documentType '${documentType}'. Allowed values: ${documentTypes.join(', ')}`);
+        }
+
+        if (!departments.includes(department)) {
+            throw new ApiError(400, `Invalid department '${department}'. Allowed values: ${departments.join(', ')}`);
+        }
+
+        if (documentId !== undefined && (typeof documentId !== 'string' || documentId.length === 0)) {
+            throw new ApiError(400, 'Document ID must be a non-empty string');
+        }
+
+        if (comment !== undefined && typeof comment !== 'string') {
+            throw new ApiError(400, 'Comment must be a string');
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Correction validation failed',
+            error: error.message
+        });
+    }
+};
+
+// Validate few-shot settings update middleware
+export const validateFewShotSettings = (req, res, next) => {
+    try {
+        const { enabled, maxExamples } = req.body || {};
+        const { maxExamplesLimit } = config.fewShot;
+
+        if (enabled === undefined && maxExamples === undefined) {
+            throw new ApiError(400, 'An update must change enabled and/or maxExamples');
+        }
+
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            throw new ApiError(400, 'Enabled must be a boolean');
+        }
+
+        if (maxExamples !== undefined && (!Number.isInteger(maxExamples) || maxExamples < 0 || maxExamples > maxExamplesLimit)) {
+            throw new ApiError(400, `maxExamples must be an integer between 0 and ${maxExamplesLimit}`);
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Few-shot settings validation failed',
+            error: error.message
+        });
+    }
+};
+
+// Validate audit trail query and export middleware
+export const validateAuditQuery = (req, res, next) => {
+    try {
+        const { event, from, to, page, limit, format } = req.query;
+
+        if (event && !auditEvents.includes(event)) {
+            throw new ApiError(400, `Invalid event '${event}'. Allowed values: ${auditEvents.join(', ')}`);
+        }
+
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && isNaN(new Date(value).getTime())) {
+                throw new ApiError(400, `'${name}' must be a valid date`);
+            }
+        }
+
+        for (const [name, value] of Object.entries({ page, limit })) {
+            if (value !== undefined && !/^\d+$/.test(value)) {
+                throw new ApiError(400, `'${name}' must be a positive integer`);
+            }
+        }
+
+        const formats = ['jsonl', 'csv'];
+        if (format && !formats.includes(format)) {
+            throw new ApiError(400, `Invalid format '${format}'. Allowed values: ${formats.join(', ')}`);
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Audit query validation failed',
+            error: error.message
+        });
+    }
+};
+
+// Validate prompt version creation middleware
+export const validatePromptVersion = (req, res, next) => {
+    try {
+        const { id, description, template, model, generationConfig } = req.body || {};
+
+        if (typeof id !== 'string' || !/^[\w.-]{1,50}$/.test(id)) {
+            throw new ApiError(400, 'Version ID is required and must be 1-50 letters, digits, ".", "_" or "-"');
+        }
+
+        const { maxTemplateLength } = config.prompts;
+        if (typeof template !== 'string' || template.trim().length === 0 || template.length > maxTemplateLength) {
+            throw new ApiError(400, `Template is required and must be a string of at most ${maxTemplateLength} characters`);
+        }
+
+        const missing = requiredPromptPlaceholders.filter(placeholder => !template.includes(placeholder));
+        if (missing.length > 0) {
+            throw new ApiError(400, `Template is missing placeholders: ${missing.join(', ')}`);
+        }
+
+        if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+            throw new ApiError(400, 'Description must be a string of at most 500 characters');
+        }
+
+        if (model !== undefined && model !== null && (typeof model !== 'string' || !/^[\w.-]{1,100}$/.test(model))) {
+            throw new ApiError(400, 'Model must be a model name such as gemini-2.5-flash');
+        }
+
+        if (generationConfig !== undefined && (typeof generationConfig !== 'object' || generationConfig === null || Array.isArray(generationConfig))) {
+            throw new ApiError(400, 'Generation config must be an object, e.g. { "temperature": 0.2 }');
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Prompt version validation failed',
+            error: error.message
+        });
+    }
+};
+
+// Validate prompt experiment update middleware
+export const validatePromptExperiment = (req, res, next) => {
+    try {
+        const { activeVersion, candidateVersion, mode, trafficPercent } = req.body || {};
+
+        if (activeVersion === undefined && candidateVersion === undefined && mode === undefined && trafficPercent === undefined) {
+            throw new ApiError(400, 'An update must change activeVersion, candidateVersion, mode and/or trafficPercent');
+        }
+
+        if (activeVersion !== undefined && (typeof activeVersion !== 'string' || activeVersion.length === 0)) {
+            throw new ApiError(400, 'Active version must be a version ID');
+        }
+
+        if (candidateVersion !== undefined && candidateVersion !== null && (typeof candidateVersion !== 'string' || candidateVersion.length === 0)) {
+            throw new ApiError(400, 'Candidate version must be a version ID or null');
+        }
+
+        if (mode !== undefined && !experimentModes.includes(mode)) {
+            throw new ApiError(400, `Invalid mode '${mode}'. Allowed values: ${experimentModes.join(', ')}`);
+        }
+
+        if (trafficPercent !== undefined && (typeof trafficPercent !== 'number' || trafficPercent < 0 || trafficPercent > 100)) {
+            throw new ApiError(400, 'trafficPercent must be a number between 0 and 100');
+        }
+
+        next();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Prompt experiment validation failed',
+            error: error.message
+        });
+    }
+};
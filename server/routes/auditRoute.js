@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validateAuditQuery } from '../middlewares/validationMiddleware.js';
+import {
+    listAuditEntries,
+    exportAuditEntries,
+    verifyAuditTrail
+} from '../controllers/auditController.js';
+
+const router = Router();
+
+// The audit trail is compliance data; every endpoint requires the admin role
+router.use(authenticate, authorize(config.roles.ADMIN));
+
+// route - GET /api/audit
+// desc - Query audit entries (?event, documentId, requestId, actor, from, to, page, limit)
+router.get('/', validateAuditQuery, listAuditEntries);
+
+
+// route - GET /api/audit/export
+// desc - Download audit entries as JSON Lines or CSV (?format=jsonl|csv, same filters)
+router.get('/export', validateAuditQuery, exportAuditEntries);
+
+
+// route - GET /api/audit/verify
+// desc - Verify the hash chain of the whole audit trail
+router.get('/verify', verifyAuditTrail);
+
+export default router;
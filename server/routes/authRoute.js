@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { getCurrentPrincipal, reloadKeys } from '../controllers/authController.js';
+
+const router = Router();
+
+// route - GET /api/auth/me
+// desc - Get the tenant and roles of the calling API key
+router.get('/me', authenticate, getCurrentPrincipal);
+
+
+// route - POST /api/auth/keys/reload
+// desc - Reload API keys from the keys file
+router.post('/keys/reload', authenticate, authorize(config.roles.ADMIN), reloadKeys);
+
+export default router;
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validateCorrection, validateFewShotSettings } from '../middlewares/validationMiddleware.js';
+import {
+    createCorrection,
+    listCorrections,
+    deleteCorrection,
+    getFewShotSettings,
+    updateFewShotSettings
+} from '../controllers/correctionController.js';
+
+const router = Router();
+
+const { REVIEWER, ADMIN } = config.roles;
+
+router.use(authenticate);
+
+// route - GET /api/corrections/settings
+// desc - Get the few-shot example settings of the caller's tenant
+router.get('/settings', authorize(ADMIN), getFewShotSettings);
+
+
+// route - PATCH /api/corrections/settings
+// desc - Enable/disable few-shot examples or change maxExamples
+router.patch('/settings', authorize(ADMIN), validateFewShotSettings, updateFewShotSettings);
+
+
+// route - POST /api/corrections
+// desc - Record a corrected classification (text excerpt, documentType, department)
+router.post('/', authorize(REVIEWER), validateCorrection, createCorrection);
+
+
+// route - GET /api/corrections
+// desc - List recorded corrections
+router.get('/', authorize(REVIEWER), listCorrections);
+
+
+// route - DELETE /api/corrections/:id
+// desc - Delete a correction so it is no longer used as an example
+router.delete('/:id', authorize(REVIEWER), deleteCorrection);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import {
+    listDeliveries,
+    getDeliveryById,
+    retryDelivery,
+    reloadDestinations
+} from '../controllers/deliveryController.js';
+
+const router = Router();
+
+// Deliveries expose destinations and allow retries; every endpoint requires the admin role
+router.use(authenticate, authorize(config.roles.ADMIN));
+
+// route - GET /api/deliveries
+// desc - List deliveries (?status=dead_letter for the dead-letter list)
+router.get('/', listDeliveries);
+
+
+// route - POST /api/deliveries/destinations/reload
+// desc - Reload department destinations from the destinations file
+router.post('/destinations/reload', reloadDestinations);
+
+
+// route - GET /api/deliveries/:id
+// desc - Get a delivery
+router.get('/:id', getDeliveryById);
+
+
+// route - POST /api/deliveries/:id/retry
+// desc - Retry a dead-lettered delivery
+router.post('/:id/retry', retryDelivery);
+
+export default router;
@@ -1,26 +1,66 @@
 import { Router } from 'express';
-import { upload } from '../middlewares/multerMiddleware.js';
-import { validateFileUpload, validateTextContent } from '../middlewares/validationMiddleware.js';
+import { upload, uploadBatch } from '../middlewares/multerMiddleware.js';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { rateLimitClients } from '../middlewares/rateLimitMiddleware.js';
+import { validateFileUpload, validateBatchUpload, validateTextContent, validateDocumentQuery } from '../middlewares/validationMiddleware.js';
 import {
     uploadAndClassifyDocument,
+    uploadDocumentBatch,
+    getBatchStatus,
+    streamProgress,
     getSupportedFileTypes,
     checkAIServiceHealth,
-    classifyTextContent
+    classifyTextContent,
+    listDocuments,
+    getDocumentById,
+    getRelatedDocuments
 } from '../controllers/documentController.js';
 
 const router = Router();
 
+const { UPLOADER, REVIEWER } = config.roles;
+
 // route - POST /api/documents/upload
+// desc - Upload and classify a document (?split=true splits a multi-document PDF into its documents)
 router.post('/upload', 
+    authenticate,
+    rateLimitClients,
+    authorize(UPLOADER),
     upload.single('document'), 
     validateFileUpload, 
     uploadAndClassifyDocument
 );
 
 
+// route - POST /api/documents/batch
+// desc - Queue many documents (or ZIP archives) for classification
+router.post('/batch',
+    authenticate,
+    rateLimitClients,
+    authorize(UPLOADER),
+    uploadBatch.array('documents', config.maxBatchFiles),
+    validateBatchUpload,
+    uploadDocumentBatch
+);
+
+
+// route - GET /api/documents/batch/:id
+// desc - Get batch progress and per-document results
+router.get('/batch/:id', authenticate, rateLimitClients, authorize(UPLOADER), getBatchStatus);
+
+
+// route - GET /api/documents/progress/:id
+// desc - Stream processing stages of an upload (its upload ID) or batch (its batch ID) as Server-Sent Events
+router.get('/progress/:id', authenticate, rateLimitClients, authorize(UPLOADER), streamProgress);
+
+
 // route - POST /api/documents/classify-text
 // desc - Classify text content directly
 router.post('/classify-text', 
+    authenticate,
+    rateLimitClients,
+    authorize(UPLOADER),
     validateTextContent, 
     classifyTextContent
 );
@@ -28,11 +68,26 @@ router.post('/classify-text',
 
 // route - GET /api/documents/supported-types
 // desc - Get supported file types and limits
-router.get('/supported-types', getSupportedFileTypes);
+router.get('/supported-types', authenticate, rateLimitClients, getSupportedFileTypes);
 
 
 // route - GET /api/documents/health
-// desc - Check AI service health
-router.get('/health', checkAIServiceHealth);
+// desc - Check AI service health (no API key required)
+router.get('/health', rateLimitClients, checkAIServiceHealth);
+
+
+// route - GET /api/documents
+// desc - List classification history with filters and pagination
+router.get('/', authenticate, rateLimitClients, authorize(UPLOADER, REVIEWER), validateDocumentQuery, listDocuments);
+
+
+// route - GET /api/documents/:id
+// desc - Get a stored classification
+router.get('/:id', authenticate, rateLimitClients, authorize(UPLOADER, REVIEWER), getDocumentById);
+
+
+// route - GET /api/documents/:id/related
+// desc - List the purchase orders, receipts and invoices matched with a document, with the invoice's discrepancies
+router.get('/:id/related', authenticate, rateLimitClients, authorize(UPLOADER, REVIEWER), getRelatedDocuments);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import { requireMetricsToken } from '../middlewares/authMiddleware.js';
+import { getMetrics } from '../controllers/metricsController.js';
+
+const router = Router();
+
+// route - GET /metrics
+// desc - Prometheus metrics (uploads, extraction time, AI latency and tokens, classifications, errors)
+router.get('/', requireMetricsToken, getMetrics);
+
+export default router;
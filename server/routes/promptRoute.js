@@ -0,0 +1,48 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validatePromptVersion, validatePromptExperiment } from '../middlewares/validationMiddleware.js';
+import {
+    listPromptVersions,
+    getPromptVersion,
+    createPromptVersion,
+    getPromptExperiment,
+    updatePromptExperiment,
+    comparePromptVersions
+} from '../controllers/promptController.js';
+
+const router = Router();
+
+// Prompts and experiments apply to every tenant, so they are managed by admins
+router.use(authenticate, authorize(config.roles.ADMIN));
+
+// route - GET /api/prompts
+// desc - List prompt versions and the current experiment
+router.get('/', listPromptVersions);
+
+
+// route - POST /api/prompts
+// desc - Add a prompt version (template, model and generation settings); versions cannot be changed afterwards
+router.post('/', validatePromptVersion, createPromptVersion);
+
+
+// route - GET /api/prompts/experiment
+// desc - Get the active and candidate versions and the traffic split between them
+router.get('/experiment', getPromptExperiment);
+
+
+// route - PATCH /api/prompts/experiment
+// desc - Promote a version, pick a candidate, or split/shadow a percentage of traffic to it
+router.patch('/experiment', validatePromptExperiment, updatePromptExperiment);
+
+
+// route - GET /api/prompts/compare
+// desc - Agreement and confidence deltas between two versions (?baseline=&candidate=, default the experiment's)
+router.get('/compare', comparePromptVersions);
+
+
+// route - GET /api/prompts/:version
+// desc - Get a prompt version with its template
+router.get('/:version', getPromptVersion);
+
+export default router;
@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { getRedactionPolicy, reloadRedactionPolicies } from '../controllers/redactionController.js';
+
+const router = Router();
+
+// Redaction policies are configuration; every endpoint requires the admin role
+router.use(authenticate, authorize(config.roles.ADMIN));
+
+// route - GET /api/redaction/policy
+// desc - Get the effective redaction policy of the caller's tenant
+router.get('/policy', getRedactionPolicy);
+
+
+// route - POST /api/redaction/reload
+// desc - Reload redaction policies from the policies file
+router.post('/reload', reloadRedactionPolicies);
+
+export default router;
@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validateReviewDecision } from '../middlewares/validationMiddleware.js';
+import {
+    listReviews,
+    getReviewById,
+    approveReview,
+    overrideReview
+} from '../controllers/reviewController.js';
+
+const router = Router();
+
+// Every review endpoint requires the reviewer role
+router.use(authenticate, authorize(config.roles.REVIEWER));
+
+// route - GET /api/reviews
+// desc - List review items (?status=pending|approved|overridden|all)
+router.get('/', listReviews);
+
+
+// route - GET /api/reviews/:id
+// desc - Get a review item
+router.get('/:id', getReviewById);
+
+
+// route - POST /api/reviews/:id/approve
+// desc - Approve the suggested classification
+router.post('/:id/approve', validateReviewDecision, approveReview);
+
+
+// route - POST /api/reviews/:id/override
+// desc - Override documentType and/or department with a comment
+router.post('/:id/override', validateReviewDecision, overrideReview);
+
+export default router;
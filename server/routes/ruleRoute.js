@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { listRules, reloadRules } from '../controllers/ruleController.js';
+
+const router = Router();
+
+// Routing rules are configuration; every endpoint requires the admin role
+router.use(authenticate, authorize(config.roles.ADMIN));
+
+// route - GET /api/rules
+// desc - List routing rules in evaluation order
+router.get('/', listRules);
+
+
+// route - POST /api/rules/reload
+// desc - Reload routing rules from the rules file
+router.post('/reload', reloadRules);
+
+export default router;
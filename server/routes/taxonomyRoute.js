@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import { config } from '../config/config.js';
+import { authenticate, authorize } from '../middlewares/authMiddleware.js';
+import { validateTaxonomyEntry } from '../middlewares/validationMiddleware.js';
+import {
+    getTaxonomy,
+    addTaxonomyEntry,
+    updateTaxonomyEntry,
+    retireTaxonomyEntry
+} from '../controllers/taxonomyController.js';
+
+const router = Router();
+
+// route - GET /api/taxonomy
+// desc - List document types and departments (?includeRetired=true for retired ones)
+router.get('/', authenticate, getTaxonomy);
+
+
+// route - POST /api/taxonomy/:kind
+// desc - Add a document type (kind 'document-types') or department (kind 'departments')
+router.post('/:kind', authenticate, authorize(config.roles.ADMIN), validateTaxonomyEntry, addTaxonomyEntry);
+
+
+// route - PATCH /api/taxonomy/:kind/:name
+// desc - Change an entry's display name or description, or retire/restore it
+router.patch('/:kind/:name', authenticate, authorize(config.roles.ADMIN), validateTaxonomyEntry, updateTaxonomyEntry);
+
+
+// route - DELETE /api/taxonomy/:kind/:name
+// desc - Retire an entry; it is no longer offered to the classifier but stored documents keep it
+router.delete('/:kind/:name', authenticate, authorize(config.roles.ADMIN), retireTaxonomyEntry);
+
+export default router;
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/config.js';
+import { belongsToTenant } from '../utils/tenancy.js';
+import { parseDateRange } from '../utils/dateRange.js';
+
+const genesisHash = '0'.repeat(64);
+
+const auditEvents = [
+    'document.classified',
+    'document.classification_failed',
+    'document.duplicate',
+    'review.approved',
+    'review.overridden',
+    'delivery.delivered',
+    'delivery.failed',
+    'delivery.dead_lettered',
+    'delivery.retried'
+];
+
+// Append-only audit trail. Every entry stores the hash of the previous one, so editing or
+// removing an entry breaks the chain from that point on (see verifyChain).
+class AuditService {
+    constructor() {
+        this.logPath = config.audit.logPath;
+        this.entries = null;
+        this.loading = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (this.entries) {
+            return this.entries;
+        }
+
+        if (!this.loading) {
+            this.loading = fs.readFile(this.logPath, 'utf-8')
+                .then(content => content.split('\n').filter(Boolean).map(line => JSON.parse(line)))
+                .catch(error => {
+                    if (error.code === 'ENOENT') {
+                        return [];
+                    }
+                    throw error;
+                })
+                .then(entries => {
+                    this.entries = entries;
+                    return entries;
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+
+        return this.loading;
+    }
+
+    hashEntry(entry) {
+        return crypto.createHash('sha256').update(JSON.stringify(entry), 'utf-8').digest('hex');
+    }
+
+    // Append an entry; writes are serialized so the chain has no forks
+    async record({ event, tenantId = null, requestId = null, actor = null, documentId = null, data = {} }) {
+        const append = async () => {
+            const entries = await this.load();
+            const previous = entries[entries.length - 1];
+
+            const entry = {
+                sequence: previous ? previous.sequence + 1 : 1,
+                id: crypto.randomUUID(),
+                timestamp: new Date().toISOString(),
+                event,
+                tenantId,
+                requestId,
+                actor,
+                documentId,
+                data,
+                previousHash: previous ? previous.hash : genesisHash
+            };
+            entry.hash = this.hashEntry(entry);
+
+            await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+            await fs.appendFile(this.logPath, JSON.stringify(entry) + '\n');
+            entries.push(entry);
+
+            return entry;
+        };
+
+        const write = this.writeQueue.then(append);
+        // A failed write must not block the entries after it
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    // Truncate long raw model responses so a single entry stays a reasonable size
+    truncateRawResponse(rawResponse) {
+        const { maxRawResponseLength } = config.audit;
+        const truncate = (text) => (typeof text === 'string' && text.length > maxRawResponseLength
+            ? `${text.slice(0, maxRawResponseLength)}... [truncated ${text.length - maxRawResponseLength} characters]`
+            : text);
+
+        return Array.isArray(rawResponse) ? rawResponse.map(truncate) : truncate(rawResponse ?? null);
+    }
+
+    // Entries matching the filters, oldest first
+    async findEntries({ tenantId = null, event, documentId, requestId, actor, from, to } = {}) {
+        const entries = await this.load();
+        const range = parseDateRange({ from, to });
+        const fromTime = range.from ? range.from.getTime() : null;
+        const toTime = range.to ? range.to.getTime() : null;
+
+        return entries.filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            return belongsToTenant(entry, tenantId)
+                && (!event || entry.event === event)
+                && (!documentId || entry.documentId === documentId)
+                && (!requestId || entry.requestId === requestId)
+                && (!actor || entry.actor === actor)
+                && (fromTime === null || time >= fromTime)
+                && (toTime === null || time <= toTime);
+        });
+    }
+
+    // Paginated query, newest first
+    async queryEntries(filters, { page = 1, limit = 20 } = {}) {
+        const matches = (await this.findEntries(filters)).reverse();
+        const total = matches.length;
+        const start = (page - 1) * limit;
+
+        return {
+            entries: matches.slice(start, start + limit),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    // Recompute every hash from the file on disk and report the first entry that does not chain
+    async verifyChain() {
+        let content;
+        try {
+            content = await fs.readFile(this.logPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { valid: true, entries: 0, lastHash: genesisHash, brokenAtLine: null };
+            }
+            throw error;
+        }
+
+        const lines = content.split('\n').filter(Boolean);
+        let previousHash = genesisHash;
+
+        for (const [index, line] of lines.entries()) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                return { valid: false, entries: lines.length, brokenAtLine: index + 1, reason: 'Entry is not valid JSON' };
+            }
+
+            const { hash, ...fields } = entry;
+            if (entry.previousHash !== previousHash) {
+                return { valid: false, entries: lines.length, brokenAtLine: index + 1, reason: 'previousHash does not match the preceding entry' };
+            }
+            if (this.hashEntry(fields) !== hash) {
+                return { valid: false, entries: lines.length, brokenAtLine: index + 1, reason: 'Entry content does not match its hash' };
+            }
+            previousHash = hash;
+        }
+
+        return { valid: true, entries: lines.length, lastHash: previousHash, brokenAtLine: null };
+    }
+}
+
+export { auditEvents };
+export default new AuditService();
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { logger } from '../utils/logger.js';
+
+// Resolves API keys to the tenant and roles they were issued for
+class AuthService {
+    constructor() {
+        this.keys = null;
+    }
+
+    // Keys are compared by SHA-256 hash so the keys file can store hashes instead of secrets
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key, 'utf-8').digest('hex');
+    }
+
+    // Load (or reload) API keys from the keys file; a missing file means no key is accepted
+    async loadKeys() {
+        let content;
+        try {
+            content = await fs.readFile(config.auth.apiKeysPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.keys = [];
+                return this.keys;
+            }
+            throw error;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            throw new ApiError(500, `API keys file is not valid JSON: ${error.message}`);
+        }
+
+        const keys = Array.isArray(parsed) ? parsed : parsed.keys;
+        if (!Array.isArray(keys)) {
+            throw new ApiError(500, 'API keys file must contain a "keys" array');
+        }
+
+        const errors = keys.flatMap((key, index) => this.validateKey(key, index));
+        if (errors.length > 0) {
+            throw new ApiError(500, 'API keys file contains invalid keys', errors);
+        }
+
+        this.keys = keys.map(key => ({
+            name: key.name,
+            tenantId: key.tenantId,
+            roles: key.roles,
+            keyHash: (key.keyHash || this.hashKey(key.key)).toLowerCase()
+        }));
+
+        logger.info(`Loaded ${this.keys.length} API keys from ${config.auth.apiKeysPath}`);
+        return this.keys;
+    }
+
+    async getKeys() {
+        return this.keys || this.loadKeys();
+    }
+
+    validateKey(key, index) {
+        const errors = [];
+        const label = key && key.name ? `API key '${key.name}'` : `API key #${index + 1}`;
+
+        if (!key || typeof key !== 'object') {
+            return [`${label} must be an object`];
+        }
+        if (!key.name) {
+            errors.push(`${label} requires a name`);
+        }
+        if (!key.key && !/^[a-f0-9]{64}$/i.test(key.keyHash || '')) {
+            errors.push(`${label} requires a key or a SHA-256 keyHash`);
+        }
+        if (!key.tenantId || typeof key.tenantId !== 'string') {
+            errors.push(`${label} requires a tenantId`);
+        }
+        if (!Array.isArray(key.roles) || key.roles.length === 0) {
+            errors.push(`${label} requires at least one role`);
+        } else {
+            const unknown = key.roles.filter(role => !Object.values(config.roles).includes(role));
+            if (unknown.length > 0) {
+                errors.push(`${label} has unknown roles: ${unknown.join(', ')}`);
+            }
+        }
+
+        return errors;
+    }
+
+    // Return the principal { keyName, tenantId, roles } for a presented key, or null
+    async authenticate(presentedKey) {
+        if (!presentedKey) {
+            return null;
+        }
+
+        const keys = await this.getKeys();
+        const presentedHash = Buffer.from(this.hashKey(presentedKey), 'hex');
+
+        const match = keys.find(key => crypto.timingSafeEqual(Buffer.from(key.keyHash, 'hex'), presentedHash));
+        if (!match) {
+            return null;
+        }
+
+        return { keyName: match.name, tenantId: match.tenantId, roles: match.roles };
+    }
+
+    // Principal used for every request when authentication is disabled
+    getAnonymousPrincipal() {
+        return { keyName: 'anonymous', tenantId: config.auth.defaultTenantId, roles: [config.roles.ADMIN] };
+    }
+
+    hasRole(principal, allowedRoles) {
+        return principal.roles.includes(config.roles.ADMIN)
+            || allowedRoles.some(role => principal.roles.includes(role));
+    }
+}
+
+export default new AuthService();
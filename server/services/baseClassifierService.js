@@ -0,0 +1,80 @@
+import { config } from '../config/config.js';
+import taxonomyService from './taxonomyService.js';
+
+// Common behaviour shared by every classifier provider.
+// Providers must implement classifyDocument(documentContent, { examples, tenantId, promptVersions }) and testConnection();
+// examples are reviewer corrections similar to the document, which providers may ignore.
+// Providers with prompt versions implement selectPromptVersions(documentContent); the versions are chosen once per document
+// and passed back as promptVersions so every chunk and page of it is classified alike.
+// Providers that pick a model or prompt version per request report model and promptVersion on the result.
+class BaseClassifierService {
+    constructor(name, displayName) {
+        this.name = name;
+        this.displayName = displayName;
+    }
+
+    async classifyDocument() {
+        throw new Error(`${this.constructor.name} must implement classifyDocument()`);
+    }
+
+    async testConnection() {
+        throw new Error(`${this.constructor.name} must implement testConnection()`);
+    }
+
+    // Model and prompt version recorded with each classification; providers without a prompt report null
+    getModelInfo() {
+        return { model: this.name, promptVersion: null };
+    }
+
+    // Queue/limiter state for monitoring; providers without a limiter report null
+    getQueueStats() {
+        return null;
+    }
+
+    // Circuit breaker state for monitoring; providers without one report null
+    getCircuitState() {
+        return null;
+    }
+
+    // Validate and sanitize a raw classification result
+    validateClassificationResult(result) {
+        const validDocumentTypes = taxonomyService.getNames('documentType');
+        const validDepartments = taxonomyService.getNames('department');
+
+        // Validate document type
+        if (!result.documentType || !validDocumentTypes.includes(result.documentType.toLowerCase())) {
+            result.documentType = config.documentTypes.OTHER;
+        } else {
+            result.documentType = result.documentType.toLowerCase();
+        }
+
+        // Validate department
+        if (!result.department || !validDepartments.includes(result.department.toLowerCase())) {
+            result.department = config.departments.GENERAL;
+        } else {
+            result.department = result.department.toLowerCase();
+        }
+
+        // Validate confidence scores
+        result.confidence = this.validateConfidence(result.confidence);
+        result.routingConfidence = this.validateConfidence(result.routingConfidence);
+
+        // Ensure required fields
+        result.extractedData = result.extractedData || {};
+        result.reasoning = result.reasoning || 'Classification completed';
+        result.suggestedActions = Array.isArray(result.suggestedActions) ? result.suggestedActions : [];
+
+        return result;
+    }
+
+    // Validate confidence score
+    validateConfidence(confidence) {
+        const numConfidence = parseFloat(confidence);
+        if (isNaN(numConfidence) || numConfidence < 0 || numConfidence > 1) {
+            return 0.5; // Default confidence
+        }
+        return numConfidence;
+    }
+}
+
+export { BaseClassifierService };
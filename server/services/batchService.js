@@ -0,0 +1,311 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import AdmZip from 'adm-zip';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { JobQueue } from '../utils/JobQueue.js';
+import { JsonStore } from '../utils/JsonStore.js';
+import { belongsToTenant } from '../utils/tenancy.js';
+import documentService from './documentService.js';
+import progressService from './progressService.js';
+import { logger } from '../utils/logger.js';
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// Decompress a ZIP entry, stopping once it grows beyond maxBytes; returns null for an entry that is larger.
+// The sizes in the entry's header are not trusted: they are written by whoever made the archive.
+const readZipEntry = (zipEntry, maxBytes) => {
+    const compressed = zipEntry.getCompressedData();
+
+    if (zipEntry.header.method === ZIP_STORED) {
+        return compressed.length > maxBytes ? null : compressed;
+    }
+    if (zipEntry.header.method !== ZIP_DEFLATED) {
+        throw new Error(`Unsupported compression method ${zipEntry.header.method}`);
+    }
+
+    try {
+        return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(maxBytes, 1) });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+// Runs batch uploads through an in-process job queue and tracks their progress.
+// Batches are persisted, so their status can still be read after a restart.
+class BatchService {
+    constructor() {
+        this.store = new JsonStore(path.join(config.dataPath, 'batches.json'));
+        this.queue = new JobQueue(config.maxConcurrentRequests);
+    }
+
+    // Create a batch from uploaded files and queue every document for classification.
+    // requestId and actor of the upload are recorded in the audit trail of every document.
+    async createBatch(files, tenantId = config.auth.defaultTenantId, { force = false, requestId = null, actor = null } = {}) {
+        await this.pruneBatches();
+
+        const { documents, skipped } = await this.expandArchives(files);
+
+        if (documents.length === 0) {
+            throw new ApiError(400, 'No supported documents found in the upload');
+        }
+
+        if (documents.length > config.maxBatchFiles) {
+            await Promise.all(documents.map(file => file.path && documentService.cleanupTempFile(file.path)));
+            throw new ApiError(400, `Batch contains ${documents.length} documents; the maximum is ${config.maxBatchFiles}`);
+        }
+
+        const batch = {
+            id: crypto.randomUUID(),
+            tenantId,
+            force,
+            requestId,
+            actor,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            skipped,
+            documents: documents.map((file, index) => ({
+                index,
+                fileName: file.originalname,
+                status: 'queued',
+                documentId: null,
+                result: null,
+                error: null,
+                startedAt: null,
+                finishedAt: null
+            }))
+        };
+
+        await this.store.insert(batch);
+
+        logger.info(`Batch ${batch.id} queued with ${documents.length} documents`);
+        progressService.publish(tenantId, batch.id, 'batch-queued', { documentCount: documents.length, skipped });
+
+        documents.forEach((file, index) => {
+            this.queue.add(() => this.processBatchDocument(batch, batch.documents[index], file));
+        });
+
+        return this.getBatchStatus(batch.id);
+    }
+
+    // Classify a single document of a batch, recording the outcome on its entry.
+    // batch is the stored record: entries are updated in place and the store persisted.
+    async processBatchDocument(batch, entry, file) {
+        entry.status = 'processing';
+        entry.startedAt = new Date().toISOString();
+        batch.status = 'processing';
+        await this.saveBatches();
+
+        try {
+            const result = await documentService.processDocument(file, {
+                tenantId: batch.tenantId,
+                force: batch.force,
+                requestId: batch.requestId,
+                actor: batch.actor,
+                // Document stages go to the batch's stream, tagged with the document's position
+                onProgress: (stage, data) => progressService.publish(batch.tenantId, batch.id, stage, {
+                    ...data,
+                    index: entry.index,
+                    fileName: entry.fileName
+                })
+            });
+
+            entry.status = 'completed';
+            entry.documentId = result.id;
+            entry.result = {
+                documentType: result.documentType,
+                department: result.department,
+                confidence: result.confidence,
+                confidenceLevel: result.confidenceLevel,
+                routingRecommendation: result.routingRecommendation,
+                reviewRequired: result.reviewRequired,
+                deliveryStatus: result.deliveryStatus || null,
+                cached: Boolean(result.cached)
+            };
+        } catch (error) {
+            logger.error(`Batch ${batch.id} failed to process ${entry.fileName}`, { error: error.message });
+            entry.status = 'failed';
+            entry.error = error.message;
+        } finally {
+            entry.finishedAt = new Date().toISOString();
+            await this.updateBatchStatus(batch);
+        }
+    }
+
+    async updateBatchStatus(batch) {
+        const finished = batch.documents.every(entry => entry.status === 'completed' || entry.status === 'failed');
+        if (finished) {
+            batch.status = 'completed';
+            batch.completedAt = new Date().toISOString();
+            logger.info(`Batch ${batch.id} completed`);
+        }
+
+        await this.saveBatches();
+
+        const { progress } = this.describeBatch(batch);
+        progressService.publish(
+            batch.tenantId,
+            batch.id,
+            finished ? 'batch-completed' : 'batch-progress',
+            { progress },
+            { final: finished }
+        );
+    }
+
+    // Write the stored batch records after changing them in place; processing goes on if the write fails
+    async saveBatches() {
+        try {
+            await this.store.persist();
+        } catch (error) {
+            logger.error('Failed to save batches', { error });
+        }
+    }
+
+    // Replace ZIP archives with the supported documents they contain.
+    // Entries are decompressed with a limit, so an archive never extracts more than maxArchiveBytes in total.
+    async expandArchives(files) {
+        const documents = [];
+        const skipped = [];
+
+        for (const file of files) {
+            if (!config.archiveMimeTypes.includes(file.mimetype)) {
+                documents.push(file);
+                continue;
+            }
+
+            try {
+                const archive = new AdmZip(file.path);
+                const entries = archive.getEntries()
+                    .filter(zipEntry => !zipEntry.isDirectory && !zipEntry.entryName.startsWith('__MACOSX/'));
+
+                if (entries.length > config.maxArchiveEntries) {
+                    skipped.push({ fileName: file.originalname, reason: `Archive has more than ${config.maxArchiveEntries} files` });
+                    continue;
+                }
+
+                let remainingBytes = config.maxArchiveBytes;
+
+                for (const [position, zipEntry] of entries.entries()) {
+                    const extension = path.extname(zipEntry.entryName).toLowerCase();
+                    const mimeType = documentService.getMimeTypeForExtension(extension);
+
+                    if (!config.supportedExtensions.includes(extension) || !mimeType) {
+                        skipped.push({ fileName: zipEntry.entryName, reason: `Unsupported file extension '${extension}'` });
+                        continue;
+                    }
+
+                    if (zipEntry.header.encrypted) {
+                        skipped.push({ fileName: zipEntry.entryName, reason: 'Encrypted archive entries are not supported' });
+                        continue;
+                    }
+
+                    const data = readZipEntry(zipEntry, Math.min(config.maxFileSize, remainingBytes));
+
+                    if (!data && remainingBytes < config.maxFileSize) {
+                        skipped.push(...entries.slice(position).map(({ entryName }) => ({
+                            fileName: entryName,
+                            reason: `Archive extracts to more than ${config.maxArchiveBytes} bytes`
+                        })));
+                        break;
+                    }
+
+                    // Oversized entries are not written; processDocument reports the size error
+                    if (!data) {
+                        documents.push({ originalname: zipEntry.entryName, path: null, size: config.maxFileSize + 1, mimetype: mimeType });
+                        continue;
+                    }
+
+                    remainingBytes -= data.length;
+
+                    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+                    const baseName = path.basename(zipEntry.entryName, extension);
+                    const entryPath = path.join(config.tempUploadPath, `${baseName}-${uniqueSuffix}${extension}`);
+                    await fs.writeFile(entryPath, data);
+
+                    documents.push({
+                        originalname: zipEntry.entryName,
+                        path: entryPath,
+                        size: data.length,
+                        mimetype: mimeType
+                    });
+                }
+            } catch (error) {
+                logger.error(`Failed to read archive ${file.originalname}`, { error: error.message });
+                skipped.push({ fileName: file.originalname, reason: 'Archive could not be read' });
+            } finally {
+                await documentService.cleanupTempFile(file.path);
+            }
+        }
+
+        return { documents, skipped };
+    }
+
+    // Get batch progress and per-document results; batches of other tenants are not found
+    async getBatchStatus(id, tenantId = null) {
+        const batch = await this.store.findById(id);
+        if (!batch || !belongsToTenant(batch, tenantId)) {
+            return null;
+        }
+        return this.describeBatch(batch);
+    }
+
+    describeBatch(batch) {
+        const countByStatus = status => batch.documents.filter(entry => entry.status === status).length;
+        const total = batch.documents.length;
+        const completed = countByStatus('completed');
+        const failed = countByStatus('failed');
+
+        return {
+            ...batch,
+            progress: {
+                total,
+                queued: countByStatus('queued'),
+                processing: countByStatus('processing'),
+                completed,
+                failed,
+                percent: Math.round(((completed + failed) / total) * 100)
+            }
+        };
+    }
+
+    // Batch queue depth for monitoring
+    getQueueStats() {
+        return { concurrency: this.queue.concurrency, active: this.queue.active, queued: this.queue.size };
+    }
+
+    // Drop finished batches older than the retention period
+    async pruneBatches() {
+        const cutoff = Date.now() - config.batchRetentionMs;
+        const expired = await this.store.find(batch => batch.completedAt && new Date(batch.completedAt).getTime() < cutoff);
+        for (const batch of expired) {
+            await this.store.remove(batch.id);
+        }
+    }
+
+    // Documents still queued or processing when the server stopped will not finish: mark them failed
+    async failInterruptedBatches() {
+        const interrupted = await this.store.find(batch => batch.status !== 'completed');
+        if (interrupted.length === 0) {
+            return 0;
+        }
+
+        const finishedAt = new Date().toISOString();
+        for (const batch of interrupted) {
+            for (const entry of batch.documents.filter(entry => entry.status === 'queued' || entry.status === 'processing')) {
+                Object.assign(entry, { status: 'failed', error: 'Interrupted by a server restart', finishedAt });
+            }
+            Object.assign(batch, { status: 'completed', completedAt: finishedAt });
+        }
+        await this.saveBatches();
+        return interrupted.length;
+    }
+}
+
+export default new BatchService();
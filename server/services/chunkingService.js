@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { JobQueue } from '../utils/JobQueue.js';
+import classifierService from './classifierService.js';
+import promptService from './promptService.js';
+import { logger } from '../utils/logger.js';
+
+// Map-reduce classification for documents longer than the classifier's input limit
+class ChunkingService {
+    constructor() {
+        this.queue = new JobQueue(config.maxConcurrentRequests);
+    }
+
+    needsChunking(text) {
+        return text.length > config.chunking.maxTextLength;
+    }
+
+    // Classify text directly, or chunk it and merge the per-chunk classifications.
+    // pages (optional) is the per-page text of the document; onProgress is told as each chunk finishes;
+    // tenantId selects whose reviewer corrections are used as examples; every chunk is classified with the
+    // document's primary prompt version, and a shadow version is compared once on the merged result.
+    async classify(text, { pages = null, onProgress = () => {}, tenantId = null, promptVersions = null } = {}) {
+        if (!this.needsChunking(text)) {
+            return classifierService.classifyDocument(text, { tenantId, promptVersions });
+        }
+
+        const shadow = promptVersions && promptVersions.shadow;
+        const merged = await this.classifyChunks(text, {
+            pages,
+            onProgress,
+            tenantId,
+            promptVersions: promptVersions && { ...promptVersions, shadow: null }
+        });
+
+        if (shadow) {
+            this.runShadow(text, { pages, tenantId, version: shadow }, merged);
+        }
+
+        return merged;
+    }
+
+    // Chunk the text and classify every chunk with the same prompt versions
+    async classifyChunks(text, { pages, onProgress = () => {}, tenantId, promptVersions }) {
+        const allChunks = pages && pages.length > 1
+            ? this.chunkByPage(pages)
+            : this.chunkByLength(text);
+        const chunks = this.limitChunks(allChunks);
+
+        logger.info(`Text too long for a single request (${text.length} characters); classifying ${chunks.length} chunks...`);
+
+        let completed = 0;
+        const classifications = await Promise.all(
+            chunks.map(chunk => this.queue.add(async () => {
+                const classification = await classifierService.classifyDocument(chunk.text, { tenantId, promptVersions });
+                onProgress('chunk-classified', { chunk: chunk.index, completed: ++completed, total: chunks.length });
+                return classification;
+            }))
+        );
+
+        return this.mergeClassifications(chunks, classifications, allChunks.length);
+    }
+
+    // Classify the whole document again with the shadow version in the background and keep one
+    // comparison of the two merged results, however many chunks the document has
+    runShadow(text, { pages, tenantId, version }, activeClassification) {
+        this.classifyChunks(text, { pages, tenantId, promptVersions: { primary: version, shadow: null } })
+            .then(candidateClassification => promptService.recordShadowResult({
+                tenantId,
+                contentHash: crypto.createHash('sha256').update(text, 'utf-8').digest('hex'),
+                active: activeClassification,
+                candidate: candidateClassification
+            }))
+            .catch(error => logger.error(`Shadow classification with prompt version ${version.id} failed`, { error: error.message }));
+    }
+
+    // Chunk queue depth for monitoring
+    getQueueStats() {
+        return { concurrency: this.queue.concurrency, active: this.queue.active, queued: this.queue.size };
+    }
+
+    // Group whole pages into chunks; each chunk repeats the tail of the previous one for context
+    chunkByPage(pages) {
+        const { chunkSize, chunkOverlap } = config.chunking;
+        const chunks = [];
+        let current = null;
+
+        pages.forEach((pageText, index) => {
+            const pageNumber = index + 1;
+
+            // A single oversized page is split on its own
+            if (pageText.length > chunkSize) {
+                if (current) {
+                    chunks.push(current);
+                    current = null;
+                }
+                this.chunkByLength(pageText).forEach(part => {
+                    chunks.push({ text: part.text, pageStart: pageNumber, pageEnd: pageNumber });
+                });
+                return;
+            }
+
+            if (current && current.text.length + pageText.length > chunkSize) {
+                chunks.push(current);
+                current = null;
+            }
+
+            if (!current) {
+                const previous = chunks[chunks.length - 1];
+                const overlap = previous ? previous.text.slice(-chunkOverlap) : '';
+                current = { text: overlap, pageStart: pageNumber, pageEnd: pageNumber };
+            }
+
+            current.text += (current.text ? '\n\n' : '') + pageText;
+            current.pageEnd = pageNumber;
+        });
+
+        if (current) {
+            chunks.push(current);
+        }
+
+        return chunks.map((chunk, index) => ({ ...chunk, index }));
+    }
+
+    // Sliding window over plain text, preferring to break at paragraph or line ends
+    chunkByLength(text) {
+        const { chunkSize, chunkOverlap } = config.chunking;
+        const chunks = [];
+        let start = 0;
+
+        while (start < text.length) {
+            let end = Math.min(start + chunkSize, text.length);
+
+            if (end < text.length) {
+                const window = text.slice(start, end);
+                const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('\n'));
+                if (breakAt > chunkSize / 2) {
+                    end = start + breakAt;
+                }
+            }
+
+            chunks.push({ index: chunks.length, text: text.slice(start, end), pageStart: null, pageEnd: null });
+
+            if (end >= text.length) {
+                break;
+            }
+            start = Math.max(end - chunkOverlap, start + 1);
+        }
+
+        return chunks;
+    }
+
+    // Only the first maxChunks chunks are classified; the result reports the rest as not seen
+    limitChunks(chunks) {
+        if (chunks.length > config.chunking.maxChunks) {
+            logger.warn(`Document produced ${chunks.length} chunks; only the first ${config.chunking.maxChunks} are classified`);
+            return chunks.slice(0, config.chunking.maxChunks);
+        }
+        return chunks;
+    }
+
+    // Weighted vote over chunks; weight is chunk length times the chunk's confidence
+    pickWinner(chunks, classifications, field, confidenceField, fallback) {
+        const scores = {};
+        classifications.forEach((classification, index) => {
+            const value = classification[field];
+            scores[value] = (scores[value] || 0) + chunks[index].text.length * classification[confidenceField];
+        });
+
+        // Chunks that could not be placed ('other'/'general') only win when nothing else was found
+        const candidates = Object.keys(scores).filter(value => value !== fallback);
+        const pool = candidates.length > 0 ? candidates : Object.keys(scores);
+        const winner = pool.reduce((best, value) => (scores[value] > scores[best] ? value : best), pool[0]);
+
+        const voters = classifications
+            .map((classification, index) => ({ classification, weight: chunks[index].text.length }))
+            .filter(({ classification }) => classification[field] !== fallback || winner === fallback);
+        const totalWeight = voters.reduce((sum, voter) => sum + voter.weight, 0);
+        const agreeing = voters.filter(({ classification }) => classification[field] === winner);
+        const agreeingWeight = agreeing.reduce((sum, voter) => sum + voter.weight, 0);
+
+        const averageConfidence = agreeing.reduce(
+            (sum, { classification, weight }) => sum + classification[confidenceField] * weight, 0
+        ) / agreeingWeight;
+        const agreement = totalWeight > 0 ? agreeingWeight / totalWeight : 1;
+
+        // Disagreement between chunks lowers confidence
+        return {
+            value: winner,
+            confidence: Math.round(averageConfidence * (0.5 + 0.5 * agreement) * 100) / 100
+        };
+    }
+
+    // Merge chunk classifications into one result; totalChunks counts chunks left out by limitChunks too
+    mergeClassifications(chunks, classifications, totalChunks = chunks.length) {
+        const truncated = totalChunks > chunks.length;
+        const documentType = this.pickWinner(chunks, classifications, 'documentType', 'confidence', config.documentTypes.OTHER);
+        const department = this.pickWinner(chunks, classifications, 'department', 'routingConfidence', config.departments.GENERAL);
+
+        // First chunk to report a field wins; arrays are combined
+        const extractedData = {};
+        const extractedDataSources = {};
+        classifications.forEach((classification, index) => {
+            const chunk = chunks[index];
+            for (const [key, value] of Object.entries(classification.extractedData || {})) {
+                if (value === null || value === undefined || value === '') {
+                    continue;
+                }
+                if (Array.isArray(value) && Array.isArray(extractedData[key])) {
+                    extractedData[key] = [...new Set([...extractedData[key], ...value])];
+                    continue;
+                }
+                if (extractedData[key] === undefined) {
+                    extractedData[key] = value;
+                    extractedDataSources[key] = { chunk: chunk.index, pageStart: chunk.pageStart, pageEnd: chunk.pageEnd };
+                }
+            }
+        });
+
+        const suggestedActions = [...new Set(classifications.flatMap(classification => classification.suggestedActions || []))];
+        if (truncated) {
+            suggestedActions.push(`Check the rest of the document: only ${chunks.length} of ${totalChunks} parts were classified`);
+        }
+
+        return {
+            documentType: documentType.value,
+            confidence: documentType.confidence,
+            department: department.value,
+            routingConfidence: department.confidence,
+            extractedData,
+            extractedDataSources,
+            reasoning: `Merged from ${chunks.length} chunks${truncated ? ` (${totalChunks - chunks.length} more were not classified)` : ''}. ` + classifications
+                .filter(classification => classification.documentType === documentType.value)
+                .map(classification => classification.reasoning)
+                .slice(0, 3)
+                .join(' '),
+            suggestedActions,
+            provider: classifications[0].provider,
+            model: classifications[0].model,
+            promptVersion: classifications[0].promptVersion,
+            rawResponses: classifications.map(classification => classification.rawResponse ?? null),
+            // Only flagged as a fallback when no chunk produced a real classification
+            ...(classifications.every(classification => classification.fallback) && {
+                fallback: true,
+                fallbackReason: classifications[0].fallbackReason
+            }),
+            ...(truncated && { truncated: true }),
+            chunking: {
+                chunkCount: chunks.length,
+                chunksClassified: chunks.length,
+                totalChunks,
+                truncated,
+                chunks: chunks.map((chunk, index) => ({
+                    index: chunk.index,
+                    pageStart: chunk.pageStart,
+                    pageEnd: chunk.pageEnd,
+                    length: chunk.text.length,
+                    documentType: classifications[index].documentType,
+                    confidence: classifications[index].confidence,
+                    department: classifications[index].department,
+                    fallback: Boolean(classifications[index].fallback)
+                }))
+            }
+        };
+    }
+}
+
+export default new ChunkingService();
@@ -0,0 +1,67 @@
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import geminiService from './geminiService.js';
+import localClassifierService from './localClassifierService.js';
+import recordedClassifierService from './recordedClassifierService.js';
+import correctionService from './correctionService.js';
+
+// Selects the classifier provider configured by CLASSIFIER_PROVIDER
+class ClassifierService {
+    constructor() {
+        this.providers = {};
+
+        this.registerProvider(geminiService);
+        this.registerProvider(localClassifierService);
+        this.registerProvider(recordedClassifierService);
+    }
+
+    // Register a provider implementing classifyDocument() and testConnection()
+    registerProvider(provider) {
+        if (typeof provider.classifyDocument !== 'function' || typeof provider.testConnection !== 'function') {
+            throw new Error(`Classifier provider '${provider.name}' must implement classifyDocument() and testConnection()`);
+        }
+        this.providers[provider.name] = provider;
+    }
+
+    // Get the active provider (or a named one)
+    getProvider(name = config.classifierProvider) {
+        const provider = this.providers[name];
+        if (!provider) {
+            throw new ApiError(500, `Unknown classifier provider: ${name}`);
+        }
+        return provider;
+    }
+
+    // Prompt versions to classify one document's content with, chosen once so all of its chunks and pages
+    // use the same version; null when the active provider has no prompt versions
+    selectPromptVersions(documentContent) {
+        const provider = this.getProvider();
+        return typeof provider.selectPromptVersions === 'function' ? provider.selectPromptVersions(documentContent) : null;
+    }
+
+    // Classify document content with the active provider.
+    // With a tenantId, the tenant's most similar reviewer corrections are passed along as few-shot examples;
+    // promptVersions (see selectPromptVersions) is the document's prompt version.
+    async classifyDocument(documentContent, { tenantId = null, promptVersions = null } = {}) {
+        const provider = this.getProvider();
+        const examples = tenantId ? await correctionService.findExamples(documentContent, tenantId) : [];
+
+        const classification = await provider.classifyDocument(documentContent, { examples, tenantId, promptVersions });
+        return {
+            // Providers that choose a prompt version per request report it on the classification
+            ...provider.getModelInfo(),
+            ...classification,
+            provider: provider.name,
+            ...(examples.length > 0 && {
+                fewShotExamples: examples.map(({ id, similarity }) => ({ id, similarity }))
+            })
+        };
+    }
+
+    // Test the active provider
+    async testConnection() {
+        return this.getProvider().testConnection();
+    }
+}
+
+export default new ClassifierService();
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import path from 'path';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { JsonStore } from '../utils/JsonStore.js';
+import { belongsToTenant, getTenantId } from '../utils/tenancy.js';
+import { tokenize, buildIdf, vectorize, cosineSimilarity } from '../utils/tfidf.js';
+import documentStoreService from './documentStoreService.js';
+import taxonomyService from './taxonomyService.js';
+import redactionService from './redactionService.js';
+import { logger } from '../utils/logger.js';
+
+// Reviewer corrections, reused as few-shot examples for similar documents
+class CorrectionService {
+    constructor() {
+        this.store = new JsonStore(path.join(config.dataPath, 'corrections.json'));
+        // One few-shot settings record per tenant, keyed by tenant ID
+        this.settingsStore = new JsonStore(path.join(config.dataPath, 'few-shot-settings.json'));
+    }
+
+    // Store a corrected classification with an excerpt of the document text.
+    // The excerpt is redacted like classified text, since it is later shown to the model as an example.
+    async recordCorrection({ tenantId, text, documentType, department, documentId, comment, correctedBy }) {
+        let original = null;
+
+        if (documentId) {
+            const document = await documentStoreService.getDocument(documentId, tenantId);
+            if (!document) {
+                throw new ApiError(404, 'Document not found');
+            }
+            original = { documentType: document.result.documentType, department: document.result.department };
+        }
+
+        const correction = {
+            id: crypto.randomUUID(),
+            tenantId,
+            documentId: documentId || null,
+            excerpt: (await redactionService.createRedactor(tenantId)).redactor.redact(text.trim()).slice(0, config.fewShot.excerptLength),
+            documentType,
+            department,
+            original,
+            comment: comment || null,
+            correctedBy,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.store.insert(correction);
+        logger.info(`Correction ${correction.id} recorded by ${correctedBy}: ${documentType}/${department}`);
+
+        return correction;
+    }
+
+    // List corrections, newest first
+    async listCorrections({ page = 1, limit = 20 } = {}, tenantId = null) {
+        const matches = await this.store.find(correction => belongsToTenant(correction, tenantId));
+        matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const total = matches.length;
+        const start = (page - 1) * limit;
+
+        return {
+            corrections: matches.slice(start, start + limit),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    // Remove a correction that should no longer be used as an example
+    async deleteCorrection(id, tenantId = null) {
+        const correction = await this.store.findById(id);
+        if (!correction || !belongsToTenant(correction, tenantId)) {
+            throw new ApiError(404, 'Correction not found');
+        }
+
+        await this.store.remove(id);
+        return correction;
+    }
+
+    async getSettings(tenantId) {
+        const stored = await this.settingsStore.findById(tenantId);
+
+        return {
+            enabled: stored ? stored.enabled : config.fewShot.enabled,
+            maxExamples: stored ? stored.maxExamples : config.fewShot.maxExamples,
+            updatedBy: stored ? stored.updatedBy : null,
+            updatedAt: stored ? stored.updatedAt : null
+        };
+    }
+
+    // Toggle few-shot examples or change how many are used for a tenant
+    async updateSettings(tenantId, { enabled, maxExamples }, updatedBy) {
+        const current = await this.getSettings(tenantId);
+        const settings = {
+            enabled: enabled !== undefined ? enabled : current.enabled,
+            maxExamples: maxExamples !== undefined ? maxExamples : current.maxExamples,
+            updatedBy,
+            updatedAt: new Date().toISOString()
+        };
+
+        const updated = await this.settingsStore.update(tenantId, settings);
+        if (!updated) {
+            await this.settingsStore.insert({ id: tenantId, ...settings });
+        }
+
+        logger.info(`Few-shot settings for tenant '${tenantId}' updated by ${updatedBy}`);
+        return settings;
+    }
+
+    // The tenant's corrections most similar to the text (TF-IDF cosine similarity), best first.
+    // Corrections pointing at retired document types or departments are skipped.
+    async findExamples(text, tenantId) {
+        const { enabled, maxExamples } = await this.getSettings(tenantId);
+        if (!enabled || maxExamples === 0) {
+            return [];
+        }
+
+        const corrections = await this.store.find(correction =>
+            getTenantId(correction) === tenantId
+            && taxonomyService.isActive('documentType', correction.documentType)
+            && taxonomyService.isActive('department', correction.department)
+        );
+        if (corrections.length === 0) {
+            return [];
+        }
+
+        // The document itself is part of the corpus so its own terms count towards the norm
+        const corpus = corrections.map(correction => tokenize(correction.excerpt));
+        const queryTokens = tokenize(text);
+        const idf = buildIdf([...corpus, queryTokens]);
+        const query = vectorize(queryTokens, idf);
+
+        return corrections
+            .map((correction, index) => ({
+                correction,
+                similarity: cosineSimilarity(query, vectorize(corpus[index], idf))
+            }))
+            .filter(match => match.similarity >= config.fewShot.minSimilarity)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, maxExamples)
+            .map(({ correction, similarity }) => ({
+                id: correction.id,
+                excerpt: correction.excerpt.slice(0, config.fewShot.promptExcerptLength),
+                documentType: correction.documentType,
+                department: correction.department,
+                similarity: Math.round(similarity * 100) / 100
+            }));
+    }
+}
+
+export default new CorrectionService();
@@ -0,0 +1,148 @@
+import path from 'path';
+import { config } from '../config/config.js';
+import { JsonStore } from '../utils/JsonStore.js';
+import { belongsToTenant } from '../utils/tenancy.js';
+import documentStoreService from './documentStoreService.js';
+
+// 32-bit FNV-1a hash of a string
+const fnv1a = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// Cheap 32-bit mix used to derive independent hash functions from one shingle hash
+const mix = (value, seed) => {
+    let hash = Math.imul(value ^ seed, 0x9e3779b1);
+    hash ^= hash >>> 15;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    return hash >>> 0;
+};
+
+const seeds = Array.from({ length: config.dedupe.signatureSize }, (_, index) => fnv1a(`seed-${index}`));
+
+// Exact duplicates reuse an earlier classification; near-duplicates are found with MinHash over word shingles
+class DedupeService {
+    constructor() {
+        this.index = new JsonStore(path.join(config.dataPath, 'dedupe-index.json'));
+    }
+
+    // Word shingles of the normalized text
+    shingle(text) {
+        const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        const size = config.dedupe.shingleSize;
+
+        if (words.length <= size) {
+            return new Set([words.join(' ')]);
+        }
+
+        const shingles = new Set();
+        for (let i = 0; i <= words.length - size; i++) {
+            shingles.add(words.slice(i, i + size).join(' '));
+        }
+        return shingles;
+    }
+
+    // MinHash signature; the share of equal positions estimates the Jaccard similarity of two texts
+    computeSignature(text) {
+        const signature = new Array(seeds.length).fill(0xffffffff);
+
+        for (const shingle of this.shingle(text)) {
+            const hash = fnv1a(shingle);
+            seeds.forEach((seed, index) => {
+                const value = mix(hash, seed);
+                if (value < signature[index]) {
+                    signature[index] = value;
+                }
+            });
+        }
+
+        return signature;
+    }
+
+    similarity(signatureA, signatureB) {
+        const matches = signatureA.filter((value, index) => value === signatureB[index]).length;
+        return matches / signatureA.length;
+    }
+
+    // Remember a freshly classified document for later duplicate checks
+    async indexDocument(document, signature) {
+        await this.pruneIndex();
+
+        return this.index.insert({
+            id: document.id,
+            tenantId: document.tenantId,
+            textHash: document.textHash,
+            signature,
+            createdAt: document.createdAt
+        });
+    }
+
+    // Drop entries too old for either the cache or the near-duplicate check to consider
+    async pruneIndex() {
+        const cutoff = Date.now() - Math.max(config.dedupe.cacheTtlMs, config.dedupe.nearDuplicateWindowMs);
+        const expired = await this.index.find(entry => new Date(entry.createdAt).getTime() < cutoff);
+        for (const entry of expired) {
+            await this.index.remove(entry.id);
+        }
+    }
+
+    // Most recent classification of the same text for the tenant, if still within the cache TTL.
+    // Fallback results are never served from the cache.
+    async findCachedClassification(textHash, tenantId) {
+        const cutoff = Date.now() - config.dedupe.cacheTtlMs;
+        const entries = await this.index.find(entry =>
+            entry.textHash === textHash
+            && belongsToTenant(entry, tenantId)
+            && new Date(entry.createdAt).getTime() >= cutoff
+        );
+        entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        for (const entry of entries) {
+            const document = await documentStoreService.getDocument(entry.id, tenantId);
+            if (document && !document.result.fallback) {
+                return document;
+            }
+        }
+
+        return null;
+    }
+
+    // Recent documents of the tenant whose text is at least nearDuplicateThreshold similar
+    async findNearDuplicates(signature, tenantId, limit = 5) {
+        const { nearDuplicateThreshold, nearDuplicateWindowMs } = config.dedupe;
+        const cutoff = Date.now() - nearDuplicateWindowMs;
+
+        const candidates = await this.index.find(entry =>
+            belongsToTenant(entry, tenantId) && new Date(entry.createdAt).getTime() >= cutoff
+        );
+
+        const matches = candidates
+            .map(entry => ({ entry, similarity: this.similarity(signature, entry.signature) }))
+            .filter(match => match.similarity >= nearDuplicateThreshold)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+
+        const duplicates = [];
+        for (const { entry, similarity } of matches) {
+            const document = await documentStoreService.getDocument(entry.id, tenantId);
+            if (document) {
+                duplicates.push({
+                    documentId: document.id,
+                    similarity: Math.round(similarity * 100) / 100,
+                    documentType: document.documentType,
+                    fileName: document.metadata.fileName || null,
+                    createdAt: document.createdAt
+                });
+            }
+        }
+
+        return duplicates;
+    }
+}
+
+export default new DedupeService();
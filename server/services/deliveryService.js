@@ -0,0 +1,502 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { JsonStore } from '../utils/JsonStore.js';
+import { belongsToTenant, getTenantId } from '../utils/tenancy.js';
+import documentStoreService from './documentStoreService.js';
+import taxonomyService from './taxonomyService.js';
+import auditService from './auditService.js';
+import { logger } from '../utils/logger.js';
+
+const destinationTypes = ['webhook', 'folder', 'email'];
+
+// Fold a header value at spaces so no line grows past the recommended 78 characters
+const foldHeaderValue = (value, lineLength = 76) => {
+    const lines = [];
+    let line = '';
+    for (const word of value.split(' ')) {
+        if (line && line.length + 1 + word.length > lineLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    lines.push(line);
+    return lines.join('\r\n ');
+};
+
+// Header values built from document data (file names, document types) must stay on their header line:
+// control characters such as CR/LF become spaces, non-ASCII text is RFC 2047 encoded, long values are folded
+const encodeHeaderValue = (value) => {
+    const clean = String(value).replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+    if (/^[\x20-\x7e]*$/.test(clean)) {
+        return foldHeaderValue(clean);
+    }
+
+    // Encoded words are at most 75 characters: 45 bytes of text per word, never splitting a character
+    const words = [];
+    let chunk = '';
+    for (const char of clean) {
+        if (chunk && Buffer.byteLength(chunk + char) > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+};
+
+// Content-Disposition file name: a plain ASCII fallback plus the UTF-8 name (RFC 2231)
+const encodeFileNameParameter = (fileName) => {
+    const name = path.basename(String(fileName)).replace(/[\x00-\x1f\x7f]+/g, ' ');
+    const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Delivers routed documents to department destinations with retry and a dead-letter list
+class DeliveryService {
+    constructor() {
+        this.store = new JsonStore(path.join(config.dataPath, 'deliveries.json'));
+        this.filesPath = path.join(config.dataPath, 'delivery-files');
+        this.destinations = null;
+        this.timers = new Map();
+    }
+
+    // Load (or reload) department destinations; a missing file means nothing is delivered
+    async loadDestinations() {
+        let content;
+        try {
+            content = await fs.readFile(config.delivery.destinationsPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.destinations = {};
+                return this.destinations;
+            }
+            throw error;
+        }
+
+        const destinations = JSON.parse(content);
+        const errors = [];
+
+        for (const [department, destination] of Object.entries(destinations)) {
+            if (!taxonomyService.getNames('department', { includeRetired: true }).includes(department)) {
+                errors.push(`Unknown department '${department}'`);
+            } else if (!destinationTypes.includes(destination.type)) {
+                errors.push(`Destination for '${department}' has invalid type '${destination.type}'`);
+            } else if (destination.type === 'webhook' && !destination.url) {
+                errors.push(`Webhook destination for '${department}' requires a url`);
+            } else if (destination.type === 'webhook' && !config.delivery.signingSecret) {
+                errors.push(`Webhook destination for '${department}' requires DELIVERY_SIGNING_SECRET to be set`);
+            } else if (destination.type === 'folder' && !destination.path) {
+                errors.push(`Folder destination for '${department}' requires a path`);
+            } else if (destination.type === 'email' && !destination.to) {
+                errors.push(`Email destination for '${department}' requires a 'to' address`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new ApiError(500, 'Delivery destinations file is invalid', errors);
+        }
+
+        this.destinations = destinations;
+        return this.destinations;
+    }
+
+    async getDestination(department) {
+        const destinations = this.destinations || await this.loadDestinations();
+        return destinations[department] || null;
+    }
+
+    // Sign a payload body with the shared secret
+    sign(body, timestamp) {
+        return crypto
+            .createHmac('sha256', config.delivery.signingSecret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    // Where a document's original file is kept while it waits for review
+    getHeldFilePath(document) {
+        const fileName = (document.metadata && document.metadata.fileName) || '';
+        return path.join(this.filesPath, 'held', `${document.id}${path.extname(fileName)}`);
+    }
+
+    // Keep a copy of the original file of a document held for review: the upload's temporary file is
+    // deleted once the request ends, long before the review decision delivers the document.
+    // Only kept when some destination delivers files, since the final department is not known yet.
+    async holdFile(document, filePath) {
+        const destinations = this.destinations || await this.loadDestinations();
+        if (!Object.values(destinations).some(destination => destination.includeFile)) {
+            return null;
+        }
+
+        await this.pruneHeldFiles();
+
+        const heldPath = this.getHeldFilePath(document);
+        await fs.mkdir(path.dirname(heldPath), { recursive: true });
+        await fs.copyFile(filePath, heldPath);
+        return heldPath;
+    }
+
+    // Drop held files older than the retention period; a decided review removes its file when the
+    // delivery is created, so these belong to reviews still pending or documents that are gone
+    async pruneHeldFiles() {
+        const heldDir = path.join(this.filesPath, 'held');
+        const names = await fs.readdir(heldDir).catch(() => []);
+        const cutoff = Date.now() - config.delivery.heldFileRetentionMs;
+
+        for (const name of names) {
+            const heldPath = path.join(heldDir, name);
+            const stats = await fs.stat(heldPath).catch(() => null);
+            if (stats && stats.mtimeMs < cutoff) {
+                await fs.rm(heldPath, { force: true });
+            }
+        }
+    }
+
+    // Create a delivery for a classified document and start sending it in the background.
+    // filePath is the original upload, copied aside when the destination wants the file; without one,
+    // the copy kept by holdFile is used (and removed once the delivery is created).
+    async scheduleDelivery(document, { filePath = null } = {}) {
+        const heldPath = filePath ? null : this.getHeldFilePath(document);
+        const held = heldPath !== null && await fs.access(heldPath).then(() => true, () => false);
+
+        try {
+            return await this.createDelivery(document, filePath || (held ? heldPath : null));
+        } finally {
+            if (held) {
+                await fs.rm(heldPath, { force: true });
+            }
+        }
+    }
+
+    async createDelivery(document, filePath) {
+        const destination = await this.getDestination(document.department);
+
+        if (!destination) {
+            await documentStoreService.updateDocument(document.id, {
+                delivery: { status: 'not_configured', department: document.department }
+            });
+            return null;
+        }
+
+        const delivery = {
+            id: crypto.randomUUID(),
+            tenantId: getTenantId(document),
+            documentId: document.id,
+            department: document.department,
+            destination,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            file: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            deliveredAt: null
+        };
+
+        if (destination.includeFile && filePath) {
+            const fileName = document.metadata.fileName || path.basename(filePath);
+            const storedPath = path.join(this.filesPath, `${delivery.id}${path.extname(fileName)}`);
+            await fs.mkdir(this.filesPath, { recursive: true });
+            await fs.copyFile(filePath, storedPath);
+            delivery.file = { path: storedPath, name: fileName, mimeType: document.metadata.mimeType };
+        }
+
+        await this.store.insert(delivery);
+        await this.recordDocumentStatus(delivery);
+
+        this.scheduleAttempt(delivery.id, 0);
+        return delivery;
+    }
+
+    scheduleAttempt(deliveryId, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(deliveryId);
+            this.attemptDelivery(deliveryId).catch(error => {
+                logger.error(`Delivery ${deliveryId} attempt crashed`, { error });
+            });
+        }, delayMs);
+        timer.unref();
+        this.timers.set(deliveryId, timer);
+    }
+
+    // Try once; on failure back off exponentially until maxAttempts, then dead-letter
+    async attemptDelivery(deliveryId) {
+        const delivery = await this.store.findById(deliveryId);
+        if (!delivery || delivery.status !== 'pending') {
+            return;
+        }
+
+        const attempts = delivery.attempts + 1;
+
+        try {
+            const document = await documentStoreService.getDocument(delivery.documentId);
+            if (!document) {
+                throw new Error('Document no longer exists');
+            }
+
+            const payload = await this.buildPayload(delivery, document);
+            await this.send(delivery.destination, payload, document);
+
+            const delivered = await this.store.update(deliveryId, {
+                status: 'delivered',
+                attempts,
+                lastError: null,
+                updatedAt: new Date().toISOString(),
+                deliveredAt: new Date().toISOString()
+            });
+            await this.recordDocumentStatus(delivered);
+            await this.removeStoredFile(delivered);
+            await this.audit('delivery.delivered', delivered);
+
+            logger.info(`Delivered document ${delivery.documentId} to ${delivery.department} (${delivery.destination.type})`);
+        } catch (error) {
+            const deadLetter = attempts >= config.delivery.maxAttempts;
+            const failed = await this.store.update(deliveryId, {
+                status: deadLetter ? 'dead_letter' : 'pending',
+                attempts,
+                lastError: error.message,
+                updatedAt: new Date().toISOString()
+            });
+            await this.recordDocumentStatus(failed);
+            await this.audit(deadLetter ? 'delivery.dead_lettered' : 'delivery.failed', failed);
+
+            if (deadLetter) {
+                logger.error(`Delivery ${deliveryId} moved to dead-letter list after ${attempts} attempts: ${error.message}`);
+            } else {
+                const delayMs = config.delivery.retryBaseDelayMs * 2 ** (attempts - 1);
+                logger.warn(`Delivery ${deliveryId} attempt ${attempts} failed (${error.message}); retrying in ${delayMs}ms`);
+                this.scheduleAttempt(deliveryId, delayMs);
+            }
+        }
+    }
+
+    async buildPayload(delivery, document) {
+        const payload = {
+            event: 'document.routed',
+            deliveryId: delivery.id,
+            tenantId: getTenantId(document),
+            documentId: document.id,
+            department: delivery.department,
+            documentType: document.documentType,
+            metadata: document.metadata,
+            classification: document.result,
+            review: document.review || null,
+            sentAt: new Date().toISOString()
+        };
+
+        if (delivery.file) {
+            const content = await fs.readFile(delivery.file.path);
+            payload.file = {
+                name: delivery.file.name,
+                mimeType: delivery.file.mimeType,
+                contentBase64: content.toString('base64')
+            };
+        }
+
+        return payload;
+    }
+
+    async send(destination, payload, document) {
+        const body = JSON.stringify(payload);
+        const timestamp = Date.now().toString();
+        const signature = this.sign(body, timestamp);
+
+        switch (destination.type) {
+            case 'webhook':
+                return this.sendWebhook(destination, body, timestamp, signature);
+            case 'folder':
+                return this.sendToFolder(destination, payload, body, timestamp, signature);
+            case 'email':
+                return this.sendEmail(destination, payload, body, timestamp, signature, document);
+            default:
+                throw new Error(`Unsupported destination type: ${destination.type}`);
+        }
+    }
+
+    async sendWebhook(destination, body, timestamp, signature) {
+        const response = await fetch(destination.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-DocRoute-Timestamp': timestamp,
+                'X-DocRoute-Signature': `sha256=${signature}`,
+                ...(destination.headers || {})
+            },
+            body,
+            signal: AbortSignal.timeout(config.delivery.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded with status ${response.status}`);
+        }
+    }
+
+    async sendToFolder(destination, payload, body, timestamp, signature) {
+        await fs.mkdir(destination.path, { recursive: true });
+
+        const envelope = { timestamp, signature: `sha256=${signature}`, payload: JSON.parse(body) };
+        if (envelope.payload.file) {
+            // The file is written next to the JSON instead of being embedded
+            delete envelope.payload.file;
+            await fs.writeFile(
+                path.join(destination.path, `${payload.documentId}-${path.basename(payload.file.name)}`),
+                Buffer.from(payload.file.contentBase64, 'base64')
+            );
+        }
+
+        await fs.writeFile(
+            path.join(destination.path, `${payload.documentId}.json`),
+            JSON.stringify(envelope, null, 2)
+        );
+    }
+
+    // SMTP stand-in: writes an RFC 822 message to the outbox folder
+    async sendEmail(destination, payload, body, timestamp, signature, document) {
+        const boundary = `docroute-${crypto.randomUUID()}`;
+        const subject = `[DocRoute] ${document.documentType} routed to ${payload.department}`
+            + (document.metadata.fileName ? `: ${document.metadata.fileName}` : '');
+
+        const lines = [
+            `From: ${config.delivery.emailFrom}`,
+            `To: ${destination.to}`,
+            `Subject: ${encodeHeaderValue(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `X-DocRoute-Timestamp: ${timestamp}`,
+            `X-DocRoute-Signature: sha256=${signature}`,
+            'MIME-Version: 1.0',
+            `Content-Type: multipart/mixed; boundary="${boundary}"`,
+            '',
+            `--${boundary}`,
+            'Content-Type: application/json; charset=utf-8',
+            '',
+            body
+        ];
+
+        if (payload.file) {
+            lines.push(
+                `--${boundary}`,
+                `Content-Type: ${payload.file.mimeType || 'application/octet-stream'}`,
+                'Content-Transfer-Encoding: base64',
+                `Content-Disposition: attachment; ${encodeFileNameParameter(payload.file.name)}`,
+                '',
+                payload.file.contentBase64.replace(/.{76}/g, '$&\r\n')
+            );
+        }
+
+        lines.push(`--${boundary}--`, '');
+
+        await fs.mkdir(config.delivery.outboxPath, { recursive: true });
+        await fs.writeFile(path.join(config.delivery.outboxPath, `${payload.deliveryId}.eml`), lines.join('\r\n'));
+    }
+
+    async recordDocumentStatus(delivery) {
+        await documentStoreService.updateDocument(delivery.documentId, {
+            delivery: {
+                id: delivery.id,
+                status: delivery.status,
+                department: delivery.department,
+                destinationType: delivery.destination.type,
+                attempts: delivery.attempts,
+                lastError: delivery.lastError,
+                deliveredAt: delivery.deliveredAt
+            }
+        });
+    }
+
+    async removeStoredFile(delivery) {
+        if (delivery.file) {
+            await fs.rm(delivery.file.path, { force: true });
+        }
+    }
+
+    // Deliveries of other tenants are reported as not found
+    async getDelivery(id, tenantId = null) {
+        const delivery = await this.store.findById(id);
+        return delivery && belongsToTenant(delivery, tenantId) ? delivery : null;
+    }
+
+    // List deliveries by status, newest first
+    async listDeliveries(status, { page = 1, limit = 20 } = {}, tenantId = null) {
+        const matches = await this.store.find(delivery =>
+            belongsToTenant(delivery, tenantId) && (!status || delivery.status === status)
+        );
+        matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const total = matches.length;
+        const start = (page - 1) * limit;
+
+        return {
+            deliveries: matches.slice(start, start + limit),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    // Move a dead-lettered delivery back to pending and try again immediately.
+    // context ({ requestId, actor }) is recorded in the audit trail.
+    async retryDelivery(id, tenantId = null, context = {}) {
+        const delivery = await this.getDelivery(id, tenantId);
+
+        if (!delivery) {
+            throw new ApiError(404, 'Delivery not found');
+        }
+
+        if (delivery.status !== 'dead_letter') {
+            throw new ApiError(409, `Only dead-lettered deliveries can be retried (status is '${delivery.status}')`);
+        }
+
+        const pending = await this.store.update(id, {
+            status: 'pending',
+            attempts: 0,
+            updatedAt: new Date().toISOString()
+        });
+        await this.recordDocumentStatus(pending);
+        await this.audit('delivery.retried', pending, context);
+
+        this.scheduleAttempt(id, 0);
+        return pending;
+    }
+
+    // Delivery outcomes are audited in the background; an audit failure must not change the outcome
+    async audit(event, delivery, { requestId = null, actor = null } = {}) {
+        try {
+            await auditService.record({
+                event,
+                tenantId: getTenantId(delivery),
+                requestId,
+                actor,
+                documentId: delivery.documentId,
+                data: {
+                    deliveryId: delivery.id,
+                    department: delivery.department,
+                    destinationType: delivery.destination.type,
+                    status: delivery.status,
+                    attempts: delivery.attempts,
+                    lastError: delivery.lastError
+                }
+            });
+        } catch (error) {
+            logger.error(`Failed to audit ${event} for delivery ${delivery.id}`, { error });
+        }
+    }
+
+    // Restart deliveries left pending by a previous run
+    async resumePendingDeliveries() {
+        const pending = await this.store.find(delivery => delivery.status === 'pending');
+        pending.forEach(delivery => this.scheduleAttempt(delivery.id, 0));
+        return pending.length;
+    }
+}
+
+export default new DeliveryService();
@@ -1,55 +1,36 @@
-﻿import fs from 'fs/promises';
-import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+﻿import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
 import { ApiError } from '../utils/ApiError.js';
-import geminiService from './geminiService.js';
+import chunkingService from './chunkingService.js';
+import classifierService from './classifierService.js';
+import extractionSchemaService from './extractionSchemaService.js';
+import { extractionSchemas } from '../config/extractionSchemas.js';
+import { languages } from '../config/languages.js';
+import documentStoreService from './documentStoreService.js';
+import reviewService from './reviewService.js';
+import routingRulesService from './routingRulesService.js';
+import deliveryService from './deliveryService.js';
+import extractorRegistry from './extractorRegistry.js';
+import dedupeService from './dedupeService.js';
+import taxonomyService from './taxonomyService.js';
+import auditService from './auditService.js';
+import redactionService from './redactionService.js';
+import splitService from './splitService.js';
+import matchingService from './matchingService.js';
 import { config } from '../config/config.js';
+import { detectLanguage } from '../utils/languageDetector.js';
+import { logger } from '../utils/logger.js';
+import metricsService from './metricsService.js';
 
 class DocumentService {
-    constructor() {
-        this.supportedMimeTypes = {
-            'application/pdf': 'pdf',
-            'text/plain': 'txt'
-        };
-    }
-
-    // Extract text from PDF file
-    async extractTextFromPDF(filePath) {
-        try {
-            const dataBuffer = await fs.readFile(filePath);
-            const data = await pdfParse(dataBuffer);
-            
-            if (!data.text || data.text.trim().length === 0) {
-                throw new ApiError(400, 'PDF file appears to be empty or contains no extractable text');
-            }
-            return data.text;
-        } catch (error) {
-            if (error instanceof ApiError) {
-                throw error;
-            }
-            console.error('PDF extraction error:', error);
-            throw new ApiError(500, 'Failed to extract text from PDF file');
-        }
-    }
-
-    // Extract text from TXT file
-    async extractTextFromTXT(filePath) {
-        try {
-            const content = await fs.readFile(filePath, 'utf-8');
-            
-            if (!content || content.trim().length === 0) {
-                throw new ApiError(400, 'Text file is empty');
-            }
-            return content;
-        } catch (error) {
-            if (error instanceof ApiError) {
-                throw error;
-            }
-            console.error('Text file reading error:', error);
-            throw new ApiError(500, 'Failed to read text file');
-        }
+    // Look up the mime type handled for a file extension (e.g. '.pdf')
+    getMimeTypeForExtension(extension) {
+        return extractorRegistry.getMimeTypeForExtension(extension);
     }
 
-    // Extract text content from uploaded file based on mime type
+    // Extract text content from uploaded file based on mime type.
+    // Returns { text, extractionMethod } plus ocrConfidence/attachments when the extractor provides them.
     async extractTextFromFile(filePath, mimeType) {
         try {
             if (!filePath) {
@@ -62,43 +43,53 @@ class DocumentService {
                 throw new ApiError(404, 'File not found');
             }
 
-            const fileType = this.supportedMimeTypes[mimeType];
+            const extractor = extractorRegistry.getExtractor(mimeType);
             
-            if (!fileType) {
+            if (!extractor) {
                 throw new ApiError(400, `Unsupported file type: ${mimeType}`);
             }
 
-            let extractedText = '';
-
-            switch (fileType) {
-                case 'pdf':
-                    extractedText = await this.extractTextFromPDF(filePath);
-                    break;
-                case 'txt':
-                    extractedText = await this.extractTextFromTXT(filePath);
-                    break;
-                default:
-                    throw new ApiError(400, 'Unsupported file format');
-            }
+            const startedAt = process.hrtime.bigint();
+            const extraction = await extractor.extract(filePath, mimeType);
+            metricsService.observeExtraction(mimeType, extraction.extractionMethod, Number(process.hrtime.bigint() - startedAt) / 1e9);
 
             // Validate extracted content
-            if (!extractedText || extractedText.trim().length === 0) {
+            if (!extraction.text || extraction.text.trim().length === 0) {
                 throw new ApiError(400, 'No text content could be extracted from the file');
             }
 
-            return extractedText;
+            return extraction;
 
         } catch (error) {
             if (error instanceof ApiError) {
                 throw error;
             }
-            console.error('Text extraction error:', error);
+            logger.error('Text extraction error', { error });
             throw new ApiError(500, 'Failed to extract text from file');
         }
     }
 
-    // Process and classify uploaded document
-    async processDocument(file) {
+    // Process and classify uploaded document for a tenant.
+    // Attachments (e.g. of emails) are processed as child documents of this one.
+    // force skips the classification cache and classifies the document again.
+    // onProgress(stage, data) is told about each processing stage (see progressService).
+    // requestId and actor (the API key name) are recorded in the audit trail.
+    // split detects the documents of a multi-document PDF and classifies each one (emitPdfs returns their PDFs);
+    // its sub-documents come back in with their pages already extracted and their pageRange in the PDF.
+    async processDocument(file, {
+        tenantId = config.auth.defaultTenantId,
+        parentDocumentId = null,
+        depth = 0,
+        force = false,
+        onProgress = () => {},
+        requestId = null,
+        actor = null,
+        split = false,
+        emitPdfs = false,
+        extracted = null,
+        pageRange = null,
+        splitFrom = null
+    } = {}) {
         let tempFilePath = null;
         
         try {
@@ -107,6 +98,7 @@ class DocumentService {
             }
 
             tempFilePath = file.path;
+            onProgress('received', { fileName: file.originalname, fileSize: file.size, mimeType: file.mimetype });
 
             // Validate file size
             if (file.size > config.maxFileSize) {
@@ -118,38 +110,171 @@ class DocumentService {
                 throw new ApiError(400, `File type ${file.mimetype} is not supported. Allowed types: ${config.allowedFileTypes.join(', ')}`);
             }
 
+            if (split && file.mimetype !== 'application/pdf') {
+                throw new ApiError(400, 'Only PDF documents can be split');
+            }
+
             // Extract text from the document
-            console.log(`Extracting text from ${file.originalname} (${file.mimetype})...`);
-            const extractedText = await this.extractTextFromFile(file.path, file.mimetype);
+            let extraction = extracted;
+            if (!extraction) {
+                logger.info(`Extracting text from ${file.originalname} (${file.mimetype})...`);
+                onProgress('extracting', { mimeType: file.mimetype });
+                extraction = await this.extractTextFromFile(file.path, file.mimetype);
+            }
+            const extractedText = extraction.text;
+            const fileHash = await this.hashFile(file.path);
+            onProgress('extracted', {
+                characters: extractedText.length,
+                pages: extraction.pages ? extraction.pages.length : null,
+                extractionMethod: extraction.extractionMethod
+            });
 
-            // Truncate text if too long (to avoid token limits)
-            const maxTextLength = 50000;
-            const textToClassify = extractedText.length > maxTextLength 
-                ? extractedText.substring(0, maxTextLength) + '\n...(truncated)'
-                : extractedText;
+            if (split && extraction.pages && extraction.pages.length > 1) {
+                const splitResult = await this.processSplitDocument(file, extraction, {
+                    tenantId, depth, force, onProgress, requestId, actor, emitPdfs, fileHash
+                });
+
+                // A single detected document is classified as usual
+                if (splitResult) {
+                    onProgress('completed', {
+                        split: true,
+                        documentCount: splitResult.documentCount,
+                        documentIds: splitResult.documents.filter(document => document.id).map(document => document.id)
+                    });
+                    return splitResult;
+                }
+            }
 
-            console.log(`Text extracted (${extractedText.length} characters). Classifying...`);
+            logger.info(`Text extracted (${extractedText.length} characters). Classifying...`);
 
-            // Classify document using Gemini AI
-            const classification = await geminiService.classifyDocument(textToClassify);
+            const metadata = {
+                fileName: file.originalname,
+                fileSize: file.size,
+                mimeType: file.mimetype,
+                extractionMethod: extraction.extractionMethod,
+                ...(parentDocumentId && { parentDocumentId }),
+                ...(pageRange && { pageRange, splitFrom })
+            };
+            const resultMetadata = {
+                fileName: file.originalname,
+                fileSize: file.size,
+                mimeType: file.mimetype,
+                uploadedAt: new Date().toISOString(),
+                extractionMethod: extraction.extractionMethod,
+                ...(extraction.pages && { pageCount: extraction.pages.length }),
+                ...(pageRange && { pageRange }),
+                ...(extraction.ocrConfidence !== undefined && { ocrConfidence: extraction.ocrConfidence })
+            };
+
+            const duplicates = await this.checkDuplicates(extractedText, tenantId, force);
+            if (duplicates.cachedDocument) {
+                const cached = await this.saveCachedClassification(duplicates.cachedDocument, {
+                    tenantId, source: 'upload', text: extractedText, metadata, resultMetadata, requestId, actor, fileHash
+                });
+                onProgress('completed', this.describeCompletion(cached));
+                return cached;
+            }
+
+            const language = detectLanguage(extractedText);
+
+            // Personal data never leaves the server: the classifier only sees redacted text
+            const redaction = await redactionService.createRedactor(tenantId);
+            const redactedText = redaction.redactor.redact(extractedText);
+            const redactedPages = extraction.pages ? extraction.pages.map(page => redaction.redactor.redact(page)) : null;
+
+            // Classify document using the configured provider (chunked by page when too long)
+            onProgress('classifying', { chunked: chunkingService.needsChunking(redactedText) });
+            // The prompt version is chosen once, so every chunk of the document is classified with it
+            const promptVersions = classifierService.selectPromptVersions(redactedText);
+            const aiClassification = await chunkingService.classify(redactedText, {
+                pages: redactedPages,
+                onProgress,
+                tenantId,
+                promptVersions
+            });
+
+            // Put the redacted values back, then validate and normalize extracted fields against the
+            // document type's schema, reading dates and amounts the way the document's language writes them
+            const typedClassification = extractionSchemaService.applySchema(
+                redactionService.restoreExtractedData({ ...aiClassification, language }, redaction),
+                extractionSchemaService.getLocaleOptions(language)
+            );
+
+            // Apply deterministic routing rules on top of the AI classification, then hide the
+            // redacted values the final department may not see
+            const classification = redactionService.restoreClassification(
+                await routingRulesService.applyRules(typedClassification, extractedText, tenantId),
+                redaction
+            );
+            onProgress('rule-evaluated', {
+                documentType: classification.documentType,
+                department: classification.department,
+                matchedRule: classification.matchedRule ? classification.matchedRule.id : null
+            });
 
             // Build complete response
             const result = this.buildClassificationResult(classification, {
+                ...resultMetadata,
+                ...(duplicates.possibleDuplicates.length > 0 && { possibleDuplicates: duplicates.possibleDuplicates })
+            });
+
+            logger.info(`Document classified as ${result.documentType} with ${(result.confidence * 100).toFixed(1)}% confidence`, {
                 fileName: file.originalname,
-                fileSize: file.size,
-                mimeType: file.mimetype,
-                uploadedAt: new Date().toISOString()
+                documentType: result.documentType,
+                department: result.department,
+                confidence: result.confidence,
+                provider: result.provider,
+                ...(result.fallback && { fallbackReason: result.fallbackReason })
             });
+            metricsService.recordClassification(result);
+
+            // Persist the classification
+            const record = await documentStoreService.saveClassification({
+                tenantId,
+                source: 'upload',
+                text: extractedText,
+                metadata,
+                result
+            });
+            await this.indexForDuplicates(record, duplicates.signature);
 
-            console.log(`Document classified as ${result.documentType} with ${(result.confidence * 100).toFixed(1)}% confidence`);
+            const routed = await this.routeDocument(record, result, file.path);
+            // The audit trail keeps the model's output with placeholders, the way the model saw the document
+            await this.auditClassification({
+                requestId, actor, record, routed, fileHash,
+                classification: redactionService.concealExtractedData(typedClassification, redaction)
+            });
+            await this.matchDocument(record, routed);
+
+            if (extraction.attachments && extraction.attachments.length > 0) {
+                routed.attachments = await this.processAttachments(extraction.attachments, record, depth, {
+                    force, onProgress, requestId, actor
+                });
+                await documentStoreService.updateDocument(record.id, {
+                    attachmentIds: routed.attachments.filter(attachment => attachment.id).map(attachment => attachment.id)
+                });
+            }
 
-            return result;
+            onProgress('completed', this.describeCompletion(routed));
+            return routed;
 
         } catch (error) {
+            await this.auditFailure({
+                tenantId,
+                requestId,
+                actor,
+                source: 'upload',
+                fileName: file ? file.originalname : null,
+                mimeType: file ? file.mimetype : null,
+                error
+            });
+
             if (error instanceof ApiError) {
+                onProgress('failed', { statusCode: error.statusCode, error: error.message });
                 throw error;
             }
-            console.error('Document processing error:', error);
+            logger.error('Document processing error', { error });
+            onProgress('failed', { statusCode: 500, error: 'Failed to process document' });
             throw new ApiError(500, 'Failed to process document');
         } finally {
             // Clean up temporary file
@@ -159,8 +284,155 @@ class DocumentService {
         }
     }
 
-    // Classify text content
-    async classifyText(textContent) {
+    // Detect the documents stacked in a multi-document PDF and process each as its own document,
+    // written to its own PDF (so departments receive only their pages) and tagged with its page range.
+    // Returns null when the whole file is a single document.
+    async processSplitDocument(file, extraction, { tenantId, depth, force, onProgress, requestId, actor, emitPdfs, fileHash }) {
+        const { pages } = extraction;
+
+        if (pages.length > config.split.maxPages) {
+            throw new ApiError(400, `Only documents of at most ${config.split.maxPages} pages can be split (this one has ${pages.length})`);
+        }
+
+        // Pages are classified individually, redacted like any other text sent to the classifier
+        onProgress('splitting', { pages: pages.length });
+        const redaction = await redactionService.createRedactor(tenantId);
+        // The pages only find document boundaries: they share one prompt version and run no shadow classifications
+        const promptVersions = classifierService.selectPromptVersions(extraction.text);
+        const documents = await splitService.detectDocuments(pages, {
+            classificationPages: pages.map(page => redaction.redactor.redact(page)),
+            tenantId,
+            promptVersions: promptVersions && { ...promptVersions, shadow: null },
+            onProgress
+        });
+        onProgress('split', {
+            documents: documents.map(({ pageStart, pageEnd, reason }) => ({ pageStart, pageEnd, reason }))
+        });
+
+        if (documents.length === 1) {
+            return null;
+        }
+
+        logger.info(`Detected ${documents.length} documents in ${file.originalname}`);
+
+        const extension = path.extname(file.originalname);
+        const baseName = path.basename(file.originalname, extension);
+        const results = [];
+
+        for (const document of documents) {
+            const pageRange = { start: document.pageStart, end: document.pageEnd };
+            const label = `${pageRange.start}-${pageRange.end}`;
+            const fileName = `${baseName}-pages-${label}${extension}`;
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const partPath = path.join(config.tempUploadPath, `${baseName}-pages-${label}-${uniqueSuffix}${extension}`);
+            const partPages = pages.slice(pageRange.start - 1, pageRange.end);
+            const boundary = { reason: document.reason, pages: document.pages };
+
+            try {
+                const size = await splitService.writePdfPages(file.path, pageRange.start, pageRange.end, partPath);
+                const splitPdf = emitPdfs
+                    ? { fileName, size, content: (await fs.readFile(partPath)).toString('base64') }
+                    : null;
+
+                const result = await this.processDocument({
+                    originalname: fileName,
+                    path: partPath,
+                    size,
+                    mimetype: file.mimetype
+                }, {
+                    tenantId,
+                    depth,
+                    force,
+                    requestId,
+                    actor,
+                    extracted: {
+                        text: partPages.join('\n\n'),
+                        extractionMethod: extraction.extractionMethod,
+                        pages: partPages,
+                        ...(extraction.ocrConfidence !== undefined && { ocrConfidence: extraction.ocrConfidence })
+                    },
+                    pageRange,
+                    splitFrom: { fileName: file.originalname, fileHash, pageCount: pages.length },
+                    // Sub-document stages are reported on the upload's stream, tagged with their page range
+                    onProgress: (stage, data) => onProgress(stage, { ...data, pageRange: label })
+                });
+
+                results.push({ ...result, boundary, ...(splitPdf && { splitPdf }) });
+            } catch (error) {
+                logger.error(`Failed to process pages ${label} of ${file.originalname}`, { error: error.message });
+                results.push({ fileName, pageRange, boundary, error: error.message });
+            }
+        }
+
+        return {
+            fileName: file.originalname,
+            fileSize: file.size,
+            mimeType: file.mimetype,
+            uploadedAt: new Date().toISOString(),
+            extractionMethod: extraction.extractionMethod,
+            pageCount: pages.length,
+            split: true,
+            documentCount: results.length,
+            documents: results
+        };
+    }
+
+    // Classify each supported attachment individually
+    async processAttachments(attachments, parent, depth, { force = false, onProgress = () => {}, requestId = null, actor = null } = {}) {
+        // Attachments of attachments (e.g. an email forwarded as .eml) are not expanded
+        const maxAttachmentDepth = 1;
+        const results = [];
+
+        for (const attachment of attachments) {
+            const mimeType = extractorRegistry.getExtractor(attachment.mimeType)
+                ? attachment.mimeType
+                : extractorRegistry.getMimeTypeForFileName(attachment.fileName);
+
+            if (!mimeType || !config.allowedFileTypes.includes(mimeType)) {
+                results.push({ fileName: attachment.fileName, skipped: true, reason: 'Unsupported attachment type' });
+                continue;
+            }
+
+            if (depth + 1 > maxAttachmentDepth) {
+                results.push({ fileName: attachment.fileName, skipped: true, reason: 'Attachment nesting too deep' });
+                continue;
+            }
+
+            // Write the attachment where processDocument expects an uploaded file
+            const extension = path.extname(attachment.fileName);
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const attachmentPath = path.join(config.tempUploadPath, `${path.basename(attachment.fileName, extension)}-${uniqueSuffix}${extension}`);
+            await fs.writeFile(attachmentPath, attachment.content);
+
+            try {
+                const result = await this.processDocument({
+                    originalname: attachment.fileName,
+                    path: attachmentPath,
+                    size: attachment.content.length,
+                    mimetype: mimeType
+                }, {
+                    tenantId: parent.tenantId,
+                    parentDocumentId: parent.id,
+                    depth: depth + 1,
+                    force,
+                    requestId,
+                    actor,
+                    // Attachment stages are reported on the parent's stream, tagged with the attachment name
+                    onProgress: (stage, data) => onProgress(stage, { ...data, attachment: attachment.fileName })
+                });
+
+                results.push(result);
+            } catch (error) {
+                logger.error(`Failed to process attachment ${attachment.fileName}`, { error: error.message });
+                results.push({ fileName: attachment.fileName, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    // Classify text content for a tenant; force skips the classification cache
+    async classifyText(textContent, { tenantId = config.auth.defaultTenantId, force = false, requestId = null, actor = null } = {}) {
         try {
             if (!textContent || typeof textContent !== 'string') {
                 throw new ApiError(400, 'Text content is required');
@@ -170,36 +442,316 @@ class DocumentService {
                 throw new ApiError(400, 'Text content cannot be empty');
             }
 
-            // Truncate text if too long
-            const maxTextLength = 50000;
-            const textToClassify = textContent.length > maxTextLength 
-                ? textContent.substring(0, maxTextLength) + '\n...(truncated)'
-                : textContent;
+            logger.info(`Classifying text content (${textContent.length} characters)...`);
+
+            const duplicates = await this.checkDuplicates(textContent, tenantId, force);
+            if (duplicates.cachedDocument) {
+                return await this.saveCachedClassification(duplicates.cachedDocument, {
+                    tenantId,
+                    source: 'text',
+                    text: textContent,
+                    metadata: { contentLength: textContent.length },
+                    resultMetadata: { contentLength: textContent.length, classifiedAt: new Date().toISOString() },
+                    requestId,
+                    actor
+                });
+            }
+
+            // Classify redacted text using the configured provider (chunked when too long)
+            const language = detectLanguage(textContent);
+            const redaction = await redactionService.createRedactor(tenantId);
+            const redactedText = redaction.redactor.redact(textContent);
+            const aiClassification = await chunkingService.classify(redactedText, {
+                tenantId,
+                promptVersions: classifierService.selectPromptVersions(redactedText)
+            });
 
-            console.log(`Classifying text content (${textContent.length} characters)...`);
+            // Put the redacted values back, then validate and normalize extracted fields against the
+            // document type's schema in the text's locale
+            const typedClassification = extractionSchemaService.applySchema(
+                redactionService.restoreExtractedData({ ...aiClassification, language }, redaction),
+                extractionSchemaService.getLocaleOptions(language)
+            );
 
-            // Classify using Gemini AI
-            const classification = await geminiService.classifyDocument(textToClassify);
+            // Apply deterministic routing rules, then hide the redacted values the final department may not see
+            const classification = redactionService.restoreClassification(
+                await routingRulesService.applyRules(typedClassification, textContent, tenantId),
+                redaction
+            );
 
             // Build response
             const result = this.buildClassificationResult(classification, {
                 contentLength: textContent.length,
-                classifiedAt: new Date().toISOString()
+                classifiedAt: new Date().toISOString(),
+                ...(duplicates.possibleDuplicates.length > 0 && { possibleDuplicates: duplicates.possibleDuplicates })
             });
 
-            console.log(`Text classified as ${result.documentType} with ${(result.confidence * 100).toFixed(1)}% confidence`);
+            logger.info(`Text classified as ${result.documentType} with ${(result.confidence * 100).toFixed(1)}% confidence`, {
+                documentType: result.documentType,
+                department: result.department,
+                confidence: result.confidence,
+                provider: result.provider,
+                ...(result.fallback && { fallbackReason: result.fallbackReason })
+            });
+            metricsService.recordClassification(result);
+
+            // Persist the classification
+            const record = await documentStoreService.saveClassification({
+                tenantId,
+                source: 'text',
+                text: textContent,
+                metadata: {
+                    contentLength: textContent.length
+                },
+                result
+            });
+            await this.indexForDuplicates(record, duplicates.signature);
+
+            const routed = await this.routeDocument(record, result);
+            await this.auditClassification({
+                requestId, actor, record, routed,
+                classification: redactionService.concealExtractedData(typedClassification, redaction)
+            });
+            await this.matchDocument(record, routed);
 
-            return result;
+            return routed;
 
         } catch (error) {
+            await this.auditFailure({ tenantId, requestId, actor, source: 'text', error });
+
             if (error instanceof ApiError) {
                 throw error;
             }
-            console.error('Text classification error:', error);
+            logger.error('Text classification error', { error });
             throw new ApiError(500, 'Failed to classify text content');
         }
     }
 
+    // Summary of a processed document for the 'completed' progress event
+    describeCompletion(result) {
+        return {
+            documentId: result.id,
+            documentType: result.documentType,
+            department: result.department,
+            confidence: result.confidence,
+            reviewRequired: result.reviewRequired,
+            deliveryStatus: result.deliveryStatus || null,
+            cached: Boolean(result.cached)
+        };
+    }
+
+    // Look for an identical, still-cached classification and for near-duplicate documents of the tenant
+    async checkDuplicates(text, tenantId, force) {
+        if (!config.dedupe.enabled) {
+            return { cachedDocument: null, signature: null, possibleDuplicates: [] };
+        }
+
+        if (!force) {
+            const cachedDocument = await dedupeService.findCachedClassification(documentStoreService.hashText(text), tenantId);
+            if (cachedDocument) {
+                return { cachedDocument, signature: null, possibleDuplicates: [] };
+            }
+        }
+
+        const signature = dedupeService.computeSignature(text);
+        const possibleDuplicates = await dedupeService.findNearDuplicates(signature, tenantId);
+        if (possibleDuplicates.length > 0) {
+            logger.info(`Found ${possibleDuplicates.length} possible duplicates (best match ${possibleDuplicates[0].documentId})`);
+        }
+
+        return { cachedDocument: null, signature, possibleDuplicates };
+    }
+
+    async indexForDuplicates(record, signature) {
+        if (signature) {
+            await dedupeService.indexDocument(record, signature);
+        }
+    }
+
+    // Record an exact duplicate with the earlier classification.
+    // It is not reviewed or delivered again; the original document already was.
+    async saveCachedClassification(original, { tenantId, source, text, metadata, resultMetadata, requestId = null, actor = null, fileHash = null }) {
+        const result = {
+            ...original.result,
+            ...resultMetadata,
+            // Reflect a reviewer's decision on the original
+            documentType: original.documentType,
+            department: original.department,
+            cached: true,
+            cachedFrom: original.id,
+            originalClassifiedAt: original.createdAt,
+            originalStatus: original.status
+        };
+        delete result.possibleDuplicates;
+
+        const record = await documentStoreService.saveClassification({
+            tenantId,
+            source,
+            status: 'duplicate',
+            text,
+            metadata: { ...metadata, duplicateOf: original.id },
+            result
+        });
+
+        logger.info(`Document ${record.id} is a duplicate of ${original.id}; reusing its classification`);
+
+        await this.recordAudit({
+            event: 'document.duplicate',
+            tenantId,
+            requestId,
+            actor,
+            documentId: record.id,
+            data: {
+                source,
+                fileName: metadata.fileName || null,
+                fileHash,
+                textHash: record.textHash,
+                duplicateOf: original.id,
+                routing: {
+                    documentType: result.documentType,
+                    department: result.department,
+                    reviewRequired: false,
+                    deliveryStatus: 'skipped_duplicate'
+                }
+            }
+        });
+
+        return { id: record.id, ...result, reviewRequired: false, deliveryStatus: 'skipped_duplicate' };
+    }
+
+    // Append an entry to the audit trail. The document is already stored (and maybe delivered) by now,
+    // so a failed audit write is logged instead of failing a request whose work was committed.
+    async recordAudit(entry) {
+        try {
+            await auditService.record(entry);
+        } catch (error) {
+            logger.error(`Failed to audit ${entry.event} for document ${entry.documentId}`, { error });
+        }
+    }
+
+    // Record a document or text that could not be classified, with the error the caller got
+    async auditFailure({ tenantId, requestId, actor, source, fileName = null, mimeType = null, error }) {
+        await this.recordAudit({
+            event: 'document.classification_failed',
+            tenantId,
+            requestId,
+            actor,
+            data: {
+                source,
+                fileName,
+                mimeType,
+                statusCode: error instanceof ApiError ? error.statusCode : 500,
+                error: error.message
+            }
+        });
+    }
+
+    // Append who submitted the document, what the model said and where it was routed to the audit trail.
+    // classification is the validated model output; routed is the final outcome after rules and review.
+    async auditClassification({ requestId, actor, record, classification, routed, fileHash = null }) {
+        await this.recordAudit({
+            event: 'document.classified',
+            tenantId: record.tenantId,
+            requestId,
+            actor,
+            documentId: record.id,
+            data: {
+                source: record.source,
+                fileName: record.metadata.fileName || null,
+                fileHash,
+                textHash: record.textHash,
+                parentDocumentId: record.metadata.parentDocumentId || null,
+                pageRange: record.metadata.pageRange || null,
+                language: classification.language || null,
+                provider: classification.provider,
+                model: classification.model || null,
+                promptVersion: classification.promptVersion || null,
+                rawResponse: auditService.truncateRawResponse(classification.rawResponses || classification.rawResponse),
+                redaction: routed.redaction || null,
+                result: {
+                    documentType: classification.documentType,
+                    confidence: classification.confidence,
+                    department: classification.department,
+                    routingConfidence: classification.routingConfidence,
+                    extractedData: classification.extractedData,
+                    extractionValidation: classification.extractionValidation,
+                    fallback: Boolean(classification.fallback)
+                },
+                thresholds: {
+                    confidenceThreshold: config.confidenceThreshold,
+                    confidenceLevels: config.confidenceLevels
+                },
+                routing: {
+                    documentType: routed.documentType,
+                    department: routed.department,
+                    matchedRule: routed.matchedRule ? routed.matchedRule.id : null,
+                    reviewRequired: routed.reviewRequired,
+                    reviewId: routed.reviewId || null,
+                    deliveryStatus: routed.deliveryStatus || null
+                }
+            }
+        });
+    }
+
+    // Three-way match invoices with purchase orders and receipts without letting matching problems fail the classification
+    async matchDocument(record, routed) {
+        try {
+            const matching = await matchingService.matchDocument(record);
+            if (matching) {
+                routed.matching = matching;
+            }
+        } catch (error) {
+            logger.error(`Failed to match document ${record.id}`, { error });
+        }
+    }
+
+    // SHA-256 of an uploaded file's bytes
+    async hashFile(filePath) {
+        const content = await fs.readFile(filePath);
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    // Queue low-confidence classifications for review; deliver the rest to their department
+    async routeDocument(record, result, filePath = null) {
+        if (reviewService.requiresReview(result)) {
+            const review = await reviewService.createReview(record);
+            logger.info(`Document ${record.id} queued for manual review (${review.id})`);
+
+            // The upload is deleted after this request; keep the file for delivery after the review
+            if (filePath) {
+                try {
+                    await deliveryService.holdFile(record, filePath);
+                } catch (error) {
+                    logger.error(`Failed to keep the file of document ${record.id} for delivery after review`, { error });
+                }
+            }
+
+            return { id: record.id, ...result, reviewRequired: true, reviewId: review.id };
+        }
+
+        const delivery = await this.deliverDocument(record, filePath);
+
+        return {
+            id: record.id,
+            ...result,
+            reviewRequired: false,
+            deliveryStatus: delivery ? delivery.status : 'not_configured'
+        };
+    }
+
+    // Schedule delivery without letting delivery problems fail the classification
+    async deliverDocument(record, filePath = null) {
+        try {
+            return await deliveryService.scheduleDelivery(record, { filePath });
+        } catch (error) {
+            logger.error(`Failed to schedule delivery for document ${record.id}`, { error });
+            await documentStoreService.updateDocument(record.id, {
+                delivery: { status: 'failed_to_schedule', department: record.department, lastError: error.message }
+            });
+            return { status: 'failed_to_schedule' };
+        }
+    }
+
     // result
     buildClassificationResult(classification, metadata = {}) {
         return {
@@ -209,12 +761,27 @@ class DocumentService {
             department: classification.department,
             routingConfidence: classification.routingConfidence,
             extractedData: classification.extractedData,
+            ...(classification.additionalData && { additionalData: classification.additionalData }),
+            extractionValidation: classification.extractionValidation,
             reasoning: classification.reasoning,
             suggestedActions: classification.suggestedActions,
+            language: classification.language || null,
+            provider: classification.provider,
+            model: classification.model,
+            promptVersion: classification.promptVersion,
+            ...(classification.fallback && { fallback: true, fallbackReason: classification.fallbackReason }),
+            ...(classification.extractedDataSources && { extractedDataSources: classification.extractedDataSources }),
+            ...(classification.chunking && { chunking: classification.chunking }),
+            // Long documents beyond the chunk limit were only partly classified
+            ...(classification.truncated && { truncated: true }),
+            ...(classification.fewShotExamples && { fewShotExamples: classification.fewShotExamples }),
+            ...(classification.redaction && { redaction: classification.redaction }),
+            matchedRule: classification.matchedRule || null,
             confidenceLevel: this.getConfidenceLevel(classification.confidence),
             routingRecommendation: this.getRoutingRecommendation(
                 classification.department,
-                classification.routingConfidence
+                classification.routingConfidence,
+                classification.matchedRule
             )
         };
     }
@@ -228,17 +795,13 @@ class DocumentService {
         return 'low';
     }
 
-    // Get routing recommendation based on department and confidence
-    getRoutingRecommendation(department, confidence) {
-        const departmentNames = {
-            finance: 'Finance Department',
-            procurement: 'Procurement Department',
-            legal: 'Legal Department',
-            operations: 'Operations Department',
-            general: 'General Administration'
-        };
+    // Get routing recommendation based on department, confidence and any matched routing rule
+    getRoutingRecommendation(department, confidence, matchedRule = null) {
+        const deptName = taxonomyService.getDisplayName('department', department);
 
-        const deptName = departmentNames[department] || 'General Administration';
+        if (matchedRule) {
+            return `Routed to ${deptName} by routing rule '${matchedRule.id}'`;
+        }
 
         if (confidence >= config.confidenceLevels.HIGH) {
             return `Recommended for automatic routing to ${deptName}`;
@@ -252,34 +815,31 @@ class DocumentService {
     async cleanupTempFile(filePath) {
         try {
             await fs.unlink(filePath);
-            console.log(`Cleaned up temporary file: ${filePath}`);
+            logger.info(`Cleaned up temporary file: ${filePath}`);
         } catch (error) {
-            console.error(`Failed to delete temporary file ${filePath}:`, error.message);
+            logger.error(`Failed to delete temporary file ${filePath}`, { error: error.message });
         }
     }
 
     // Get supported file types information
     getSupportedTypes() {
         return {
-            supportedFormats: [
-                {
-                    type: 'PDF',
-                    mimeType: 'application/pdf',
-                    extension: '.pdf',
-                    description: 'Portable Document Format'
-                },
-                {
-                    type: 'Text',
-                    mimeType: 'text/plain',
-                    extension: '.txt',
-                    description: 'Plain Text File'
-                }
-            ],
+            supportedFormats: extractorRegistry.getFormats()
+                .filter(format => config.allowedFileTypes.includes(format.mimeType)),
+            ocrEnabled: config.ocr.enabled,
             maxFileSize: config.maxFileSize,
             maxFileSizeMB: (config.maxFileSize / (1024 * 1024)).toFixed(2),
-            documentTypes: Object.values(config.documentTypes),
-            departments: Object.values(config.departments),
-            confidenceThreshold: config.confidenceThreshold
+            documentTypes: taxonomyService.getNames('documentType'),
+            extractionSchemas,
+            departments: taxonomyService.getNames('department'),
+            taxonomy: {
+                documentTypes: taxonomyService.getEntries('documentType').map(entry => taxonomyService.describe(entry)),
+                departments: taxonomyService.getEntries('department').map(entry => taxonomyService.describe(entry))
+            },
+            languages: Object.entries(languages).map(([code, language]) => ({ code, name: language.name })),
+            outputLanguage: config.language.outputLanguage,
+            confidenceThreshold: config.confidenceThreshold,
+            classifierProvider: config.classifierProvider
         };
     }
 }
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import path from 'path';
+import { config } from '../config/config.js';
+import { JsonStore } from '../utils/JsonStore.js';
+import { belongsToTenant } from '../utils/tenancy.js';
+import { parseDateRange } from '../utils/dateRange.js';
+
+// Persists classification results and serves history lookups
+class DocumentStoreService {
+    constructor() {
+        this.store = new JsonStore(path.join(config.dataPath, 'documents.json'));
+    }
+
+    // Hash extracted text so identical documents can be recognised later
+    hashText(text) {
+        return crypto.createHash('sha256').update(text, 'utf-8').digest('hex');
+    }
+
+    // Record a classification result
+    async saveClassification({ tenantId, source, status = 'classified', text, metadata = {}, result }) {
+        const record = {
+            id: crypto.randomUUID(),
+            tenantId,
+            source,
+            status,
+            createdAt: new Date().toISOString(),
+            textHash: this.hashText(text),
+            textLength: text.length,
+            metadata,
+            documentType: result.documentType,
+            department: result.department,
+            confidenceLevel: result.confidenceLevel,
+            result
+        };
+
+        return this.store.insert(record);
+    }
+
+    // Documents of other tenants are reported as not found
+    async getDocument(id, tenantId = null) {
+        const record = await this.store.findById(id);
+        return record && belongsToTenant(record, tenantId) ? record : null;
+    }
+
+    async updateDocument(id, changes) {
+        return this.store.update(id, changes);
+    }
+
+    // Documents of a tenant with one of the given types, newest first; duplicates only repeat their original
+    async findDocumentsByType(tenantId, documentTypes) {
+        const matches = await this.store.find(record => belongsToTenant(record, tenantId)
+            && record.status !== 'duplicate'
+            && documentTypes.includes(record.documentType));
+
+        return matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Documents of a tenant classified with one of the given prompt versions
+    async findDocumentsByVersion(tenantId, promptVersions) {
+        return this.store.find(record => belongsToTenant(record, tenantId)
+            && record.status !== 'duplicate'
+            && promptVersions.includes(record.result.promptVersion));
+    }
+
+    // List documents matching the filters, newest first
+    async listDocuments(filters = {}, { page = 1, limit = 20 } = {}) {
+        const { from, to } = parseDateRange(filters);
+
+        const matches = await this.store.find(record => {
+            if (!belongsToTenant(record, filters.tenantId)) return false;
+            if (filters.documentType && record.documentType !== filters.documentType) return false;
+            if (filters.department && record.department !== filters.department) return false;
+            if (filters.confidenceLevel && record.confidenceLevel !== filters.confidenceLevel) return false;
+
+            const createdAt = new Date(record.createdAt);
+            if (from && createdAt < from) return false;
+            if (to && createdAt > to) return false;
+
+            return true;
+        });
+
+        matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const total = matches.length;
+        const start = (page - 1) * limit;
+
+        return {
+            documents: matches.slice(start, start + limit),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+export default new DocumentStoreService();
@@ -0,0 +1,154 @@
+import { config } from '../config/config.js';
+import { extractionSchemas } from '../config/extractionSchemas.js';
+import { languages } from '../config/languages.js';
+import { parseAmount, parseCurrency, parseDate } from '../utils/normalizers.js';
+import taxonomyService from './taxonomyService.js';
+
+// Validates and normalizes extractedData against the schema for its document type
+class ExtractionSchemaService {
+    getSchema(documentType) {
+        return extractionSchemas[documentType] || extractionSchemas[config.documentTypes.OTHER];
+    }
+
+    // Describe each schema for the classification prompt, skipping retired document types
+    buildPromptInstructions() {
+        const sections = Object.entries(extractionSchemas)
+            .filter(([documentType, schema]) => Object.keys(schema.properties).length > 0 && taxonomyService.isActive('documentType', documentType))
+            .map(([documentType, schema]) => {
+                const fields = Object.entries(schema.properties).map(([name, property]) => {
+                    const required = schema.required.includes(name) ? ', required' : '';
+                    const description = property.description ? ` - ${property.description}` : '';
+                    return `  - ${name} (${this.describeType(property)}${required})${description}`;
+                });
+                return `${documentType}:\n${fields.join('\n')}`;
+            });
+
+        return `The "extractedData" object must use exactly these fields for the classified document type. Use null for fields that are not present in the document. Dates must be YYYY-MM-DD, amounts plain numbers and currencies ISO 4217 codes.\n\n${sections.join('\n\n')}`;
+    }
+
+    describeType(property) {
+        if (property.type === 'array') {
+            return property.items.type === 'object'
+                ? `array of { ${Object.keys(property.items.properties).join(', ')} }`
+                : `array of ${property.items.type}`;
+        }
+        return property.format ? `${property.type}, ${property.format}` : property.type;
+    }
+
+    // How to read ambiguous dates and amounts of a document in the detected language
+    // ({ code, confidence } from detectLanguage); uncertain or unknown languages use the configured default
+    getLocaleOptions(language = null) {
+        const locale = language && language.confidence >= config.language.minConfidence ? languages[language.code] : null;
+
+        return {
+            dayFirst: locale && locale.dayFirst !== null ? locale.dayFirst : config.extraction.dayFirstDates,
+            decimalSeparator: locale ? locale.decimalSeparator : null
+        };
+    }
+
+    // Normalize a classification's extractedData; fields outside the schema move to additionalData
+    applySchema(classification, options = this.getLocaleOptions()) {
+        const schema = this.getSchema(classification.documentType);
+        const source = classification.extractedData || {};
+        const extractedData = {};
+        const additionalData = {};
+        const invalidFields = [];
+
+        for (const [key, value] of Object.entries(source)) {
+            if (!schema.properties[key]) {
+                additionalData[key] = value;
+            }
+        }
+
+        for (const [name, property] of Object.entries(schema.properties)) {
+            const { value, errors } = this.normalizeValue(source[name], property, name, options);
+            extractedData[name] = value;
+            invalidFields.push(...errors);
+        }
+
+        // Fill the currency from an amount like "$1,200" when it was not given separately
+        if (schema.properties.currency && !extractedData.currency) {
+            const amountText = ['totalAmount', 'contractValue']
+                .map(name => source[name])
+                .find(value => typeof value === 'string');
+            extractedData.currency = parseCurrency(amountText || '') || null;
+        }
+
+        const missingFields = schema.required.filter(name => this.isEmpty(extractedData[name]));
+
+        return {
+            ...classification,
+            extractedData,
+            ...(Object.keys(additionalData).length > 0 && { additionalData }),
+            extractionValidation: {
+                schema: classification.documentType,
+                valid: missingFields.length === 0 && invalidFields.length === 0,
+                missingFields,
+                invalidFields
+            }
+        };
+    }
+
+    isEmpty(value) {
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    // Coerce a value to the schema type; returns the normalized value and any validation errors
+    normalizeValue(value, property, path, options) {
+        if (this.isEmpty(value)) {
+            return { value: property.type === 'array' ? [] : null, errors: [] };
+        }
+
+        const invalid = (reason) => ({ value: null, errors: [{ field: path, value, reason }] });
+
+        switch (property.type) {
+            case 'number': {
+                const number = parseAmount(value, options);
+                return number === null ? invalid('Expected a number') : { value: number, errors: [] };
+            }
+            case 'string': {
+                if (typeof value === 'object') {
+                    return invalid('Expected a string');
+                }
+                if (property.format === 'date') {
+                    const date = parseDate(String(value), options);
+                    return date ? { value: date, errors: [] } : invalid('Expected a date');
+                }
+                if (property.format === 'currency') {
+                    const code = parseCurrency(String(value));
+                    return code ? { value: code, errors: [] } : invalid('Expected an ISO 4217 currency code');
+                }
+                return { value: String(value).trim(), errors: [] };
+            }
+            case 'array': {
+                const items = Array.isArray(value) ? value : [value];
+                const errors = [];
+                const normalized = items
+                    .map((item, index) => {
+                        const result = this.normalizeValue(item, property.items, `${path}[${index}]`, options);
+                        errors.push(...result.errors);
+                        return result.value;
+                    })
+                    .filter(item => item !== null);
+                return { value: normalized, errors };
+            }
+            case 'object': {
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    return invalid('Expected an object');
+                }
+                const errors = [];
+                const normalized = {};
+                for (const [name, childProperty] of Object.entries(property.properties)) {
+                    const result = this.normalizeValue(value[name], childProperty, `${path}.${name}`, options);
+                    normalized[name] = result.value;
+                    errors.push(...result.errors);
+                }
+                return { value: normalized, errors };
+            }
+            default:
+                return { value, errors: [] };
+        }
+    }
+}
+
+export default new ExtractionSchemaService();
@@ -0,0 +1,71 @@
+import path from 'path';
+import pdfExtractor from './extractors/pdfExtractor.js';
+import textExtractor from './extractors/textExtractor.js';
+import imageExtractor from './extractors/imageExtractor.js';
+import docxExtractor from './extractors/docxExtractor.js';
+import spreadsheetExtractor from './extractors/spreadsheetExtractor.js';
+import emailExtractor from './extractors/emailExtractor.js';
+import htmlExtractor from './extractors/htmlExtractor.js';
+
+// Maps mime types and file extensions to text extractors.
+// An extractor is { name, formats: [{ type, mimeType, extensions, description }], extract(filePath, mimeType) }
+// where mimeType is the resolved format of the file (uploads are stored without their extension) and
+// extract resolves to { text, extractionMethod } plus optional ocrConfidence, pages and attachments.
+class ExtractorRegistry {
+    constructor() {
+        this.extractors = [];
+        this.byMimeType = new Map();
+        this.byExtension = new Map();
+
+        [
+            pdfExtractor,
+            textExtractor,
+            imageExtractor,
+            docxExtractor,
+            spreadsheetExtractor,
+            emailExtractor,
+            htmlExtractor
+        ].forEach(extractor => this.register(extractor));
+    }
+
+    register(extractor) {
+        if (!extractor.name || typeof extractor.extract !== 'function' || !Array.isArray(extractor.formats)) {
+            throw new Error('Extractors must have a name, a formats array and an extract() function');
+        }
+
+        this.extractors.push(extractor);
+
+        for (const format of extractor.formats) {
+            this.byMimeType.set(format.mimeType, extractor);
+            for (const extension of format.extensions) {
+                this.byExtension.set(extension.toLowerCase(), format.mimeType);
+            }
+        }
+    }
+
+    getExtractor(mimeType) {
+        return this.byMimeType.get(mimeType) || null;
+    }
+
+    // Look up the mime type handled for a file extension (e.g. '.pdf')
+    getMimeTypeForExtension(extension) {
+        const normalized = extension.startsWith('.') ? extension.toLowerCase() : `.${extension.toLowerCase()}`;
+        return this.byExtension.get(normalized) || null;
+    }
+
+    getMimeTypeForFileName(fileName) {
+        return this.getMimeTypeForExtension(path.extname(fileName));
+    }
+
+    // Every registered format, for GET /supported-types
+    getFormats() {
+        return this.extractors.flatMap(extractor => extractor.formats.map(format => ({
+            type: format.type,
+            mimeType: format.mimeType,
+            extension: format.extensions.join(', '),
+            description: format.description
+        })));
+    }
+}
+
+export default new ExtractorRegistry();
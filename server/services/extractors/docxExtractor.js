@@ -0,0 +1,33 @@
+import mammoth from 'mammoth';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../utils/logger.js';
+
+// Word documents
+export default {
+    name: 'docx',
+    formats: [
+        {
+            type: 'Word',
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            extensions: ['.docx'],
+            description: 'Microsoft Word Document'
+        }
+    ],
+
+    async extract(filePath) {
+        try {
+            const { value } = await mammoth.extractRawText({ path: filePath });
+
+            if (!value || value.trim().length === 0) {
+                throw new ApiError(400, 'Word document appears to be empty');
+            }
+            return { text: value, extractionMethod: 'docx' };
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('DOCX extraction error', { error });
+            throw new ApiError(500, 'Failed to extract text from Word document');
+        }
+    }
+};
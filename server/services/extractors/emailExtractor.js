@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+import { simpleParser } from 'mailparser';
+import msgReaderModule from '@kenjiuno/msgreader';
+import { ApiError } from '../../utils/ApiError.js';
+import { htmlToText } from './htmlExtractor.js';
+import { logger } from '../../utils/logger.js';
+
+const MsgReader = msgReaderModule.default;
+
+// Format the message headers and body as a single text block
+const formatEmail = ({ subject, from, to, date, body }) => [
+    subject && `Subject: ${subject}`,
+    from && `From: ${from}`,
+    to && `To: ${to}`,
+    date && `Date: ${date}`,
+    '',
+    body || ''
+].filter(line => line !== undefined && line !== null && line !== false).join('\n');
+
+const parseEml = async (filePath) => {
+    const message = await simpleParser(await fs.readFile(filePath));
+
+    return {
+        subject: message.subject,
+        from: message.from && message.from.text,
+        to: message.to && [].concat(message.to).map(address => address.text).join(', '),
+        date: message.date && message.date.toISOString(),
+        body: message.text || (message.html ? htmlToText(message.html) : ''),
+        attachments: (message.attachments || [])
+            .filter(attachment => attachment.contentDisposition !== 'inline')
+            .map(attachment => ({
+                fileName: attachment.filename || 'attachment',
+                mimeType: attachment.contentType,
+                content: attachment.content
+            }))
+    };
+};
+
+const parseMsg = async (filePath) => {
+    const buffer = await fs.readFile(filePath);
+    const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    const message = reader.getFileData();
+
+    if (message.error) {
+        throw new Error(message.error);
+    }
+
+    return {
+        subject: message.subject,
+        from: [message.senderName, message.senderEmail && `<${message.senderEmail}>`].filter(Boolean).join(' '),
+        to: (message.recipients || []).map(recipient => recipient.email || recipient.name).join(', '),
+        date: message.messageDeliveryTime,
+        body: message.body || (message.bodyHtml ? htmlToText(message.bodyHtml) : ''),
+        attachments: (message.attachments || [])
+            .filter(attachment => !attachment.innerMsgContent)
+            .map(attachment => {
+                const data = reader.getAttachment(attachment);
+                return {
+                    fileName: data.fileName || attachment.fileName || 'attachment',
+                    mimeType: attachment.attachMimeTag || null,
+                    content: Buffer.from(data.content)
+                };
+            })
+    };
+};
+
+// Emails: the body is classified as the document and attachments are returned for individual classification
+export default {
+    name: 'email',
+    formats: [
+        { type: 'Email', mimeType: 'message/rfc822', extensions: ['.eml'], description: 'Email message (attachments classified individually)' },
+        { type: 'Outlook', mimeType: 'application/vnd.ms-outlook', extensions: ['.msg'], description: 'Outlook message (attachments classified individually)' }
+    ],
+
+    async extract(filePath, mimeType) {
+        try {
+            const isMsg = mimeType === 'application/vnd.ms-outlook';
+            const { attachments, ...email } = isMsg ? await parseMsg(filePath) : await parseEml(filePath);
+            const text = formatEmail(email);
+
+            if (!email.body.trim() && !email.subject && attachments.length === 0) {
+                throw new ApiError(400, 'Email message is empty');
+            }
+            return { text, extractionMethod: isMsg ? 'msg' : 'eml', attachments };
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('Email extraction error', { error });
+            throw new ApiError(500, 'Failed to extract text from email message');
+        }
+    }
+};
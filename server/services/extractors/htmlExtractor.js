@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import { convert } from 'html-to-text';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../utils/logger.js';
+
+// Convert HTML markup to readable text
+export const htmlToText = (html) => convert(html, {
+    wordwrap: false,
+    selectors: [
+        { selector: 'img', format: 'skip' },
+        { selector: 'a', options: { ignoreHref: true } }
+    ]
+});
+
+// HTML pages
+export default {
+    name: 'html',
+    formats: [
+        { type: 'HTML', mimeType: 'text/html', extensions: ['.html', '.htm'], description: 'HTML Document' }
+    ],
+
+    async extract(filePath) {
+        try {
+            const html = await fs.readFile(filePath, 'utf-8');
+            const text = htmlToText(html);
+
+            if (!text || text.trim().length === 0) {
+                throw new ApiError(400, 'HTML document contains no text');
+            }
+            return { text, extractionMethod: 'html' };
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('HTML extraction error', { error });
+            throw new ApiError(500, 'Failed to extract text from HTML document');
+        }
+    }
+};
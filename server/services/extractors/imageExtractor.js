@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import { ApiError } from '../../utils/ApiError.js';
+import ocrService from '../ocrService.js';
+import { logger } from '../../utils/logger.js';
+
+// Images, read with OCR
+export default {
+    name: 'image',
+    formats: [
+        { type: 'PNG', mimeType: 'image/png', extensions: ['.png'], description: 'PNG image (text extracted with OCR)' },
+        { type: 'JPEG', mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], description: 'JPEG image (text extracted with OCR)' },
+        { type: 'TIFF', mimeType: 'image/tiff', extensions: ['.tif', '.tiff'], description: 'TIFF image, including multi-page scans (text extracted with OCR)' }
+    ],
+
+    async extract(filePath) {
+        try {
+            ocrService.ensureEnabled();
+
+            const dataBuffer = await fs.readFile(filePath);
+            const ocr = await ocrService.recognizeImage(dataBuffer);
+
+            if (!ocr.text || ocr.text.trim().length === 0) {
+                throw new ApiError(400, 'No readable text was found in the image');
+            }
+            return {
+                text: ocr.text,
+                extractionMethod: 'ocr',
+                ocrConfidence: ocr.confidence,
+                pages: ocr.pages.map(page => page.text)
+            };
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('Image OCR error', { error });
+            throw new ApiError(500, 'Failed to extract text from image file');
+        }
+    }
+};
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { config } from '../../config/config.js';
+import { ApiError } from '../../utils/ApiError.js';
+import ocrService from '../ocrService.js';
+import { logger } from '../../utils/logger.js';
+
+// Same text layout as pdf-parse's default page renderer, collecting each page's text
+const renderPages = (pages) => (pageData) => pageData
+    .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+            text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+            lastY = item.transform[5];
+        }
+        pages.push(text);
+        return text;
+    });
+
+// PDF text layer, falling back to OCR for scanned/image-only PDFs.
+// Returns per-page text in `pages` so long documents can be chunked by page.
+export default {
+    name: 'pdf',
+    formats: [
+        { type: 'PDF', mimeType: 'application/pdf', extensions: ['.pdf'], description: 'Portable Document Format' }
+    ],
+
+    async extract(filePath) {
+        try {
+            const dataBuffer = await fs.readFile(filePath);
+            const pages = [];
+            const data = await pdfParse(dataBuffer, { pagerender: renderPages(pages) });
+            
+            if (data.text && data.text.trim().length > 0) {
+                return { text: data.text, extractionMethod: 'pdf-text', pages };
+            }
+
+            if (!config.ocr.enabled) {
+                throw new ApiError(400, 'PDF file appears to be empty or contains no extractable text');
+            }
+
+            logger.info('No text layer found in PDF. Running OCR...');
+            const ocr = await ocrService.recognizePdf(dataBuffer);
+
+            if (!ocr.text || ocr.text.trim().length === 0) {
+                throw new ApiError(400, 'PDF file appears to be empty; OCR found no readable text');
+            }
+            return {
+                text: ocr.text,
+                extractionMethod: 'ocr',
+                ocrConfidence: ocr.confidence,
+                pages: ocr.pages.map(page => page.text)
+            };
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('PDF extraction error', { error });
+            throw new ApiError(500, 'Failed to extract text from PDF file');
+        }
+    }
+};
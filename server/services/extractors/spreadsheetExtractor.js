@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import ExcelJS from 'exceljs';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../utils/logger.js';
+
+// Render a cell value as plain text
+const cellToText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().split('T')[0];
+    }
+    if (typeof value === 'object') {
+        // Formulas, rich text and hyperlinks
+        if (value.result !== undefined) return cellToText(value.result);
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        return '';
+    }
+    return String(value);
+};
+
+// Excel workbooks (one tab-separated block per sheet) and CSV files
+export default {
+    name: 'spreadsheet',
+    formats: [
+        {
+            type: 'Excel',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            extensions: ['.xlsx'],
+            description: 'Microsoft Excel Workbook'
+        },
+        { type: 'CSV', mimeType: 'text/csv', extensions: ['.csv'], description: 'Comma-Separated Values' }
+    ],
+
+    async extract(filePath, mimeType) {
+        try {
+            if (mimeType === 'text/csv') {
+                const content = await fs.readFile(filePath, 'utf-8');
+                if (!content || content.trim().length === 0) {
+                    throw new ApiError(400, 'CSV file is empty');
+                }
+                return { text: content, extractionMethod: 'csv' };
+            }
+
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.readFile(filePath);
+
+            const sheets = [];
+            workbook.eachSheet(worksheet => {
+                const rows = [];
+                worksheet.eachRow(row => {
+                    const cells = row.values.slice(1).map(cellToText);
+                    rows.push(cells.join('\t'));
+                });
+                if (rows.length > 0) {
+                    sheets.push(`Sheet: ${worksheet.name}\n${rows.join('\n')}`);
+                }
+            });
+
+            if (sheets.length === 0) {
+                throw new ApiError(400, 'Spreadsheet appears to be empty');
+            }
+            return { text: sheets.join('\n\n'), extractionMethod: 'xlsx' };
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('Spreadsheet extraction error', { error });
+            throw new ApiError(500, 'Failed to extract text from spreadsheet');
+        }
+    }
+};
@@ -0,0 +1,28 @@
+import fs from 'fs/promises';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../utils/logger.js';
+
+// Plain text files
+export default {
+    name: 'text',
+    formats: [
+        { type: 'Text', mimeType: 'text/plain', extensions: ['.txt'], description: 'Plain Text File' }
+    ],
+
+    async extract(filePath) {
+        try {
+            const content = await fs.readFile(filePath, 'utf-8');
+            
+            if (!content || content.trim().length === 0) {
+                throw new ApiError(400, 'Text file is empty');
+            }
+            return { text: content, extractionMethod: 'text' };
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('Text file reading error', { error });
+            throw new ApiError(500, 'Failed to read text file');
+        }
+    }
+};
@@ -1,159 +1,303 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import {
+    GoogleGenerativeAI,
+    GoogleGenerativeAIError,
+    GoogleGenerativeAIFetchError,
+    GoogleGenerativeAIAbortError
+} from '@google/generative-ai';
+import crypto from 'crypto';
 import { config } from '../config/config.js';
+import { languages } from '../config/languages.js';
 import { ApiError } from '../utils/ApiError.js';
+import { JobQueue } from '../utils/JobQueue.js';
+import { TokenBucket } from '../utils/TokenBucket.js';
+import { CircuitBreaker } from '../utils/CircuitBreaker.js';
+import { BaseClassifierService } from './baseClassifierService.js';
+import extractionSchemaService from './extractionSchemaService.js';
+import taxonomyService from './taxonomyService.js';
+import promptService from './promptService.js';
+import metricsService from './metricsService.js';
+import { logger } from '../utils/logger.js';
 
-class GeminiService {
+// HTTP statuses from the Gemini API that are worth retrying
+const retryableStatuses = [408, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class GeminiService extends BaseClassifierService {
     constructor() {
-        if (!config.geminiApiKey) {
-            throw new ApiError(500, 'Gemini API key is not configured');
-        }
-        
-        this.genAI = new GoogleGenerativeAI(config.geminiApiKey);
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-        
-        // Classification prompt template
-        this.classificationPrompt = `
-You are a professional document classification and routing assistant for back-office operations. 
-
-Analyze the provided document content and classify it according to these document types:
-- invoice: Bills for goods/services provided
-- purchase_order: Orders for goods/services to be purchased
-- contract: Legal agreements and contracts
-- receipt: Payment confirmations and receipts
-- proposal: Business proposals and quotes
-- agreement: Various types of agreements
-- other: Documents that don't fit the above categories
-
-Route documents to these departments:
-- finance: Invoices, receipts, financial statements, payment records, billing documents
-- procurement: Purchase orders, vendor agreements, supplier contracts
-- legal: Contracts, legal agreements, compliance documents, terms of service
-- operations: Operational agreements, service contracts, facility management
-- general: Documents that don't fit specific departments
-
-IMPORTANT: You must ALWAYS return your analysis in the following JSON format, even if you cannot extract full text content:
-
-{
-    "documentType": "classified_type",
-    "confidence": 0.95,
-    "department": "assigned_department", 
-    "routingConfidence": 0.90,
-    "extractedData": {
-        "key_information": "extracted values"
-    },
-    "reasoning": "Brief explanation of classification logic",
-    "suggestedActions": ["action1", "action2"]
-}
+        super('gemini', 'Gemini AI');
 
-If you cannot determine the document type from the provided content, use "other" as documentType with lower confidence. If PDF text extraction is needed, mention it in the reasoning field. NEVER respond with plain text - always return valid JSON.
+        // Clients are created lazily so importing this module never requires an API key
+        this.genAI = null;
+        // One model client per model name and generation settings of the prompt versions in use
+        this.models = new Map();
 
-Confidence scores should be between 0 and 1. Be thorough in extracting relevant data like amounts, dates, vendor names, etc.
+        // Every Gemini call goes through one queue (concurrency cap) and one bucket (requests per minute)
+        this.queue = new JobQueue(config.maxConcurrentRequests);
+        this.bucket = new TokenBucket(config.rateLimiting.geminiRequestsPerMinute, config.rateLimiting.geminiRequestsPerMinute);
 
-Document content:
-`;
+        // Fails fast after repeated transient failures instead of queueing more doomed calls
+        this.circuitBreaker = new CircuitBreaker(config.aiResilience.circuitBreaker);
     }
 
-    // Classify document content using Gemini
-    async classifyDocument(documentContent) {
-        try {
-            if (!documentContent || typeof documentContent !== 'string') {
-                throw new ApiError(400, 'Document content is required and must be a string');
+    // Fill a prompt version's template from the current taxonomy so edits apply to the next request.
+    // examples are similar reviewer corrections, shown to the model as few-shot examples.
+    buildClassificationPrompt(version, examples = []) {
+        const describeEntries = (kind) => taxonomyService.getEntries(kind)
+            .map(entry => `- ${entry.name}: ${entry.description || entry.displayName}`)
+            .join('\n');
+
+        const values = {
+            documentTypes: describeEntries('documentType'),
+            departments: describeEntries('department'),
+            outputLanguage: languages[config.language.outputLanguage].name,
+            extractionInstructions: extractionSchemaService.buildPromptInstructions(),
+            examples: this.buildExamplesSection(examples)
+        };
+
+        return version.template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => values[name] ?? placeholder);
+    }
+
+    // Model and prompt version of the active prompt version; each classification reports the version it used
+    getModelInfo() {
+        const version = promptService.getActiveVersion();
+        return { model: promptService.getModelName(version), promptVersion: version.id };
+    }
+
+    // Get (and lazily create) the Gemini model client for a prompt version's model settings
+    getModel(version) {
+        const modelName = promptService.getModelName(version);
+        const key = `${modelName}:${JSON.stringify(version.generationConfig || {})}`;
+
+        if (!this.models.has(key)) {
+            if (!config.geminiApiKey) {
+                throw new ApiError(500, 'Gemini API key is not configured');
             }
 
-            const prompt = this.classificationPrompt + documentContent;
-            
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text();
+            this.genAI = this.genAI || new GoogleGenerativeAI(config.geminiApiKey);
+            this.models.set(key, this.genAI.getGenerativeModel({
+                model: modelName,
+                ...(version.generationConfig && Object.keys(version.generationConfig).length > 0 && { generationConfig: version.generationConfig })
+            }));
+        }
+        return this.models.get(key);
+    }
+
+    // Send a prompt through the shared limiter; the call itself is bounded by the configured timeout.
+    // Latency (without time spent waiting for the limiter) and token usage are recorded per model.
+    async generateContent(prompt, version = promptService.getActiveVersion()) {
+        const modelName = promptService.getModelName(version);
+
+        return this.queue.add(async () => {
+            await this.bucket.take();
+            const startedAt = process.hrtime.bigint();
+            const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
 
-            // Parse JSON response from Gemini
-            let classificationResult;
             try {
-                // Extract JSON from response (in case there's extra text)
-                const jsonMatch = text.match(/\{[\s\S]*\}/);
-                if (!jsonMatch) {
-                    throw new Error('No JSON found in response');
-                }
-                classificationResult = JSON.parse(jsonMatch[0]);
-            } catch (parseError) {
-                console.error('Failed to parse Gemini response:', text);
-                
-                // Fallback: Create a default classification when JSON parsing fails
-                classificationResult = {
-                    documentType: 'other',
-                    confidence: 0.3,
-                    department: 'general',
-                    routingConfidence: 0.3,
-                    extractedData: {
-                        note: 'AI could not classify this document properly'
-                    },
-                    reasoning: 'Classification failed due to non-JSON response from AI model',
-                    suggestedActions: ['Manual review required', 'Check document format and content']
-                };
-                
-                console.log('Using fallback classification due to parsing error');
+                const result = await this.getModel(version).generateContent(prompt, { timeout: config.aiResilience.timeoutMs });
+                metricsService.observeAiRequest(modelName, 'success', elapsed());
+                metricsService.recordTokenUsage(modelName, result.response.usageMetadata);
+                return result.response;
+            } catch (error) {
+                metricsService.observeAiRequest(modelName, 'error', elapsed());
+                throw error;
             }
+        });
+    }
 
-            // Validate and sanitize the response
-            return this.validateClassificationResult(classificationResult);
+    // Timeouts, network errors, 429 and 5xx responses are worth retrying
+    isTransientError(error) {
+        if (error instanceof GoogleGenerativeAIAbortError) {
+            return true;
+        }
+        if (error instanceof GoogleGenerativeAIFetchError) {
+            return !error.status || retryableStatuses.includes(error.status);
+        }
+        return error instanceof GoogleGenerativeAIError && error.message.startsWith('Error fetching from');
+    }
 
-        } catch (error) {
-            if (error instanceof ApiError) {
-                throw error;
+    // Call the model with exponential-backoff retries, guarded by the circuit breaker
+    async generateWithRetry(prompt, version) {
+        if (!this.circuitBreaker.allowRequest()) {
+            const retryAfter = Math.ceil(this.circuitBreaker.retryAfterMs / 1000);
+            throw new ApiError(503, `AI service is temporarily unavailable after repeated failures; retry in ${retryAfter}s`);
+        }
+
+        const { maxRetries, retryBaseDelayMs } = config.aiResilience;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this.generateContent(prompt, version);
+                this.circuitBreaker.recordSuccess();
+                return response;
+            } catch (error) {
+                if (!this.isTransientError(error)) {
+                    // The service answered, so it is reachable; the request itself was rejected
+                    this.circuitBreaker.recordSuccess();
+                    logger.error('Gemini rejected the request', { error: error.message });
+                    throw new ApiError(502, 'AI model rejected the classification request', [error.message]);
+                }
+
+                if (attempt >= maxRetries) {
+                    this.circuitBreaker.recordFailure(error);
+                    logger.error(`Gemini call failed after ${attempt + 1} attempts`, { error: error.message });
+                    throw new ApiError(503, 'AI service is unavailable, please try again later', [error.message]);
+                }
+
+                const delayMs = retryBaseDelayMs * 2 ** attempt;
+                logger.warn(`Gemini call failed; retrying in ${delayMs}ms`, { error: error.message, attempt: attempt + 1 });
+                await sleep(delayMs);
             }
-            console.error('Gemini classification error:', error);
-            throw new ApiError(500, 'Failed to classify document with AI model');
         }
     }
 
-    // Validate and sanitize classification result from Gemini
-    validateClassificationResult(result) {
-        const validDocumentTypes = Object.values(config.documentTypes);
-        const validDepartments = Object.values(config.departments);
+    // Extract the JSON object from a model response (in case there's extra text); null if there is none
+    parseClassification(text) {
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            return null;
+        }
+        try {
+            return JSON.parse(jsonMatch[0]);
+        } catch {
+            return null;
+        }
+    }
 
-        // Validate document type
-        if (!result.documentType || !validDocumentTypes.includes(result.documentType.toLowerCase())) {
-            result.documentType = config.documentTypes.OTHER;
-        } else {
-            result.documentType = result.documentType.toLowerCase();
+    buildExamplesSection(examples) {
+        if (examples.length === 0) {
+            return '';
         }
 
-        // Validate department
-        if (!result.department || !validDepartments.includes(result.department.toLowerCase())) {
-            result.department = config.departments.GENERAL;
-        } else {
-            result.department = result.department.toLowerCase();
+        const sections = examples.map((example, index) =>
+            `Example ${index + 1} - documentType: ${example.documentType}, department: ${example.department}\n"""\n${example.excerpt}\n"""`
+        );
+
+        return `
+Reviewers corrected earlier classifications of these similar documents. Classify documents like them the same way:
+
+${sections.join('\n\n')}
+`;
+    }
+
+    // Ask again for the same classification after a response that was not valid JSON
+    buildRepairPrompt(version, documentContent, invalidResponse, examples = []) {
+        return this.buildClassificationPrompt(version, examples) + documentContent + `
+
+Your previous response could not be parsed as JSON:
+${invalidResponse.slice(0, 1000)}
+
+Respond again with ONLY the JSON object in the format described above, without markdown or any other text.`;
+    }
+
+    getCircuitState() {
+        return this.circuitBreaker.getState();
+    }
+
+    // Queue depth and limiter state for monitoring
+    getQueueStats() {
+        return {
+            concurrency: this.queue.concurrency,
+            active: this.queue.active,
+            queued: this.queue.size,
+            requestsPerMinute: config.rateLimiting.geminiRequestsPerMinute,
+            availableRequests: this.bucket.available
+        };
+    }
+
+    // Prompt versions ({ primary, shadow }) one document is classified with, assigned by its content
+    selectPromptVersions(documentContent) {
+        return promptService.selectVersions(documentContent);
+    }
+
+    // Classify document content using Gemini with the prompt versions chosen for the document, or picked now.
+    // When the candidate version is shadow-run, it classifies the same content in the background for comparison.
+    async classifyDocument(documentContent, { examples = [], tenantId = null, promptVersions = null } = {}) {
+        if (!documentContent || typeof documentContent !== 'string') {
+            throw new ApiError(400, 'Document content is required and must be a string');
         }
 
-        // Validate confidence scores
-        result.confidence = this.validateConfidence(result.confidence);
-        result.routingConfidence = this.validateConfidence(result.routingConfidence);
+        const { primary, shadow } = promptVersions || this.selectPromptVersions(documentContent);
+        const classification = await this.classifyWithVersion(documentContent, primary, examples);
 
-        // Ensure required fields
-        result.extractedData = result.extractedData || {};
-        result.reasoning = result.reasoning || 'Classification completed';
-        result.suggestedActions = Array.isArray(result.suggestedActions) ? result.suggestedActions : [];
+        if (shadow) {
+            this.runShadow(documentContent, shadow, examples, classification, tenantId);
+        }
+
+        return classification;
+    }
 
-        return result;
+    // Classify with the candidate version without affecting the returned classification
+    runShadow(documentContent, version, examples, activeClassification, tenantId) {
+        this.classifyWithVersion(documentContent, version, examples)
+            .then(candidateClassification => promptService.recordShadowResult({
+                tenantId,
+                contentHash: crypto.createHash('sha256').update(documentContent, 'utf-8').digest('hex'),
+                active: activeClassification,
+                candidate: candidateClassification
+            }))
+            .catch(error => logger.error(`Shadow classification with prompt version ${version.id} failed`, { error: error.message }));
     }
 
-    // Validate confidence score
-    validateConfidence(confidence) {
-        const numConfidence = parseFloat(confidence);
-        if (isNaN(numConfidence) || numConfidence < 0 || numConfidence > 1) {
-            return 0.5; // Default confidence
+    async classifyWithVersion(documentContent, version, examples = []) {
+        try {
+            const { maxParseRetries } = config.aiResilience;
+            let prompt = this.buildClassificationPrompt(version, examples) + documentContent;
+            let classificationResult = null;
+            let rawResponse = null;
+
+            for (let attempt = 0; attempt <= maxParseRetries && !classificationResult; attempt++) {
+                const response = await this.generateWithRetry(prompt, version);
+                const text = response.text();
+                rawResponse = text;
+
+                classificationResult = this.parseClassification(text);
+                if (!classificationResult) {
+                    logger.error(`Failed to parse Gemini response (attempt ${attempt + 1})`, { response: text });
+                    prompt = this.buildRepairPrompt(version, documentContent, text, examples);
+                }
+            }
+
+            if (!classificationResult) {
+                // Fallback: flagged so it is never mistaken for a real classification
+                classificationResult = {
+                    documentType: 'other',
+                    confidence: 0.3,
+                    department: 'general',
+                    routingConfidence: 0.3,
+                    extractedData: {},
+                    reasoning: `Fallback classification: the AI model did not return valid JSON after ${maxParseRetries + 1} attempts`,
+                    suggestedActions: ['Manual review required', 'Check document format and content'],
+                    fallback: true,
+                    fallbackReason: 'invalid_ai_response'
+                };
+
+                logger.warn('Using fallback classification due to parsing error');
+            }
+
+            // Validate and sanitize the response; the raw text is kept for the audit trail
+            return {
+                ...this.validateClassificationResult({ ...classificationResult, rawResponse }),
+                model: promptService.getModelName(version),
+                promptVersion: version.id
+            };
+
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('Gemini classification error', { error });
+            throw new ApiError(500, 'Failed to classify document with AI model', [error.message]);
         }
-        return numConfidence;
     }
 
     // Test Gemini connection
     async testConnection() {
         try {
-            const result = await this.model.generateContent("Hello, please respond with 'Connection successful'");
-            const response = await result.response;
+            const response = await this.generateContent("Hello, please respond with 'Connection successful'");
             return response.text().includes('Connection successful');
         } catch (error) {
-            console.error('Gemini connection test failed:', error);
+            logger.error('Gemini connection test failed', { error });
             return false;
         }
     }
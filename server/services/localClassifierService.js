@@ -0,0 +1,195 @@
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { BaseClassifierService } from './baseClassifierService.js';
+
+const { documentTypes, departments } = config;
+
+// Weighted keywords that indicate each document type
+const documentTypeKeywords = {
+    [documentTypes.INVOICE]: {
+        'invoice': 3, 'invoice number': 4, 'invoice no': 4, 'bill to': 2, 'amount due': 3,
+        'due date': 2, 'payment terms': 2, 'balance due': 3, 'tax invoice': 4, 'subtotal': 1
+    },
+    [documentTypes.PURCHASE_ORDER]: {
+        'purchase order': 5, 'po number': 4, 'po no': 4, 'p.o.': 3, 'ship to': 2,
+        'delivery date': 2, 'order date': 2, 'quantity': 1, 'unit price': 1, 'vendor': 1
+    },
+    [documentTypes.CONTRACT]: {
+        'contract': 3, 'hereinafter': 3, 'indemnity': 3, 'indemnify': 3, 'governing law': 3,
+        'termination': 2, 'whereas': 2, 'liability': 2, 'breach': 2, 'party': 1
+    },
+    [documentTypes.RECEIPT]: {
+        'receipt': 4, 'payment received': 4, 'amount paid': 3, 'thank you for your payment': 4,
+        'paid': 1, 'transaction id': 2, 'change due': 3, 'cashier': 2
+    },
+    [documentTypes.PROPOSAL]: {
+        'proposal': 4, 'quotation': 3, 'quote': 2, 'scope of work': 3, 'we propose': 4,
+        'estimated cost': 2, 'timeline': 1, 'deliverables': 2, 'valid until': 2
+    },
+    [documentTypes.AGREEMENT]: {
+        'agreement': 4, 'agree to': 2, 'memorandum of understanding': 4, 'non-disclosure': 4,
+        'terms and conditions': 2, 'service level': 3, 'signed by': 1, 'effective date': 2
+    }
+};
+
+// Weighted keywords that indicate each department
+const departmentKeywords = {
+    [departments.FINANCE]: {
+        'invoice': 2, 'payment': 2, 'receipt': 2, 'tax': 1, 'billing': 2, 'amount due': 2, 'bank': 1
+    },
+    [departments.PROCUREMENT]: {
+        'purchase order': 3, 'supplier': 2, 'vendor': 2, 'procurement': 3, 'quotation': 1, 'sourcing': 2
+    },
+    [departments.LEGAL]: {
+        'contract': 2, 'indemnity': 3, 'governing law': 3, 'liability': 2, 'compliance': 2, 'non-disclosure': 3
+    },
+    [departments.OPERATIONS]: {
+        'service level': 3, 'facility': 2, 'maintenance': 2, 'logistics': 2, 'operations': 2, 'delivery': 1
+    }
+};
+
+// Department a document type is routed to when the text gives no stronger signal
+const defaultDepartmentByType = {
+    [documentTypes.INVOICE]: departments.FINANCE,
+    [documentTypes.RECEIPT]: departments.FINANCE,
+    [documentTypes.PURCHASE_ORDER]: departments.PROCUREMENT,
+    [documentTypes.CONTRACT]: departments.LEGAL,
+    [documentTypes.AGREEMENT]: departments.LEGAL,
+    [documentTypes.PROPOSAL]: departments.PROCUREMENT,
+    [documentTypes.OTHER]: departments.GENERAL
+};
+
+// Deterministic keyword-based classifier that runs entirely offline
+class LocalClassifierService extends BaseClassifierService {
+    constructor() {
+        super('local', 'Local keyword classifier');
+    }
+
+    // Classify document content using keyword scoring
+    async classifyDocument(documentContent) {
+        if (!documentContent || typeof documentContent !== 'string') {
+            throw new ApiError(400, 'Document content is required and must be a string');
+        }
+
+        const text = documentContent.toLowerCase();
+
+        const typeScores = this.scoreKeywords(text, documentTypeKeywords);
+        const [bestType, typeScore, typeRunnerUp] = this.pickBest(typeScores);
+
+        const documentType = typeScore > 0 ? bestType : documentTypes.OTHER;
+        const confidence = this.scoreToConfidence(typeScore, typeRunnerUp);
+
+        const departmentScores = this.scoreKeywords(text, departmentKeywords);
+        const defaultDepartment = defaultDepartmentByType[documentType] || departments.GENERAL;
+        if (departmentScores[defaultDepartment] !== undefined) {
+            // Give the type's natural department a head start so ties resolve predictably
+            departmentScores[defaultDepartment] += 2;
+        }
+        const [bestDepartment, departmentScore, departmentRunnerUp] = this.pickBest(departmentScores);
+
+        const department = departmentScore > 0 ? bestDepartment : defaultDepartment;
+        const routingConfidence = departmentScore > 0
+            ? this.scoreToConfidence(departmentScore, departmentRunnerUp)
+            : Math.min(confidence, 0.5);
+
+        return this.validateClassificationResult({
+            documentType,
+            confidence,
+            department,
+            routingConfidence,
+            extractedData: this.extractData(documentContent),
+            reasoning: typeScore > 0
+                ? `Matched ${documentType} keywords (score ${typeScore}) using the local keyword classifier`
+                : 'No known document keywords found by the local keyword classifier',
+            suggestedActions: confidence < config.confidenceThreshold
+                ? ['Manual review recommended']
+                : [`Forward to ${department}`]
+        });
+    }
+
+    // Sum keyword weights per category
+    scoreKeywords(text, keywordMap) {
+        const scores = {};
+        for (const [category, keywords] of Object.entries(keywordMap)) {
+            scores[category] = 0;
+            for (const [keyword, weight] of Object.entries(keywords)) {
+                const occurrences = text.split(keyword).length - 1;
+                // Repeated keywords add diminishing weight
+                scores[category] += occurrences > 0 ? weight * Math.min(occurrences, 3) : 0;
+            }
+        }
+        return scores;
+    }
+
+    // Return [bestCategory, bestScore, runnerUpScore]; ties resolve by declaration order
+    pickBest(scores) {
+        let best = null;
+        let bestScore = 0;
+        let runnerUp = 0;
+        for (const [category, score] of Object.entries(scores)) {
+            if (score > bestScore) {
+                runnerUp = bestScore;
+                best = category;
+                bestScore = score;
+            } else if (score > runnerUp) {
+                runnerUp = score;
+            }
+        }
+        return [best, bestScore, runnerUp];
+    }
+
+    // Map a keyword score and its margin over the runner-up to a 0-1 confidence
+    scoreToConfidence(score, runnerUp) {
+        if (score <= 0) {
+            return 0.3;
+        }
+        const strength = Math.min(score / 12, 1);
+        const margin = (score - runnerUp) / score;
+        return Math.round((0.4 + 0.55 * strength * (0.5 + margin / 2)) * 100) / 100;
+    }
+
+    // Pull out common values with simple patterns
+    extractData(text) {
+        const extractedData = {};
+
+        // Digits keep both separators ("1.500,00", "1,500.00"); the extraction schema reads them per locale
+        const amounts = text.match(/(?:[$€£]|USD|EUR|GBP|INR)\s?\d(?:[\d,.]*\d)?/g);
+        if (amounts) {
+            extractedData.amounts = [...new Set(amounts)].slice(0, 10);
+        }
+
+        const dates = text.match(/\b(?:\d{4}-\d{2}-\d{2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})\b/g);
+        if (dates) {
+            extractedData.dates = [...new Set(dates)].slice(0, 10);
+        }
+
+        const emails = text.match(/[\w.+-]+@[\w-]+\.[\w.-]+/g);
+        if (emails) {
+            extractedData.emails = [...new Set(emails)].slice(0, 10);
+        }
+
+        const invoiceNumber = text.match(/invoice\s*(?:number|no\.?|#)\s*[:#]?\s*([A-Z0-9-]+)/i);
+        if (invoiceNumber) {
+            extractedData.invoiceNumber = invoiceNumber[1];
+        }
+
+        const totalAmount = text.match(/(?:total|amount due|balance due|amount paid|gesamtbetrag|montant total|importe total)[^\d$€£\n]{0,20}((?:[$€£]|USD|EUR|GBP|INR)?\s?\d(?:[\d,.]*\d)?(?:\s?(?:USD|EUR|GBP|INR))?)/i);
+        if (totalAmount) {
+            extractedData.totalAmount = totalAmount[1].trim();
+        }
+
+        const poNumber = text.match(/(?:purchase order|p\.?o\.?)\s*(?:number|no\.?|#)\s*[:#]?\s*([A-Z0-9-]+)/i);
+        if (poNumber) {
+            extractedData.poNumber = poNumber[1];
+        }
+
+        return extractedData;
+    }
+
+    // The local classifier has no external dependency
+    async testConnection() {
+        return true;
+    }
+}
+
+export default new LocalClassifierService();
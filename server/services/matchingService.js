@@ -0,0 +1,271 @@
+import { config } from '../config/config.js';
+import { getTenantId } from '../utils/tenancy.js';
+import documentStoreService from './documentStoreService.js';
+import { logger } from '../utils/logger.js';
+
+const { INVOICE, PURCHASE_ORDER, RECEIPT } = config.documentTypes;
+
+// Document numbers are compared without case, spaces or punctuation ("PO-4500/12" equals "po 450012")
+const normalizeNumber = (value) => typeof value === 'string' ? value.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+
+// Company names without punctuation and legal suffixes ("ACME Corp." equals "Acme Corporation")
+const normalizeName = (value) => typeof value === 'string'
+    ? value.toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\b(inc|incorporated|corp|corporation|co|company|ltd|limited|llc|llp|plc|gmbh|ag|sa|bv|pty)\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+    : '';
+
+const sameNumber = (a, b) => normalizeNumber(a) !== '' && normalizeNumber(a) === normalizeNumber(b);
+
+const sameParty = (a, b) => {
+    const first = normalizeName(a);
+    const second = normalizeName(b);
+    return first !== '' && second !== '' && (first === second || first.includes(second) || second.includes(first));
+};
+
+// Extracted field holding the document number of each relation
+const numberFields = { invoice: 'invoiceNumber', purchase_order: 'poNumber', receipt: 'receiptNumber' };
+
+const dataOf = (record) => (record.result && record.result.extractedData) || {};
+
+// Three-way matching: links invoices to the purchase orders they bill and the receipts that settle them,
+// and reports discrepancies between them
+class MatchingService {
+    // Amounts match within the configured tolerance; different currencies never match
+    amountsMatch(amount, expected, currency = null, expectedCurrency = null) {
+        if (typeof amount !== 'number' || typeof expected !== 'number') {
+            return false;
+        }
+        if (currency && expectedCurrency && currency !== expectedCurrency) {
+            return false;
+        }
+        return Math.abs(amount - expected) <= Math.max(Math.abs(expected) * config.matching.amountTolerance, 0.005);
+    }
+
+    // How an invoice matches a purchase order ('po_number' or 'vendor_and_amount'), or null
+    matchPurchaseOrder(invoice, purchaseOrder) {
+        const invoiceData = dataOf(invoice);
+        const orderData = dataOf(purchaseOrder);
+
+        if (invoiceData.poNumber) {
+            return sameNumber(invoiceData.poNumber, orderData.poNumber) ? 'po_number' : null;
+        }
+
+        const matches = sameParty(invoiceData.vendor, orderData.vendor)
+            && this.amountsMatch(invoiceData.totalAmount, orderData.totalAmount, invoiceData.currency, orderData.currency);
+        return matches ? 'vendor_and_amount' : null;
+    }
+
+    // How a receipt settles an invoice ('invoice_number', 'po_number_and_amount' or 'vendor_and_amount'), or null
+    matchReceipt(invoice, receipt) {
+        const invoiceData = dataOf(invoice);
+        const receiptData = dataOf(receipt);
+
+        if (receiptData.invoiceNumber) {
+            return sameNumber(receiptData.invoiceNumber, invoiceData.invoiceNumber) ? 'invoice_number' : null;
+        }
+
+        if (!this.amountsMatch(receiptData.totalAmount, invoiceData.totalAmount, receiptData.currency, invoiceData.currency)) {
+            return null;
+        }
+        if (receiptData.poNumber && invoiceData.poNumber) {
+            return sameNumber(receiptData.poNumber, invoiceData.poNumber) ? 'po_number_and_amount' : null;
+        }
+
+        // A payment before the invoice was issued is not for this invoice
+        const paidBeforeInvoice = receiptData.transactionDate && invoiceData.invoiceDate
+            && receiptData.transactionDate < invoiceData.invoiceDate;
+        return sameParty(receiptData.merchant, invoiceData.vendor) && !paidBeforeInvoice ? 'vendor_and_amount' : null;
+    }
+
+    // Match an invoice against the tenant's stored purchase orders and receipts.
+    // Returns { status, purchaseOrder, receipts, discrepancies }; status is 'matched', 'discrepancy' or 'unmatched'.
+    async matchInvoice(invoice) {
+        const invoiceData = dataOf(invoice);
+        const candidates = (await documentStoreService.findDocumentsByType(getTenantId(invoice), [PURCHASE_ORDER, RECEIPT]))
+            .filter(record => record.id !== invoice.id);
+
+        // The newest purchase order wins when several match
+        let purchaseOrder = null;
+        for (const record of candidates.filter(candidate => candidate.documentType === PURCHASE_ORDER)) {
+            const matchedBy = this.matchPurchaseOrder(invoice, record);
+            if (matchedBy) {
+                purchaseOrder = { record, matchedBy };
+                break;
+            }
+        }
+
+        const receipts = candidates
+            .filter(candidate => candidate.documentType === RECEIPT)
+            .map(record => ({ record, matchedBy: this.matchReceipt(invoice, record) }))
+            .filter(receipt => receipt.matchedBy);
+
+        const discrepancies = [];
+
+        if (!purchaseOrder) {
+            discrepancies.push({
+                type: 'missing_po',
+                message: invoiceData.poNumber
+                    ? `Purchase order ${invoiceData.poNumber} was not found`
+                    : 'The invoice references no purchase order and none matches its vendor and amount'
+            });
+        } else {
+            const orderData = dataOf(purchaseOrder.record);
+
+            if (orderData.vendor && invoiceData.vendor && !sameParty(orderData.vendor, invoiceData.vendor)) {
+                discrepancies.push({
+                    type: 'vendor_mismatch',
+                    documentId: purchaseOrder.record.id,
+                    message: `Invoice vendor '${invoiceData.vendor}' differs from purchase order vendor '${orderData.vendor}'`,
+                    invoiceVendor: invoiceData.vendor,
+                    purchaseOrderVendor: orderData.vendor
+                });
+            }
+
+            if (typeof orderData.totalAmount === 'number'
+                && !this.amountsMatch(invoiceData.totalAmount, orderData.totalAmount, invoiceData.currency, orderData.currency)) {
+                discrepancies.push({
+                    type: 'amount_mismatch',
+                    documentId: purchaseOrder.record.id,
+                    message: `Invoice total ${this.formatAmount(invoiceData.totalAmount, invoiceData.currency)} differs from purchase order total ${this.formatAmount(orderData.totalAmount, orderData.currency)}`,
+                    invoiceAmount: invoiceData.totalAmount ?? null,
+                    invoiceCurrency: invoiceData.currency || null,
+                    purchaseOrderAmount: orderData.totalAmount,
+                    purchaseOrderCurrency: orderData.currency || null
+                });
+            }
+        }
+
+        // A receipt settling the invoice means paying it again would be a double payment
+        if (receipts.length > 0) {
+            const paid = receipts.reduce((sum, receipt) => sum + (dataOf(receipt.record).totalAmount || 0), 0);
+            discrepancies.push({
+                type: 'already_paid',
+                documentIds: receipts.map(receipt => receipt.record.id),
+                message: `The invoice has already been paid (${receipts.length} receipt(s) totalling ${this.formatAmount(paid, invoiceData.currency)})`,
+                paidAmount: paid
+            });
+        }
+
+        let status = 'matched';
+        if (!purchaseOrder && receipts.length === 0) {
+            status = 'unmatched';
+        } else if (discrepancies.length > 0) {
+            status = 'discrepancy';
+        }
+
+        return {
+            status,
+            matchedAt: new Date().toISOString(),
+            purchaseOrder: purchaseOrder && this.describeLink(purchaseOrder.record, 'purchase_order', purchaseOrder.matchedBy),
+            receipts: receipts.map(receipt => this.describeLink(receipt.record, 'receipt', receipt.matchedBy)),
+            discrepancies
+        };
+    }
+
+    // Match a newly classified (or reviewed) document and store the result on the affected invoices.
+    // Returns the invoice's match report, or null for other document types.
+    async matchDocument(record) {
+        if (!config.matching.enabled) {
+            return null;
+        }
+
+        if (record.documentType === INVOICE) {
+            const matching = await this.matchInvoice(record);
+            await documentStoreService.updateDocument(record.id, { matching });
+            logger.info(`Invoice ${record.id} three-way match: ${matching.status}`);
+            return matching;
+        }
+
+        // A purchase order or receipt arriving after its invoice changes the invoice's match
+        if ([PURCHASE_ORDER, RECEIPT].includes(record.documentType)) {
+            for (const invoice of await this.findRelatedInvoices(record)) {
+                const matching = await this.matchInvoice(invoice);
+                await documentStoreService.updateDocument(invoice.id, { matching });
+                logger.info(`Invoice ${invoice.id} re-matched after ${record.documentType} ${record.id}: ${matching.status}`);
+            }
+        }
+
+        return null;
+    }
+
+    // Invoices a purchase order or receipt matches
+    async findRelatedInvoices(record) {
+        const invoices = await documentStoreService.findDocumentsByType(getTenantId(record), [INVOICE]);
+        return invoices.filter(invoice => invoice.id !== record.id && (record.documentType === PURCHASE_ORDER
+            ? this.matchPurchaseOrder(invoice, record)
+            : this.matchReceipt(invoice, record)));
+    }
+
+    // Documents linked to an invoice, purchase order or receipt
+    async getRelatedDocuments(record) {
+        const related = [];
+        let matching = null;
+
+        if (record.documentType === INVOICE) {
+            matching = await this.matchInvoice(record);
+            if (matching.purchaseOrder) {
+                related.push(matching.purchaseOrder);
+            }
+            related.push(...matching.receipts);
+        } else if ([PURCHASE_ORDER, RECEIPT].includes(record.documentType)) {
+            const invoices = await this.findRelatedInvoices(record);
+            for (const invoice of invoices) {
+                const matchedBy = record.documentType === PURCHASE_ORDER
+                    ? this.matchPurchaseOrder(invoice, record)
+                    : this.matchReceipt(invoice, record);
+                related.push(this.describeLink(invoice, 'invoice', matchedBy));
+            }
+
+            related.push(...await this.findByPoNumber(record));
+        }
+
+        return {
+            documentId: record.id,
+            documentType: record.documentType,
+            ...(matching && { matching }),
+            related
+        };
+    }
+
+    // Receipts of a purchase order, or the purchase order of a receipt, by PO number
+    async findByPoNumber(record) {
+        const poNumber = dataOf(record).poNumber;
+        if (!poNumber) {
+            return [];
+        }
+
+        const otherType = record.documentType === PURCHASE_ORDER ? RECEIPT : PURCHASE_ORDER;
+        const relation = otherType === RECEIPT ? 'receipt' : 'purchase_order';
+        const matches = await documentStoreService.findDocumentsByType(getTenantId(record), [otherType]);
+
+        return matches
+            .filter(match => match.id !== record.id && sameNumber(dataOf(match).poNumber, poNumber))
+            .map(match => this.describeLink(match, relation, 'po_number'));
+    }
+
+    describeLink(record, relation, matchedBy) {
+        const data = dataOf(record);
+        return {
+            documentId: record.id,
+            relation,
+            matchedBy,
+            documentType: record.documentType,
+            status: record.status,
+            fileName: record.metadata.fileName || null,
+            createdAt: record.createdAt,
+            number: data[numberFields[relation]] || null,
+            party: data.vendor || data.merchant || null,
+            totalAmount: data.totalAmount ?? null,
+            currency: data.currency || null
+        };
+    }
+
+    formatAmount(amount, currency) {
+        return typeof amount === 'number' ? `${amount.toFixed(2)}${currency ? ' ' + currency : ''}` : 'unknown';
+    }
+}
+
+export default new MatchingService();
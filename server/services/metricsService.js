@@ -0,0 +1,137 @@
+import { Registry, Counter, Histogram, collectDefaultMetrics } from 'prom-client';
+import { config } from '../config/config.js';
+
+const prefix = 'docroute_';
+
+// Prometheus metrics served at GET /metrics. Label values come from fixed lists (mime types,
+// taxonomy names, route patterns) so the number of series stays bounded.
+class MetricsService {
+    constructor() {
+        this.registry = new Registry();
+        collectDefaultMetrics({ register: this.registry, prefix });
+
+        this.uploads = new Counter({
+            name: `${prefix}uploads_total`,
+            help: 'Files uploaded for classification, by mime type',
+            labelNames: ['mime_type'],
+            registers: [this.registry]
+        });
+
+        this.extractionDuration = new Histogram({
+            name: `${prefix}extraction_duration_seconds`,
+            help: 'Time spent extracting text from a file, by mime type and extraction method',
+            labelNames: ['mime_type', 'method'],
+            buckets: config.metrics.extractionBuckets,
+            registers: [this.registry]
+        });
+
+        this.aiRequestDuration = new Histogram({
+            name: `${prefix}ai_request_duration_seconds`,
+            help: 'Latency of AI model calls, by model and outcome',
+            labelNames: ['model', 'outcome'],
+            buckets: config.metrics.aiLatencyBuckets,
+            registers: [this.registry]
+        });
+
+        this.aiTokens = new Counter({
+            name: `${prefix}ai_tokens_total`,
+            help: 'Tokens used by AI model calls, by model and token type (prompt, completion)',
+            labelNames: ['model', 'type'],
+            registers: [this.registry]
+        });
+
+        this.classifications = new Counter({
+            name: `${prefix}classifications_total`,
+            help: 'Classified documents, by document type, department and confidence level',
+            labelNames: ['document_type', 'department', 'confidence_level'],
+            registers: [this.registry]
+        });
+
+        this.fallbackClassifications = new Counter({
+            name: `${prefix}fallback_classifications_total`,
+            help: 'Classifications that fell back to a default because the provider gave no usable answer',
+            labelNames: ['provider', 'reason'],
+            registers: [this.registry]
+        });
+
+        this.httpRequests = new Counter({
+            name: `${prefix}http_requests_total`,
+            help: 'HTTP requests, by method, route and status code',
+            labelNames: ['method', 'route', 'status_code'],
+            registers: [this.registry]
+        });
+
+        this.httpRequestDuration = new Histogram({
+            name: `${prefix}http_request_duration_seconds`,
+            help: 'HTTP request duration, by method and route',
+            labelNames: ['method', 'route'],
+            buckets: config.metrics.httpBuckets,
+            registers: [this.registry]
+        });
+
+        this.httpErrors = new Counter({
+            name: `${prefix}http_errors_total`,
+            help: 'HTTP responses with a 4xx or 5xx status, by status code',
+            labelNames: ['status_code'],
+            registers: [this.registry]
+        });
+    }
+
+    recordUpload(mimeType) {
+        this.uploads.inc({ mime_type: mimeType || 'unknown' });
+    }
+
+    observeExtraction(mimeType, method, seconds) {
+        this.extractionDuration.observe({ mime_type: mimeType || 'unknown', method: method || 'unknown' }, seconds);
+    }
+
+    observeAiRequest(model, outcome, seconds) {
+        this.aiRequestDuration.observe({ model, outcome }, seconds);
+    }
+
+    // usageMetadata of a Gemini response ({ promptTokenCount, candidatesTokenCount, ... })
+    recordTokenUsage(model, usage) {
+        if (!usage) {
+            return;
+        }
+        if (usage.promptTokenCount) {
+            this.aiTokens.inc({ model, type: 'prompt' }, usage.promptTokenCount);
+        }
+        if (usage.candidatesTokenCount) {
+            this.aiTokens.inc({ model, type: 'completion' }, usage.candidatesTokenCount);
+        }
+    }
+
+    // Count a classification result (see documentService.buildClassificationResult)
+    recordClassification(result) {
+        this.classifications.inc({
+            document_type: result.documentType,
+            department: result.department,
+            confidence_level: result.confidenceLevel
+        });
+
+        if (result.fallback) {
+            this.fallbackClassifications.inc({ provider: result.provider || 'unknown', reason: result.fallbackReason || 'unknown' });
+        }
+    }
+
+    recordHttpRequest({ method, route, statusCode, seconds }) {
+        this.httpRequests.inc({ method, route, status_code: statusCode });
+        this.httpRequestDuration.observe({ method, route }, seconds);
+
+        if (statusCode >= 400) {
+            this.httpErrors.inc({ status_code: statusCode });
+        }
+    }
+
+    // Metrics in the Prometheus text exposition format
+    async getMetrics() {
+        return this.registry.metrics();
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+}
+
+export default new MetricsService();
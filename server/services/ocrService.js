@@ -0,0 +1,105 @@
+import { createWorker } from 'tesseract.js';
+import { pdf } from 'pdf-to-img';
+import sharp from 'sharp';
+import englishData from '@tesseract.js-data/eng';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { logger } from '../utils/logger.js';
+
+// Local OCR for scanned PDFs and image uploads
+class OcrService {
+    constructor() {
+        this.worker = null;
+    }
+
+    // Get (and lazily create) the shared tesseract worker
+    async getWorker() {
+        if (!this.worker) {
+            this.worker = createWorker(config.ocr.languages, 1, {
+                langPath: config.ocr.langPath || englishData.langPath,
+                gzip: true,
+                cacheMethod: 'none',
+                errorHandler: (error) => logger.error('OCR worker error', { error })
+            }).catch(error => {
+                this.worker = null;
+                throw error;
+            });
+        }
+        return this.worker;
+    }
+
+    // Normalise an image to grayscale PNG, which tesseract reads reliably
+    async toPng(image, options = {}) {
+        return sharp(image, options).grayscale().png().toBuffer();
+    }
+
+    // Recognise text in a list of page images
+    async recognizePages(images) {
+        const worker = await this.getWorker();
+        const pages = [];
+
+        for (const image of images) {
+            const { data } = await worker.recognize(image);
+            pages.push({ text: data.text || '', confidence: data.confidence / 100 });
+        }
+
+        return {
+            text: pages.map(page => page.text.trim()).join('\n\n'),
+            pages,
+            confidence: pages.length > 0
+                ? Math.round((pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length) * 100) / 100
+                : 0
+        };
+    }
+
+    // Render PDF pages to images and OCR them
+    async recognizePdf(dataBuffer) {
+        const document = await pdf(dataBuffer, { scale: config.ocr.pdfRenderScale });
+        const pageCount = Math.min(document.length, config.ocr.maxPages);
+        const images = [];
+
+        try {
+            for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+                images.push(await this.toPng(await document.getPage(pageNumber)));
+            }
+        } finally {
+            await document.destroy();
+        }
+
+        if (document.length > pageCount) {
+            logger.warn(`OCR limited to the first ${pageCount} of ${document.length} pages`);
+        }
+
+        return this.recognizePages(images);
+    }
+
+    // OCR an image file; multi-page TIFFs are split into pages
+    async recognizeImage(dataBuffer) {
+        const { pages = 1 } = await sharp(dataBuffer).metadata();
+        const pageCount = Math.min(pages, config.ocr.maxPages);
+        const images = [];
+
+        for (let page = 0; page < pageCount; page++) {
+            images.push(await this.toPng(dataBuffer, { page }));
+        }
+
+        return this.recognizePages(images);
+    }
+
+    // Release the worker (used on shutdown)
+    async terminate() {
+        if (this.worker) {
+            const worker = await this.worker;
+            this.worker = null;
+            await worker.terminate();
+        }
+    }
+
+    ensureEnabled() {
+        if (!config.ocr.enabled) {
+            throw new ApiError(400, 'OCR is disabled; scanned documents and images cannot be processed');
+        }
+    }
+}
+
+export default new OcrService();
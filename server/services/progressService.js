@@ -0,0 +1,84 @@
+import { EventEmitter } from 'events';
+
+// Events kept per channel so late subscribers can catch up
+const maxBufferedEvents = 500;
+// Finished channels are kept this long for reconnecting subscribers
+const finishedRetentionMs = 5 * 60 * 1000;
+
+// Publishes processing stage events of uploads and batches to live subscribers (Server-Sent Events).
+// Channels are namespaced by tenant so a subscriber only ever sees its own tenant's events.
+class ProgressService {
+    constructor() {
+        this.channels = new Map();
+    }
+
+    channelKey(tenantId, id) {
+        return `${tenantId}:${id}`;
+    }
+
+    getChannel(tenantId, id) {
+        const key = this.channelKey(tenantId, id);
+        let channel = this.channels.get(key);
+        if (!channel) {
+            channel = { key, events: [], sequence: 0, finished: false, emitter: new EventEmitter() };
+            this.channels.set(key, channel);
+        }
+        return channel;
+    }
+
+    // Publish a stage event; a final event ends the stream for subscribers
+    publish(tenantId, id, stage, data = {}, { final = false } = {}) {
+        const channel = this.getChannel(tenantId, id);
+
+        const event = {
+            id,
+            sequence: ++channel.sequence,
+            stage,
+            timestamp: new Date().toISOString(),
+            final,
+            ...data
+        };
+
+        channel.events.push(event);
+        if (channel.events.length > maxBufferedEvents) {
+            channel.events.shift();
+        }
+
+        channel.emitter.emit('event', event);
+
+        if (final) {
+            channel.finished = true;
+            setTimeout(() => this.channels.delete(channel.key), finishedRetentionMs).unref();
+        }
+
+        return event;
+    }
+
+    // Reporter for processDocument; completion of the upload itself (not of an attachment or split sub-document) is final
+    createUploadReporter(tenantId, uploadId) {
+        return (stage, data = {}) => this.publish(tenantId, uploadId, stage, data, {
+            final: ['completed', 'failed'].includes(stage) && !data.attachment && !data.pageRange
+        });
+    }
+
+    // Replay buffered events after lastSequence, then forward new ones. Returns an unsubscribe function.
+    subscribe(tenantId, id, listener, lastSequence = 0) {
+        const channel = this.getChannel(tenantId, id);
+
+        channel.events
+            .filter(event => event.sequence > lastSequence)
+            .forEach(listener);
+
+        channel.emitter.on('event', listener);
+
+        return () => {
+            channel.emitter.off('event', listener);
+            // Drop channels nobody published to once their last subscriber leaves
+            if (channel.events.length === 0 && channel.emitter.listenerCount('event') === 0) {
+                this.channels.delete(channel.key);
+            }
+        };
+    }
+}
+
+export default new ProgressService();
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import path from 'path';
+import { config } from '../config/config.js';
+import { defaultPromptTemplate } from '../config/defaultPrompt.js';
+import { ApiError } from '../utils/ApiError.js';
+import { JsonStore } from '../utils/JsonStore.js';
+import { belongsToTenant } from '../utils/tenancy.js';
+import documentStoreService from './documentStoreService.js';
+import { logger } from '../utils/logger.js';
+
+const experimentModes = ['off', 'split', 'shadow'];
+
+const hashTemplate = (template) => crypto.createHash('sha256').update(template, 'utf-8').digest('hex').slice(0, 12);
+
+const toVersion = ({ id, description, template, model = null, generationConfig = {} }, now = null, createdBy = null) => ({
+    id,
+    description: description || '',
+    template,
+    templateHash: hashTemplate(template),
+    // null uses GEMINI_MODEL
+    model,
+    generationConfig,
+    createdBy,
+    createdAt: now
+});
+
+const defaultVersion = toVersion({ id: 'v1', description: 'Initial classification prompt', template: defaultPromptTemplate });
+
+const defaultExperiment = {
+    id: 'experiment',
+    activeVersion: defaultVersion.id,
+    candidateVersion: null,
+    mode: 'off',
+    trafficPercent: 0,
+    updatedAt: null,
+    updatedBy: null
+};
+
+const mean = (values) => values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 1000) / 1000
+    : null;
+
+// Versioned classification prompts with model settings, and the A/B test between the active and a
+// candidate version: 'split' sends a share of traffic to the candidate, 'shadow' classifies that share
+// with the candidate as well without using its result. Versions are immutable; changes are new versions.
+class PromptService {
+    constructor() {
+        this.store = new JsonStore(path.join(config.dataPath, 'prompt-versions.json'));
+        this.experimentStore = new JsonStore(path.join(config.dataPath, 'prompt-experiment.json'));
+        // Active and candidate classifications of the same document, compared by GET /api/prompts/compare
+        this.shadowStore = new JsonStore(path.join(config.dataPath, 'prompt-shadow-results.json'));
+    }
+
+    // Load versions and the experiment, seeding v1 and an inactive experiment on first start
+    async load() {
+        const versions = await this.store.load();
+        if (versions.length === 0) {
+            versions.push({ ...defaultVersion, createdAt: new Date().toISOString() });
+            await this.store.persist();
+            logger.info(`Seeded prompt version ${defaultVersion.id}`);
+        }
+
+        const experiments = await this.experimentStore.load();
+        if (experiments.length === 0) {
+            experiments.push({ ...defaultExperiment });
+            await this.experimentStore.persist();
+        }
+
+        await this.shadowStore.load();
+        return versions;
+    }
+
+    // Versions fall back to the seed until the stores have been loaded, e.g. in scripts that never call load()
+    listVersions() {
+        return this.store.records || [defaultVersion];
+    }
+
+    getVersion(id) {
+        return this.listVersions().find(version => version.id === id) || null;
+    }
+
+    getExperiment() {
+        return (this.experimentStore.records && this.experimentStore.records[0]) || defaultExperiment;
+    }
+
+    getActiveVersion() {
+        return this.getVersion(this.getExperiment().activeVersion) || defaultVersion;
+    }
+
+    getModelName(version) {
+        return version.model || config.geminiModel;
+    }
+
+    async createVersion({ id, description, template, model, generationConfig }, createdBy = null) {
+        await this.load();
+
+        if (this.getVersion(id)) {
+            throw new ApiError(409, `Prompt version '${id}' already exists; versions cannot be changed, create a new one`);
+        }
+
+        const version = toVersion({ id, description, template, model: model || null, generationConfig: generationConfig || {} }, new Date().toISOString(), createdBy);
+        await this.store.insert(version);
+        logger.info(`Prompt version ${id} created by ${createdBy}`);
+
+        return version;
+    }
+
+    // Change the active version, the candidate and how traffic is shared between them
+    async updateExperiment(changes, updatedBy = null) {
+        await this.load();
+
+        const experiment = { ...this.getExperiment(), ...changes };
+
+        for (const name of ['activeVersion', 'candidateVersion']) {
+            if (experiment[name] && !this.getVersion(experiment[name])) {
+                throw new ApiError(404, `Prompt version '${experiment[name]}' not found`);
+            }
+        }
+
+        if (experiment.mode !== 'off') {
+            if (!experiment.candidateVersion) {
+                throw new ApiError(400, `A candidate version is required for the '${experiment.mode}' mode`);
+            }
+            if (experiment.candidateVersion === experiment.activeVersion) {
+                throw new ApiError(400, 'The candidate version must differ from the active version');
+            }
+        }
+
+        const updated = await this.experimentStore.update(experiment.id, {
+            ...changes,
+            updatedAt: new Date().toISOString(),
+            updatedBy
+        });
+        logger.info(`Prompt experiment updated by ${updatedBy}: ${updated.mode} ${updated.activeVersion} / ${updated.candidateVersion} (${updated.trafficPercent}%)`);
+
+        return updated;
+    }
+
+    // Traffic bucket (0-99) of a document, from a hash of its content and the candidate version:
+    // the same document always gets the same version while the experiment runs
+    getTrafficBucket(content, candidateId) {
+        return crypto.createHash('sha256').update(`${candidateId}:${content}`, 'utf-8').digest().readUInt32BE(0) % 100;
+    }
+
+    // Pick the version that classifies a document's content, and the version shadow-run beside it (or null)
+    selectVersions(content) {
+        const experiment = this.getExperiment();
+        const active = this.getActiveVersion();
+        const candidate = experiment.candidateVersion && this.getVersion(experiment.candidateVersion);
+
+        if (!candidate || experiment.mode === 'off' || this.getTrafficBucket(content, candidate.id) >= experiment.trafficPercent) {
+            return { primary: active, shadow: null };
+        }
+
+        return experiment.mode === 'split'
+            ? { primary: candidate, shadow: null }
+            : { primary: active, shadow: candidate };
+    }
+
+    // Keep the active and candidate classifications of a shadow-run document, dropping the oldest beyond the limit
+    async recordShadowResult({ tenantId, contentHash, active, candidate }) {
+        const records = await this.shadowStore.load();
+
+        records.push({
+            id: crypto.randomUUID(),
+            tenantId,
+            contentHash,
+            createdAt: new Date().toISOString(),
+            active: this.summarize(active),
+            candidate: this.summarize(candidate)
+        });
+
+        const excess = records.length - config.prompts.maxShadowResults;
+        if (excess > 0) {
+            records.splice(0, excess);
+        }
+
+        await this.shadowStore.persist();
+    }
+
+    summarize(classification) {
+        return {
+            promptVersion: classification.promptVersion,
+            model: classification.model,
+            documentType: classification.documentType,
+            department: classification.department,
+            confidence: classification.confidence,
+            routingConfidence: classification.routingConfidence,
+            fallback: Boolean(classification.fallback)
+        };
+    }
+
+    // Agreement and confidence deltas of two versions: paired over shadow-run documents,
+    // and side by side over the stored results each version produced on live traffic
+    async compareVersions(baseline, candidate, tenantId = null) {
+        await this.load();
+
+        for (const id of [baseline, candidate]) {
+            if (!this.getVersion(id)) {
+                throw new ApiError(404, `Prompt version '${id}' not found`);
+            }
+        }
+
+        // Shadow results pair the active (baseline) version with the candidate, in either order
+        const pairs = (await this.shadowStore.find(record => belongsToTenant(record, tenantId)))
+            .map(record => {
+                if (record.active.promptVersion === baseline && record.candidate.promptVersion === candidate) {
+                    return [record.active, record.candidate];
+                }
+                if (record.active.promptVersion === candidate && record.candidate.promptVersion === baseline) {
+                    return [record.candidate, record.active];
+                }
+                return null;
+            })
+            .filter(Boolean);
+
+        const disagreements = {};
+        for (const [base, other] of pairs) {
+            if (base.documentType !== other.documentType) {
+                const key = `${base.documentType} -> ${other.documentType}`;
+                disagreements[key] = (disagreements[key] || 0) + 1;
+            }
+        }
+
+        const share = (predicate) => pairs.length > 0
+            ? Math.round(pairs.filter(predicate).length / pairs.length * 1000) / 1000
+            : null;
+
+        const documents = await documentStoreService.findDocumentsByVersion(tenantId, [baseline, candidate]);
+
+        return {
+            baseline,
+            candidate,
+            paired: {
+                count: pairs.length,
+                documentTypeAgreement: share(([base, other]) => base.documentType === other.documentType),
+                departmentAgreement: share(([base, other]) => base.department === other.department),
+                fullAgreement: share(([base, other]) => base.documentType === other.documentType && base.department === other.department),
+                meanConfidenceDelta: mean(pairs.map(([base, other]) => other.confidence - base.confidence)),
+                meanRoutingConfidenceDelta: mean(pairs.map(([base, other]) => other.routingConfidence - base.routingConfidence)),
+                documentTypeDisagreements: Object.entries(disagreements)
+                    .map(([change, count]) => ({ change, count }))
+                    .sort((a, b) => b.count - a.count)
+            },
+            live: {
+                [baseline]: this.describeResults(documents.filter(document => document.result.promptVersion === baseline)),
+                [candidate]: this.describeResults(documents.filter(document => document.result.promptVersion === candidate))
+            }
+        };
+    }
+
+    describeResults(documents) {
+        const documentTypes = {};
+        for (const document of documents) {
+            documentTypes[document.result.documentType] = (documentTypes[document.result.documentType] || 0) + 1;
+        }
+
+        const share = (predicate) => documents.length > 0
+            ? Math.round(documents.filter(predicate).length / documents.length * 1000) / 1000
+            : null;
+
+        return {
+            count: documents.length,
+            meanConfidence: mean(documents.map(document => document.result.confidence)),
+            meanRoutingConfidence: mean(documents.map(document => document.result.routingConfidence)),
+            reviewRate: share(document => Boolean(document.review)),
+            overrideRate: share(document => Boolean(document.review) && document.review.status === 'overridden'),
+            fallbackRate: share(document => Boolean(document.result.fallback)),
+            documentTypes
+        };
+    }
+}
+
+export { experimentModes };
+export default new PromptService();
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { BaseClassifierService } from './baseClassifierService.js';
+
+// Replays classifications recorded from a live provider, keyed by a hash of the document content.
+// Used by the evaluation harness so runs are repeatable and need no network or API key.
+class RecordedClassifierService extends BaseClassifierService {
+    constructor() {
+        super('recorded', 'Recorded responses');
+        this.recordingsPath = config.evaluation.recordingsPath;
+        this.recordings = null;
+        // When set, documents are classified live and the responses recorded
+        this.liveProvider = null;
+        // Providers the replayed responses were recorded from
+        this.replayedProviders = new Set();
+    }
+
+    hashContent(documentContent) {
+        return crypto.createHash('sha256').update(documentContent, 'utf-8').digest('hex');
+    }
+
+    // Switch to record mode: classify with the live provider and save every response
+    record(liveProvider) {
+        this.liveProvider = liveProvider;
+    }
+
+    setRecordingsPath(recordingsPath) {
+        this.recordingsPath = recordingsPath;
+        this.recordings = null;
+    }
+
+    async loadRecordings() {
+        if (this.recordings) {
+            return this.recordings;
+        }
+
+        try {
+            this.recordings = JSON.parse(await fs.readFile(this.recordingsPath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this.recordings = {};
+        }
+        return this.recordings;
+    }
+
+    async saveRecordings() {
+        const tempPath = `${this.recordingsPath}.tmp`;
+        await fs.mkdir(path.dirname(this.recordingsPath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(this.recordings, null, 2));
+        await fs.rename(tempPath, this.recordingsPath);
+    }
+
+    async classifyDocument(documentContent, options = {}) {
+        if (!documentContent || typeof documentContent !== 'string') {
+            throw new ApiError(400, 'Document content is required and must be a string');
+        }
+
+        const recordings = await this.loadRecordings();
+        const key = this.hashContent(documentContent);
+
+        if (this.liveProvider) {
+            const classification = await this.liveProvider.classifyDocument(documentContent, options);
+            recordings[key] = {
+                provider: this.liveProvider.name,
+                recordedAt: new Date().toISOString(),
+                classification
+            };
+            await this.saveRecordings();
+            return classification;
+        }
+
+        const recording = recordings[key];
+        if (!recording) {
+            throw new ApiError(404, 'No recorded response for this document; record one with npm run eval -- --record');
+        }
+
+        this.replayedProviders.add(recording.provider);
+        // Re-validate so responses recorded before a taxonomy change are treated like live ones
+        return this.validateClassificationResult(structuredClone(recording.classification));
+    }
+
+    getReplayedProviders() {
+        return [...this.replayedProviders].sort();
+    }
+
+    // Healthy when there is at least one response to replay
+    async testConnection() {
+        const recordings = await this.loadRecordings();
+        return Object.keys(recordings).length > 0;
+    }
+}
+
+export default new RecordedClassifierService();
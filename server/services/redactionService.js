@@ -0,0 +1,331 @@
+import fs from 'fs/promises';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { logger } from '../utils/logger.js';
+
+// Luhn checksum used by payment card numbers
+const passesLuhn = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+// ISO 13616 mod-97 check of an IBAN
+const isValidIban = (iban) => {
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const digit of numeric) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+};
+
+// Words that introduce a phone number, e.g. "Tel.:", "Phone no.", "Telefonnummer", "Téléphone :"
+const phoneLabel = '(?:phone|telephone|tel|mobile|cell|fax|telefon|telefono|teléfono|téléphone|tél|móvil|handy|mobil)';
+
+// A phone number is 7 to 15 digits with single spaces, dots, slashes or dashes between them
+const phoneDigits = '\\d(?:[ ./-]?\\d){6,14}';
+
+// Amounts such as 12.500.000 or 1,234.50 are digit groups, never phone numbers
+const looksLikeAmount = (match) => match.includes(',') || /^\d{1,3}(?:\.\d{3})+$/.test(match);
+
+// Detectors run in this order; specific patterns come before the generic phone pattern
+const detectors = [
+    {
+        category: 'email',
+        pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi
+    },
+    {
+        category: 'iban',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        isValid: (match) => isValidIban(match.replace(/ /g, ''))
+    },
+    {
+        category: 'card',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        isValid: (match) => passesLuhn(match.replace(/\D/g, ''))
+    },
+    {
+        // US SSN, UK National Insurance number
+        category: 'nationalId',
+        pattern: /\b(?:\d{3}-\d{2}-\d{4}|[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D])\b/g
+    },
+    {
+        // US EIN, EU VAT numbers, Indian PAN
+        category: 'taxId',
+        pattern: /\b(?:\d{2}-\d{7}|(?:AT|BE|BG|CY|CZ|DE|DK|EE|EL|ES|FI|FR|GB|HR|HU|IE|IT|LT|LU|LV|MT|NL|PL|PT|RO|SE|SI|SK)U?[0-9A-Z]{8,12}|[A-Z]{5}\d{4}[A-Z])\b/g,
+        isValid: (match) => /\d{7}/.test(match)
+    },
+    {
+        // Only numbers that are clearly phone numbers: with a + country prefix, a bracketed area code,
+        // or right after a phone label; bare digit runs are far more often amounts, IDs or quantities
+        category: 'phone',
+        pattern: new RegExp([
+            `\\+\\d{1,3}[ .-]?(?:\\(\\d{1,4}\\)[ .-]?)?${phoneDigits}\\b`,
+            `\\(\\d{2,4}\\)[ .-]?${phoneDigits}\\b`,
+            `(?<=\\b${phoneLabel}\\.?(?: ?(?:no|nr|number|nummer)\\.?)? ?:? ?)${phoneDigits}\\b`
+        ].join('|'), 'gi'),
+        isValid: (match) => !looksLikeAmount(match)
+    }
+];
+
+const categories = detectors.map(detector => detector.category);
+
+// Replaces personal data with placeholders such as [EMAIL_1]. The same value always gets the
+// same placeholder, across every text redacted by one redactor (e.g. all pages of a document).
+class Redactor {
+    constructor(enabledCategories) {
+        this.detectors = detectors.filter(detector => enabledCategories.includes(detector.category));
+        this.placeholders = new Map();
+        this.values = new Map();
+        this.counts = {};
+    }
+
+    redact(text) {
+        if (!text) {
+            return text;
+        }
+
+        return this.detectors.reduce((redacted, detector) =>
+            redacted.replace(detector.pattern, match =>
+                !detector.isValid || detector.isValid(match) ? this.getPlaceholder(detector.category, match) : match
+            ), text);
+    }
+
+    getPlaceholder(category, value) {
+        const key = `${category}:${value}`;
+        if (!this.placeholders.has(key)) {
+            this.counts[category] = (this.counts[category] || 0) + 1;
+            const label = category.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+            const placeholder = `[${label}_${this.counts[category]}]`;
+            this.placeholders.set(key, placeholder);
+            this.values.set(placeholder, { category, value });
+        }
+        return this.placeholders.get(key);
+    }
+
+    // Put the original values of the allowed categories back into a (nested) value
+    restore(value, allowedCategories) {
+        if (typeof value === 'string') {
+            return value.replace(/\[[A-Z_]+_\d+\]/gi, placeholder => {
+                const original = this.values.get(placeholder.toUpperCase());
+                return original && allowedCategories.includes(original.category) ? original.value : placeholder;
+            });
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.restore(item, allowedCategories));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item, allowedCategories)]));
+        }
+        return value;
+    }
+
+    // Replace the original values of the given categories with their placeholders again (the reverse of restore)
+    conceal(value, concealedCategories) {
+        if (typeof value === 'string') {
+            // Longest values first, so a value containing another one is replaced whole
+            return [...this.values.entries()]
+                .filter(([, original]) => concealedCategories.includes(original.category))
+                .sort(([, a], [, b]) => b.value.length - a.value.length)
+                .reduce((text, [placeholder, original]) => text.split(original.value).join(placeholder), value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.conceal(item, concealedCategories));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.conceal(item, concealedCategories)]));
+        }
+        return value;
+    }
+
+    // Unique values redacted per category, e.g. { email: 2, phone: 1 }
+    summary() {
+        return { ...this.counts };
+    }
+}
+
+// Redaction policies: the tenant's policy decides what is redacted before text reaches the classifier,
+// the department's policy which categories are restored in extractedData afterwards.
+class RedactionService {
+    constructor() {
+        this.policies = null;
+    }
+
+    getCategories() {
+        return categories;
+    }
+
+    // Load (or reload) policies from the policies file; a missing file means the configured defaults
+    async loadPolicies() {
+        let content;
+        try {
+            content = await fs.readFile(config.redaction.policiesPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.policies = {};
+                return this.policies;
+            }
+            throw error;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            throw new ApiError(500, `Redaction policies file is not valid JSON: ${error.message}`);
+        }
+
+        const errors = this.validatePolicies(parsed);
+        if (errors.length > 0) {
+            throw new ApiError(500, 'Redaction policies file contains invalid policies', errors);
+        }
+
+        this.policies = parsed;
+        logger.info(`Loaded redaction policies from ${config.redaction.policiesPath}`);
+        return this.policies;
+    }
+
+    async getPolicies() {
+        return this.policies || this.loadPolicies();
+    }
+
+    validatePolicies(policies) {
+        const errors = [];
+
+        const validatePolicy = (policy, label) => {
+            if (!policy || typeof policy !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+                errors.push(`${label} enabled must be a boolean`);
+            }
+            for (const field of ['categories', 'restore']) {
+                if (policy[field] === undefined) {
+                    continue;
+                }
+                if (!Array.isArray(policy[field])) {
+                    errors.push(`${label} ${field} must be an array`);
+                    continue;
+                }
+                const unknown = policy[field].filter(category => !categories.includes(category));
+                if (unknown.length > 0) {
+                    errors.push(`${label} ${field} has unknown categories: ${unknown.join(', ')}`);
+                }
+            }
+        };
+
+        if (!policies || typeof policies !== 'object') {
+            return ['Redaction policies file must contain an object'];
+        }
+        if (policies.default !== undefined) {
+            validatePolicy(policies.default, 'Default policy');
+        }
+        for (const [tenantId, policy] of Object.entries(policies.tenants || {})) {
+            validatePolicy(policy, `Policy of tenant '${tenantId}'`);
+            for (const [department, departmentPolicy] of Object.entries((policy && policy.departments) || {})) {
+                validatePolicy(departmentPolicy, `Policy of department '${department}' in tenant '${tenantId}'`);
+            }
+        }
+        for (const [department, policy] of Object.entries(policies.departments || {})) {
+            validatePolicy(policy, `Policy of department '${department}'`);
+        }
+
+        return errors;
+    }
+
+    // Effective policy for a tenant: built-in defaults, then the file's default, then the tenant's own policy
+    async getPolicy(tenantId) {
+        const policies = await this.getPolicies();
+        const tenantPolicy = (policies.tenants || {})[tenantId] || {};
+
+        const { departments: tenantDepartments = {}, ...ownPolicy } = tenantPolicy;
+
+        return {
+            enabled: config.redaction.enabled,
+            categories,
+            restore: categories,
+            ...policies.default,
+            ...ownPolicy,
+            departments: { ...policies.departments, ...tenantDepartments }
+        };
+    }
+
+    // Categories restored in extractedData for documents routed to a department
+    getRestoreCategories(policy, department) {
+        const departmentPolicy = policy.departments[department];
+        return departmentPolicy && departmentPolicy.restore ? departmentPolicy.restore : policy.restore;
+    }
+
+    // Redactor for a tenant's documents; redacts nothing when the tenant's policy is disabled
+    async createRedactor(tenantId) {
+        const policy = await this.getPolicy(tenantId);
+        return { policy, redactor: new Redactor(policy.enabled ? policy.categories : []) };
+    }
+
+    // Put every redacted value back into the model's extractedData, so fields can be typed (a "[PHONE_1]"
+    // is no amount or date) and routing rules compare real values. The department is not known yet;
+    // restoreClassification hides what the final department may not see.
+    restoreExtractedData(classification, { redactor }) {
+        if (Object.keys(redactor.summary()).length === 0) {
+            return classification;
+        }
+
+        return {
+            ...classification,
+            extractedData: redactor.restore(classification.extractedData, categories),
+            ...(classification.additionalData && { additionalData: redactor.restore(classification.additionalData, categories) })
+        };
+    }
+
+    // Placeholders for every redacted value again, e.g. for the audit trail, which no department policy covers
+    concealExtractedData(classification, { redactor }) {
+        if (Object.keys(redactor.summary()).length === 0) {
+            return classification;
+        }
+
+        return {
+            ...classification,
+            extractedData: redactor.conceal(classification.extractedData, categories),
+            ...(classification.additionalData && { additionalData: redactor.conceal(classification.additionalData, categories) }),
+            ...(classification.extractionValidation && { extractionValidation: redactor.conceal(classification.extractionValidation, categories) })
+        };
+    }
+
+    // Keep the restored values the final department may see, put placeholders back for the rest,
+    // and describe what was redacted. Expects the output of restoreExtractedData.
+    restoreClassification(classification, { policy, redactor }) {
+        const redacted = redactor.summary();
+        if (Object.keys(redacted).length === 0) {
+            return { ...classification, redaction: { applied: policy.enabled, redacted, restored: [] } };
+        }
+
+        const restore = this.getRestoreCategories(policy, classification.department);
+        const concealed = categories.filter(category => !restore.includes(category));
+
+        return {
+            ...classification,
+            extractedData: redactor.conceal(classification.extractedData, concealed),
+            ...(classification.additionalData && { additionalData: redactor.conceal(classification.additionalData, concealed) }),
+            ...(classification.extractionValidation && { extractionValidation: redactor.conceal(classification.extractionValidation, concealed) }),
+            redaction: {
+                applied: true,
+                redacted,
+                restored: restore.filter(category => redacted[category])
+            }
+        };
+    }
+}
+
+export default new RedactionService();
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import path from 'path';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import { JsonStore } from '../utils/JsonStore.js';
+import { belongsToTenant, getTenantId } from '../utils/tenancy.js';
+import documentStoreService from './documentStoreService.js';
+import deliveryService from './deliveryService.js';
+import auditService from './auditService.js';
+import matchingService from './matchingService.js';
+import { logger } from '../utils/logger.js';
+
+// Manual review workflow for low-confidence classifications
+class ReviewService {
+    constructor() {
+        this.store = new JsonStore(path.join(config.dataPath, 'reviews.json'));
+    }
+
+    // A classification needs review when it is a fallback or either confidence score is below the threshold
+    requiresReview(result) {
+        return Boolean(result.fallback)
+            || result.confidence < config.confidenceThreshold
+            || result.routingConfidence < config.confidenceThreshold;
+    }
+
+    // Queue a stored document for review
+    async createReview(document) {
+        const { result } = document;
+
+        const review = {
+            id: crypto.randomUUID(),
+            tenantId: getTenantId(document),
+            documentId: document.id,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            reason: result.fallback
+                ? 'AI classification failed; fallback result needs a manual decision'
+                : `Confidence below threshold of ${config.confidenceThreshold}`,
+            suggested: {
+                documentType: result.documentType,
+                department: result.department,
+                confidence: result.confidence,
+                routingConfidence: result.routingConfidence
+            },
+            decision: null
+        };
+
+        await this.store.insert(review);
+        await documentStoreService.updateDocument(document.id, {
+            status: 'pending_review',
+            review: { id: review.id, status: review.status }
+        });
+
+        return review;
+    }
+
+    // Reviews of other tenants are reported as not found
+    async getReview(id, tenantId = null) {
+        const review = await this.store.findById(id);
+        return review && belongsToTenant(review, tenantId) ? review : null;
+    }
+
+    // List reviews by status, oldest first so the queue is worked in order
+    async listReviews(status, { page = 1, limit = 20 } = {}, tenantId = null) {
+        const matches = await this.store.find(review =>
+            belongsToTenant(review, tenantId) && (!status || review.status === status)
+        );
+        matches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        const total = matches.length;
+        const start = (page - 1) * limit;
+
+        return {
+            reviews: matches.slice(start, start + limit),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    // Accept the suggested classification.
+    // context ({ requestId, actor }) is recorded in the audit trail.
+    async approveReview(id, { reviewer, comment }, tenantId = null, context = {}) {
+        const review = await this.getPendingReview(id, tenantId);
+
+        return this.recordDecision(review, {
+            action: 'approved',
+            documentType: review.suggested.documentType,
+            department: review.suggested.department,
+            reviewer,
+            comment: comment || null
+        }, context);
+    }
+
+    // Replace the suggested document type and/or department
+    async overrideReview(id, { reviewer, documentType, department, comment }, tenantId = null, context = {}) {
+        const review = await this.getPendingReview(id, tenantId);
+
+        return this.recordDecision(review, {
+            action: 'overridden',
+            documentType: documentType || review.suggested.documentType,
+            department: department || review.suggested.department,
+            reviewer,
+            comment
+        }, context);
+    }
+
+    async getPendingReview(id, tenantId = null) {
+        const review = await this.getReview(id, tenantId);
+
+        if (!review) {
+            throw new ApiError(404, 'Review not found');
+        }
+
+        if (review.status !== 'pending') {
+            throw new ApiError(409, `Review has already been ${review.status}`);
+        }
+
+        return review;
+    }
+
+    // Store the decision on the review and the final routing on the document
+    async recordDecision(review, decision, { requestId = null, actor = null } = {}) {
+        const decided = { ...decision, decidedAt: new Date().toISOString() };
+
+        const updatedReview = await this.store.update(review.id, {
+            status: decision.action,
+            decision: decided
+        });
+
+        // The original AI classification stays untouched in document.result
+        const document = await documentStoreService.updateDocument(review.documentId, {
+            status: 'reviewed',
+            documentType: decided.documentType,
+            department: decided.department,
+            review: { id: review.id, status: decision.action, ...decided }
+        });
+
+        logger.info(`Review ${review.id} ${decision.action} by ${decision.reviewer}`);
+
+        // The decision is saved; a failed audit write must not turn it into an error the client retries
+        try {
+            await auditService.record({
+                event: `review.${decision.action}`,
+                tenantId: getTenantId(review),
+                requestId,
+                actor,
+                documentId: review.documentId,
+                data: {
+                    reviewId: review.id,
+                    reviewer: decision.reviewer,
+                    comment: decided.comment,
+                    suggested: review.suggested,
+                    routing: { documentType: decided.documentType, department: decided.department }
+                }
+            });
+        } catch (error) {
+            logger.error(`Failed to audit review ${review.id}`, { error });
+        }
+
+        // Reviewed documents are delivered to the final department
+        if (document) {
+            try {
+                await deliveryService.scheduleDelivery(document);
+            } catch (error) {
+                logger.error(`Failed to schedule delivery for document ${document.id}`, { error });
+            }
+
+            // The reviewed document type decides what the document is matched against
+            try {
+                await matchingService.matchDocument(document);
+            } catch (error) {
+                logger.error(`Failed to match document ${document.id}`, { error });
+            }
+        }
+
+        return updatedReview;
+    }
+}
+
+export default new ReviewService();
@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import { config } from '../config/config.js';
+import { ApiError } from '../utils/ApiError.js';
+import taxonomyService from './taxonomyService.js';
+import { logger } from '../utils/logger.js';
+import { parseAmount } from '../utils/normalizers.js';
+
+// Parse numbers out of values such as "$10,500.00" or "10.500,00"; NaN (never matching) if not numeric
+const toNumber = (value) => parseAmount(value) ?? NaN;
+
+// Flatten any value into lowercase text for substring matching
+const toSearchText = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return (typeof value === 'string' ? value : JSON.stringify(value)).toLowerCase();
+};
+
+const operators = {
+    equals: (actual, expected) => toSearchText(actual) === toSearchText(expected),
+    notEquals: (actual, expected) => toSearchText(actual) !== toSearchText(expected),
+    in: (actual, expected) => Array.isArray(expected) && expected.some(item => toSearchText(item) === toSearchText(actual)),
+    notIn: (actual, expected) => Array.isArray(expected) && !expected.some(item => toSearchText(item) === toSearchText(actual)),
+    contains: (actual, expected) => toSearchText(actual).includes(toSearchText(expected)),
+    notContains: (actual, expected) => !toSearchText(actual).includes(toSearchText(expected)),
+    matches: (actual, expected) => new RegExp(expected, 'i').test(toSearchText(actual)),
+    greaterThan: (actual, expected) => toNumber(actual) > toNumber(expected),
+    greaterThanOrEqual: (actual, expected) => toNumber(actual) >= toNumber(expected),
+    lessThan: (actual, expected) => toNumber(actual) < toNumber(expected),
+    lessThanOrEqual: (actual, expected) => toNumber(actual) <= toNumber(expected),
+    exists: (actual, expected) => (actual !== undefined && actual !== null && actual !== '') === (expected !== false)
+};
+
+// Declarative routing rules applied on top of the AI classification
+class RoutingRulesService {
+    constructor() {
+        this.rules = null;
+    }
+
+    // Load (or reload) rules from the rules file; a missing file means no rules
+    async loadRules() {
+        let content;
+        try {
+            content = await fs.readFile(config.routingRulesPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.rules = [];
+                return this.rules;
+            }
+            throw error;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            throw new ApiError(500, `Routing rules file is not valid JSON: ${error.message}`);
+        }
+
+        const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+        if (!Array.isArray(rules)) {
+            throw new ApiError(500, 'Routing rules file must contain a "rules" array');
+        }
+
+        const errors = rules.flatMap((rule, index) => this.validateRule(rule, index));
+        if (errors.length > 0) {
+            throw new ApiError(500, 'Routing rules file contains invalid rules', errors);
+        }
+
+        // Highest priority first; equal priorities keep file order
+        this.rules = rules
+            .map((rule, index) => ({ enabled: true, priority: 0, ...rule, order: index }))
+            .sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+        logger.info(`Loaded ${this.rules.length} routing rules from ${config.routingRulesPath}`);
+        return this.rules;
+    }
+
+    async getRules() {
+        return this.rules || this.loadRules();
+    }
+
+    // Rules without a tenantId are shared; the rest only apply to their own tenant
+    async getRulesForTenant(tenantId) {
+        const rules = await this.getRules();
+        return rules.filter(rule => !rule.tenantId || rule.tenantId === tenantId);
+    }
+
+    validateRule(rule, index) {
+        const errors = [];
+        const label = rule && rule.id ? `Rule '${rule.id}'` : `Rule #${index + 1}`;
+
+        if (!rule || typeof rule !== 'object') {
+            return [`${label} must be an object`];
+        }
+        if (!rule.id) {
+            errors.push(`${label} requires an id`);
+        }
+        // Retired departments stay valid so retiring one never stops the rules file from loading
+        if (!taxonomyService.getNames('department', { includeRetired: true }).includes(rule.department)) {
+            errors.push(`${label} has invalid department '${rule.department}'`);
+        }
+        if (rule.tenantId !== undefined && (typeof rule.tenantId !== 'string' || !rule.tenantId)) {
+            errors.push(`${label} tenantId must be a non-empty string`);
+        }
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+            errors.push(`${label} priority must be a number`);
+        }
+        if (!rule.conditions) {
+            errors.push(`${label} requires conditions`);
+        } else {
+            errors.push(...this.validateCondition(rule.conditions, label));
+        }
+
+        return errors;
+    }
+
+    validateCondition(condition, label) {
+        if (condition.all || condition.any) {
+            const children = condition.all || condition.any;
+            if (!Array.isArray(children) || children.length === 0) {
+                return [`${label} has an empty 'all'/'any' group`];
+            }
+            return children.flatMap(child => this.validateCondition(child, label));
+        }
+        if (condition.not) {
+            return this.validateCondition(condition.not, label);
+        }
+        if (!condition.field) {
+            return [`${label} has a condition without a field`];
+        }
+        if (!operators[condition.operator]) {
+            return [`${label} uses unknown operator '${condition.operator}'`];
+        }
+        if (condition.operator === 'matches') {
+            try {
+                new RegExp(condition.value);
+            } catch {
+                return [`${label} has an invalid regular expression '${condition.value}'`];
+            }
+        }
+        return [];
+    }
+
+    // Resolve dotted paths such as "extractedData.totalAmount"
+    resolveField(context, field) {
+        return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+    }
+
+    evaluateCondition(condition, context) {
+        if (condition.all) {
+            return condition.all.every(child => this.evaluateCondition(child, context));
+        }
+        if (condition.any) {
+            return condition.any.some(child => this.evaluateCondition(child, context));
+        }
+        if (condition.not) {
+            return !this.evaluateCondition(condition.not, context);
+        }
+        return operators[condition.operator](this.resolveField(context, condition.field), condition.value);
+    }
+
+    // Apply the tenant's highest-priority matching rule to a validated classification
+    async applyRules(classification, text = '', tenantId = config.auth.defaultTenantId) {
+        const rules = await this.getRulesForTenant(tenantId);
+        const context = { ...classification, text };
+
+        const rule = rules.find(candidate => candidate.enabled && this.evaluateCondition(candidate.conditions, context));
+
+        if (!rule) {
+            return { ...classification, matchedRule: null };
+        }
+
+        logger.info(`Routing rule '${rule.id}' matched; routing to ${rule.department}`);
+
+        return {
+            ...classification,
+            department: rule.department,
+            routingConfidence: rule.routingConfidence ?? 1,
+            matchedRule: {
+                id: rule.id,
+                description: rule.description || null,
+                priority: rule.priority,
+                department: rule.department,
+                aiDepartment: classification.department,
+                aiRoutingConfidence: classification.routingConfidence
+            }
+        };
+    }
+}
+
+export default new RoutingRulesService();
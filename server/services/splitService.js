@@ -0,0 +1,190 @@
+import fs from 'fs/promises';
+import { PDFDocument } from 'pdf-lib';
+import { config } from '../config/config.js';
+import { JobQueue } from '../utils/JobQueue.js';
+import classifierService from './classifierService.js';
+import { logger } from '../utils/logger.js';
+
+// "Page 2 of 5", "Page 2/5" or just "Page 2"
+const PAGE_NUMBER_PATTERN = /\bpage\s+(\d{1,4})(?:\s*(?:of|\/)\s*(\d{1,4}))?\b/i;
+
+// Labelled document numbers, e.g. "Invoice No: INV-2024-001" or "PO # 4500012345"
+const IDENTIFIER_PATTERNS = [
+    { kind: 'invoice', pattern: /\b(?:invoice|inv)\s*(?:no\.?|number|num|nr\.?|#|id)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/i },
+    { kind: 'purchase_order', pattern: /\b(?:purchase\s+order|p\.?o\.?)\s*(?:no\.?|number|num|nr\.?|#|id)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/i },
+    { kind: 'receipt', pattern: /\breceipt\s*(?:no\.?|number|num|nr\.?|#|id)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/i },
+    { kind: 'credit_note', pattern: /\bcredit\s+note\s*(?:no\.?|number|num|nr\.?|#|id)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/i },
+    { kind: 'statement', pattern: /\bstatement\s*(?:no\.?|number|num|nr\.?|#|id)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/i }
+];
+
+// Detects where one document ends and the next begins in a multi-document PDF (e.g. a scanned stack
+// of invoices, receipts and purchase orders) and writes the pages of each sub-document to its own PDF
+class SplitService {
+    constructor() {
+        this.queue = new JobQueue(config.maxConcurrentRequests);
+    }
+
+    // Split per-page text into sub-documents.
+    // pages is the original page text (used for the continuity heuristics); classificationPages is the
+    // redacted page text sent to the classifier, all pages with the same promptVersions.
+    // Returns [{ pageStart, pageEnd, reason, pages }].
+    async detectDocuments(pages, { classificationPages = pages, tenantId = null, promptVersions = null, onProgress = () => {} } = {}) {
+        let completed = 0;
+        const analyses = await Promise.all(pages.map((pageText, index) => this.queue.add(async () => {
+            const analysis = await this.analyzePage(pageText, classificationPages[index], index + 1, { tenantId, promptVersions });
+            onProgress('page-classified', { page: index + 1, completed: ++completed, total: pages.length });
+            return analysis;
+        })));
+
+        return this.groupPages(analyses);
+    }
+
+    // Page-level signals: numbering, the page's own document number and a classification of the page alone
+    async analyzePage(pageText, classificationText, pageNumber, { tenantId = null, promptVersions = null } = {}) {
+        const blank = pageText.trim().length < config.split.minPageLength;
+        const analysis = {
+            page: pageNumber,
+            blank,
+            pageNumber: this.findPageNumber(pageText),
+            identifier: this.findIdentifier(pageText),
+            documentType: null,
+            confidence: null
+        };
+
+        if (!blank) {
+            try {
+                const classification = await classifierService.classifyDocument(classificationText, { tenantId, promptVersions });
+                analysis.documentType = classification.documentType;
+                analysis.confidence = classification.confidence;
+            } catch (error) {
+                // The remaining heuristics still apply to a page that could not be classified
+                logger.error(`Failed to classify page ${pageNumber}`, { error: error.message });
+            }
+        }
+
+        return analysis;
+    }
+
+    findPageNumber(text) {
+        const match = text.match(PAGE_NUMBER_PATTERN);
+        if (!match) {
+            return null;
+        }
+        return { current: parseInt(match[1]), total: match[2] ? parseInt(match[2]) : null };
+    }
+
+    // The first labelled document number on the page; headers name the page's own document first
+    findIdentifier(text) {
+        let first = null;
+        for (const { kind, pattern } of IDENTIFIER_PATTERNS) {
+            const match = pattern.exec(text);
+            if (match && /\d/.test(match[1]) && (!first || match.index < first.index)) {
+                first = { kind, value: match[1].toUpperCase(), index: match.index };
+            }
+        }
+        return first && { kind: first.kind, value: first.value };
+    }
+
+    // Walk the pages in order, starting a new sub-document at each detected boundary
+    groupPages(analyses) {
+        const documents = [];
+        let current = null;
+        let previous = null;
+
+        for (const analysis of analyses) {
+            const boundary = current ? this.detectBoundary(previous, analysis, current) : { split: true, reason: 'first page' };
+
+            if (boundary.split) {
+                current = {
+                    pageStart: analysis.page,
+                    pageEnd: analysis.page,
+                    reason: boundary.reason,
+                    identifier: analysis.identifier,
+                    pages: [this.describePage(analysis, boundary.reason)]
+                };
+                documents.push(current);
+            } else {
+                current.pageEnd = analysis.page;
+                current.identifier = current.identifier || analysis.identifier;
+                current.pages.push(this.describePage(analysis, boundary.reason));
+            }
+
+            // Blank pages neither start nor break the continuity of a document
+            if (!analysis.blank) {
+                previous = analysis;
+            }
+        }
+
+        return documents.map(({ identifier, ...document }) => document);
+    }
+
+    // Whether page starts a new document, checked from the strongest signal to the weakest.
+    // previous is the last non-blank page; current is the sub-document being built.
+    detectBoundary(previous, page, current) {
+        if (page.blank || !previous) {
+            return { split: false, reason: 'blank page' };
+        }
+
+        if (page.pageNumber) {
+            if (page.pageNumber.current === 1) {
+                return { split: true, reason: 'page numbering restarts' };
+            }
+
+            const continues = previous.pageNumber
+                && page.pageNumber.current === previous.pageNumber.current + 1
+                && (!page.pageNumber.total || !previous.pageNumber.total || page.pageNumber.total === previous.pageNumber.total);
+            if (continues) {
+                return { split: false, reason: 'page numbering continues' };
+            }
+        }
+
+        const identifier = current.identifier;
+        if (identifier && page.identifier && identifier.kind === page.identifier.kind) {
+            return identifier.value === page.identifier.value
+                ? { split: false, reason: `same ${identifier.kind} number ${identifier.value}` }
+                : { split: true, reason: `${page.identifier.kind} number changes to ${page.identifier.value}` };
+        }
+
+        const { minTypeConfidence } = config.split;
+        const documentType = previous.documentType;
+        const typeChanges = documentType && page.documentType
+            && documentType !== page.documentType
+            && ![documentType, page.documentType].includes(config.documentTypes.OTHER)
+            && previous.confidence >= minTypeConfidence
+            && page.confidence >= minTypeConfidence;
+        if (typeChanges) {
+            return { split: true, reason: `document type changes from ${documentType} to ${page.documentType}` };
+        }
+
+        return { split: false, reason: 'no boundary detected' };
+    }
+
+    describePage(analysis, reason) {
+        return {
+            page: analysis.page,
+            blank: analysis.blank,
+            documentType: analysis.documentType,
+            confidence: analysis.confidence,
+            pageNumber: analysis.pageNumber,
+            identifier: analysis.identifier,
+            reason
+        };
+    }
+
+    // Copy pages pageStart..pageEnd (1-based, inclusive) of a PDF into a new PDF file
+    async writePdfPages(sourcePath, pageStart, pageEnd, targetPath) {
+        const source = await PDFDocument.load(await fs.readFile(sourcePath), { ignoreEncryption: true });
+        const target = await PDFDocument.create();
+
+        const indices = Array.from({ length: pageEnd - pageStart + 1 }, (_, offset) => pageStart - 1 + offset);
+        const copied = await target.copyPages(source, indices);
+        copied.forEach(page => target.addPage(page));
+
+        // Object streams are left out so older PDF readers (including pdf-parse) can read the parts
+        const bytes = await target.save({ useObjectStreams: false });
+        await fs.writeFile(targetPath, bytes);
+        return bytes.length;
+    }
+}
+
+export default new SplitService();
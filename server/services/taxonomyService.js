@@ -0,0 +1,143 @@
+import path from 'path';
+import { config } from '../config/config.js';
+import { defaultTaxonomy } from '../config/defaultTaxonomy.js';
+import { ApiError } from '../utils/ApiError.js';
+import { JsonStore } from '../utils/JsonStore.js';
+import { logger } from '../utils/logger.js';
+
+const kinds = ['documentType', 'department'];
+
+// Classifications fall back to these, so they can never be retired
+const fallbackNames = {
+    documentType: config.documentTypes.OTHER,
+    department: config.departments.GENERAL
+};
+
+const toRecord = (kind, { name, displayName, description }, now = null) => ({
+    id: `${kind}:${name}`,
+    kind,
+    name,
+    displayName,
+    description: description || '',
+    retired: false,
+    createdAt: now,
+    updatedAt: now,
+    retiredAt: null
+});
+
+// Document types and departments, editable at runtime and persisted across restarts.
+// Names are the stable values stored on documents and rules; display names and descriptions can change.
+class TaxonomyService {
+    constructor() {
+        this.store = new JsonStore(path.join(config.dataPath, 'taxonomy.json'));
+        // Used until the store has been loaded, e.g. by scripts that never call load()
+        this.defaults = kinds.flatMap(kind => defaultTaxonomy[kind].map(entry => toRecord(kind, entry)));
+    }
+
+    // Load the taxonomy, seeding it from the defaults on first start
+    async load() {
+        const records = await this.store.load();
+
+        if (records.length === 0) {
+            const now = new Date().toISOString();
+            records.push(...kinds.flatMap(kind => defaultTaxonomy[kind].map(entry => toRecord(kind, entry, now))));
+            await this.store.persist();
+            logger.info(`Seeded taxonomy with ${records.length} document types and departments`);
+        }
+
+        return records;
+    }
+
+    getEntries(kind, { includeRetired = false } = {}) {
+        const records = this.store.records || this.defaults;
+        return records.filter(record => record.kind === kind && (includeRetired || !record.retired));
+    }
+
+    getNames(kind, options) {
+        return this.getEntries(kind, options).map(entry => entry.name);
+    }
+
+    getEntry(kind, name) {
+        return this.getEntries(kind, { includeRetired: true }).find(entry => entry.name === name) || null;
+    }
+
+    isActive(kind, name) {
+        const entry = this.getEntry(kind, name);
+        return Boolean(entry && !entry.retired);
+    }
+
+    getDisplayName(kind, name) {
+        const entry = this.getEntry(kind, name) || this.getEntry(kind, fallbackNames[kind]);
+        return entry ? entry.displayName : name;
+    }
+
+    // Public shape of an entry
+    describe(entry) {
+        return {
+            name: entry.name,
+            displayName: entry.displayName,
+            description: entry.description,
+            retired: entry.retired,
+            fallback: entry.name === fallbackNames[entry.kind],
+            createdAt: entry.createdAt,
+            updatedAt: entry.updatedAt,
+            retiredAt: entry.retiredAt
+        };
+    }
+
+    async getTaxonomy({ includeRetired = false } = {}) {
+        await this.load();
+        return {
+            documentTypes: this.getEntries('documentType', { includeRetired }).map(entry => this.describe(entry)),
+            departments: this.getEntries('department', { includeRetired }).map(entry => this.describe(entry))
+        };
+    }
+
+    async addEntry(kind, { name, displayName, description }) {
+        await this.load();
+
+        const existing = this.getEntry(kind, name);
+        if (existing) {
+            throw new ApiError(409, existing.retired
+                ? `'${name}' exists but is retired; update it with retired: false to restore it`
+                : `'${name}' already exists`);
+        }
+
+        const record = await this.store.insert(toRecord(kind, { name, displayName, description }, new Date().toISOString()));
+        logger.info(`Taxonomy ${kind} '${name}' added`);
+        return this.describe(record);
+    }
+
+    // Rename (display name), re-describe, retire or restore an entry
+    async updateEntry(kind, name, { displayName, description, retired }) {
+        await this.load();
+
+        const entry = this.getEntry(kind, name);
+        if (!entry) {
+            throw new ApiError(404, `Unknown ${kind} '${name}'`);
+        }
+
+        if (retired === true && name === fallbackNames[kind]) {
+            throw new ApiError(400, `'${name}' is the fallback ${kind} and cannot be retired`);
+        }
+
+        const now = new Date().toISOString();
+        const changes = { updatedAt: now };
+        if (displayName !== undefined) changes.displayName = displayName;
+        if (description !== undefined) changes.description = description;
+        if (retired !== undefined && retired !== entry.retired) {
+            changes.retired = retired;
+            changes.retiredAt = retired ? now : null;
+        }
+
+        const updated = await this.store.update(entry.id, changes);
+        logger.info(`Taxonomy ${kind} '${name}' updated`);
+        return this.describe(updated);
+    }
+
+    async retireEntry(kind, name) {
+        return this.updateEntry(kind, name, { retired: true });
+    }
+}
+
+export default new TaxonomyService();
@@ -0,0 +1,117 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-audit-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+process.env.ROUTING_RULES_PATH = path.join(dataPath, 'routingRules.json');
+process.env.DELIVERY_DESTINATIONS_PATH = path.join(dataPath, 'destinations.json');
+
+const { default: auditService } = await import('../services/auditService.js');
+const { default: documentService } = await import('../services/documentService.js');
+const { config } = await import('../config/config.js');
+
+beforeEach(async () => {
+    await fs.rm(auditService.logPath, { force: true });
+    auditService.entries = null;
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const readLines = async () => (await fs.readFile(auditService.logPath, 'utf-8')).split('\n').filter(Boolean);
+
+const recordThree = async () => {
+    for (const documentId of ['doc-1', 'doc-2', 'doc-3']) {
+        await auditService.record({ event: 'review.approved', tenantId: 'acme', actor: 'reviewer', documentId });
+    }
+};
+
+test('each entry is chained to the hash of the one before it', async () => {
+    const entries = await Promise.all([
+        auditService.record({ event: 'review.approved', tenantId: 'acme', documentId: 'doc-1' }),
+        auditService.record({ event: 'review.overridden', tenantId: 'acme', documentId: 'doc-2' })
+    ]);
+
+    assert.deepEqual(entries.map(entry => entry.sequence), [1, 2]);
+    assert.equal(entries[0].previousHash, '0'.repeat(64));
+    assert.equal(entries[1].previousHash, entries[0].hash);
+    assert.deepEqual(await auditService.verifyChain(), { valid: true, entries: 2, lastHash: entries[1].hash, brokenAtLine: null });
+});
+
+test('an edited entry breaks the chain at that line', async () => {
+    await recordThree();
+    const lines = await readLines();
+    lines[1] = lines[1].replace('"actor":"reviewer"', '"actor":"intruder"');
+    await fs.writeFile(auditService.logPath, lines.join('\n') + '\n');
+
+    const result = await auditService.verifyChain();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAtLine, 2);
+    assert.equal(result.reason, 'Entry content does not match its hash');
+});
+
+test('a removed entry breaks the chain at the entry that followed it', async () => {
+    await recordThree();
+    const lines = await readLines();
+    await fs.writeFile(auditService.logPath, [lines[0], lines[2]].join('\n') + '\n');
+
+    const result = await auditService.verifyChain();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAtLine, 2);
+    assert.equal(result.reason, 'previousHash does not match the preceding entry');
+});
+
+test('a rehashed forgery is caught by the entry after it', async () => {
+    await recordThree();
+    const lines = await readLines();
+    const { hash: _hash, ...forged } = { ...JSON.parse(lines[0]), actor: 'intruder' };
+    lines[0] = JSON.stringify({ ...forged, hash: auditService.hashEntry(forged) });
+    await fs.writeFile(auditService.logPath, lines.join('\n') + '\n');
+
+    const result = await auditService.verifyChain();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAtLine, 2);
+});
+
+test('entries are filtered by tenant and returned newest first', async () => {
+    await auditService.record({ event: 'review.approved', tenantId: 'acme', documentId: 'doc-1' });
+    await auditService.record({ event: 'review.approved', tenantId: 'globex', documentId: 'doc-2' });
+    await auditService.record({ event: 'delivery.failed', tenantId: 'acme', documentId: 'doc-1' });
+
+    const { entries, pagination } = await auditService.queryEntries({ tenantId: 'acme' });
+
+    assert.deepEqual(entries.map(entry => entry.event), ['delivery.failed', 'review.approved']);
+    assert.equal(pagination.total, 2);
+    assert.equal((await auditService.findEntries({ tenantId: 'acme', event: 'review.approved' })).length, 1);
+});
+
+test('long raw responses are truncated', () => {
+    const { maxRawResponseLength } = config.audit;
+    const truncated = auditService.truncateRawResponse('x'.repeat(maxRawResponseLength + 5));
+
+    assert.ok(truncated.endsWith('... [truncated 5 characters]'));
+    assert.deepEqual(auditService.truncateRawResponse(['short']), ['short']);
+});
+
+test('a classified document is recorded with who submitted it and where it was routed', async () => {
+    const result = await documentService.classifyText(
+        'Invoice INV-7 from Acme. Total amount due: $120.00. Payment due in 30 days.',
+        { tenantId: 'acme', requestId: 'req-1', actor: 'acme-upload' }
+    );
+
+    const [entry] = await auditService.findEntries({ documentId: result.id });
+
+    assert.equal(entry.event, 'document.classified');
+    assert.equal(entry.requestId, 'req-1');
+    assert.equal(entry.actor, 'acme-upload');
+    assert.equal(entry.data.result.documentType, result.documentType);
+    assert.equal((await auditService.verifyChain()).valid, true);
+});
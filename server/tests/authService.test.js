@@ -0,0 +1,152 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-auth-'));
+process.env.DATA_PATH = dataPath;
+process.env.API_KEYS_PATH = path.join(dataPath, 'apiKeys.json');
+
+const { default: authService } = await import('../services/authService.js');
+const { default: documentStoreService } = await import('../services/documentStoreService.js');
+const { authenticate, authorize } = await import('../middlewares/authMiddleware.js');
+const { config } = await import('../config/config.js');
+
+const authEnabled = config.auth.enabled;
+
+afterEach(() => {
+    authService.keys = null;
+    config.auth.enabled = authEnabled;
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const writeKeys = (keys) => fs.writeFile(config.auth.apiKeysPath, JSON.stringify({ keys }));
+
+const acmeKeys = [
+    { name: 'acme-upload', key: 'acme-secret', tenantId: 'acme', roles: ['uploader'] },
+    { name: 'globex-review', keyHash: authService.hashKey('globex-secret'), tenantId: 'globex', roles: ['reviewer'] }
+];
+
+// Minimal Express request/response pair for calling the middleware directly
+const call = async (middleware, headers = {}, auth = undefined, query = {}) => {
+    const req = { auth, query, get: (name) => headers[name.toLowerCase()] };
+    const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+};
+
+test('keys given in plain text or as a SHA-256 hash both authenticate', async () => {
+    await writeKeys(acmeKeys);
+
+    assert.deepEqual(await authService.authenticate('acme-secret'), { keyName: 'acme-upload', tenantId: 'acme', roles: ['uploader'] });
+    assert.equal((await authService.authenticate('globex-secret')).tenantId, 'globex');
+    assert.equal(await authService.authenticate('wrong-secret'), null);
+    assert.equal(await authService.authenticate(''), null);
+});
+
+test('a missing keys file accepts no key', async () => {
+    await fs.rm(config.auth.apiKeysPath, { force: true });
+
+    assert.deepEqual(await authService.loadKeys(), []);
+    assert.equal(await authService.authenticate('acme-secret'), null);
+});
+
+test('invalid keys are rejected with every problem listed', async () => {
+    await writeKeys([
+        { name: 'no-secret', tenantId: 'acme', roles: ['uploader'] },
+        { name: 'bad-role', key: 'x', tenantId: 'acme', roles: ['owner'] },
+        { key: 'y', roles: [] }
+    ]);
+
+    await assert.rejects(() => authService.loadKeys(), (error) => {
+        assert.equal(error.statusCode, 500);
+        assert.deepEqual(error.errors, [
+            "API key 'no-secret' requires a key or a SHA-256 keyHash",
+            "API key 'bad-role' has unknown roles: owner",
+            'API key #3 requires a name',
+            'API key #3 requires a tenantId',
+            'API key #3 requires at least one role'
+        ]);
+        return true;
+    });
+});
+
+test('admin passes every role check', () => {
+    assert.equal(authService.hasRole({ roles: ['admin'] }, ['reviewer']), true);
+    assert.equal(authService.hasRole({ roles: ['uploader'] }, ['reviewer']), false);
+    assert.equal(authService.hasRole({ roles: ['uploader'] }, ['reviewer', 'uploader']), true);
+});
+
+test('requests are authenticated from a bearer token or an X-API-Key header', async () => {
+    await writeKeys(acmeKeys);
+
+    const bearer = await call(authenticate, { authorization: 'Bearer acme-secret' });
+    assert.equal(bearer.nextCalled, true);
+    assert.equal(bearer.req.auth.tenantId, 'acme');
+
+    const header = await call(authenticate, { 'x-api-key': 'globex-secret' });
+    assert.equal(header.req.auth.keyName, 'globex-review');
+
+    const missing = await call(authenticate);
+    assert.equal(missing.nextCalled, false);
+    assert.equal(missing.res.statusCode, 401);
+    assert.equal(missing.res.headers['WWW-Authenticate'], 'Bearer');
+});
+
+test('an event stream may pass its key as a query parameter, other requests may not', async () => {
+    await writeKeys(acmeKeys);
+
+    const stream = await call(authenticate, { accept: 'text/event-stream' }, undefined, { apiKey: 'acme-secret' });
+    assert.equal(stream.nextCalled, true);
+    assert.equal(stream.req.auth.tenantId, 'acme');
+
+    const json = await call(authenticate, { accept: 'application/json' }, undefined, { apiKey: 'acme-secret' });
+    assert.equal(json.res.statusCode, 401);
+});
+
+test('with authentication disabled every request is an admin of the default tenant', async () => {
+    config.auth.enabled = false;
+
+    const { req, nextCalled } = await call(authenticate);
+
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.auth, { keyName: 'anonymous', tenantId: config.auth.defaultTenantId, roles: ['admin'] });
+});
+
+test('a key without the required role is refused', async () => {
+    const refused = await call(authorize('reviewer'), {}, { tenantId: 'acme', roles: ['uploader'] });
+    assert.equal(refused.nextCalled, false);
+    assert.equal(refused.res.statusCode, 403);
+
+    const allowed = await call(authorize('reviewer'), {}, { tenantId: 'acme', roles: ['reviewer'] });
+    assert.equal(allowed.nextCalled, true);
+});
+
+test('documents of another tenant are not found or listed', async () => {
+    const save = (tenantId) => documentStoreService.saveClassification({
+        tenantId,
+        source: 'text',
+        text: `note for ${tenantId}`,
+        result: { documentType: 'other', department: 'general', confidenceLevel: 'low' }
+    });
+    const acme = await save('acme');
+    await save('globex');
+
+    assert.equal((await documentStoreService.getDocument(acme.id, 'acme')).id, acme.id);
+    assert.equal(await documentStoreService.getDocument(acme.id, 'globex'), null);
+    assert.equal((await documentStoreService.getDocument(acme.id)).id, acme.id);
+
+    const { documents } = await documentStoreService.listDocuments({ tenantId: 'globex' });
+    assert.deepEqual(documents.map(document => document.tenantId), ['globex']);
+});
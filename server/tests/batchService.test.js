@@ -0,0 +1,197 @@
+import { test, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+// Services read their configuration when first imported, so the environment is set up before
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-batches-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+
+const { default: batchService } = await import('../services/batchService.js');
+const { default: documentService } = await import('../services/documentService.js');
+const { JobQueue } = await import('../utils/JobQueue.js');
+const { JsonStore } = await import('../utils/JsonStore.js');
+const { config } = await import('../config/config.js');
+
+const original = {
+    tempUploadPath: config.tempUploadPath,
+    maxFileSize: config.maxFileSize,
+    maxBatchFiles: config.maxBatchFiles,
+    maxArchiveBytes: config.maxArchiveBytes,
+    maxArchiveEntries: config.maxArchiveEntries
+};
+config.tempUploadPath = dataPath;
+
+afterEach(() => {
+    Object.assign(config, original, { tempUploadPath: dataPath });
+    mock.restoreAll();
+});
+
+after(async () => {
+    Object.assign(config, original);
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+// Write a ZIP upload; understateSizes rewrites the size fields of every header to claim 10 bytes
+const writeZip = async (files, { understateSizes = false } = {}) => {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(files)) {
+        zip.addFile(name, Buffer.from(content));
+    }
+
+    const buffer = zip.toBuffer();
+    if (understateSizes) {
+        for (let offset = 0; offset < buffer.length - 4; offset++) {
+            const signature = buffer.readUInt32LE(offset);
+            if (signature === 0x04034b50) {
+                buffer.writeUInt32LE(10, offset + 22);
+            } else if (signature === 0x02014b50) {
+                buffer.writeUInt32LE(10, offset + 24);
+            }
+        }
+    }
+
+    const filePath = path.join(dataPath, `upload-${Math.random().toString(36).slice(2)}.zip`);
+    await fs.writeFile(filePath, buffer);
+    return { originalname: 'upload.zip', path: filePath, mimetype: 'application/zip' };
+};
+
+const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+// Resolves once the batch has no queued or processing documents left
+const waitForBatch = async (id) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const status = await batchService.getBatchStatus(id);
+        if (status.status === 'completed') {
+            return status;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Batch ${id} did not complete`);
+};
+
+test('the job queue runs jobs in order, at most concurrency at a time', async () => {
+    const queue = new JobQueue(2);
+    const started = [];
+    let running = 0;
+    let maxRunning = 0;
+
+    await Promise.all([1, 2, 3, 4, 5].map(job => queue.add(async () => {
+        started.push(job);
+        maxRunning = Math.max(maxRunning, ++running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+    })));
+
+    assert.deepEqual(started, [1, 2, 3, 4, 5]);
+    assert.equal(maxRunning, 2);
+    assert.equal(queue.active, 0);
+    assert.equal(queue.size, 0);
+});
+
+test('supported ZIP entries are extracted and the rest reported as skipped', async () => {
+    const upload = await writeZip({ 'invoice.txt': 'Invoice 1', 'photo.bmp': 'BM', '__MACOSX/._invoice.txt': 'x' });
+
+    const { documents, skipped } = await batchService.expandArchives([upload]);
+
+    assert.deepEqual(documents.map(document => [document.originalname, document.mimetype, document.size]), [['invoice.txt', 'text/plain', 9]]);
+    assert.equal(await fs.readFile(documents[0].path, 'utf-8'), 'Invoice 1');
+    assert.deepEqual(skipped, [{ fileName: 'photo.bmp', reason: "Unsupported file extension '.bmp'" }]);
+    assert.equal(await exists(upload.path), false);
+});
+
+test('an archive that cannot be read is skipped', async () => {
+    const filePath = path.join(dataPath, 'broken.zip');
+    await fs.writeFile(filePath, 'not a zip file');
+
+    const { documents, skipped } = await batchService.expandArchives([{ originalname: 'broken.zip', path: filePath, mimetype: 'application/zip' }]);
+
+    assert.equal(documents.length, 0);
+    assert.deepEqual(skipped, [{ fileName: 'broken.zip', reason: 'Archive could not be read' }]);
+});
+
+test('every document of a batch is processed and the outcome reported per document', async () => {
+    mock.method(documentService, 'processDocument', async (file) => {
+        if (file.originalname === 'bad.txt') {
+            throw new Error('No text content could be extracted from the file');
+        }
+        return { id: 'doc-1', documentType: 'invoice', department: 'finance', confidence: 0.9, confidenceLevel: 'high' };
+    });
+
+    const batch = await batchService.createBatch([
+        { originalname: 'good.txt', path: null, mimetype: 'text/plain' },
+        { originalname: 'bad.txt', path: null, mimetype: 'text/plain' }
+    ]);
+    const status = await waitForBatch(batch.id);
+
+    assert.deepEqual(status.documents.map(entry => [entry.fileName, entry.status]), [['good.txt', 'completed'], ['bad.txt', 'failed']]);
+    assert.equal(status.documents[0].documentId, 'doc-1');
+    assert.equal(status.documents[1].error, 'No text content could be extracted from the file');
+    assert.equal(status.progress.percent, 100);
+    assert.equal(status.progress.failed, 1);
+});
+
+test('a batch with more documents than allowed is rejected', async () => {
+    config.maxBatchFiles = 1;
+    const files = ['a.txt', 'b.txt'].map(originalname => ({ originalname, path: null, mimetype: 'text/plain' }));
+
+    await assert.rejects(() => batchService.createBatch(files), { statusCode: 400, message: /maximum is 1/ });
+});
+
+test('an unknown batch is not found', async () => {
+    assert.equal(await batchService.getBatchStatus('missing'), null);
+});
+
+test('an entry larger than the file size limit is caught even when its header claims otherwise', async () => {
+    config.maxFileSize = 1000;
+    const upload = await writeZip({ 'big.txt': 'a'.repeat(5000), 'small.txt': 'invoice' }, { understateSizes: true });
+
+    const { documents } = await batchService.expandArchives([upload]);
+
+    const big = documents.find(document => document.originalname === 'big.txt');
+    assert.equal(big.path, null);
+    assert.ok(big.size > config.maxFileSize);
+    assert.equal(documents.find(document => document.originalname === 'small.txt').size, 7);
+});
+
+test('extraction stops once the archive total exceeds the byte limit', async () => {
+    Object.assign(config, { maxFileSize: 1000, maxArchiveBytes: 1500 });
+    const upload = await writeZip({ 'a.txt': 'a'.repeat(800), 'b.txt': 'b'.repeat(800), 'c.txt': 'c'.repeat(800) });
+
+    const { documents, skipped } = await batchService.expandArchives([upload]);
+
+    assert.deepEqual(documents.map(document => document.originalname), ['a.txt']);
+    assert.deepEqual(skipped.map(entry => entry.fileName), ['b.txt', 'c.txt']);
+    assert.match(skipped[0].reason, /more than 1500 bytes/);
+});
+
+test('an archive with too many entries is skipped', async () => {
+    config.maxArchiveEntries = 2;
+    const upload = await writeZip({ 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c' });
+
+    const { documents, skipped } = await batchService.expandArchives([upload]);
+
+    assert.equal(documents.length, 0);
+    assert.deepEqual(skipped, [{ fileName: 'upload.zip', reason: 'Archive has more than 2 files' }]);
+});
+
+test('batches are persisted and unfinished ones are failed after a restart', async () => {
+    mock.method(documentService, 'processDocument', () => new Promise(() => {}));
+    const filePath = path.join(dataPath, 'note.txt');
+    await fs.writeFile(filePath, 'invoice');
+
+    const batch = await batchService.createBatch([{ originalname: 'note.txt', path: filePath, mimetype: 'text/plain', size: 7 }], 'acme');
+
+    const stored = await new JsonStore(path.join(dataPath, 'batches.json')).findById(batch.id);
+    assert.equal(stored.tenantId, 'acme');
+    assert.equal(stored.documents[0].fileName, 'note.txt');
+
+    assert.equal(await batchService.failInterruptedBatches(), 1);
+    const status = await batchService.getBatchStatus(batch.id, 'acme');
+    assert.equal(status.status, 'completed');
+    assert.equal(status.documents[0].error, 'Interrupted by a server restart');
+    assert.equal(await batchService.getBatchStatus(batch.id, 'other-tenant'), null);
+});
@@ -0,0 +1,172 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config, validateConfig } from '../config/config.js';
+import chunkingService from '../services/chunkingService.js';
+import classifierService from '../services/classifierService.js';
+import promptService from '../services/promptService.js';
+
+const originalChunking = { ...config.chunking };
+
+const classification = (overrides = {}) => ({
+    documentType: 'invoice',
+    confidence: 0.9,
+    department: 'finance',
+    routingConfidence: 0.8,
+    extractedData: {},
+    reasoning: 'Looks like an invoice.',
+    suggestedActions: [],
+    provider: 'local',
+    ...overrides
+});
+
+beforeEach(() => {
+    Object.assign(config.chunking, { maxTextLength: 100, chunkSize: 100, chunkOverlap: 10, maxChunks: 3 });
+    mock.method(classifierService, 'classifyDocument', async () => classification());
+});
+
+afterEach(() => {
+    Object.assign(config.chunking, originalChunking);
+    mock.restoreAll();
+});
+
+test('text within the limit is classified in one request', async () => {
+    const result = await chunkingService.classify('short invoice text');
+
+    assert.equal(classifierService.classifyDocument.mock.callCount(), 1);
+    assert.equal(result.chunking, undefined);
+});
+
+test('long text is split at a line break when one falls in the second half of the window', () => {
+    const text = `${'a'.repeat(70)}\n${'b'.repeat(70)}`;
+    const chunks = chunkingService.chunkByLength(text);
+
+    assert.equal(chunks[0].text, 'a'.repeat(70));
+    assert.equal(chunks[1].text, `${'a'.repeat(10)}\n${'b'.repeat(70)}`);
+});
+
+test('whole pages are grouped into chunks that repeat the tail of the previous chunk', () => {
+    const chunks = chunkingService.chunkByPage(['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)]);
+
+    assert.deepEqual(chunks.map(chunk => [chunk.pageStart, chunk.pageEnd]), [[1, 2], [3, 3]]);
+    assert.equal(chunks[1].text, `${'b'.repeat(10)}\n\n${'c'.repeat(40)}`);
+});
+
+test('page ranges are used for documents with more than one page', async () => {
+    const result = await chunkingService.classify('p'.repeat(150), { pages: ['p'.repeat(75), 'p'.repeat(75)] });
+
+    assert.deepEqual(result.chunking.chunks.map(chunk => chunk.pageStart), [1, 2]);
+});
+
+test('the longest confident chunks win the vote and disagreement lowers confidence', () => {
+    const chunks = [{ index: 0, text: 'x'.repeat(300) }, { index: 1, text: 'x'.repeat(100) }];
+    const merged = chunkingService.mergeClassifications(chunks, [
+        classification({ documentType: 'contract', confidence: 0.8, department: 'legal', routingConfidence: 0.8 }),
+        classification({ documentType: 'invoice', confidence: 0.9 })
+    ]);
+
+    assert.equal(merged.documentType, 'contract');
+    assert.equal(merged.department, 'legal');
+    assert.equal(merged.confidence, 0.7);
+    assert.equal(merged.chunking.chunkCount, 2);
+    assert.match(merged.reasoning, /^Merged from 2 chunks\./);
+});
+
+test('chunks that found nothing do not outvote a real classification', () => {
+    const chunks = [{ index: 0, text: 'x'.repeat(900) }, { index: 1, text: 'x'.repeat(100) }];
+    const merged = chunkingService.mergeClassifications(chunks, [
+        classification({ documentType: config.documentTypes.OTHER, confidence: 0.9, department: config.departments.GENERAL }),
+        classification({ documentType: 'receipt', confidence: 0.6 })
+    ]);
+
+    assert.equal(merged.documentType, 'receipt');
+    assert.equal(merged.confidence, 0.6);
+    assert.equal(merged.department, 'finance');
+});
+
+test('the first chunk to report a field wins and lists are combined', () => {
+    const chunks = [{ index: 0, text: 'first', pageStart: 1, pageEnd: 1 }, { index: 1, text: 'second', pageStart: 2, pageEnd: 3 }];
+    const merged = chunkingService.mergeClassifications(chunks, [
+        classification({ extractedData: { invoiceNumber: null, parties: ['Acme'] }, suggestedActions: ['Pay'] }),
+        classification({ extractedData: { invoiceNumber: 'INV-42', parties: ['Acme', 'Globex'] }, suggestedActions: ['Pay', 'File'] })
+    ]);
+
+    assert.deepEqual(merged.extractedData, { invoiceNumber: 'INV-42', parties: ['Acme', 'Globex'] });
+    assert.deepEqual(merged.extractedDataSources.invoiceNumber, { chunk: 1, pageStart: 2, pageEnd: 3 });
+    assert.deepEqual(merged.suggestedActions, ['Pay', 'File']);
+});
+
+test('chunks overlap and together cover the whole text', () => {
+    const text = 'x'.repeat(250);
+    const chunks = chunkingService.chunkByLength(text);
+
+    assert.deepEqual(chunks.map(chunk => chunk.index), [0, 1, 2]);
+    assert.ok(chunks.every(chunk => chunk.text.length <= 100));
+    assert.equal(chunks.reduce((sum, chunk) => sum + chunk.text.length, 0) - 10 * (chunks.length - 1), 250);
+});
+
+test('oversized pages are split and every chunk gets its own index', () => {
+    const chunks = chunkingService.chunkByPage(['a'.repeat(40), 'b'.repeat(150), 'c'.repeat(40)]);
+
+    assert.deepEqual(chunks.map(chunk => chunk.index), chunks.map((chunk, index) => index));
+    assert.deepEqual(chunks.map(chunk => [chunk.pageStart, chunk.pageEnd]), [[1, 1], [2, 2], [2, 2], [3, 3]]);
+});
+
+test('a document beyond the chunk limit is reported as truncated', async () => {
+    const result = await chunkingService.classify('y'.repeat(1000));
+
+    assert.equal(classifierService.classifyDocument.mock.callCount(), 3);
+    assert.equal(result.truncated, true);
+    assert.equal(result.chunking.truncated, true);
+    assert.equal(result.chunking.chunksClassified, 3);
+    assert.equal(result.chunking.totalChunks, 11);
+    assert.match(result.suggestedActions.at(-1), /only 3 of 11 parts were classified/);
+});
+
+test('a document within the chunk limit is not truncated', async () => {
+    const result = await chunkingService.classify('z'.repeat(250));
+
+    assert.equal(result.truncated, undefined);
+    assert.equal(result.chunking.truncated, false);
+    assert.equal(result.chunking.totalChunks, result.chunking.chunksClassified);
+});
+
+test('every chunk is classified with the prompt versions chosen for the document', async () => {
+    const promptVersions = { primary: { id: 'v2' }, shadow: null };
+    await chunkingService.classify('w'.repeat(250), { tenantId: 'acme', promptVersions });
+
+    const calls = classifierService.classifyDocument.mock.calls;
+    assert.equal(calls.length, 3);
+    assert.ok(calls.every(call => call.arguments[1].promptVersions.primary === promptVersions.primary));
+});
+
+test('a chunked document records exactly one shadow result, for the merged classifications', async () => {
+    const active = { id: 'v1' };
+    const candidate = { id: 'v2' };
+    mock.method(classifierService, 'classifyDocument', async (text, { promptVersions }) => classification({ promptVersion: promptVersions.primary.id }));
+    let recordShadowResult;
+    const recorded = new Promise(resolve => {
+        recordShadowResult = mock.method(promptService, 'recordShadowResult', async (result) => resolve(result));
+    });
+
+    const result = await chunkingService.classify('w'.repeat(250), { tenantId: 'acme', promptVersions: { primary: active, shadow: candidate } });
+    const shadow = await recorded;
+
+    const calls = classifierService.classifyDocument.mock.calls;
+    assert.equal(calls.length, 6);
+    assert.ok(calls.every(call => call.arguments[1].promptVersions.shadow === null));
+    assert.equal(result.promptVersion, 'v1');
+    assert.equal(recordShadowResult.mock.callCount(), 1);
+    assert.deepEqual([shadow.active.promptVersion, shadow.candidate.promptVersion], ['v1', 'v2']);
+    assert.equal(shadow.candidate.chunking.chunkCount, 3);
+});
+
+test('a chunk overlap as large as the chunk size is rejected', () => {
+    const { classifierProvider } = config;
+    config.classifierProvider = 'local';
+    Object.assign(config.chunking, { chunkSize: 100, chunkOverlap: 100 });
+    try {
+        assert.throws(() => validateConfig(), /CHUNK_OVERLAP must be smaller than CHUNK_SIZE/);
+    } finally {
+        config.classifierProvider = classifierProvider;
+    }
+});
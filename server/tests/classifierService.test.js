@@ -0,0 +1,58 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/config.js';
+import classifierService from '../services/classifierService.js';
+import localClassifierService from '../services/localClassifierService.js';
+
+const { classifierProvider } = config;
+
+afterEach(() => {
+    config.classifierProvider = classifierProvider;
+});
+
+test('the local classifier recognises an invoice and routes it to finance', async () => {
+    const result = await localClassifierService.classifyDocument(
+        'TAX INVOICE\nInvoice number: INV-2024-001\nBill to: Acme Ltd\nAmount due: $1,250.00\nDue date: 2024-04-30'
+    );
+
+    assert.equal(result.documentType, 'invoice');
+    assert.equal(result.department, 'finance');
+    assert.ok(result.confidence > 0.5);
+    assert.equal(result.extractedData.invoiceNumber, 'INV-2024-001');
+    assert.deepEqual(result.extractedData.dates, ['2024-04-30']);
+});
+
+test('text without known keywords is classified as other with low confidence', async () => {
+    const result = await localClassifierService.classifyDocument('Lorem ipsum dolor sit amet');
+
+    assert.equal(result.documentType, 'other');
+    assert.equal(result.department, 'general');
+    assert.equal(result.confidence, 0.3);
+});
+
+test('the local classifier gives the same answer for the same text', async () => {
+    const text = 'PURCHASE ORDER\nPO number: PO-7\nShip to: Warehouse 3\nVendor: Globex';
+
+    assert.deepEqual(await localClassifierService.classifyDocument(text), await localClassifierService.classifyDocument(text));
+});
+
+test('empty content is rejected', async () => {
+    await assert.rejects(() => localClassifierService.classifyDocument(''), { statusCode: 400 });
+});
+
+test('classifications name the provider that made them', async () => {
+    config.classifierProvider = 'local';
+
+    const result = await classifierService.classifyDocument('Purchase order PO no: 42');
+
+    assert.equal(result.provider, 'local');
+    assert.equal(result.documentType, 'purchase_order');
+});
+
+test('an unknown provider is an error', () => {
+    assert.throws(() => classifierService.getProvider('nope'), /Unknown classifier provider: nope/);
+});
+
+test('providers without classifyDocument() are not registered', () => {
+    assert.throws(() => classifierService.registerProvider({ name: 'broken', testConnection: async () => true }), /must implement/);
+});
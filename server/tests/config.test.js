@@ -0,0 +1,50 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { config, validateConfig } from '../config/config.js';
+
+const original = { classifierProvider: config.classifierProvider, delivery: { ...config.delivery } };
+let folder;
+
+beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-config-'));
+    config.classifierProvider = 'local';
+    config.delivery.destinationsPath = path.join(folder, 'destinations.json');
+});
+
+afterEach(async () => {
+    config.classifierProvider = original.classifierProvider;
+    Object.assign(config.delivery, original.delivery);
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+const writeDestinations = (destinations) => fs.writeFile(config.delivery.destinationsPath, JSON.stringify(destinations));
+
+test('a webhook destination without a signing secret stops startup', async () => {
+    await writeDestinations({ finance: { type: 'webhook', url: 'https://erp.example.com/hook' } });
+    config.delivery.signingSecret = '';
+
+    assert.throws(() => validateConfig(), /DELIVERY_SIGNING_SECRET is required/);
+});
+
+test('a webhook destination with a signing secret is accepted', async () => {
+    await writeDestinations({ finance: { type: 'webhook', url: 'https://erp.example.com/hook' } });
+    config.delivery.signingSecret = 'secret';
+
+    assert.equal(validateConfig(), true);
+});
+
+test('folder and email destinations only warn about a missing secret', async () => {
+    await writeDestinations({ legal: { type: 'folder', path: '/tmp/legal' } });
+    config.delivery.signingSecret = '';
+
+    assert.equal(validateConfig(), true);
+});
+
+test('the recorded evaluation provider cannot be configured for the server', () => {
+    config.classifierProvider = 'recorded';
+
+    assert.throws(() => validateConfig(), /CLASSIFIER_PROVIDER must be one of: gemini, local$/);
+});
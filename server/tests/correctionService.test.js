@@ -0,0 +1,112 @@
+import { test, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-corrections-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+
+const { default: correctionService } = await import('../services/correctionService.js');
+const { default: classifierService } = await import('../services/classifierService.js');
+const { default: localClassifierService } = await import('../services/localClassifierService.js');
+const { default: geminiService } = await import('../services/geminiService.js');
+const { default: documentStoreService } = await import('../services/documentStoreService.js');
+const { default: taxonomyService } = await import('../services/taxonomyService.js');
+const { default: promptService } = await import('../services/promptService.js');
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const correct = (tenantId, text, documentType, department) => correctionService.recordCorrection({
+    tenantId, text, documentType, department, correctedBy: 'reviewer'
+});
+
+test('a correction of a stored document keeps the original classification', async () => {
+    const document = await documentStoreService.saveClassification({
+        tenantId: 'acme',
+        source: 'text',
+        text: 'Statement of account',
+        result: { documentType: 'other', department: 'general', confidenceLevel: 'low' }
+    });
+
+    const correction = await correctionService.recordCorrection({
+        tenantId: 'acme', text: '  Statement of account  ', documentType: 'invoice', department: 'finance',
+        documentId: document.id, correctedBy: 'reviewer'
+    });
+
+    assert.equal(correction.excerpt, 'Statement of account');
+    assert.deepEqual(correction.original, { documentType: 'other', department: 'general' });
+    await assert.rejects(correctionService.recordCorrection({
+        tenantId: 'globex', text: 'x', documentType: 'invoice', department: 'finance', documentId: document.id, correctedBy: 'reviewer'
+    }), { statusCode: 404 });
+});
+
+test('the most similar corrections of the tenant are used as examples', async () => {
+    await correct('initech', 'Monthly payslip for employee salary and tax deductions', 'receipt', 'operations');
+    await correct('initech', 'Office lease agreement for the Berlin premises', 'contract', 'legal');
+    await correct('umbrella', 'Monthly payslip for employee salary and pension deductions', 'receipt', 'finance');
+
+    const examples = await correctionService.findExamples('Payslip: salary for May, tax deductions applied', 'initech');
+
+    assert.equal(examples.length, 1);
+    assert.equal(examples[0].documentType, 'receipt');
+    assert.equal(examples[0].department, 'operations');
+    assert.ok(examples[0].similarity > 0);
+});
+
+test('few-shot examples can be turned off or limited per tenant', async () => {
+    await correct('hooli', 'Invoice for cloud hosting services', 'invoice', 'finance');
+    await correct('hooli', 'Invoice for cloud storage services', 'invoice', 'finance');
+
+    await correctionService.updateSettings('hooli', { maxExamples: 1 }, 'admin');
+    assert.equal((await correctionService.findExamples('Invoice for cloud services', 'hooli')).length, 1);
+
+    await correctionService.updateSettings('hooli', { enabled: false }, 'admin');
+    assert.deepEqual(await correctionService.findExamples('Invoice for cloud services', 'hooli'), []);
+    assert.equal((await correctionService.getSettings('hooli')).maxExamples, 1);
+});
+
+test('corrections to a retired department are not used', async () => {
+    await taxonomyService.addEntry('department', { name: 'facilities', displayName: 'Facilities' });
+    await correct('vandelay', 'Cleaning schedule for the warehouse', 'other', 'facilities');
+    assert.equal((await correctionService.findExamples('Cleaning schedule for the office', 'vandelay')).length, 1);
+
+    await taxonomyService.retireEntry('department', 'facilities');
+
+    assert.deepEqual(await correctionService.findExamples('Cleaning schedule for the office', 'vandelay'), []);
+});
+
+test('examples are passed to the provider and reported on the classification', async () => {
+    const correction = await correct('stark', 'Purchase order for steel beams', 'purchase_order', 'procurement');
+    const classify = mock.method(localClassifierService, 'classifyDocument');
+
+    const result = await classifierService.classifyDocument('Purchase order: steel beams, 40 units', { tenantId: 'stark' });
+
+    assert.equal(classify.mock.calls[0].arguments[1].examples[0].id, correction.id);
+    assert.equal(result.fewShotExamples[0].id, correction.id);
+    assert.equal((await classifierService.classifyDocument('Purchase order: steel beams')).fewShotExamples, undefined);
+});
+
+test('the Gemini prompt shows examples with their corrected labels', () => {
+    const version = promptService.getActiveVersion();
+    const prompt = geminiService.buildClassificationPrompt(version, [
+        { excerpt: 'Purchase order for steel beams', documentType: 'purchase_order', department: 'procurement' }
+    ]);
+
+    assert.match(prompt, /Example 1 - documentType: purchase_order, department: procurement\n"""\nPurchase order for steel beams\n"""/);
+    assert.doesNotMatch(geminiService.buildClassificationPrompt(version), /Reviewers corrected/);
+});
+
+test('a correction of another tenant cannot be deleted', async () => {
+    const correction = await correct('acme', 'Receipt for lunch', 'receipt', 'finance');
+
+    await assert.rejects(correctionService.deleteCorrection(correction.id, 'globex'), { statusCode: 404 });
+    assert.equal((await correctionService.deleteCorrection(correction.id, 'acme')).id, correction.id);
+});
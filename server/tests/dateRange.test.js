@@ -0,0 +1,28 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateRange } from '../utils/dateRange.js';
+import auditService from '../services/auditService.js';
+
+test('a date-only upper bound covers the whole day', () => {
+    const { from, to } = parseDateRange({ from: '2026-05-01', to: '2026-05-31' });
+
+    assert.equal(from.toISOString(), '2026-05-01T00:00:00.000Z');
+    assert.equal(to.toISOString(), '2026-05-31T23:59:59.999Z');
+});
+
+test('an upper bound with a time is used as given', () => {
+    assert.equal(parseDateRange({ to: '2026-05-31T12:00:00Z' }).to.toISOString(), '2026-05-31T12:00:00.000Z');
+    assert.deepEqual(parseDateRange({}), { from: null, to: null });
+});
+
+test('audit entries from the last day of a range are found', async () => {
+    mock.method(auditService, 'load', async () => [
+        { id: 'a', event: 'document.classified', timestamp: '2026-05-31T18:30:00.000Z' },
+        { id: 'b', event: 'document.classified', timestamp: '2026-06-01T00:00:00.000Z' }
+    ]);
+
+    const entries = await auditService.findEntries({ from: '2026-05-01', to: '2026-05-31' });
+
+    assert.deepEqual(entries.map(entry => entry.id), ['a']);
+    mock.restoreAll();
+});
@@ -0,0 +1,119 @@
+import { test, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-dedupe-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+process.env.ROUTING_RULES_PATH = path.join(dataPath, 'routingRules.json');
+process.env.DELIVERY_DESTINATIONS_PATH = path.join(dataPath, 'destinations.json');
+
+const { default: dedupeService } = await import('../services/dedupeService.js');
+const { default: documentService } = await import('../services/documentService.js');
+const { default: documentStoreService } = await import('../services/documentStoreService.js');
+const { default: chunkingService } = await import('../services/chunkingService.js');
+const { config } = await import('../config/config.js');
+
+const originalDedupe = { ...config.dedupe };
+
+afterEach(() => {
+    Object.assign(config.dedupe, originalDedupe);
+    mock.restoreAll();
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const invoiceText = (number) => `Invoice INV-${number} from Acme Supplies Ltd to Globex Corporation. ` +
+    'Payment is due within thirty days of the invoice date by bank transfer. ' +
+    'Items: two hundred reams of printer paper, forty boxes of staples and twelve desk lamps. ' +
+    `Total amount due: $${number}.00. Thank you for your business.`;
+
+test('identical texts have identical signatures and unrelated texts share little', () => {
+    const signature = dedupeService.computeSignature(invoiceText(1200));
+
+    assert.equal(dedupeService.similarity(signature, dedupeService.computeSignature(invoiceText(1200))), 1);
+    assert.ok(dedupeService.similarity(signature, dedupeService.computeSignature(invoiceText(1300))) >= 0.6);
+    assert.ok(dedupeService.similarity(signature, dedupeService.computeSignature('Minutes of the quarterly board meeting held in Berlin')) < 0.2);
+});
+
+test('shingling ignores case and punctuation', () => {
+    assert.deepEqual(dedupeService.shingle('Hello, WORLD!'), new Set(['hello world']));
+    assert.equal(dedupeService.shingle('one two three four five six').size, 2);
+});
+
+test('the same text is classified once and then served from the cache', async () => {
+    const classify = mock.method(chunkingService, 'classify');
+    const text = invoiceText(4100);
+
+    const first = await documentService.classifyText(text, { tenantId: 'acme' });
+    const second = await documentService.classifyText(text, { tenantId: 'acme' });
+
+    assert.equal(classify.mock.callCount(), 1);
+    assert.equal(second.cached, true);
+    assert.equal(second.cachedFrom, first.id);
+    assert.equal(second.deliveryStatus, 'skipped_duplicate');
+    assert.equal((await documentStoreService.getDocument(second.id)).status, 'duplicate');
+});
+
+test('force, another tenant or an expired entry classifies again', async () => {
+    const classify = mock.method(chunkingService, 'classify');
+    const text = invoiceText(4200);
+
+    await documentService.classifyText(text, { tenantId: 'acme' });
+    assert.equal((await documentService.classifyText(text, { tenantId: 'acme', force: true })).cached, undefined);
+    assert.equal((await documentService.classifyText(text, { tenantId: 'globex' })).cached, undefined);
+
+    config.dedupe.cacheTtlMs = -1;
+    assert.equal((await documentService.classifyText(text, { tenantId: 'acme' })).cached, undefined);
+    assert.equal(classify.mock.callCount(), 4);
+});
+
+test('fallback classifications are never reused', async () => {
+    const text = invoiceText(4300);
+    mock.method(chunkingService, 'classify', async () => ({
+        documentType: 'other',
+        confidence: 0.3,
+        department: 'general',
+        routingConfidence: 0.3,
+        extractedData: {},
+        reasoning: 'Fallback classification',
+        suggestedActions: [],
+        fallback: true
+    }));
+
+    await documentService.classifyText(text, { tenantId: 'acme' });
+    const again = await documentService.classifyText(text, { tenantId: 'acme' });
+
+    assert.equal(again.cached, undefined);
+    assert.equal(chunkingService.classify.mock.callCount(), 2);
+});
+
+test('a slightly different text is reported as a possible duplicate of the same tenant only', async () => {
+    const original = await documentService.classifyText(invoiceText(5000), { tenantId: 'initech' });
+
+    const similar = await documentService.classifyText(invoiceText(5000).replace('twelve desk lamps', 'eleven desk lamps'), { tenantId: 'initech' });
+    const otherTenant = await documentService.classifyText(invoiceText(5000).replace('twelve desk lamps', 'ten desk lamps'), { tenantId: 'umbrella' });
+
+    assert.equal(similar.possibleDuplicates[0].documentId, original.id);
+    assert.ok(similar.possibleDuplicates[0].similarity >= config.dedupe.nearDuplicateThreshold);
+    assert.equal(otherTenant.possibleDuplicates, undefined);
+});
+
+test('indexing a document drops entries older than both the cache TTL and the near-duplicate window', async () => {
+    const { cacheTtlMs, nearDuplicateWindowMs } = config.dedupe;
+    const indexed = (id, ageMs) => dedupeService.indexDocument(
+        { id, tenantId: 'hooli', textHash: id, createdAt: new Date(Date.now() - ageMs).toISOString() },
+        dedupeService.computeSignature(invoiceText(6000))
+    );
+
+    await indexed('expired', Math.max(cacheTtlMs, nearDuplicateWindowMs) + 60000);
+    await indexed('past-cache-ttl', cacheTtlMs + 60000);
+    await indexed('fresh', 0);
+
+    const ids = (await dedupeService.index.find(entry => entry.tenantId === 'hooli')).map(entry => entry.id);
+    assert.deepEqual(ids.sort(), ['fresh', 'past-cache-ttl']);
+});
@@ -0,0 +1,198 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-delivery-'));
+process.env.DATA_PATH = dataPath;
+process.env.DELIVERY_DESTINATIONS_PATH = path.join(dataPath, 'destinations.json');
+process.env.DELIVERY_SIGNING_SECRET = 'test-secret';
+
+const { default: deliveryService } = await import('../services/deliveryService.js');
+const { default: documentStoreService } = await import('../services/documentStoreService.js');
+const { default: auditService } = await import('../services/auditService.js');
+const { config } = await import('../config/config.js');
+
+const original = { ...config.delivery };
+
+afterEach(() => {
+    Object.assign(config.delivery, original);
+    deliveryService.destinations = null;
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const writeDestinations = (destinations) => fs.writeFile(config.delivery.destinationsPath, JSON.stringify(destinations));
+
+const storeDocument = (department, fileName = 'invoice.txt') => documentStoreService.saveClassification({
+    source: 'upload',
+    text: `${department} ${Math.random()}`,
+    metadata: { fileName, mimeType: 'text/plain' },
+    result: { documentType: 'invoice', department, confidenceLevel: 'high' }
+});
+
+// Resolves with the delivery once it is no longer pending
+const waitForDelivery = async (id) => {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const delivery = await deliveryService.getDelivery(id);
+        if (delivery.status !== 'pending') {
+            return delivery;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Delivery ${id} is still pending`);
+};
+
+// Status is stored before the rest of an attempt finishes, so follow-up effects are polled
+const eventually = async (check) => {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        if (await check()) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Condition was never met');
+};
+
+test('payloads are signed over the timestamp and body with the shared secret', () => {
+    const expected = crypto.createHmac('sha256', 'test-secret').update('1700000000.{"a":1}').digest('hex');
+
+    assert.equal(deliveryService.sign('{"a":1}', '1700000000'), expected);
+});
+
+test('invalid destinations are rejected with every problem listed', async () => {
+    await writeDestinations({
+        finance: { type: 'webhook' },
+        legal: { type: 'fax' },
+        marketing: { type: 'folder', path: '/tmp' }
+    });
+
+    await assert.rejects(() => deliveryService.loadDestinations(), (error) => {
+        assert.deepEqual(error.errors, [
+            "Webhook destination for 'finance' requires a url",
+            "Destination for 'legal' has invalid type 'fax'",
+            "Unknown department 'marketing'"
+        ]);
+        return true;
+    });
+});
+
+test('a department without a destination is recorded as not configured', async () => {
+    await writeDestinations({});
+    const document = await storeDocument('operations');
+
+    assert.equal(await deliveryService.scheduleDelivery(document), null);
+    assert.deepEqual((await documentStoreService.getDocument(document.id)).delivery, { status: 'not_configured', department: 'operations' });
+});
+
+test('a folder destination receives the signed payload and the original file', async () => {
+    const folder = path.join(dataPath, 'finance-inbox');
+    await writeDestinations({ finance: { type: 'folder', path: folder, includeFile: true } });
+    const upload = path.join(dataPath, 'upload.txt');
+    await fs.writeFile(upload, 'Invoice 42');
+    const document = await storeDocument('finance');
+
+    const scheduled = await deliveryService.scheduleDelivery(document, { filePath: upload });
+    const delivery = await waitForDelivery(scheduled.id);
+
+    const envelope = JSON.parse(await fs.readFile(path.join(folder, `${document.id}.json`), 'utf-8'));
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(envelope.payload.documentId, document.id);
+    assert.match(envelope.signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(await fs.readFile(path.join(folder, `${document.id}-invoice.txt`), 'utf-8'), 'Invoice 42');
+    await eventually(async () => (await documentStoreService.getDocument(document.id)).delivery.status === 'delivered');
+    await eventually(() => fs.access(scheduled.file.path).then(() => false, () => true));
+});
+
+test('holding a file removes held files older than the retention period', async () => {
+    await writeDestinations({ finance: { type: 'folder', path: path.join(dataPath, 'finance-inbox'), includeFile: true } });
+    const upload = path.join(dataPath, 'held-upload.txt');
+    await fs.writeFile(upload, 'Invoice 43');
+    const stale = await deliveryService.holdFile(await storeDocument('finance'), upload);
+    const recent = await deliveryService.holdFile(await storeDocument('finance'), upload);
+    const longAgo = new Date(Date.now() - config.delivery.heldFileRetentionMs - 60000);
+    await fs.utimes(stale, longAgo, longAgo);
+
+    const held = await deliveryService.holdFile(await storeDocument('finance'), upload);
+
+    await assert.rejects(fs.access(stale), { code: 'ENOENT' });
+    await fs.access(recent);
+    await fs.access(held);
+});
+
+test('a failing destination is retried and then dead-lettered, and can be retried by hand', async () => {
+    Object.assign(config.delivery, { maxAttempts: 2, retryBaseDelayMs: 1, timeoutMs: 1000 });
+    await writeDestinations({ legal: { type: 'webhook', url: 'http://127.0.0.1:1/hook' } });
+    const document = await storeDocument('legal');
+
+    const scheduled = await deliveryService.scheduleDelivery(document);
+    const deadLetter = await waitForDelivery(scheduled.id);
+
+    assert.equal(deadLetter.status, 'dead_letter');
+    assert.equal(deadLetter.attempts, 2);
+    assert.ok(deadLetter.lastError);
+    assert.equal((await deliveryService.listDeliveries('dead_letter')).deliveries[0].id, scheduled.id);
+
+    const retried = await deliveryService.retryDelivery(scheduled.id);
+    assert.equal(retried.status, 'pending');
+    assert.equal(retried.attempts, 0);
+    await assert.rejects(() => deliveryService.retryDelivery(scheduled.id), { statusCode: 409 });
+    await waitForDelivery(scheduled.id);
+    await eventually(async () => (await auditService.findEntries({ event: 'delivery.dead_lettered' })).length === 2);
+});
+
+const sendEmail = async (fileName, documentType = 'invoice') => {
+    const payload = {
+        deliveryId: `delivery-${Math.random().toString(36).slice(2)}`,
+        department: 'finance',
+        file: { name: fileName, mimeType: 'application/pdf', contentBase64: Buffer.from('%PDF').toString('base64') }
+    };
+    const document = { documentType, metadata: { fileName } };
+
+    await deliveryService.sendEmail({ type: 'email', to: 'ap@example.com' }, payload, '{}', 1, 'signature', document);
+    return fs.readFile(path.join(config.delivery.outboxPath, `${payload.deliveryId}.eml`), 'utf-8');
+};
+
+// Header lines of the message (before the first empty line), with folded lines joined
+const headers = (message) => message.split('\r\n\r\n')[0].replace(/\r\n /g, ' ').split('\r\n');
+
+test('CR/LF in a file name cannot add headers to the delivery email', async () => {
+    const message = await sendEmail('scan.pdf\r\nBcc: attacker@example.com\r\nX-Injected: yes');
+
+    const lines = headers(message);
+    assert.ok(!lines.some(line => /^(Bcc|X-Injected):/i.test(line)));
+    assert.ok(lines.some(line => line.startsWith('Subject: ') && line.includes('Bcc: attacker@example.com')));
+    assert.ok(!/\r\nBcc:/.test(message));
+    assert.match(message, /Content-Disposition: attachment; filename="scan.pdf Bcc: attacker@example.com X-Injected: yes"/);
+});
+
+test('non-ASCII subjects are RFC 2047 encoded and long subjects folded', async () => {
+    const message = await sendEmail(`Rechnung für März ${'x'.repeat(100)}.pdf`);
+
+    const subject = message.split('\r\n').findIndex(line => line.startsWith('Subject: '));
+    const lines = message.split('\r\n');
+    assert.match(lines[subject], /^Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+    assert.ok(lines[subject + 1].startsWith(' =?UTF-8?B?'));
+    assert.ok(lines.every(line => line.length <= 998));
+    assert.ok(message.includes(`filename*=UTF-8''Rechnung%20f%C3%BCr%20M%C3%A4rz`));
+
+    const decoded = headers(message).find(line => line.startsWith('Subject: '))
+        .slice('Subject: '.length)
+        .split(' ')
+        .map(word => Buffer.from(word.slice('=?UTF-8?B?'.length, -2), 'base64').toString('utf-8'))
+        .join('');
+    assert.equal(decoded, `[DocRoute] invoice routed to finance: Rechnung für März ${'x'.repeat(100)}.pdf`);
+});
+
+test('long ASCII subjects are folded at spaces', async () => {
+    const message = await sendEmail(`${'quarterly report '.repeat(8).trim()}.pdf`);
+
+    const lines = message.split('\r\n');
+    const subject = lines.findIndex(line => line.startsWith('Subject: '));
+    assert.ok(lines[subject].length <= 86);
+    assert.ok(lines[subject + 1].startsWith(' '));
+});
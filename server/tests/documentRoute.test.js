@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-document-route-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+process.env.AUTH_ENABLED = 'false';
+process.env.ROUTING_RULES_PATH = path.join(dataPath, 'routingRules.json');
+process.env.DELIVERY_DESTINATIONS_PATH = path.join(dataPath, 'destinations.json');
+
+const { parseTextClassificationBody, parseJsonBody } = await import('../middlewares/bodyParserMiddleware.js');
+const { default: documentRouter } = await import('../routes/documentRoute.js');
+const { config } = await import('../config/config.js');
+
+let server;
+let baseUrl;
+
+// The body parsers and document routes mounted as in index.js, which starts listening when imported
+before(async () => {
+    const app = express();
+    app.use('/api/documents/classify-text', parseTextClassificationBody);
+    app.use(parseJsonBody);
+    app.use('/api/documents', documentRouter);
+    app.post('/api/other', (req, res) => res.json({ received: req.body.content.length }));
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const post = (route, content) => fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content })
+});
+
+test('text longer than the chunking threshold reaches the classifier and is chunked', async () => {
+    const line = 'Invoice INV-7 from Acme. Total amount due: $120.00. Payment due in 30 days.\n';
+    const content = line.repeat(Math.ceil((config.chunking.maxTextLength + 1) / line.length));
+
+    const response = await post('/api/documents/classify-text', content);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.ok(body.data.chunking.chunkCount > 1);
+});
+
+test('other routes keep the small body limit', async () => {
+    const response = await post('/api/other', 'x'.repeat(20 * 1024));
+
+    assert.equal(response.status, 413);
+});
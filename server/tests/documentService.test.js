@@ -0,0 +1,80 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Services read their configuration when first imported, so the environment is set up before
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-documents-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+process.env.AUDIT_LOG_PATH = path.join(dataPath, 'audit-log.jsonl');
+
+const { default: documentService } = await import('../services/documentService.js');
+const { default: auditService } = await import('../services/auditService.js');
+const { default: taxonomyService } = await import('../services/taxonomyService.js');
+const { config } = await import('../config/config.js');
+
+before(async () => {
+    await taxonomyService.load();
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const invoiceText = 'INVOICE\nInvoice number: INV-2024-001\nVendor: Acme Supplies\nTotal amount due: 1,250.00 USD';
+
+test('a failed audit write does not fail a classification that was already stored', async () => {
+    mock.method(auditService, 'record', async () => {
+        throw new Error('disk full');
+    });
+
+    const result = await documentService.classifyText(invoiceText, { tenantId: 'audit-test', force: true });
+
+    assert.equal(result.documentType, 'invoice');
+    assert.ok(result.id);
+});
+
+test('failed classifications are recorded in the audit trail', async () => {
+    const entries = [];
+    mock.method(auditService, 'record', async (entry) => {
+        entries.push(entry);
+    });
+
+    await assert.rejects(
+        documentService.classifyText('   ', { tenantId: 'audit-test', requestId: 'req-1', actor: 'uploader-key' }),
+        { statusCode: 400 }
+    );
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].event, 'document.classification_failed');
+    assert.equal(entries[0].tenantId, 'audit-test');
+    assert.equal(entries[0].requestId, 'req-1');
+    assert.equal(entries[0].actor, 'uploader-key');
+    assert.deepEqual(entries[0].data, {
+        source: 'text',
+        fileName: null,
+        mimeType: null,
+        statusCode: 400,
+        error: 'Text content cannot be empty'
+    });
+});
+
+test('failed uploads are audited with the file name', async () => {
+    const entries = [];
+    mock.method(auditService, 'record', async (entry) => {
+        entries.push(entry);
+    });
+
+    const file = { originalname: 'huge.pdf', mimetype: 'application/pdf', size: config.maxFileSize + 1, path: null };
+    await assert.rejects(documentService.processDocument(file, { tenantId: 'audit-test' }), { statusCode: 400 });
+
+    assert.equal(entries[0].event, 'document.classification_failed');
+    assert.equal(entries[0].data.fileName, 'huge.pdf');
+    assert.equal(entries[0].data.statusCode, 400);
+});
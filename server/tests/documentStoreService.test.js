@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Services read their configuration when first imported, so the environment is set up first
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-store-'));
+process.env.DATA_PATH = dataPath;
+
+const { default: documentStoreService } = await import('../services/documentStoreService.js');
+const { JsonStore } = await import('../utils/JsonStore.js');
+const { parsePagination } = await import('../utils/pagination.js');
+const { config } = await import('../config/config.js');
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const save = async (documentType, confidenceLevel, createdAt) => {
+    const record = await documentStoreService.saveClassification({
+        source: 'upload',
+        text: `${documentType} text`,
+        metadata: { fileName: `${documentType}.pdf` },
+        result: { documentType, department: 'finance', confidenceLevel }
+    });
+    return documentStoreService.updateDocument(record.id, { createdAt });
+};
+
+test('saved classifications are written to disk and found again by a new store', async () => {
+    const record = await save('invoice', 'high', '2026-01-01T10:00:00.000Z');
+
+    const reloaded = await new JsonStore(path.join(dataPath, 'documents.json')).findById(record.id);
+
+    assert.equal(reloaded.documentType, 'invoice');
+    assert.equal(reloaded.textHash, documentStoreService.hashText('invoice text'));
+    assert.equal(reloaded.textLength, 'invoice text'.length);
+    assert.equal(reloaded.createdAt, '2026-01-01T10:00:00.000Z');
+});
+
+test('documents are filtered, listed newest first and paginated', async () => {
+    await save('receipt', 'low', '2026-02-01T10:00:00.000Z');
+    await save('receipt', 'high', '2026-02-03T10:00:00.000Z');
+    await save('receipt', 'high', '2026-02-05T10:00:00.000Z');
+
+    const { documents, pagination } = await documentStoreService.listDocuments(
+        { documentType: 'receipt', confidenceLevel: 'high' },
+        { page: 1, limit: 1 }
+    );
+
+    assert.deepEqual(documents.map(record => record.createdAt), ['2026-02-05T10:00:00.000Z']);
+    assert.deepEqual(pagination, { page: 1, limit: 1, total: 2, totalPages: 2 });
+});
+
+test('documents are filtered by creation time', async () => {
+    const { documents } = await documentStoreService.listDocuments({
+        documentType: 'receipt',
+        from: '2026-02-02T00:00:00.000Z',
+        to: '2026-02-04T00:00:00.000Z'
+    });
+
+    assert.deepEqual(documents.map(record => record.createdAt), ['2026-02-03T10:00:00.000Z']);
+});
+
+test('an unknown document is not found', async () => {
+    assert.equal(await documentStoreService.getDocument('missing'), null);
+    assert.equal(await documentStoreService.updateDocument('missing', { status: 'x' }), null);
+});
+
+test('page and limit are clamped to the configured bounds', () => {
+    assert.deepEqual(parsePagination({ page: '0', limit: '100000' }), { page: 1, limit: config.pagination.maxLimit });
+    assert.deepEqual(parsePagination({}), { page: 1, limit: config.pagination.defaultLimit });
+});
@@ -0,0 +1,89 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-eval-test-'));
+process.env.DATA_PATH = dataPath;
+
+const { computeMetrics, diffReports } = await import('../eval/metrics.js');
+const { default: recordedClassifierService } = await import('../services/recordedClassifierService.js');
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const result = (file, expected, predicted, confidence = 0.9) => ({
+    file,
+    expected: { documentType: expected, department: 'finance' },
+    predicted: predicted && { documentType: predicted, department: 'finance', confidence }
+});
+
+test('precision, recall and the confusion matrix are computed per label', () => {
+    const metrics = computeMetrics([
+        result('a.txt', 'invoice', 'invoice'),
+        result('b.txt', 'invoice', 'receipt'),
+        result('c.txt', 'receipt', 'receipt'),
+        result('d.txt', 'receipt', null)
+    ]);
+
+    assert.equal(metrics.total, 4);
+    assert.equal(metrics.errors, 1);
+    assert.equal(metrics.documentType.accuracy, 0.667);
+    assert.deepEqual(metrics.documentType.perLabel.invoice, { precision: 1, recall: 0.5, f1: 0.667, support: 2 });
+    assert.deepEqual(metrics.documentType.perLabel.receipt, { precision: 0.5, recall: 1, f1: 0.667, support: 1 });
+    assert.deepEqual(metrics.documentType.confusionMatrix.invoice, { invoice: 1, receipt: 1 });
+    assert.equal(metrics.department.accuracy, 1);
+});
+
+test('calibration compares mean confidence with accuracy in each bin', () => {
+    const metrics = computeMetrics([
+        result('a.txt', 'invoice', 'invoice', 0.95),
+        result('b.txt', 'invoice', 'receipt', 0.95),
+        result('c.txt', 'receipt', 'receipt', 0.25)
+    ], { calibrationBins: 4 });
+
+    assert.deepEqual(metrics.calibration.bins, [
+        { range: [0.25, 0.5], count: 1, meanConfidence: 0.25, accuracy: 1 },
+        { range: [0.75, 1], count: 2, meanConfidence: 0.95, accuracy: 0.5 }
+    ]);
+    assert.equal(metrics.calibration.expectedCalibrationError, 0.55);
+});
+
+test('a diff against the previous report lists fixed, regressed and added documents', () => {
+    const report = (id, results) => ({ id, results, metrics: computeMetrics(results) });
+    const previous = report('run-1', [result('a.txt', 'invoice', 'receipt'), result('b.txt', 'receipt', 'receipt')]);
+    const current = report('run-2', [
+        result('a.txt', 'invoice', 'invoice'),
+        result('b.txt', 'receipt', 'invoice'),
+        result('c.txt', 'receipt', 'receipt')
+    ]);
+
+    const diff = diffReports(previous, current);
+
+    assert.equal(diff.against, 'run-1');
+    assert.deepEqual(diff.changes.map(change => [change.file, change.change]), [['a.txt', 'fixed'], ['b.txt', 'regressed'], ['c.txt', 'added']]);
+    assert.equal(diff.documentTypeAccuracy, 0.167);
+});
+
+test('recorded responses are replayed by content and missing ones are reported', async () => {
+    recordedClassifierService.setRecordingsPath(path.join(dataPath, 'recordings.json'));
+    const live = {
+        name: 'stub',
+        classifyDocument: async () => ({ documentType: 'invoice', confidence: 0.9, department: 'finance', routingConfidence: 0.8 })
+    };
+
+    recordedClassifierService.record(live);
+    await recordedClassifierService.classifyDocument('Invoice 42');
+    recordedClassifierService.record(null);
+
+    const saved = JSON.parse(await fs.readFile(path.join(dataPath, 'recordings.json'), 'utf-8'));
+    assert.equal(saved[recordedClassifierService.hashContent('Invoice 42')].provider, 'stub');
+
+    recordedClassifierService.setRecordingsPath(path.join(dataPath, 'recordings.json'));
+    const replayed = await recordedClassifierService.classifyDocument('Invoice 42');
+    assert.equal(replayed.documentType, 'invoice');
+    assert.equal(await recordedClassifierService.testConnection(), true);
+    await assert.rejects(recordedClassifierService.classifyDocument('Invoice 43'), { statusCode: 404 });
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import extractionSchemaService from '../services/extractionSchemaService.js';
+
+test('invoice fields are normalized to the schema types', () => {
+    const result = extractionSchemaService.applySchema({
+        documentType: 'invoice',
+        extractedData: {
+            invoiceNumber: ' INV-42 ',
+            vendor: 'Acme Corp',
+            invoiceDate: '2024-05-01',
+            totalAmount: '$1,200.50',
+            lineItems: [{ description: 'Paper', quantity: '2', amount: '600.25' }]
+        }
+    });
+
+    assert.equal(result.extractedData.invoiceNumber, 'INV-42');
+    assert.equal(result.extractedData.totalAmount, 1200.5);
+    assert.equal(result.extractedData.invoiceDate, '2024-05-01');
+    assert.equal(result.extractedData.dueDate, null);
+    assert.deepEqual(result.extractedData.lineItems, [{ description: 'Paper', quantity: 2, unitPrice: null, amount: 600.25 }]);
+    assert.deepEqual(result.extractionValidation, { schema: 'invoice', valid: true, missingFields: [], invalidFields: [] });
+});
+
+test('the currency is taken from the amount when it is not given separately', () => {
+    const result = extractionSchemaService.applySchema({
+        documentType: 'receipt',
+        extractedData: { merchant: 'Cafe', totalAmount: '€4,50', transactionDate: '2024-05-01' }
+    });
+
+    assert.equal(result.extractedData.currency, 'EUR');
+    assert.equal(result.extractedData.totalAmount, 4.5);
+});
+
+test('missing required fields and unreadable values are reported', () => {
+    const result = extractionSchemaService.applySchema({
+        documentType: 'contract',
+        extractedData: { parties: 'Acme Corp', effectiveDate: 'sometime soon', contractValue: 'a lot' }
+    });
+
+    assert.deepEqual(result.extractedData.parties, ['Acme Corp']);
+    assert.equal(result.extractionValidation.valid, false);
+    assert.deepEqual(result.extractionValidation.missingFields, ['effectiveDate']);
+    assert.deepEqual(result.extractionValidation.invalidFields.map(error => [error.field, error.reason]), [
+        ['effectiveDate', 'Expected a date'],
+        ['contractValue', 'Expected a number']
+    ]);
+});
+
+test('fields outside the schema are kept apart as additional data', () => {
+    const result = extractionSchemaService.applySchema({
+        documentType: 'other',
+        extractedData: { notes: 'Handwritten' }
+    });
+
+    assert.deepEqual(result.extractedData, {});
+    assert.deepEqual(result.additionalData, { notes: 'Handwritten' });
+    assert.equal(result.extractionValidation.valid, true);
+});
+
+test('the prompt lists each schema with its required fields', () => {
+    const instructions = extractionSchemaService.buildPromptInstructions();
+
+    assert.match(instructions, /invoice:\n {2}- invoiceNumber \(string, required\) - Invoice number or ID/);
+    assert.match(instructions, /lineItems \(array of \{ description, quantity, unitPrice, amount \}\)/);
+    assert.doesNotMatch(instructions, /^other:/m);
+});
@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import extractorRegistry from '../services/extractorRegistry.js';
+import spreadsheetExtractor from '../services/extractors/spreadsheetExtractor.js';
+import emailExtractor from '../services/extractors/emailExtractor.js';
+import htmlExtractor from '../services/extractors/htmlExtractor.js';
+
+let folder;
+
+before(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-extractors-'));
+});
+
+after(async () => {
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+test('file extensions resolve to mime types with or without the dot', () => {
+    assert.equal(extractorRegistry.getMimeTypeForExtension('.DOCX'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    assert.equal(extractorRegistry.getMimeTypeForExtension('htm'), 'text/html');
+    assert.equal(extractorRegistry.getMimeTypeForFileName('Quarterly report.xlsx'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.equal(extractorRegistry.getMimeTypeForExtension('.exe'), null);
+});
+
+test('each mime type is served by its extractor', () => {
+    assert.equal(extractorRegistry.getExtractor('text/csv').name, 'spreadsheet');
+    assert.equal(extractorRegistry.getExtractor('application/vnd.ms-outlook').name, 'email');
+    assert.equal(extractorRegistry.getExtractor('application/zip'), null);
+});
+
+test('every format is listed once with its extensions', () => {
+    const formats = extractorRegistry.getFormats();
+    const mimeTypes = formats.map(format => format.mimeType);
+
+    assert.equal(new Set(mimeTypes).size, mimeTypes.length);
+    assert.equal(formats.find(format => format.type === 'JPEG').extension, '.jpg, .jpeg');
+});
+
+test('extractors without a name, formats or extract function are refused', () => {
+    assert.throws(() => extractorRegistry.register({ name: 'broken', formats: [] }), /extract\(\) function/);
+    assert.throws(() => extractorRegistry.register({ name: 'broken', extract: async () => ({}) }), /formats array/);
+});
+
+test('HTML is converted to text without images or link targets', async () => {
+    const filePath = path.join(folder, 'notice.html');
+    await fs.writeFile(filePath, '<h1>Notice</h1><p>See <a href="https://example.com">the policy</a>.</p><img src="logo.png">');
+
+    const extraction = await htmlExtractor.extract(filePath);
+
+    assert.equal(extraction.extractionMethod, 'html');
+    assert.match(extraction.text, /the policy\./);
+    assert.doesNotMatch(extraction.text, /example\.com|logo\.png/);
+});
+
+test('a workbook is read sheet by sheet with tab-separated cells', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Expenses').addRows([['Item', 'Amount'], ['Paper', 12.5]]);
+    workbook.addWorksheet('Empty');
+    workbook.addWorksheet('Totals').addRow(['Total', { formula: 'Expenses!B2', result: 12.5 }]);
+    const filePath = path.join(folder, 'expenses.xlsx');
+    await workbook.xlsx.writeFile(filePath);
+
+    const extraction = await spreadsheetExtractor.extract(filePath, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    assert.equal(extraction.extractionMethod, 'xlsx');
+    assert.equal(extraction.text, 'Sheet: Expenses\nItem\tAmount\nPaper\t12.5\n\nSheet: Totals\nTotal\t12.5');
+});
+
+test('an empty CSV file is rejected', async () => {
+    const filePath = path.join(folder, 'empty.csv');
+    await fs.writeFile(filePath, '  \n');
+
+    await assert.rejects(spreadsheetExtractor.extract(filePath, 'text/csv'), { statusCode: 400 });
+});
+
+test('an email body is classified and its attachments are returned separately', async () => {
+    const filePath = path.join(folder, 'invoice.eml');
+    await fs.writeFile(filePath, [
+        'Subject: Invoice 42',
+        'From: Billing <billing@example.com>',
+        'To: ap@example.com',
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/mixed; boundary="sep"',
+        '',
+        '--sep',
+        'Content-Type: text/plain',
+        '',
+        'Please find the invoice attached.',
+        '--sep',
+        'Content-Type: text/plain; name="invoice.txt"',
+        'Content-Disposition: attachment; filename="invoice.txt"',
+        '',
+        'Invoice 42: $120.00',
+        '--sep--',
+        ''
+    ].join('\r\n'));
+
+    const extraction = await emailExtractor.extract(filePath, 'message/rfc822');
+
+    assert.equal(extraction.extractionMethod, 'eml');
+    assert.match(extraction.text, /^Subject: Invoice 42\nFrom: "?Billing"? <billing@example\.com>\nTo: ap@example\.com/);
+    assert.match(extraction.text, /Please find the invoice attached\./);
+    assert.equal(extraction.attachments.length, 1);
+    assert.equal(extraction.attachments[0].fileName, 'invoice.txt');
+    assert.equal(extraction.attachments[0].content.toString().trim(), 'Invoice 42: $120.00');
+});
+
+test('a CSV file is read as CSV by its mime type, whatever its file name', async () => {
+    const filePath = path.join(folder, 'upload-1234');
+    await fs.writeFile(filePath, 'item,amount\nPaper,12.50\n');
+
+    const extraction = await spreadsheetExtractor.extract(filePath, 'text/csv');
+
+    assert.equal(extraction.extractionMethod, 'csv');
+    assert.match(extraction.text, /Paper,12\.50/);
+});
+
+test('an email is parsed by its mime type, not its file extension', async () => {
+    const filePath = path.join(folder, 'message.msg');
+    await fs.writeFile(filePath, 'Subject: Invoice 42\r\nFrom: billing@example.com\r\n\r\nPlease find the invoice attached.\r\n');
+
+    const extraction = await emailExtractor.extract(filePath, 'message/rfc822');
+
+    assert.equal(extraction.extractionMethod, 'eml');
+    assert.match(extraction.text, /Subject: Invoice 42/);
+});
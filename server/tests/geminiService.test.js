@@ -0,0 +1,130 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoogleGenerativeAIFetchError } from '@google/generative-ai';
+import { config } from '../config/config.js';
+import { CircuitBreaker } from '../utils/CircuitBreaker.js';
+import geminiService from '../services/geminiService.js';
+import promptService from '../services/promptService.js';
+
+const originalResilience = { ...config.aiResilience };
+
+afterEach(() => {
+    Object.assign(config.aiResilience, originalResilience);
+    geminiService.circuitBreaker = new CircuitBreaker(config.aiResilience.circuitBreaker);
+    mock.restoreAll();
+});
+
+const unavailable = () => new GoogleGenerativeAIFetchError('Service Unavailable', 503);
+const response = (text) => ({ text: () => text });
+
+test('transient failures are retried until a call succeeds', async () => {
+    Object.assign(config.aiResilience, { maxRetries: 3, retryBaseDelayMs: 1 });
+    let calls = 0;
+    mock.method(geminiService, 'generateContent', async () => {
+        calls++;
+        if (calls < 3) {
+            throw unavailable();
+        }
+        return response('{}');
+    });
+
+    const result = await geminiService.generateWithRetry('prompt');
+
+    assert.equal(result.text(), '{}');
+    assert.equal(calls, 3);
+    assert.equal(geminiService.getCircuitState().consecutiveFailures, 0);
+});
+
+test('a rejected request is not retried', async () => {
+    Object.assign(config.aiResilience, { maxRetries: 3, retryBaseDelayMs: 1 });
+    mock.method(geminiService, 'generateContent', async () => {
+        throw new GoogleGenerativeAIFetchError('Bad Request', 400);
+    });
+
+    await assert.rejects(geminiService.generateWithRetry('prompt'), { statusCode: 502 });
+    assert.equal(geminiService.generateContent.mock.callCount(), 1);
+});
+
+test('repeated failures open the circuit and later calls fail fast', async () => {
+    Object.assign(config.aiResilience, { maxRetries: 0, retryBaseDelayMs: 1 });
+    geminiService.circuitBreaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 });
+    mock.method(geminiService, 'generateContent', async () => {
+        throw unavailable();
+    });
+
+    await assert.rejects(geminiService.generateWithRetry('prompt'), { statusCode: 503 });
+    await assert.rejects(geminiService.generateWithRetry('prompt'), { statusCode: 503 });
+    await assert.rejects(geminiService.generateWithRetry('prompt'), /temporarily unavailable/);
+
+    assert.equal(geminiService.generateContent.mock.callCount(), 2);
+    assert.equal(geminiService.getCircuitState().state, 'open');
+});
+
+test('an open circuit lets one trial call through after the reset timeout', () => {
+    let now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+
+    breaker.recordFailure(new Error('down'));
+    assert.equal(breaker.allowRequest(), false);
+    assert.equal(breaker.retryAfterMs, 1000);
+
+    now += 1000;
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.recordFailure(new Error('still down'));
+    assert.equal(breaker.getState().state, 'open');
+
+    now += 1000;
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordSuccess();
+    assert.equal(breaker.getState().state, 'closed');
+});
+
+test('a response that is not JSON is asked for again', async () => {
+    const responses = ['Sorry, here is my analysis in prose.', '{"documentType": "Invoice", "confidence": 0.9, "department": "finance", "routingConfidence": 0.8}'];
+    mock.method(geminiService, 'generateWithRetry', async () => response(responses.shift()));
+
+    const result = await geminiService.classifyDocument('Invoice 42');
+
+    assert.equal(result.documentType, 'invoice');
+    assert.equal(result.fallback, undefined);
+    assert.match(geminiService.generateWithRetry.mock.calls[1].arguments[0], /could not be parsed as JSON:\nSorry, here is my analysis/);
+});
+
+test('a model that never answers with JSON gives a flagged fallback', async () => {
+    Object.assign(config.aiResilience, { maxParseRetries: 1 });
+    mock.method(geminiService, 'generateWithRetry', async () => response('no json here'));
+
+    const result = await geminiService.classifyDocument('Invoice 42');
+
+    assert.equal(geminiService.generateWithRetry.mock.callCount(), 2);
+    assert.equal(result.fallback, true);
+    assert.equal(result.fallbackReason, 'invalid_ai_response');
+    assert.equal(result.documentType, 'other');
+});
+
+test('the prompt versions passed in are used instead of drawing new ones', async () => {
+    const primary = { id: 'v1' };
+    mock.method(promptService, 'selectVersions', () => {
+        throw new Error('versions must not be drawn per call');
+    });
+    mock.method(geminiService, 'classifyWithVersion', async (content, version) => ({ documentType: 'invoice', promptVersion: version.id }));
+
+    const result = await geminiService.classifyDocument('text', { promptVersions: { primary, shadow: null } });
+
+    assert.equal(result.promptVersion, 'v1');
+    assert.equal(geminiService.classifyWithVersion.mock.calls[0].arguments[1], primary);
+});
+
+test('without prompt versions the versions are drawn for the call', async () => {
+    const primary = { id: 'v3' };
+    mock.method(promptService, 'selectVersions', () => ({ primary, shadow: null }));
+    mock.method(geminiService, 'classifyWithVersion', async (content, version) => ({ documentType: 'invoice', promptVersion: version.id }));
+
+    const result = await geminiService.classifyDocument('text');
+
+    assert.deepEqual(promptService.selectVersions.mock.calls.map(call => call.arguments), [['text']]);
+    assert.equal(result.promptVersion, 'v3');
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage } from '../utils/languageDetector.js';
+import extractionSchemaService from '../services/extractionSchemaService.js';
+
+test('the language is detected from its stopwords', () => {
+    const german = detectLanguage('Rechnung Nr. 42: der Betrag ist bis zum 15. März zahlbar, bitte überweisen Sie den Gesamtbetrag');
+    const english = detectLanguage('Please find attached the invoice for the consulting services and pay the total amount due by the end of the month');
+
+    assert.equal(german.code, 'de');
+    assert.equal(german.name, 'German');
+    assert.ok(german.confidence > 0.3);
+    assert.equal(english.code, 'en');
+});
+
+test('short or unrecognised text has no language', () => {
+    assert.deepEqual(detectLanguage('Total 42'), { code: null, name: null, confidence: 0 });
+    assert.equal(detectLanguage('Lorem ipsum dolor sit amet consectetur adipiscing').code, null);
+});
+
+test('a confidently detected language decides how dates and amounts are read', () => {
+    assert.deepEqual(extractionSchemaService.getLocaleOptions({ code: 'de', confidence: 0.9 }), { dayFirst: true, decimalSeparator: ',' });
+    assert.equal(extractionSchemaService.getLocaleOptions({ code: 'de', confidence: 0.1 }).decimalSeparator, null);
+});
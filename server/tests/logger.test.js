@@ -0,0 +1,102 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/config.js';
+import { logger, logRequestError, runWithLogContext, addLogContext } from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+
+const original = { ...config.logging };
+
+afterEach(() => {
+    Object.assign(config.logging, original);
+    mock.restoreAll();
+});
+
+// Log lines written while running callback, parsed from JSON
+const captureLogs = (callback) => {
+    const lines = [];
+    const capture = (line) => {
+        lines.push(JSON.parse(line));
+        return true;
+    };
+    mock.method(process.stdout, 'write', capture);
+    mock.method(process.stderr, 'write', capture);
+    try {
+        callback();
+    } finally {
+        mock.restoreAll();
+    }
+    return lines;
+};
+
+test('each line is a JSON object with the level, message and fields', () => {
+    Object.assign(config.logging, { level: 'info', format: 'json' });
+
+    const [line] = captureLogs(() => logger.info('Document classified', { documentId: 'doc-1' }));
+
+    assert.equal(line.level, 'info');
+    assert.equal(line.message, 'Document classified');
+    assert.equal(line.documentId, 'doc-1');
+    assert.ok(!isNaN(Date.parse(line.timestamp)));
+});
+
+test('lines below the configured level are not written', () => {
+    Object.assign(config.logging, { level: 'warn', format: 'json' });
+
+    const lines = captureLogs(() => {
+        logger.info('Skipped');
+        logger.warn('Kept');
+    });
+
+    assert.deepEqual(lines.map(line => line.message), ['Kept']);
+});
+
+test('lines written while handling a request carry its context', () => {
+    Object.assign(config.logging, { level: 'info', format: 'json' });
+
+    const lines = captureLogs(() => runWithLogContext({ requestId: 'req-1' }, () => {
+        addLogContext({ tenantId: 'acme' });
+        logger.info('Inside');
+    }));
+    const [outside] = captureLogs(() => logger.info('Outside'));
+
+    assert.equal(lines[0].requestId, 'req-1');
+    assert.equal(lines[0].tenantId, 'acme');
+    assert.equal(outside.requestId, undefined);
+});
+
+test('errors are logged with their message and status', () => {
+    Object.assign(config.logging, { level: 'info', format: 'json' });
+
+    const [line] = captureLogs(() => logger.error('Upload failed', { error: new ApiError(502, 'Classifier unavailable', ['timeout']) }));
+
+    assert.equal(line.error.message, 'Classifier unavailable');
+    assert.equal(line.error.statusCode, 502);
+    assert.deepEqual(line.error.errors, ['timeout']);
+    assert.ok(line.error.stack);
+});
+
+test('client errors are logged at debug', () => {
+    Object.assign(config.logging, { level: 'debug', format: 'json' });
+
+    const [line] = captureLogs(() => logRequestError('Get document error', new ApiError(404, 'Document not found')));
+
+    assert.equal(line.level, 'debug');
+    assert.equal(line.error.statusCode, 404);
+});
+
+test('client errors are not logged at the default level', () => {
+    Object.assign(config.logging, { level: 'info', format: 'json' });
+
+    assert.deepEqual(captureLogs(() => logRequestError('List reviews error', new ApiError(400, 'Invalid status'))), []);
+});
+
+test('server errors and unexpected errors are logged at error', () => {
+    Object.assign(config.logging, { level: 'info', format: 'json' });
+
+    const lines = captureLogs(() => {
+        logRequestError('Upload and classify error', new ApiError(502, 'Classifier unavailable'));
+        logRequestError('Upload and classify error', new TypeError('undefined is not a function'));
+    });
+
+    assert.deepEqual(lines.map(line => line.level), ['error', 'error']);
+});
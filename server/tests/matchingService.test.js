@@ -0,0 +1,69 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import matchingService from '../services/matchingService.js';
+import documentStoreService from '../services/documentStoreService.js';
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const record = (id, documentType, extractedData) => ({
+    id,
+    tenantId: 'acme',
+    documentType,
+    metadata: { fileName: `${id}.pdf` },
+    createdAt: '2026-03-20T10:00:00.000Z',
+    result: { extractedData }
+});
+
+test('amounts match within the tolerance and never across currencies', () => {
+    assert.equal(matchingService.amountsMatch(1000, 1000.004), true);
+    assert.equal(matchingService.amountsMatch(1000, 1100), false);
+    assert.equal(matchingService.amountsMatch(1000, 1000, 'EUR', 'USD'), false);
+    assert.equal(matchingService.amountsMatch('1000', 1000), false);
+});
+
+test('purchase order numbers match without case, spaces or punctuation', () => {
+    const invoice = record('inv', 'invoice', { poNumber: 'PO-4500/12' });
+
+    assert.equal(matchingService.matchPurchaseOrder(invoice, record('po', 'purchase_order', { poNumber: 'po 450012' })), 'po_number');
+    assert.equal(matchingService.matchPurchaseOrder(invoice, record('po', 'purchase_order', { poNumber: 'PO-4500/13' })), null);
+});
+
+test('without a PO number an invoice matches on vendor and amount, ignoring legal suffixes', () => {
+    const invoice = record('inv', 'invoice', { vendor: 'ACME Corp.', totalAmount: 250, currency: 'USD' });
+    const order = record('po', 'purchase_order', { vendor: 'Acme Corporation', totalAmount: 250, currency: 'USD' });
+
+    assert.equal(matchingService.matchPurchaseOrder(invoice, order), 'vendor_and_amount');
+});
+
+test('a receipt paid before the invoice was issued does not settle it', () => {
+    const invoice = record('inv', 'invoice', { vendor: 'Acme', totalAmount: 99, invoiceDate: '2026-03-10' });
+    const early = record('rcpt', 'receipt', { merchant: 'Acme', totalAmount: 99, transactionDate: '2026-03-01' });
+    const late = record('rcpt', 'receipt', { merchant: 'Acme', totalAmount: 99, transactionDate: '2026-03-15' });
+
+    assert.equal(matchingService.matchReceipt(invoice, early), null);
+    assert.equal(matchingService.matchReceipt(invoice, late), 'vendor_and_amount');
+});
+
+test('an invoice above its purchase order total is reported as a discrepancy', async () => {
+    const invoice = record('inv', 'invoice', { poNumber: 'PO-1', vendor: 'Acme', totalAmount: 1200, currency: 'EUR' });
+    mock.method(documentStoreService, 'findDocumentsByType', async () => [
+        record('po', 'purchase_order', { poNumber: 'PO-1', vendor: 'Acme', totalAmount: 1000, currency: 'EUR' })
+    ]);
+
+    const report = await matchingService.matchInvoice(invoice);
+
+    assert.equal(report.status, 'discrepancy');
+    assert.equal(report.purchaseOrder.documentId, 'po');
+    assert.deepEqual(report.discrepancies.map(discrepancy => discrepancy.type), ['amount_mismatch']);
+});
+
+test('an invoice without a matching purchase order or receipt is unmatched', async () => {
+    mock.method(documentStoreService, 'findDocumentsByType', async () => []);
+
+    const report = await matchingService.matchInvoice(record('inv', 'invoice', { poNumber: 'PO-9' }));
+
+    assert.equal(report.status, 'unmatched');
+    assert.equal(report.discrepancies[0].type, 'missing_po');
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import metricsService from '../services/metricsService.js';
+
+test('classifications are counted by type, department and confidence level', async () => {
+    metricsService.recordClassification({ documentType: 'invoice', department: 'finance', confidenceLevel: 'high' });
+    metricsService.recordClassification({
+        documentType: 'other', department: 'general', confidenceLevel: 'low', fallback: true, provider: 'gemini', fallbackReason: 'invalid_ai_response'
+    });
+
+    const metrics = await metricsService.getMetrics();
+
+    assert.match(metrics, /docroute_classifications_total\{document_type="invoice",department="finance",confidence_level="high"\} 1/);
+    assert.match(metrics, /docroute_fallback_classifications_total\{provider="gemini",reason="invalid_ai_response"\} 1/);
+});
+
+test('token usage is counted per token type', async () => {
+    metricsService.recordTokenUsage('gemini-test', { promptTokenCount: 120, candidatesTokenCount: 30 });
+    metricsService.recordTokenUsage('gemini-test', undefined);
+
+    const metrics = await metricsService.getMetrics();
+
+    assert.match(metrics, /docroute_ai_tokens_total\{model="gemini-test",type="prompt"\} 120/);
+    assert.match(metrics, /docroute_ai_tokens_total\{model="gemini-test",type="completion"\} 30/);
+});
+
+test('client and server errors are counted by status code', async () => {
+    metricsService.recordHttpRequest({ method: 'GET', route: '/api/documents/:id', statusCode: 404, seconds: 0.01 });
+    metricsService.recordHttpRequest({ method: 'GET', route: '/api/documents', statusCode: 200, seconds: 0.02 });
+
+    const metrics = await metricsService.getMetrics();
+
+    assert.match(metrics, /docroute_http_requests_total\{method="GET",route="\/api\/documents\/:id",status_code="404"\} 1/);
+    assert.match(metrics, /docroute_http_errors_total\{status_code="404"\} 1/);
+    assert.doesNotMatch(metrics, /docroute_http_errors_total\{status_code="200"\}/);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount, parseCurrency, parseDate } from '../utils/normalizers.js';
+
+test('amounts are read with either decimal separator', () => {
+    assert.equal(parseAmount('$10,500.00'), 10500);
+    assert.equal(parseAmount('10.500,00 €'), 10500);
+    assert.equal(parseAmount('1 234,5'), 1234.5);
+});
+
+test('negative and non-numeric amounts', () => {
+    assert.equal(parseAmount('(1,200.00)'), -1200);
+    assert.equal(parseAmount('-5'), -5);
+    assert.equal(parseAmount('n/a'), null);
+    assert.equal(parseAmount(NaN), null);
+});
+
+test('ambiguous numeric dates follow dayFirst', () => {
+    assert.equal(parseDate('03/04/2024'), '2024-03-04');
+    assert.equal(parseDate('03/04/2024', { dayFirst: true }), '2024-04-03');
+    assert.equal(parseDate('31.12.23', { dayFirst: true }), '2023-12-31');
+});
+
+test('impossible or empty dates are rejected', () => {
+    assert.equal(parseDate('2024-02-30'), null);
+    assert.equal(parseDate(''), null);
+});
+
+test('an amount with one separator before three digits is read the locale\'s way', () => {
+    assert.equal(parseAmount('1.500', { decimalSeparator: ',' }), 1500);
+    assert.equal(parseAmount('1,500', { decimalSeparator: ',' }), 1.5);
+    assert.equal(parseAmount('1,500', { decimalSeparator: '.' }), 1500);
+    assert.equal(parseAmount('1.500,25', { decimalSeparator: '.' }), 1500.25);
+});
+
+test('dates with month names in other languages', () => {
+    assert.equal(parseDate('5. März 2024'), '2024-03-05');
+    assert.equal(parseDate('12 janv. 2024'), '2024-01-12');
+    assert.equal(parseDate('1er mars 2024'), '2024-03-01');
+    assert.equal(parseDate('15 de marzo de 2024'), '2024-03-15');
+    assert.equal(parseDate('March 5, 2024'), '2024-03-05');
+});
+
+test('ISO 4217 codes are recognised in any case', () => {
+    assert.equal(parseCurrency('EUR 1.200,00'), 'EUR');
+    assert.equal(parseCurrency('1200 chf'), 'CHF');
+});
+
+test('three-letter words that are not currency codes are ignored', () => {
+    assert.equal(parseCurrency('PAY ABC'), null);
+    assert.equal(parseCurrency('net 30 days'), null);
+    assert.equal(parseCurrency('XYZ'), null);
+});
+
+test('a code in capitals wins over a lower-case word that is also a code', () => {
+    assert.equal(parseCurrency('all inclusive, 100 GBP'), 'GBP');
+});
+
+test('currency symbols map to their codes', () => {
+    assert.equal(parseCurrency('$10,500.00'), 'USD');
+    assert.equal(parseCurrency('10.500,00 €'), 'EUR');
+    assert.equal(parseCurrency('US$ 20'), 'USD');
+});
@@ -0,0 +1,140 @@
+import { test, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-ocr-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+
+const { default: ocrService } = await import('../services/ocrService.js');
+const { default: documentService } = await import('../services/documentService.js');
+const { ApiError } = await import('../utils/ApiError.js');
+const { config } = await import('../config/config.js');
+
+const ocrEnabled = config.ocr.enabled;
+
+afterEach(() => {
+    mock.restoreAll();
+    config.ocr.enabled = ocrEnabled;
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+// A one-page PDF with no text layer, as a scanner would produce. pdf-parse's bundled
+// pdf.js misreads buffers small enough to come from Node's buffer pool, so it is padded.
+const blankPdf = () => {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << >> /Contents 4 0 R >>',
+        '<< /Length 0 >>\nstream\n\nendstream'
+    ];
+    let body = `%PDF-1.4\n%${' '.repeat(8192)}\n`;
+    const offsets = objects.map((object, index) => {
+        const offset = body.length;
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = body.length;
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(body);
+};
+
+const ocrResult = (text, confidence) => ({ text, pages: [{ text, confidence }], confidence });
+
+const writeFile = async (name, contents) => {
+    const filePath = path.join(dataPath, name);
+    await fs.writeFile(filePath, contents);
+    return filePath;
+};
+
+test('page results are joined and confidence is averaged', async () => {
+    const texts = { a: { text: ' Invoice 42 ', confidence: 90 }, b: { text: 'Total due', confidence: 70 } };
+    mock.method(ocrService, 'getWorker', async () => ({
+        recognize: async (image) => ({ data: texts[image] })
+    }));
+
+    const result = await ocrService.recognizePages(['a', 'b']);
+
+    assert.equal(result.text, 'Invoice 42\n\nTotal due');
+    assert.equal(result.confidence, 0.8);
+    assert.deepEqual(result.pages.map(page => page.confidence), [0.9, 0.7]);
+});
+
+test('no pages means no text and zero confidence', async () => {
+    mock.method(ocrService, 'getWorker', async () => ({ recognize: async () => assert.fail('not called') }));
+
+    assert.deepEqual(await ocrService.recognizePages([]), { text: '', pages: [], confidence: 0 });
+});
+
+test('image extensions map onto the image mime types', () => {
+    assert.equal(documentService.getMimeTypeForExtension('.JPEG'), 'image/jpeg');
+    assert.equal(documentService.getMimeTypeForExtension('tif'), 'image/tiff');
+    assert.equal(documentService.getMimeTypeForExtension('.png'), 'image/png');
+});
+
+test('images are read with OCR', async () => {
+    mock.method(ocrService, 'recognizeImage', async () => ocrResult('Receipt', 0.85));
+    const filePath = await writeFile('receipt.png', 'not really a png');
+
+    const extraction = await documentService.extractTextFromFile(filePath, 'image/png');
+
+    assert.equal(extraction.text, 'Receipt');
+    assert.equal(extraction.extractionMethod, 'ocr');
+    assert.equal(extraction.ocrConfidence, 0.85);
+    assert.equal(ocrService.recognizeImage.mock.calls[0].arguments[0].toString(), 'not really a png');
+});
+
+test('images are rejected when OCR is disabled', async () => {
+    config.ocr.enabled = false;
+    const recognize = mock.method(ocrService, 'recognizeImage', async () => ocrResult('Receipt', 1));
+    const filePath = await writeFile('disabled.png', 'image');
+
+    await assert.rejects(documentService.extractTextFromFile(filePath, 'image/png'), (error) => {
+        assert.ok(error instanceof ApiError);
+        assert.equal(error.statusCode, 400);
+        return true;
+    });
+    assert.equal(recognize.mock.callCount(), 0);
+});
+
+test('an image without readable text is rejected', async () => {
+    mock.method(ocrService, 'recognizeImage', async () => ocrResult('  ', 0.1));
+    const filePath = await writeFile('blank.jpg', 'image');
+
+    await assert.rejects(documentService.extractTextFromFile(filePath, 'image/jpeg'), { statusCode: 400 });
+});
+
+test('a PDF without a text layer falls back to OCR', async () => {
+    mock.method(ocrService, 'recognizePdf', async () => ocrResult('Scanned contract', 0.77));
+    const filePath = await writeFile('scan.pdf', blankPdf());
+
+    const extraction = await documentService.extractTextFromFile(filePath, 'application/pdf');
+
+    assert.equal(extraction.text, 'Scanned contract');
+    assert.equal(extraction.extractionMethod, 'ocr');
+    assert.equal(extraction.ocrConfidence, 0.77);
+});
+
+test('a PDF without a text layer is rejected when OCR is disabled', async () => {
+    config.ocr.enabled = false;
+    const recognize = mock.method(ocrService, 'recognizePdf', async () => ocrResult('Scanned', 1));
+    const filePath = await writeFile('scan-disabled.pdf', blankPdf());
+
+    await assert.rejects(documentService.extractTextFromFile(filePath, 'application/pdf'), { statusCode: 400 });
+    assert.equal(recognize.mock.callCount(), 0);
+});
+
+test('plain text files are not sent to OCR', async () => {
+    const recognize = mock.method(ocrService, 'recognizeImage', async () => ocrResult('x', 1));
+    const filePath = await writeFile('note.txt', 'Meeting notes');
+
+    assert.deepEqual(await documentService.extractTextFromFile(filePath, 'text/plain'), { text: 'Meeting notes', extractionMethod: 'text' });
+    assert.equal(recognize.mock.callCount(), 0);
+});
@@ -0,0 +1,77 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-progress-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+process.env.ROUTING_RULES_PATH = path.join(dataPath, 'routingRules.json');
+process.env.DELIVERY_DESTINATIONS_PATH = path.join(dataPath, 'destinations.json');
+
+const { default: progressService } = await import('../services/progressService.js');
+const { default: documentService } = await import('../services/documentService.js');
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+test('subscribers catch up on missed events and then receive new ones', () => {
+    progressService.publish('acme', 'upload-1', 'received');
+    progressService.publish('acme', 'upload-1', 'extracting');
+
+    const received = [];
+    const unsubscribe = progressService.subscribe('acme', 'upload-1', event => received.push(event), 1);
+    progressService.publish('acme', 'upload-1', 'classifying', { chunked: false });
+    unsubscribe();
+    progressService.publish('acme', 'upload-1', 'completed', {}, { final: true });
+
+    assert.deepEqual(received.map(event => [event.sequence, event.stage]), [[2, 'extracting'], [3, 'classifying']]);
+    assert.equal(received[1].chunked, false);
+});
+
+test('a tenant never sees the events of another tenant with the same id', () => {
+    progressService.publish('acme', 'shared-id', 'received');
+
+    const received = [];
+    const unsubscribe = progressService.subscribe('globex', 'shared-id', event => received.push(event));
+    unsubscribe();
+
+    assert.deepEqual(received, []);
+});
+
+test('only the completion of the upload itself ends its stream', () => {
+    const report = progressService.createUploadReporter('acme', 'upload-2');
+
+    assert.equal(report('completed', { attachment: 'invoice.pdf' }).final, false);
+    assert.equal(report('failed', { attachment: 'scan.png' }).final, false);
+    assert.equal(report('completed', { documentId: 'doc-1' }).final, true);
+    assert.equal(progressService.getChannel('acme', 'upload-2').finished, true);
+});
+
+test('an upload reports each processing stage in order', async () => {
+    const filePath = path.join(dataPath, 'upload.txt');
+    await fs.writeFile(filePath, 'Invoice INV-7 from Acme. Total amount due: $120.00. Payment due in 30 days.');
+    const stages = [];
+
+    const result = await documentService.processDocument(
+        { originalname: 'invoice.txt', path: filePath, size: 80, mimetype: 'text/plain' },
+        { tenantId: 'acme', onProgress: (stage, data) => stages.push({ stage, ...data }) }
+    );
+
+    assert.deepEqual(stages.map(event => event.stage), ['received', 'extracting', 'extracted', 'classifying', 'rule-evaluated', 'completed']);
+    assert.equal(stages.at(-1).documentId, result.id);
+    assert.equal(stages.at(-1).cached, false);
+});
+
+test('a failed upload reports the failure as its last stage', async () => {
+    const stages = [];
+
+    await assert.rejects(documentService.processDocument(
+        { originalname: 'missing.txt', path: path.join(dataPath, 'missing.txt'), size: 10, mimetype: 'text/plain' },
+        { tenantId: 'acme', onProgress: (stage, data) => stages.push({ stage, ...data }) }
+    ), { statusCode: 404 });
+
+    assert.deepEqual(stages.at(-1), { stage: 'failed', statusCode: 404, error: 'File not found' });
+});
@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-prompt-route-'));
+process.env.DATA_PATH = dataPath;
+process.env.AUTH_ENABLED = 'false';
+
+const { parsePromptVersionBody, parseJsonBody } = await import('../middlewares/bodyParserMiddleware.js');
+const { default: promptRouter } = await import('../routes/promptRoute.js');
+const { config } = await import('../config/config.js');
+
+let server;
+let baseUrl;
+
+// The body parsers and prompt routes mounted as in index.js, which starts listening when imported
+before(async () => {
+    const app = express();
+    app.post('/api/prompts', parsePromptVersionBody);
+    app.use(parseJsonBody);
+    app.use('/api/prompts', promptRouter);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const createVersion = (id, template) => fetch(`${baseUrl}/api/prompts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, template, description: 'Longest template' })
+});
+
+test('a template of the longest accepted length fits in the request body', async () => {
+    const template = 'Classify {{documentTypes}} {{departments}} {{extractionInstructions}} ü'.padEnd(config.prompts.maxTemplateLength, 'ü');
+
+    const response = await createVersion('v2', template);
+
+    assert.equal(response.status, 201);
+});
+
+test('a longer template is rejected by validation rather than by the body limit', async () => {
+    const template = 'Classify {{documentTypes}} {{departments}} {{extractionInstructions}} '.padEnd(config.prompts.maxTemplateLength + 1, 'x');
+
+    const response = await createVersion('v3', template);
+
+    assert.equal(response.status, 400);
+});
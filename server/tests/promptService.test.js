@@ -0,0 +1,120 @@
+import { test, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-prompts-'));
+process.env.DATA_PATH = dataPath;
+
+const { default: promptService } = await import('../services/promptService.js');
+const { default: geminiService } = await import('../services/geminiService.js');
+
+afterEach(async () => {
+    mock.restoreAll();
+    await promptService.updateExperiment({ mode: 'off', candidateVersion: null, trafficPercent: 0 });
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+// Gemini answers with the document type named in the prompt template, so each version is recognisable
+const answerByTemplate = () => mock.method(geminiService, 'generateWithRetry', async (prompt) => ({
+    text: () => JSON.stringify({
+        documentType: prompt.startsWith('Candidate') ? 'receipt' : 'invoice',
+        confidence: prompt.startsWith('Candidate') ? 0.7 : 0.9,
+        department: 'finance',
+        routingConfidence: 0.8
+    })
+}));
+
+const createCandidate = async (id) => {
+    await promptService.load();
+    return promptService.getVersion(id) || promptService.createVersion({ id, template: 'Candidate prompt {{documentTypes}}\n' }, 'admin');
+};
+
+test('v1 is seeded from the default prompt and versions cannot be changed', async () => {
+    const versions = await promptService.load();
+
+    assert.equal(versions[0].id, 'v1');
+    assert.equal(promptService.getActiveVersion().id, 'v1');
+    assert.equal(promptService.getExperiment().mode, 'off');
+
+    const candidate = await createCandidate('v2');
+    assert.match(candidate.templateHash, /^[0-9a-f]{12}$/);
+    await assert.rejects(promptService.createVersion({ id: 'v2', template: 'Changed' }), { statusCode: 409 });
+});
+
+test('an experiment needs an existing candidate that differs from the active version', async () => {
+    await createCandidate('v2');
+
+    await assert.rejects(promptService.updateExperiment({ mode: 'split', trafficPercent: 50 }), { statusCode: 400 });
+    await assert.rejects(promptService.updateExperiment({ mode: 'split', candidateVersion: 'v9' }), { statusCode: 404 });
+    await assert.rejects(promptService.updateExperiment({ mode: 'shadow', candidateVersion: 'v1' }), /must differ/);
+});
+
+test('in split mode the candidate classifies its share of traffic', async () => {
+    await createCandidate('v2');
+    answerByTemplate();
+
+    await promptService.updateExperiment({ mode: 'split', candidateVersion: 'v2', trafficPercent: 100 });
+    const split = await geminiService.classifyDocument('Invoice 42');
+
+    await promptService.updateExperiment({ trafficPercent: 0 });
+    const active = await geminiService.classifyDocument('Invoice 42');
+
+    assert.deepEqual([split.promptVersion, split.documentType], ['v2', 'receipt']);
+    assert.deepEqual([active.promptVersion, active.documentType], ['v1', 'invoice']);
+});
+
+test('a document is assigned its version from its content, the same way every time', async () => {
+    await createCandidate('v2');
+    await promptService.updateExperiment({ mode: 'split', candidateVersion: 'v2', trafficPercent: 50 });
+    const contents = Array.from({ length: 200 }, (_, index) => `Invoice ${index}`);
+
+    const assigned = contents.map(content => promptService.selectVersions(content).primary.id);
+
+    assert.deepEqual(contents.map(content => promptService.selectVersions(content).primary.id), assigned);
+    const candidateShare = assigned.filter(id => id === 'v2').length / contents.length;
+    assert.ok(candidateShare > 0.35 && candidateShare < 0.65, `candidate share was ${candidateShare}`);
+    assert.ok(contents.every((content, index) =>
+        (promptService.getTrafficBucket(content, 'v2') < 50) === (assigned[index] === 'v2')));
+});
+
+test('in shadow mode the active result is returned and the candidate result is kept beside it', async () => {
+    await createCandidate('v2');
+    answerByTemplate();
+    let recorded;
+    const shadowRecorded = new Promise(resolve => {
+        recorded = mock.method(promptService, 'recordShadowResult', async (result) => resolve(result));
+    });
+
+    await promptService.updateExperiment({ mode: 'shadow', candidateVersion: 'v2', trafficPercent: 100 });
+    const result = await geminiService.classifyDocument('Invoice 42', { tenantId: 'acme' });
+    const shadow = await shadowRecorded;
+
+    assert.equal(result.promptVersion, 'v1');
+    assert.equal(recorded.mock.callCount(), 1);
+    assert.equal(shadow.tenantId, 'acme');
+    assert.deepEqual([shadow.active.promptVersion, shadow.candidate.promptVersion], ['v1', 'v2']);
+});
+
+test('shadow results are compared per tenant', async () => {
+    await createCandidate('v3');
+    const classification = (promptVersion, documentType, confidence) => ({
+        promptVersion, documentType, confidence, department: 'finance', routingConfidence: 0.8
+    });
+
+    await promptService.recordShadowResult({ tenantId: 'globex', contentHash: 'a', active: classification('v1', 'invoice', 0.9), candidate: classification('v3', 'invoice', 0.8) });
+    await promptService.recordShadowResult({ tenantId: 'globex', contentHash: 'b', active: classification('v1', 'invoice', 0.9), candidate: classification('v3', 'receipt', 0.6) });
+    await promptService.recordShadowResult({ tenantId: 'initech', contentHash: 'c', active: classification('v1', 'invoice', 0.9), candidate: classification('v3', 'receipt', 0.6) });
+
+    const { paired } = await promptService.compareVersions('v1', 'v3', 'globex');
+
+    assert.equal(paired.count, 2);
+    assert.equal(paired.documentTypeAgreement, 0.5);
+    assert.equal(paired.departmentAgreement, 1);
+    assert.equal(paired.meanConfidenceDelta, -0.2);
+    assert.deepEqual(paired.documentTypeDisagreements, [{ change: 'invoice -> receipt', count: 1 }]);
+});
@@ -0,0 +1,87 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/config.js';
+import { TokenBucket } from '../utils/TokenBucket.js';
+import { rateLimitClients } from '../middlewares/rateLimitMiddleware.js';
+
+const originalClientLimit = { ...config.rateLimiting.client };
+
+afterEach(() => {
+    Object.assign(config.rateLimiting.client, originalClientLimit);
+    mock.restoreAll();
+});
+
+// Runs the middleware for a client and returns the response state
+const request = (auth, ip = '10.0.0.1') => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let nextCalled = false;
+    rateLimitClients({ auth, ip }, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+};
+
+test('a bucket allows its burst and then reports the wait for the next token', () => {
+    let now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+    const bucket = new TokenBucket(2, 60);
+
+    assert.equal(bucket.tryTake(), 0);
+    assert.equal(bucket.tryTake(), 0);
+    assert.equal(bucket.tryTake(), 1000);
+
+    now += 500;
+    assert.equal(bucket.tryTake(), 500);
+
+    now += 500;
+    assert.equal(bucket.tryTake(), 0);
+    assert.equal(bucket.isFull, false);
+});
+
+test('a bucket never refills beyond its capacity', () => {
+    let now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+    const bucket = new TokenBucket(3, 60);
+
+    bucket.tryTake();
+    now += 60 * 60 * 1000;
+
+    assert.equal(bucket.available, 3);
+    assert.equal(bucket.isFull, true);
+});
+
+test('a client over its limit gets 429 with Retry-After', () => {
+    Object.assign(config.rateLimiting.client, { enabled: true, requestsPerMinute: 60, burst: 2 });
+    const auth = { keyName: `burst-${Date.now()}`, tenantId: 'acme', roles: ['uploader'] };
+
+    assert.equal(request(auth).nextCalled, true);
+    const second = request(auth);
+    assert.equal(second.nextCalled, true);
+    assert.equal(second.res.headers['RateLimit-Remaining'], '0');
+
+    const limited = request(auth);
+    assert.equal(limited.nextCalled, false);
+    assert.equal(limited.res.statusCode, 429);
+    assert.equal(limited.res.headers['Retry-After'], '1');
+});
+
+test('each API key has its own limit', () => {
+    Object.assign(config.rateLimiting.client, { enabled: true, requestsPerMinute: 60, burst: 1 });
+    const suffix = Date.now();
+
+    assert.equal(request({ keyName: `first-${suffix}`, roles: [] }).nextCalled, true);
+    assert.equal(request({ keyName: `first-${suffix}`, roles: [] }).nextCalled, false);
+    assert.equal(request({ keyName: `second-${suffix}`, roles: [] }).nextCalled, true);
+});
+
+test('nothing is limited when client rate limiting is disabled', () => {
+    Object.assign(config.rateLimiting.client, { enabled: false, burst: 1 });
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal(request(undefined, '10.0.0.99').nextCalled, true);
+    }
+});
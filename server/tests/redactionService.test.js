@@ -0,0 +1,164 @@
+import { test, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-redaction-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+process.env.ROUTING_RULES_PATH = path.join(dataPath, 'routingRules.json');
+process.env.DELIVERY_DESTINATIONS_PATH = path.join(dataPath, 'destinations.json');
+process.env.REDACTION_POLICIES_PATH = path.join(dataPath, 'redactionPolicies.json');
+
+const { default: redactionService } = await import('../services/redactionService.js');
+const { default: localClassifierService } = await import('../services/localClassifierService.js');
+const { default: documentService } = await import('../services/documentService.js');
+const { config } = await import('../config/config.js');
+
+afterEach(async () => {
+    mock.restoreAll();
+    redactionService.policies = null;
+    await fs.rm(config.redaction.policiesPath, { force: true });
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const writePolicies = (policies) => fs.writeFile(config.redaction.policiesPath, JSON.stringify(policies));
+
+const redact = async (text, tenantId = 'default') => {
+    const { redactor } = await redactionService.createRedactor(tenantId);
+    return redactor.redact(text);
+};
+
+test('card numbers and IBANs with a wrong check digit are not redacted', async () => {
+    await writePolicies({ default: { categories: ['card', 'iban'] } });
+
+    assert.equal(await redact('Card 4111 1111 1111 1111'), 'Card [CARD_1]');
+    assert.equal(await redact('Card 4111 1111 1111 1112'), 'Card 4111 1111 1111 1112');
+    assert.equal(await redact('IBAN DE89 3704 0044 0532 0130 00'), 'IBAN [IBAN_1]');
+    assert.equal(await redact('IBAN DE88 3704 0044 0532 0130 00'), 'IBAN DE88 3704 0044 0532 0130 00');
+});
+
+test('a value repeated in the text gets one placeholder', async () => {
+    assert.equal(
+        await redact('Reply to billing@example.com; copies go to billing@example.com and ops@example.com'),
+        'Reply to [EMAIL_1]; copies go to [EMAIL_1] and [EMAIL_2]'
+    );
+});
+
+test('a tenant policy limits the categories or turns redaction off', async () => {
+    await writePolicies({
+        tenants: {
+            acme: { categories: ['email'] },
+            'internal-tools': { enabled: false }
+        }
+    });
+
+    assert.equal(await redact('billing@example.com, IBAN DE89 3704 0044 0532 0130 00', 'acme'), '[EMAIL_1], IBAN DE89 3704 0044 0532 0130 00');
+    assert.equal(await redact('billing@example.com', 'internal-tools'), 'billing@example.com');
+});
+
+test('invalid policies are rejected with every problem listed', async () => {
+    await writePolicies({
+        default: { enabled: 'yes' },
+        tenants: { acme: { categories: ['email', 'address'], departments: { legal: { restore: 'none' } } } }
+    });
+
+    await assert.rejects(() => redactionService.loadPolicies(), (error) => {
+        assert.deepEqual(error.errors, [
+            'Default policy enabled must be a boolean',
+            "Policy of tenant 'acme' categories has unknown categories: address",
+            "Policy of department 'legal' in tenant 'acme' restore must be an array"
+        ]);
+        return true;
+    });
+});
+
+test('the department decides which redacted values are restored', async () => {
+    await writePolicies({
+        default: { restore: ['email'] },
+        departments: { finance: { restore: ['email', 'iban'] } }
+    });
+    const redaction = await redactionService.createRedactor('acme');
+    redaction.redactor.redact('billing@example.com, IBAN DE89 3704 0044 0532 0130 00');
+    const classification = redactionService.restoreExtractedData({ extractedData: { contact: '[EMAIL_1]', iban: '[IBAN_1]' } }, redaction);
+
+    const finance = redactionService.restoreClassification({ ...classification, department: 'finance' }, redaction);
+    const legal = redactionService.restoreClassification({ ...classification, department: 'legal' }, redaction);
+
+    assert.deepEqual(finance.extractedData, { contact: 'billing@example.com', iban: 'DE89 3704 0044 0532 0130 00' });
+    assert.deepEqual(finance.redaction, { applied: true, redacted: { email: 1, iban: 1 }, restored: ['email', 'iban'] });
+    assert.deepEqual(legal.extractedData, { contact: 'billing@example.com', iban: '[IBAN_1]' });
+});
+
+test('the classifier only sees redacted text', async () => {
+    const classify = mock.method(localClassifierService, 'classifyDocument');
+
+    const result = await documentService.classifyText('Invoice 42 from Acme, questions to billing@example.com. Total due: $120.00', { tenantId: 'acme' });
+
+    assert.match(classify.mock.calls[0].arguments[0], /questions to \[EMAIL_1\]/);
+    assert.doesNotMatch(classify.mock.calls[0].arguments[0], /billing@example\.com/);
+    assert.deepEqual(result.redaction.redacted, { email: 1 });
+});
+
+test('amounts, PO numbers and quantities are not mistaken for phone numbers', async () => {
+    assert.equal(await redact('Total: 12.500.000,00 EUR'), 'Total: 12.500.000,00 EUR');
+    assert.equal(await redact('Total: 1,234,567.50 USD'), 'Total: 1,234,567.50 USD');
+    assert.equal(await redact('PO 2024-1001-5531'), 'PO 2024-1001-5531');
+    assert.equal(await redact('qty 100 1200 3400'), 'qty 100 1200 3400');
+    assert.equal(await redact('Invoice 4500 123 4567 dated 2024-03-15'), 'Invoice 4500 123 4567 dated 2024-03-15');
+});
+
+test('numbers with a country prefix or a bracketed area code are redacted', async () => {
+    assert.equal(await redact('Call +44 20 7946 0958 today'), 'Call [PHONE_1] today');
+    assert.equal(await redact('Call +1 (555) 123-4567 today'), 'Call [PHONE_1] today');
+    assert.equal(await redact('Office (030) 123 4567'), 'Office [PHONE_1]');
+});
+
+test('numbers after a phone label are redacted, the label is kept', async () => {
+    assert.equal(await redact('Tel.: 030 1234567'), 'Tel.: [PHONE_1]');
+    assert.equal(await redact('Phone number 555-123-4567'), 'Phone number [PHONE_1]');
+    assert.equal(await redact('Téléphone : 01.23.45.67.89'), 'Téléphone : [PHONE_1]');
+    assert.equal(await redact('Telefonnummer 0301234567'), 'Telefonnummer [PHONE_1]');
+});
+
+test('a labelled amount is still not a phone number', async () => {
+    assert.equal(await redact('Fax: 1.500.000'), 'Fax: 1.500.000');
+});
+
+test('the same phone number gets the same placeholder and is restored', async () => {
+    const { redactor } = await redactionService.createRedactor('default');
+    const redacted = redactor.redact('Tel: +49 30 1234567, again +49 30 1234567');
+    assert.equal(redacted, 'Tel: [PHONE_1], again [PHONE_1]');
+    assert.equal(redactor.restore({ phone: '[PHONE_1]' }, ['phone']).phone, '+49 30 1234567');
+});
+
+test('redacted values are restored before fields are typed and hidden again per department', async () => {
+    const redaction = await redactionService.createRedactor('default');
+    const redacted = redaction.redactor.redact('Tel: +49 30 1234567, mail billing@acme.example');
+    assert.equal(redacted, 'Tel: [PHONE_1], mail [EMAIL_1]');
+
+    const restored = redactionService.restoreExtractedData({
+        department: 'finance',
+        extractedData: { contactPhone: '[PHONE_1]', contactEmail: '[EMAIL_1]' }
+    }, redaction);
+    assert.deepEqual(restored.extractedData, { contactPhone: '+49 30 1234567', contactEmail: 'billing@acme.example' });
+
+    const policy = { ...redaction.policy, departments: { finance: { restore: ['email'] } } };
+    const final = redactionService.restoreClassification(restored, { ...redaction, policy });
+    assert.deepEqual(final.extractedData, { contactPhone: '[PHONE_1]', contactEmail: 'billing@acme.example' });
+    assert.deepEqual(final.redaction.restored, ['email']);
+});
+
+test('every restored value can be concealed again for the audit trail', async () => {
+    const redaction = await redactionService.createRedactor('default');
+    redaction.redactor.redact('Tel: +49 30 1234567, mail billing@acme.example');
+
+    const concealed = redactionService.concealExtractedData({
+        extractedData: { contact: 'billing@acme.example / +49 30 1234567', totalAmount: 1500 }
+    }, redaction);
+    assert.deepEqual(concealed.extractedData, { contact: '[EMAIL_1] / [PHONE_1]', totalAmount: 1500 });
+});
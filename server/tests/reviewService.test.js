@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-reviews-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+
+const { default: reviewService } = await import('../services/reviewService.js');
+const { default: documentStoreService } = await import('../services/documentStoreService.js');
+const { config } = await import('../config/config.js');
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+const storeDocument = (result) => documentStoreService.saveClassification({
+    source: 'upload',
+    text: `${result.documentType} ${Math.random()}`,
+    metadata: { fileName: 'scan.pdf' },
+    result: { confidenceLevel: 'low', extractedData: {}, ...result }
+});
+
+test('a classification below the threshold on either score needs review', () => {
+    const threshold = config.confidenceThreshold;
+
+    assert.equal(reviewService.requiresReview({ confidence: threshold - 0.1, routingConfidence: 0.99 }), true);
+    assert.equal(reviewService.requiresReview({ confidence: 0.99, routingConfidence: threshold - 0.1 }), true);
+    assert.equal(reviewService.requiresReview({ confidence: threshold, routingConfidence: threshold }), false);
+});
+
+test('a fallback classification needs review whatever its scores', () => {
+    assert.equal(reviewService.requiresReview({ confidence: 0.99, routingConfidence: 0.99, fallback: true }), true);
+});
+
+test('a queued document is marked pending review', async () => {
+    const document = await storeDocument({ documentType: 'invoice', department: 'finance', confidence: 0.4, routingConfidence: 0.4 });
+
+    const review = await reviewService.createReview(document);
+    const stored = await documentStoreService.getDocument(document.id);
+
+    assert.equal(review.status, 'pending');
+    assert.deepEqual(review.suggested, { documentType: 'invoice', department: 'finance', confidence: 0.4, routingConfidence: 0.4 });
+    assert.equal(stored.status, 'pending_review');
+    assert.deepEqual(stored.review, { id: review.id, status: 'pending' });
+});
+
+test('an override changes the routing but keeps the original classification', async () => {
+    const document = await storeDocument({ documentType: 'other', department: 'general', confidence: 0.3, routingConfidence: 0.3 });
+    const review = await reviewService.createReview(document);
+
+    const decided = await reviewService.overrideReview(review.id, { reviewer: 'alice', documentType: 'contract', department: 'legal', comment: 'NDA' });
+    const stored = await documentStoreService.getDocument(document.id);
+
+    assert.equal(decided.status, 'overridden');
+    assert.equal(decided.decision.reviewer, 'alice');
+    assert.equal(stored.documentType, 'contract');
+    assert.equal(stored.department, 'legal');
+    assert.equal(stored.status, 'reviewed');
+    assert.equal(stored.result.documentType, 'other');
+});
+
+test('an approval keeps the suggestion and a review is decided only once', async () => {
+    const document = await storeDocument({ documentType: 'receipt', department: 'finance', confidence: 0.5, routingConfidence: 0.5 });
+    const review = await reviewService.createReview(document);
+
+    const decided = await reviewService.approveReview(review.id, { reviewer: 'bob' });
+
+    assert.equal(decided.decision.documentType, 'receipt');
+    assert.equal(decided.decision.comment, null);
+    await assert.rejects(() => reviewService.approveReview(review.id, { reviewer: 'bob' }), { statusCode: 409 });
+    await assert.rejects(() => reviewService.approveReview('missing', { reviewer: 'bob' }), { statusCode: 404 });
+});
+
+test('pending reviews are listed oldest first', async () => {
+    const { reviews } = await reviewService.listReviews('pending');
+
+    assert.ok(reviews.length > 0);
+    assert.ok(reviews.every(review => review.status === 'pending'));
+    assert.deepEqual(reviews, [...reviews].sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+});
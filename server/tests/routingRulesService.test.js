@@ -0,0 +1,116 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { config } from '../config/config.js';
+import routingRulesService from '../services/routingRulesService.js';
+
+const { routingRulesPath } = config;
+let folder;
+
+before(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-rules-'));
+    config.routingRulesPath = path.join(folder, 'routingRules.json');
+});
+
+afterEach(() => {
+    routingRulesService.rules = null;
+});
+
+after(async () => {
+    config.routingRulesPath = routingRulesPath;
+    await fs.rm(folder, { recursive: true, force: true });
+});
+
+const writeRules = (rules) => fs.writeFile(config.routingRulesPath, JSON.stringify({ rules }));
+
+const invoice = (extractedData, department = 'finance') => ({
+    documentType: 'invoice',
+    department,
+    routingConfidence: 0.7,
+    extractedData
+});
+
+test('the highest-priority matching rule routes the document and records the AI suggestion', async () => {
+    await writeRules([
+        { id: 'large-invoices', priority: 10, department: 'legal', conditions: { all: [
+            { field: 'documentType', operator: 'equals', value: 'invoice' },
+            { field: 'extractedData.totalAmount', operator: 'greaterThan', value: 10000 }
+        ] } },
+        { id: 'all-invoices', priority: 1, department: 'operations', conditions: { field: 'documentType', operator: 'equals', value: 'invoice' } }
+    ]);
+
+    const routed = await routingRulesService.applyRules(invoice({ totalAmount: '$12,000.00' }));
+
+    assert.equal(routed.department, 'legal');
+    assert.equal(routed.routingConfidence, 1);
+    assert.deepEqual(
+        { id: routed.matchedRule.id, aiDepartment: routed.matchedRule.aiDepartment, aiRoutingConfidence: routed.matchedRule.aiRoutingConfidence },
+        { id: 'large-invoices', aiDepartment: 'finance', aiRoutingConfidence: 0.7 }
+    );
+});
+
+test('disabled rules and rules that do not match leave the AI routing alone', async () => {
+    await writeRules([
+        { id: 'off', enabled: false, department: 'legal', conditions: { field: 'documentType', operator: 'exists' } },
+        { id: 'vendor', department: 'procurement', conditions: { not: { field: 'text', operator: 'contains', value: 'acme' } } }
+    ]);
+
+    const routed = await routingRulesService.applyRules(invoice({}), 'Invoice from ACME Corp');
+
+    assert.equal(routed.department, 'finance');
+    assert.equal(routed.matchedRule, null);
+});
+
+test('any, in and matches conditions', () => {
+    const context = { documentType: 'contract', text: 'Non-disclosure agreement' };
+
+    assert.equal(routingRulesService.evaluateCondition({ any: [
+        { field: 'documentType', operator: 'in', value: ['invoice', 'receipt'] },
+        { field: 'text', operator: 'matches', value: 'non-?disclosure' }
+    ] }, context), true);
+    assert.equal(routingRulesService.evaluateCondition({ field: 'documentType', operator: 'notIn', value: ['contract'] }, context), false);
+});
+
+test('a missing rules file means no rules', async () => {
+    await fs.rm(config.routingRulesPath, { force: true });
+
+    assert.deepEqual(await routingRulesService.loadRules(), []);
+});
+
+test('invalid rules are rejected with every problem listed', async () => {
+    await writeRules([
+        { id: 'bad', department: 'nowhere', conditions: { field: 'documentType', operator: 'resembles' } },
+        { department: 'legal', conditions: { any: [] } }
+    ]);
+
+    await assert.rejects(() => routingRulesService.loadRules(), (error) => {
+        assert.equal(error.statusCode, 500);
+        assert.deepEqual(error.errors, [
+            "Rule 'bad' has invalid department 'nowhere'",
+            "Rule 'bad' uses unknown operator 'resembles'",
+            'Rule #2 requires an id',
+            "Rule #2 has an empty 'all'/'any' group"
+        ]);
+        return true;
+    });
+});
+
+const over = (value) => ({ field: 'extractedData.totalAmount', operator: 'greaterThan', value });
+const context = (totalAmount) => ({ extractedData: { totalAmount } });
+
+test('amounts with a decimal comma are compared by their value', () => {
+    assert.equal(routingRulesService.evaluateCondition(over(10000), context('10.500,00')), true);
+    assert.equal(routingRulesService.evaluateCondition(over(11000), context('10.500,00 €')), false);
+});
+
+test('amounts with thousands separators and symbols are compared by their value', () => {
+    assert.equal(routingRulesService.evaluateCondition(over(10000), context('$10,500.00')), true);
+    assert.equal(routingRulesService.evaluateCondition(over('5.000'), context(4999.99)), false);
+});
+
+test('values that are not numbers match no comparison', () => {
+    assert.equal(routingRulesService.evaluateCondition(over(0), context('n/a')), false);
+    assert.equal(routingRulesService.evaluateCondition({ ...over(0), operator: 'lessThan' }, context(undefined)), false);
+});
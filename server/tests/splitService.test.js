@@ -0,0 +1,103 @@
+import { test, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-split-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+
+const { default: splitService } = await import('../services/splitService.js');
+const { default: classifierService } = await import('../services/classifierService.js');
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+// Page-level classification from a "type:" marker in the page text
+const classifyByMarker = () => mock.method(classifierService, 'classifyDocument', async (text) => ({
+    documentType: (text.match(/type:(\w+)/) || [])[1] || 'other',
+    confidence: 0.9
+}));
+
+const ranges = (documents) => documents.map(document => [document.pageStart, document.pageEnd]);
+
+test('page numbers and labelled document numbers are found on a page', () => {
+    assert.deepEqual(splitService.findPageNumber('Acme Ltd - Page 2 of 5'), { current: 2, total: 5 });
+    assert.deepEqual(splitService.findPageNumber('page 3'), { current: 3, total: null });
+    assert.equal(splitService.findPageNumber('No numbering here'), null);
+
+    assert.deepEqual(splitService.findIdentifier('Ref PO # 4500012345, Invoice No: inv-2024-001'), { kind: 'purchase_order', value: '4500012345' });
+    assert.equal(splitService.findIdentifier('Invoice for consulting services'), null);
+});
+
+test('a restart of the page numbering starts a new document', async () => {
+    classifyByMarker();
+
+    const documents = await splitService.detectDocuments([
+        'Statement of account type:invoice - Page 1 of 2',
+        'Remaining line items type:invoice - Page 2 of 2',
+        'Statement of account type:invoice - Page 1 of 1'
+    ]);
+
+    assert.deepEqual(ranges(documents), [[1, 2], [3, 3]]);
+    assert.equal(documents[1].reason, 'page numbering restarts');
+});
+
+test('a different invoice number starts a new document, the same one continues it', async () => {
+    classifyByMarker();
+
+    const documents = await splitService.detectDocuments([
+        'Invoice No: INV-001 for consulting type:invoice',
+        'Invoice No: INV-001 continued line items type:invoice',
+        'Invoice No: INV-002 for hosting services type:invoice'
+    ]);
+
+    assert.deepEqual(ranges(documents), [[1, 2], [3, 3]]);
+    assert.equal(documents[0].pages[1].reason, 'same invoice number INV-001');
+    assert.equal(documents[1].reason, 'invoice number changes to INV-002');
+});
+
+test('a confident change of document type starts a new document, blank pages are kept with the previous one', async () => {
+    classifyByMarker();
+
+    const documents = await splitService.detectDocuments([
+        'Goods delivered as agreed type:invoice',
+        '',
+        'Thank you for shopping with us type:receipt'
+    ]);
+
+    assert.deepEqual(ranges(documents), [[1, 2], [3, 3]]);
+    assert.equal(documents[0].pages[1].blank, true);
+    assert.equal(documents[1].reason, 'document type changes from invoice to receipt');
+});
+
+test('the classifier sees the redacted page text', async () => {
+    const classify = classifyByMarker();
+
+    await splitService.detectDocuments(['Contact billing@example.com type:invoice'], {
+        classificationPages: ['Contact [EMAIL_1] type:invoice'],
+        tenantId: 'acme'
+    });
+
+    assert.deepEqual(classify.mock.calls[0].arguments, ['Contact [EMAIL_1] type:invoice', { tenantId: 'acme', promptVersions: null }]);
+});
+
+test('the pages of a sub-document are written to their own PDF', async () => {
+    const source = await PDFDocument.create();
+    [200, 300, 400].forEach(width => source.addPage([width, 500]));
+    const sourcePath = path.join(dataPath, 'stack.pdf');
+    await fs.writeFile(sourcePath, await source.save());
+
+    const targetPath = path.join(dataPath, 'part.pdf');
+    await splitService.writePdfPages(sourcePath, 2, 3, targetPath);
+
+    const part = await PDFDocument.load(await fs.readFile(targetPath));
+    assert.deepEqual(part.getPages().map(page => page.getWidth()), [300, 400]);
+});
@@ -0,0 +1,61 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'docroute-taxonomy-'));
+process.env.DATA_PATH = dataPath;
+process.env.CLASSIFIER_PROVIDER = 'local';
+
+const { default: taxonomyService } = await import('../services/taxonomyService.js');
+const { default: localClassifierService } = await import('../services/localClassifierService.js');
+const { JsonStore } = await import('../utils/JsonStore.js');
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+test('the taxonomy is seeded from the defaults on first load', async () => {
+    const { documentTypes, departments } = await taxonomyService.getTaxonomy();
+
+    assert.ok(documentTypes.some(entry => entry.name === 'invoice' && entry.displayName === 'Invoice'));
+    assert.equal(departments.find(entry => entry.name === 'general').fallback, true);
+    assert.equal((await new JsonStore(path.join(dataPath, 'taxonomy.json')).load()).length, documentTypes.length + departments.length);
+});
+
+test('a new document type is persisted and accepted in classifications', async () => {
+    const added = await taxonomyService.addEntry('documentType', { name: 'payslip', displayName: 'Payslip' });
+
+    assert.equal(added.retired, false);
+    assert.ok((await new JsonStore(path.join(dataPath, 'taxonomy.json')).load()).some(record => record.id === 'documentType:payslip'));
+    assert.equal(localClassifierService.validateClassificationResult({ documentType: 'Payslip', department: 'finance' }).documentType, 'payslip');
+    await assert.rejects(taxonomyService.addEntry('documentType', { name: 'payslip', displayName: 'Again' }), { statusCode: 409 });
+});
+
+test('a retired entry is no longer assigned but stays on record and can be restored', async () => {
+    await taxonomyService.addEntry('department', { name: 'hr', displayName: 'Human Resources' });
+    const retired = await taxonomyService.retireEntry('department', 'hr');
+
+    assert.equal(retired.retired, true);
+    assert.ok(retired.retiredAt);
+    assert.equal(taxonomyService.isActive('department', 'hr'), false);
+    assert.ok(taxonomyService.getNames('department', { includeRetired: true }).includes('hr'));
+    assert.equal(localClassifierService.validateClassificationResult({ documentType: 'invoice', department: 'hr' }).department, 'general');
+    await assert.rejects(taxonomyService.addEntry('department', { name: 'hr', displayName: 'HR' }), /retired: false to restore/);
+
+    const restored = await taxonomyService.updateEntry('department', 'hr', { retired: false, displayName: 'People' });
+    assert.equal(restored.retired, false);
+    assert.equal(restored.retiredAt, null);
+    assert.equal(taxonomyService.getDisplayName('department', 'hr'), 'People');
+});
+
+test('the fallback entries cannot be retired', async () => {
+    await assert.rejects(taxonomyService.retireEntry('documentType', 'other'), { statusCode: 400 });
+    await assert.rejects(taxonomyService.retireEntry('department', 'general'), { statusCode: 400 });
+});
+
+test('unknown entries are reported as not found', async () => {
+    await assert.rejects(taxonomyService.updateEntry('documentType', 'memo', { displayName: 'Memo' }), { statusCode: 404 });
+    assert.equal(taxonomyService.getDisplayName('documentType', 'memo'), 'Other');
+});
@@ -0,0 +1,67 @@
+// Opens after `failureThreshold` consecutive failures and fails fast until `resetTimeoutMs` has passed;
+// then a single trial call (half-open) decides whether it closes again
+class CircuitBreaker {
+    constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+        this.failureThreshold = Math.max(failureThreshold, 1);
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    // Whether a call may go through now; moves an expired open circuit to half-open
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half_open';
+        }
+
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) {
+                return false;
+            }
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return this.state === 'closed';
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error ? error.message : null;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    // Milliseconds until an open circuit lets a trial call through
+    get retryAfterMs() {
+        return this.state === 'open' ? Math.max(this.resetTimeoutMs - (Date.now() - this.openedAt), 0) : 0;
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.failures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAfterMs: this.retryAfterMs,
+            lastError: this.lastError
+        };
+    }
+}
+
+export { CircuitBreaker };
@@ -0,0 +1,41 @@
+// In-process FIFO job queue that runs at most `concurrency` jobs at a time
+class JobQueue {
+    constructor(concurrency = 1) {
+        this.concurrency = Math.max(concurrency, 1);
+        this.pending = [];
+        this.running = 0;
+    }
+
+    // Queue a job (an async function); resolves or rejects with the job's outcome
+    add(job) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ job, resolve, reject });
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const { job, resolve, reject } = this.pending.shift();
+            this.running++;
+
+            Promise.resolve()
+                .then(job)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.running--;
+                    this.next();
+                });
+        }
+    }
+
+    get size() {
+        return this.pending.length;
+    }
+
+    get active() {
+        return this.running;
+    }
+}
+
+export { JobQueue };
@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// File-backed collection of JSON records.
+// Records are kept in memory and the whole collection is rewritten atomically on every change.
+class JsonStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = null;
+        this.loading = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Load records from disk once
+    async load() {
+        if (this.records) {
+            return this.records;
+        }
+
+        if (!this.loading) {
+            this.loading = fs.readFile(this.filePath, 'utf-8')
+                .then(content => JSON.parse(content))
+                .catch(error => {
+                    if (error.code === 'ENOENT') {
+                        return [];
+                    }
+                    throw error;
+                })
+                .then(records => {
+                    this.records = records;
+                    return records;
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+
+        return this.loading;
+    }
+
+    // Write records to disk, one write at a time
+    async persist() {
+        const write = async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tempPath, JSON.stringify(this.records, null, 2));
+            await fs.rename(tempPath, this.filePath);
+        };
+
+        this.writeQueue = this.writeQueue.then(write, write);
+        return this.writeQueue;
+    }
+
+    async insert(record) {
+        const records = await this.load();
+        records.push(record);
+        await this.persist();
+        return record;
+    }
+
+    // Merge changes into the record with the given id; returns the updated record or null
+    async update(id, changes) {
+        const records = await this.load();
+        const index = records.findIndex(record => record.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        records[index] = { ...records[index], ...changes };
+        await this.persist();
+        return records[index];
+    }
+
+    async remove(id) {
+        const records = await this.load();
+        const index = records.findIndex(record => record.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        records.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    async findById(id) {
+        const records = await this.load();
+        return records.find(record => record.id === id) || null;
+    }
+
+    async find(predicate = () => true) {
+        const records = await this.load();
+        return records.filter(predicate);
+    }
+}
+
+export { JsonStore };
@@ -0,0 +1,46 @@
+// Token bucket allowing `capacity` requests at once, refilled at `refillPerMinute` tokens per minute
+class TokenBucket {
+    constructor(capacity, refillPerMinute) {
+        this.capacity = Math.max(capacity, 1);
+        this.refillPerMs = Math.max(refillPerMinute, 1) / 60000;
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    // Take a token if one is available; returns 0 on success, otherwise the ms until one will be
+    tryTake() {
+        this.refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+
+    // Wait until a token is available and take it
+    async take() {
+        let waitMs = this.tryTake();
+        while (waitMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+            waitMs = this.tryTake();
+        }
+    }
+
+    get available() {
+        this.refill();
+        return Math.floor(this.tokens);
+    }
+
+    get isFull() {
+        this.refill();
+        return this.tokens >= this.capacity;
+    }
+}
+
+export { TokenBucket };
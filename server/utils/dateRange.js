@@ -0,0 +1,11 @@
+// A date without a time ("2024-05-31") as the upper bound of a range covers that whole day
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse the from/to filters of a listing into Dates (null when not given); to is inclusive
+const parseDateRange = ({ from, to } = {}) => ({
+    from: from ? new Date(from) : null,
+    to: to ? new Date(DATE_ONLY.test(to) ? new Date(to).getTime() + DAY_MS - 1 : to) : null
+});
+
+export { parseDateRange }
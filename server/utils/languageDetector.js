@@ -0,0 +1,38 @@
+import { languages } from '../config/languages.js';
+
+const stopwordSets = Object.fromEntries(
+    Object.entries(languages).map(([code, language]) => [code, new Set(language.stopwords)])
+);
+
+// Detect the language of a text by the share of its words that are stopwords of each language.
+// Returns { code, name, confidence }; code is null when the text is too short or matches no language.
+const detectLanguage = (text, { minWords = 5, maxWords = 2000 } = {}) => {
+    const words = (typeof text === 'string' ? text.toLowerCase().match(/\p{L}+/gu) || [] : []).slice(0, maxWords);
+    if (words.length < minWords) {
+        return { code: null, name: null, confidence: 0 };
+    }
+
+    const scores = Object.fromEntries(Object.keys(languages).map(code => [code, 0]));
+    for (const word of words) {
+        for (const [code, stopwords] of Object.entries(stopwordSets)) {
+            if (stopwords.has(word)) {
+                scores[code]++;
+            }
+        }
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [[code, best], [, runnerUp]] = ranked;
+    if (best === 0 || best === runnerUp) {
+        return { code: null, name: null, confidence: 0 };
+    }
+
+    // Confident when the best language clearly beats the runner-up and stopwords are common enough
+    const margin = (best - runnerUp) / best;
+    const coverage = Math.min(best / words.length / 0.15, 1);
+    const confidence = Math.round(margin * coverage * 100) / 100;
+
+    return { code, name: languages[code].name, confidence };
+};
+
+export { detectLanguage }
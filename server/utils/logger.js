@@ -0,0 +1,73 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from '../config/config.js';
+import { ApiError } from './ApiError.js';
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields of the request being handled (requestId, then tenantId and actor once authenticated),
+// added to every log line written while handling it, including by work it starts
+const requestContext = new AsyncLocalStorage();
+
+// Errors are logged with their message, status and stack instead of serializing to {}
+const serialize = (value) => {
+    if (!(value instanceof Error)) {
+        return value;
+    }
+    return {
+        name: value.name,
+        message: value.message,
+        ...(value.statusCode && { statusCode: value.statusCode }),
+        ...(Array.isArray(value.errors) && value.errors.length > 0 && { errors: value.errors }),
+        stack: value.stack
+    };
+};
+
+const formatPretty = ({ timestamp, level, message, requestId, ...fields }) => {
+    const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${timestamp} ${level.toUpperCase()}${requestId ? ` [${requestId}]` : ''} ${message}${details}`;
+};
+
+// One JSON object per line (LOG_FORMAT=pretty for a readable line in development)
+const write = (level, message, fields = {}) => {
+    if (levels[level] < (levels[config.logging.level] ?? levels.info)) {
+        return;
+    }
+
+    const entry = {
+        timestamp: new Date().toISOString(),
+        level,
+        message,
+        ...requestContext.getStore(),
+        ...Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, serialize(value)]))
+    };
+
+    const line = config.logging.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (levels[level] >= levels.warn ? process.stderr : process.stdout).write(line + '\n');
+};
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+// Log an error caught while handling a request. Client errors (ApiError with a 4xx status) are expected and
+// logged at debug: the error handler already reports the failed request at warn.
+const logRequestError = (message, error) => {
+    const expected = error instanceof ApiError && error.statusCode < 500;
+    write(expected ? 'debug' : 'error', message, { error });
+};
+
+// Run callback with fields that every log line written during it (and by work it starts) includes
+const runWithLogContext = (fields, callback) => requestContext.run({ ...fields }, callback);
+
+// Add fields to the current request's log context, e.g. the tenant once the API key is known
+const addLogContext = (fields) => {
+    const context = requestContext.getStore();
+    if (context) {
+        Object.assign(context, fields);
+    }
+};
+
+export { logger, logRequestError, runWithLogContext, addLogContext }
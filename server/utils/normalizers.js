@@ -0,0 +1,149 @@
+const currencySymbols = {
+    '$': 'USD',
+    'US$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '₹': 'INR',
+    '¥': 'JPY',
+    'CHF': 'CHF',
+    'Rs': 'INR'
+};
+
+// Convert amounts such as "$10,500.00", "10.500,00 €" or "1 234,5" to a number; null if not numeric.
+// decimalSeparator (the document locale's, '.' or ',') decides amounts like "1.500" or "1,500".
+const parseAmount = (value, { decimalSeparator: localeSeparator = null } = {}) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const negative = /^\s*-|\(\s*[\d.,\s]+\)/.test(value);
+    let digits = value.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(digits)) {
+        return null;
+    }
+
+    const lastComma = digits.lastIndexOf(',');
+    const lastDot = digits.lastIndexOf('.');
+    let decimalSeparator = lastComma > lastDot
+        // "10.500,00" or "12,5": a comma followed by 1-2 digits is a decimal comma
+        ? (/,\d{1,2}$/.test(digits) ? ',' : null)
+        // "10,500.00" or "10.5": a dot followed by 3 digits with no other dot could be thousands ("10.500")
+        : (lastDot !== -1 && !(/^\d{1,3}(\.\d{3})+$/.test(digits) && lastComma === -1) ? '.' : null);
+
+    // A single separator before exactly three digits ("1.500", "1,500") is read the locale's way
+    if (localeSeparator && /^\d+[.,]\d{3}$/.test(digits)) {
+        decimalSeparator = digits.includes(localeSeparator) ? localeSeparator : null;
+    }
+
+    if (decimalSeparator === ',') {
+        digits = digits.replace(/\./g, '').replace(',', '.');
+    } else if (decimalSeparator === '.') {
+        digits = digits.replace(/,/g, '');
+    } else {
+        digits = digits.replace(/[.,]/g, '');
+    }
+
+    const number = parseFloat(digits);
+    if (isNaN(number)) {
+        return null;
+    }
+    return negative ? -number : number;
+};
+
+// ISO 4217 codes of the currencies in use, as known to the runtime's ICU data
+const currencyCodes = new Set(Intl.supportedValuesOf('currency'));
+
+// Detect an ISO currency code from a code or symbol appearing in the value.
+// Three-letter words only count when they are ISO 4217 codes; codes written in capitals win over
+// lower-case words that happen to be codes (e.g. "all" or "top").
+const parseCurrency = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const words = value.match(/\b[A-Za-z]{3}\b/g) || [];
+    const code = words.find(word => word === word.toUpperCase() && currencyCodes.has(word))
+        || words.map(word => word.toUpperCase()).find(word => currencyCodes.has(word));
+    if (code) {
+        return code;
+    }
+
+    const symbol = Object.keys(currencySymbols)
+        .sort((a, b) => b.length - a.length)
+        .find(candidate => value.includes(candidate));
+    return symbol ? currencySymbols[symbol] : null;
+};
+
+// Month names (and common abbreviations) in the languages of config/languages.js
+const monthNames = {
+    1: ['january', 'jan', 'januar', 'jänner', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'januari', 'janeiro'],
+    2: ['february', 'feb', 'februar', 'février', 'fevrier', 'févr', 'fevr', 'febrero', 'febbraio', 'februari', 'fevereiro', 'fev'],
+    3: ['march', 'mar', 'märz', 'maerz', 'mrz', 'mars', 'marzo', 'maart', 'mrt', 'março', 'marco'],
+    4: ['april', 'apr', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+    5: ['may', 'mai', 'mayo', 'maggio', 'mag', 'mei', 'maio'],
+    6: ['june', 'jun', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho'],
+    7: ['july', 'jul', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho'],
+    8: ['august', 'aug', 'août', 'aout', 'agosto', 'ago', 'augustus'],
+    9: ['september', 'sep', 'sept', 'septembre', 'septiembre', 'settembre', 'set', 'setembro'],
+    10: ['october', 'oct', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+    11: ['november', 'nov', 'novembre', 'noviembre', 'novembro'],
+    12: ['december', 'dec', 'dezember', 'dez', 'décembre', 'decembre', 'déc', 'diciembre', 'dic', 'dicembre', 'dezembro']
+};
+const monthNumbers = new Map(
+    Object.entries(monthNames).flatMap(([month, names]) => names.map(name => [name, +month]))
+);
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const date = new Date(Date.UTC(fullYear, month - 1, day));
+    if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return `${fullYear}-${pad(month)}-${pad(day)}`;
+};
+
+// Convert a date string to YYYY-MM-DD; dayFirst decides ambiguous numeric dates such as 03/04/2024
+const parseDate = (value, { dayFirst = false } = {}) => {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+    }
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        return null;
+    }
+
+    const text = value.trim();
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso) {
+        return toIsoDate(+iso[1], +iso[2], +iso[3]);
+    }
+
+    const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (numeric) {
+        const [first, second, year] = [+numeric[1], +numeric[2], +numeric[3]];
+        if (first > 12) return toIsoDate(year, second, first);
+        if (second > 12) return toIsoDate(year, first, second);
+        return dayFirst ? toIsoDate(year, second, first) : toIsoDate(year, first, second);
+    }
+
+    // Day-first textual dates in any known language: "15. März 2024", "1er mars 2024", "15 de marzo de 2024"
+    const dayMonthYear = text.toLowerCase().match(/^(\d{1,2})(?:\.|er|º|°)?\s+(?:de\s+)?(\p{L}+)\.?,?\s+(?:de\s+)?(\d{4})$/u);
+    if (dayMonthYear && monthNumbers.has(dayMonthYear[2])) {
+        return toIsoDate(+dayMonthYear[3], monthNumbers.get(dayMonthYear[2]), +dayMonthYear[1]);
+    }
+
+    // Textual dates such as "May 1, 2024" or "1 May 2024"
+    const parsed = new Date(`${text} UTC`);
+    if (!isNaN(parsed.getTime())) {
+        return toIsoDate(parsed.getUTCFullYear(), parsed.getUTCMonth() + 1, parsed.getUTCDate());
+    }
+
+    return null;
+};
+
+export { parseAmount, parseCurrency, parseDate }
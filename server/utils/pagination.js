@@ -0,0 +1,14 @@
+import { config } from '../config/config.js';
+
+// Parse page/limit query parameters, clamped to the configured bounds
+const parsePagination = (query = {}) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(
+        Math.max(parseInt(query.limit) || config.pagination.defaultLimit, 1),
+        config.pagination.maxLimit
+    );
+
+    return { page, limit };
+};
+
+export { parsePagination }
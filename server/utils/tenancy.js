@@ -0,0 +1,9 @@
+import { config } from '../config/config.js';
+
+// Records created before tenancy was introduced belong to the default tenant
+const getTenantId = (record) => record.tenantId || config.auth.defaultTenantId;
+
+// A null tenantId means the caller is internal and may see every tenant
+const belongsToTenant = (record, tenantId) => !tenantId || getTenantId(record) === tenantId;
+
+export { getTenantId, belongsToTenant }
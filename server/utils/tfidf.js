@@ -0,0 +1,53 @@
+// Minimal TF-IDF text similarity for small in-memory corpora
+
+const tokenize = (text) => text.toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1);
+
+const termFrequencies = (tokens) => {
+    const frequencies = new Map();
+    for (const token of tokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+    return frequencies;
+};
+
+// Smoothed inverse document frequency of every term in the corpus (an array of token arrays)
+const buildIdf = (corpus) => {
+    const documentFrequencies = new Map();
+    for (const tokens of corpus) {
+        for (const token of new Set(tokens)) {
+            documentFrequencies.set(token, (documentFrequencies.get(token) || 0) + 1);
+        }
+    }
+
+    const idf = new Map();
+    for (const [token, count] of documentFrequencies) {
+        idf.set(token, Math.log((1 + corpus.length) / (1 + count)) + 1);
+    }
+    return idf;
+};
+
+// Sparse TF-IDF vector; every token must be part of the corpus the idf was built from
+const vectorize = (tokens, idf) => {
+    const vector = new Map();
+    for (const [token, count] of termFrequencies(tokens)) {
+        vector.set(token, (count / tokens.length) * idf.get(token));
+    }
+    return vector;
+};
+
+const cosineSimilarity = (vectorA, vectorB) => {
+    let dot = 0;
+    for (const [token, weight] of vectorA) {
+        dot += weight * (vectorB.get(token) || 0);
+    }
+    if (dot === 0) {
+        return 0;
+    }
+
+    const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    return dot / (norm(vectorA) * norm(vectorB));
+};
+
+export { tokenize, buildIdf, vectorize, cosineSimilarity }